@@ -0,0 +1,116 @@
+// Background service worker: injects the timeline into custom and self-hosted sites,
+// mirrors settings to chrome.storage.sync when the user opts in, forwards keyboard commands
+// and stores conversation library records and full-text index entries sent by content scripts.
+importScripts('settings.js', 'site-adapters.js', 'library-store.js');
+
+const SITE_SCRIPT_PREFIX = 'timeline-site-';
+// chrome.storage.sync allows roughly two writes per second; slider drags write far more often
+const SETTINGS_SYNC_DEBOUNCE = 1000;
+let settingsSyncTimerId = null;
+
+// Each entry is { id, matches } for a site whose hosts live in storage rather than the manifest
+async function getUserConfiguredScriptTargets() {
+    const customSites = normalizeCustomSites(await getStoredCustomSites())
+        .filter(site => site.enabled)
+        .map(site => ({ id: site.id, matches: getCustomSiteMatchPatterns(site) }));
+
+    const selfHostedHosts = await getStoredSelfHostedHosts();
+    const selfHostedSites = Object.keys(selfHostedHosts).map(siteId => ({
+        id: siteId,
+        matches: selfHostedHosts[siteId].flatMap(getHostMatchPatterns)
+    }));
+
+    return [...customSites, ...selfHostedSites];
+}
+
+// Keep registered content scripts in line with the stored sites and the hosts the user granted
+async function syncSiteContentScripts() {
+    try {
+        const registered = await chrome.scripting.getRegisteredContentScripts();
+        const staleIds = registered
+            .map(script => script.id)
+            .filter(id => id.startsWith(SITE_SCRIPT_PREFIX));
+        if (staleIds.length) {
+            await chrome.scripting.unregisterContentScripts({ ids: staleIds });
+        }
+
+        const scripts = [];
+        for (const site of await getUserConfiguredScriptTargets()) {
+            // Only inject into hosts the user actually granted
+            const matches = [];
+            for (const origin of site.matches) {
+                if (await chrome.permissions.contains({ origins: [origin] })) matches.push(origin);
+            }
+            if (!matches.length) continue;
+            scripts.push({
+                id: `${SITE_SCRIPT_PREFIX}${site.id}`,
+                matches,
+                js: ['settings.js', 'site-adapters.js', 'markdown-serializer.js', 'copy-templates.js', 'turn-links.js', 'content.js'],
+                css: ['styles.css'],
+                runAt: 'document_idle',
+                persistAcrossSessions: true
+            });
+        }
+        if (scripts.length) {
+            await chrome.scripting.registerContentScripts(scripts);
+        }
+    } catch (error) {
+        console.warn('Failed to sync site content scripts:', error);
+    }
+}
+
+function syncSettingsNow() {
+    clearTimeout(settingsSyncTimerId);
+    settingsSyncTimerId = null;
+    reconcileSyncedSettings().catch(error => console.warn('Failed to sync settings:', error));
+}
+
+function scheduleSettingsSync() {
+    clearTimeout(settingsSyncTimerId);
+    settingsSyncTimerId = setTimeout(syncSettingsNow, SETTINGS_SYNC_DEBOUNCE);
+}
+
+chrome.runtime.onInstalled.addListener(() => {
+    syncSiteContentScripts();
+    syncSettingsNow();
+});
+chrome.runtime.onStartup.addListener(() => {
+    syncSiteContentScripts();
+    syncSettingsNow();
+});
+// Browser-level shortcuts (chrome://extensions/shortcuts) run the same actions as the in-page ones
+chrome.commands.onCommand.addListener((command, tab) => {
+    if (!tab?.id) return;
+    chrome.tabs.sendMessage(tab.id, { action: 'runShortcut', command }).catch(() => {});
+});
+// Content scripts run in the page origin, so library writes go through here to reach the extension's IndexedDB
+const LIBRARY_MESSAGE_HANDLERS = {
+    saveLibraryConversation: request => saveLibraryConversation(request.record).then(Boolean),
+    indexConversation: request => indexFullTextConversation(request.document).then(Boolean),
+    removeConversationIndex: request => removeFullTextConversation(request.key).then(() => true)
+};
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    const handler = LIBRARY_MESSAGE_HANDLERS[request?.action];
+    if (!handler) return false;
+    handler(request)
+        .then(success => sendResponse({ success }))
+        .catch(error => {
+            console.warn(`Failed to handle ${request.action}:`, error);
+            sendResponse({ success: false });
+        });
+    return true;
+});
+chrome.permissions.onAdded.addListener(syncSiteContentScripts);
+chrome.permissions.onRemoved.addListener(syncSiteContentScripts);
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && (changes[CUSTOM_SITES_STORAGE_KEY] || changes[SELF_HOSTED_HOSTS_STORAGE_KEY])) {
+        syncSiteContentScripts();
+    }
+    if (areaName === 'local' && changes[SETTINGS_SYNC_ENABLED_KEY]) {
+        syncSettingsNow();
+    } else if (areaName === 'local' && changes[SETTINGS_STORAGE_KEY]) {
+        scheduleSettingsSync();
+    } else if (areaName === 'sync' && changes[SETTINGS_STORAGE_KEY]) {
+        syncSettingsNow();
+    }
+});
@@ -1,355 +1,373 @@
-const DEEPSEEK_PADDING_MIN = 0;
-const DEEPSEEK_PADDING_MAX = 60;
-const DEFAULT_DEEPSEEK_PADDING = 5;
-const DEFAULT_DEEPSEEK_WIDTH = DEEPSEEK_PADDING_MAX + DEEPSEEK_PADDING_MIN - DEFAULT_DEEPSEEK_PADDING;
-const DOUBAO_PADDING_MIN = 0;
-const DOUBAO_PADDING_MAX = 60;
-const DEFAULT_DOUBAO_PADDING = 5;
-const DEFAULT_DOUBAO_WIDTH = DOUBAO_PADDING_MAX + DOUBAO_PADDING_MIN - DEFAULT_DOUBAO_PADDING;
 const TOC_POSITION_STORAGE_KEY = 'chatgptTimelineTOCPosition';
 const TOC_STYLE_VERSION = 'deepseek-style-v1';
-
-function migrateDeepseekWidthSetting(settings) {
-    if (!settings) return { settings, migrated: false };
-    if (settings.deepseekWidthMode === 'width') return { settings, migrated: false };
-    const raw = Number.parseFloat(settings.deepseekWidth);
-    const normalized = Number.isFinite(raw) ? raw : DEFAULT_DEEPSEEK_PADDING;
-    settings.deepseekWidth = DEEPSEEK_PADDING_MAX + DEEPSEEK_PADDING_MIN - normalized;
-    settings.deepseekWidthMode = 'width';
-    return { settings, migrated: true };
-}
-
-const DEFAULT_SETTINGS = {
-    timelinePosition: 'right',
-    enableDragging: true,
-    enableLongPressDrag: true,
-    enableTOC: true,
-    tocWidth: 280,
-    tocPosition: 'right',
-    enableChatGPTTimeline: true,
-    enableGeminiTimeline: true,
-    enableClaudeTimeline: true,
-    enableDoubaoTimeline: true,
-    chatgptWidth: 48,
-    taskPageWidth: 48,
-    geminiWidth: 48,
-    claudeWidth: 48,
-    deepseekWidth: DEFAULT_DEEPSEEK_WIDTH,
-    deepseekWidthMode: 'width',
-    doubaoWidth: DEFAULT_DOUBAO_WIDTH,
-    grokWidth: 85
-};
-
-const SITE_CONFIGS = {
-    chatgpt: {
-        id: 'chatgpt',
-        hostMatches: ['chatgpt.com', 'chat.openai.com'],
-        pathPrefixes: ['/c/', '/g/'],
-        userTurnSelector: 'article[data-turn="user"], [data-message-author-role="user"]',
-        allTurnSelector: 'article[data-turn-id], article[data-turn], [data-testid^="conversation-turn-"], [data-message-author-role]',
-        assistantTurnSelector: 'article[data-turn="assistant"], [data-message-author-role="assistant"]',
-        userTextSelector: '[data-message-author-role="user"], [data-testid="user-message"], .whitespace-pre-wrap, .markdown',
-        assistantTextSelector: '[data-message-author-role="assistant"], .markdown, [data-testid*="assistant"]',
-        conversationRootSelectors: [
-            'main [data-message-author-role]',
-            '[data-message-author-role="user"]',
-            '[data-testid^="conversation-turn-"]',
-            'article[data-turn-id]',
-            '[data-testid="conversation-turn"]',
-            '.conversation-turn'
-        ]
-    },
-    gemini: {
-        id: 'gemini',
-        hostMatches: ['gemini.google.com'],
-        pathPrefixes: ['/app/', '/app'],
-        userTurnSelector: 'user-query',
-        allTurnSelector: 'div.conversation-container',
-        assistantTurnSelector: 'model-response',
-        userTextSelector: 'user-query .query-text, user-query-content .query-text, .query-text',
-        assistantTextSelector: 'message-content, .markdown, .model-response-text',
-        conversationRootSelectors: [
-            'div.conversation-container',
-            'user-query',
-            'chat-window-content',
-            '#chat-history',
-            'infinite-scroller'
-        ]
-    },
-    claude: {
-        id: 'claude',
-        hostMatches: ['claude.ai'],
-        pathPrefixes: ['/chat/', '/chat'],
-        userTurnSelector: 'div[data-test-render-count] div[data-testid]',
-        allTurnSelector: 'div[data-test-render-count]',
-        assistantTurnSelector: null,
-        userTextSelector: null,
-        assistantTextSelector: null,
-        conversationRootSelectors: [
-            'div[data-test-render-count]',
-            'main'
-        ]
-    },
-    deepseek: {
-        id: 'deepseek',
-        hostMatches: ['chat.deepseek.com', 'deepseek.com'],
-        pathPrefixes: ['/chat/', '/chat', '/c/', '/c'],
-        userTurnSelector: null,
-        allTurnSelector: null,
-        assistantTurnSelector: null,
-        userTextSelector: null,
-        assistantTextSelector: null,
-        conversationRootSelectors: [
-            'div.ds-theme',
-            'main'
-        ]
-    },
-    doubao: {
-        id: 'doubao',
-        hostMatches: ['www.doubao.com', 'doubao.com'],
-        pathPrefixes: ['/chat/', '/chat', '/'],
-        userTurnSelector: 'div[data-testid="send_message"]',
-        allTurnSelector: 'div[data-testid="message-list"] > div:nth-child(2) > div > div > div',
-        assistantTurnSelector: 'div[data-testid="receive_message"]',
-        userTextSelector: null,
-        assistantTextSelector: null,
-        conversationRootSelectors: [
-            'div[data-testid="message-list"]',
-            'main'
-        ]
-    },
-    grok: {
-        id: 'grok',
-        hostMatches: ['grok.com'],
-        pathPrefixes: ['/c/', '/c'],
-        userTurnSelector: '[data-grok-turn="user"]',
-        allTurnSelector: '[data-grok-turn]',
-        assistantTurnSelector: '[data-grok-turn="assistant"]',
-        userTextSelector: null,
-        assistantTextSelector: null,
-        conversationRootSelectors: [
-            '[data-grok-turn]'
-        ]
-    }
-};
-
-function getSiteType(hostname = location.hostname) {
-    const host = hostname || '';
-    for (const [key, config] of Object.entries(SITE_CONFIGS)) {
-        if (config.hostMatches.some(match => host === match || host.endsWith(`.${match}`))) {
-            return key;
-        }
-    }
-    return 'unknown';
-}
+const STARRED_TURNS_STORAGE_PREFIX = 'chatgptTimelineStars:';
+const TURN_NOTES_STORAGE_PREFIX = 'chatgptTimelineNotes:';
+const TURN_NOTE_MAX_TAGS = 10;
+// Last position, read turns and known turns per conversation, used to offer "resume" on the next visit
+const READING_PROGRESS_STORAGE_PREFIX = 'chatgptTimelineProgress:';
+const READING_PROGRESS_SAVE_DELAY = 1000;
+const READING_PROGRESS_MAX_TURNS = 2000;
+// Minimap mode: a reply counts as code-heavy when this share of its text sits in code blocks
+const MINIMAP_CODE_HEAVY_RATIO = 0.4;
+// Library records are written once the conversation has been quiet for a moment
+const LIBRARY_CAPTURE_DELAY = 2000;
+const LIBRARY_CAPTURE_TEXT_LIMIT = 400;
+// Conversations the user saved to the offline full-text index (library-store.js)
+const FULLTEXT_INDEX_STORAGE_PREFIX = 'chatgptTimelineFullText:';
+// Turn links (turn-links.js) flash the linked turn once it is scrolled into view
+const TURN_LINK_FLASH_DURATION = 2000;
+// Long chats load older turns lazily; stop waiting for a linked turn after this long
+const TURN_LINK_WAIT_TIMEOUT = 15000;
+// A link whose turn id is missing falls back to its position once no turns have loaded for this long
+const TURN_LINK_SETTLE_DELAY = 2000;
+// Word diffs build a table of this many cells at most before falling back to whole lines
+const DIFF_MAX_CELLS = 4000000;
+// Tabs at the top of the navigation panel
+const TOC_VIEWS = [['turns', '对话'], ['code', '代码'], ['stats', '统计']];
+const CONVERSATION_EXPORT_FORMATS = [
+    ['markdown', 'Markdown (.md)'],
+    ['json', 'JSON (.json)'],
+    ['html', 'HTML (.html)']
+];
 
 try {
     document.documentElement.setAttribute('data-timeline-site', getSiteType());
 } catch {}
 
-function getSiteConfig(siteType = getSiteType()) {
-    return SITE_CONFIGS[siteType] || SITE_CONFIGS.chatgpt;
-}
-
-function isTimelineEnabledForSite(settings, siteType = getSiteType()) {
-    if (!settings) return true;
-    if (siteType === 'gemini') return settings.enableGeminiTimeline !== false;
-    if (siteType === 'chatgpt') return settings.enableChatGPTTimeline !== false;
-    if (siteType === 'claude') return settings.enableClaudeTimeline !== false;
-    if (siteType === 'doubao') return settings.enableDoubaoTimeline !== false;
-    return false;
-}
-
 let settingsCache = { ...DEFAULT_SETTINGS };
 let settingsCacheLoaded = false;
 
 async function loadSettingsCache() {
-    try {
-        const result = await chrome.storage.local.get(['chatgptTimelineSettings']);
-        const saved = result.chatgptTimelineSettings || {};
-        const { settings: migrated, migrated: didMigrate } = migrateDeepseekWidthSetting({ ...saved });
-        settingsCache = { ...DEFAULT_SETTINGS, ...migrated };
-        if (didMigrate) {
-            try { await chrome.storage.local.set({ chatgptTimelineSettings: settingsCache }); } catch {}
-        }
-        settingsCacheLoaded = true;
-        return settingsCache;
-    } catch (error) {
-        console.warn('Failed to load settings cache:', error);
-        settingsCacheLoaded = true;
-        return settingsCache;
-    }
+    settingsCache = await loadStoredSettings();
+    settingsCacheLoaded = true;
+    return settingsCache;
 }
 
 function getCachedSettings() {
     return settingsCacheLoaded ? settingsCache : { ...DEFAULT_SETTINGS, ...settingsCache };
 }
 
-function isSupportedConversationUrl(url) {
-    try {
-        const parsed = new URL(url, location.origin);
-        const siteType = getSiteType(parsed.hostname);
-        const config = SITE_CONFIGS[siteType];
-        if (!config) return false;
-        return config.pathPrefixes.some(prefix => parsed.pathname.startsWith(prefix));
-    } catch {
-        return false;
-    }
+// Copy templates live under their own storage key (copy-templates.js)
+let copyTemplateStateCache = normalizeCopyTemplateState(null);
+
+// 1-based turn numbers as compact ranges: [12, 13, 14, 19] -> "12–14, 19"
+function formatTurnRanges(numbers) {
+    const sorted = [...new Set(numbers)].sort((a, b) => a - b);
+    const ranges = [];
+    sorted.forEach(number => {
+        const last = ranges[ranges.length - 1];
+        if (last && number === last[1] + 1) {
+            last[1] = number;
+        } else {
+            ranges.push([number, number]);
+        }
+    });
+    return ranges.map(([start, end]) => (start === end ? String(start) : `${start}–${end}`)).join(', ');
 }
 
-function querySelectorSafe(root, selector) {
-    if (!root || !selector) return null;
-    try {
-        return root.querySelector(selector);
-    } catch {
-        return null;
-    }
+function clampNumber(value, min, max, fallback) {
+    const parsed = Number.parseFloat(value);
+    const normalized = Number.isFinite(parsed) ? parsed : fallback;
+    return Math.max(min, Math.min(max, normalized));
 }
 
-function querySelectorAllSafe(root, selector) {
-    if (!root || !selector) return [];
-    try {
-        return Array.from(root.querySelectorAll(selector));
-    } catch {
-        return [];
-    }
+// Reply markers grow with answer length on a log scale so one huge reply doesn't dwarf the rest
+function getReplyMarkerScale(length) {
+    const size = Math.max(1, Number(length) || 0);
+    return Math.round(clampNumber(0.5 + Math.log10(size) * 0.3, 0.6, 1.8, 1) * 100) / 100;
 }
 
-function uniqueElements(elements) {
+// "#accepted, perf  regression" -> ['accepted', 'perf', 'regression'], deduplicated case-insensitively
+function parseTurnTags(value) {
+    const source = Array.isArray(value) ? value.join(' ') : String(value ?? '');
     const seen = new Set();
-    const result = [];
-    elements.forEach(element => {
-        if (element && element.nodeType === Node.ELEMENT_NODE && !seen.has(element)) {
-            seen.add(element);
-            result.push(element);
-        }
+    const tags = [];
+    source.split(/[\s,，、]+/).forEach(part => {
+        const tag = part.replace(/^#+/, '').trim().slice(0, 32);
+        if (!tag || seen.has(tag.toLowerCase())) return;
+        seen.add(tag.toLowerCase());
+        tags.push(tag);
     });
-    return result;
+    return tags.slice(0, TURN_NOTE_MAX_TAGS);
 }
 
-function getChatGPTTurnRoot(element) {
-    if (!element || element.nodeType !== Node.ELEMENT_NODE) return null;
-    const containedMessage = element.matches?.('[data-message-id]')
-        ? element
-        : querySelectorSafe(element, '[data-message-id]');
-    if (containedMessage &&
-        (containedMessage.matches?.('[data-message-author-role]') ||
-         querySelectorSafe(containedMessage, '[data-message-author-role]'))) {
-        return containedMessage;
-    }
-    return element.closest('article[data-turn-id], article[data-turn], [data-testid^="conversation-turn-"], [data-testid="conversation-turn"], [data-turn-id], [data-message-id]') || element;
+// Latin words stay whole; CJK characters and punctuation are single tokens. Whitespace is kept
+// so the diff reads as the original text.
+function tokenizeForDiff(text) {
+    return String(text || '').match(/\s+|[A-Za-z0-9_\u00C0-\u024F]+|\S/g) || [];
 }
 
-function getChatGPTRoleElement(turnElement, role) {
-    if (!turnElement || !role) return null;
-    const legacyTurn = turnElement.getAttribute?.('data-turn');
-    if (legacyTurn === role) return turnElement;
-    if (turnElement.matches?.(`[data-message-author-role="${role}"]`)) return turnElement;
-    return querySelectorSafe(turnElement, `[data-message-author-role="${role}"]`);
+function diffTokens(before, after) {
+    const parts = [];
+    const push = (type, token) => {
+        const last = parts[parts.length - 1];
+        const words = /\S/.test(token) ? 1 : 0;
+        if (last && last.type === type) {
+            last.text += token;
+            last.words += words;
+        } else {
+            parts.push({ type, text: token, words });
+        }
+    };
+
+    let start = 0;
+    while (start < before.length && start < after.length && before[start] === after[start]) start++;
+    let endBefore = before.length;
+    let endAfter = after.length;
+    while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+        endBefore--;
+        endAfter--;
+    }
+    const a = before.slice(start, endBefore);
+    const b = after.slice(start, endAfter);
+
+    before.slice(0, start).forEach(token => push('same', token));
+    if ((a.length + 1) * (b.length + 1) > DIFF_MAX_CELLS) {
+        a.forEach(token => push('removed', token));
+        b.forEach(token => push('added', token));
+    } else {
+        // Longest common subsequence of the differing middle
+        const cols = b.length + 1;
+        const table = new Uint32Array((a.length + 1) * cols);
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                table[i * cols + j] = a[i] === b[j]
+                    ? table[(i + 1) * cols + j + 1] + 1
+                    : Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1]);
+            }
+        }
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                push('same', a[i++]);
+                j++;
+            } else if (table[(i + 1) * cols + j] >= table[i * cols + j + 1]) {
+                push('removed', a[i++]);
+            } else {
+                push('added', b[j++]);
+            }
+        }
+        while (i < a.length) push('removed', a[i++]);
+        while (j < b.length) push('added', b[j++]);
+    }
+    after.slice(endAfter).forEach(token => push('same', token));
+    return parts;
 }
 
-function isChatGPTTurnForRole(turnElement, role) {
-    return Boolean(getChatGPTRoleElement(turnElement, role));
+// [{ type: 'same' | 'added' | 'removed', text, words }]; very long texts are compared line by line
+function diffWords(before, after) {
+    const words = [tokenizeForDiff(before), tokenizeForDiff(after)];
+    if ((words[0].length + 1) * (words[1].length + 1) <= DIFF_MAX_CELLS) {
+        return diffTokens(words[0], words[1]);
+    }
+    const lines = text => String(text || '').split(/(?<=\n)/);
+    return diffTokens(lines(before), lines(after));
 }
 
-function getChatGPTAllTurnElements(root = document) {
-    const candidates = querySelectorAllSafe(
-        root,
-        'article[data-turn-id], article[data-turn], [data-testid^="conversation-turn-"], [data-testid="conversation-turn"], [data-message-id], [data-message-author-role]'
-    );
-    return uniqueElements(candidates.map(getChatGPTTurnRoot)).filter(turn =>
-        isChatGPTTurnForRole(turn, 'user') || isChatGPTTurnForRole(turn, 'assistant')
-    );
+function escapeHTML(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
 }
 
-function getChatGPTUserTurnElements(root = document) {
-    const candidates = querySelectorAllSafe(
-        root,
-        'article[data-turn="user"], [data-message-author-role="user"], [data-message-id], [data-testid^="conversation-turn-"], [data-testid="conversation-turn"]'
-    );
-    return uniqueElements(candidates.map(getChatGPTTurnRoot)).filter(turn => isChatGPTTurnForRole(turn, 'user'));
+function escapeRegExp(text) {
+    return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
-function getFirstTurnElementForSite(root = document, siteType = getSiteType()) {
-    if (siteType === 'chatgpt') {
-        return getChatGPTAllTurnElements(root)[0] || getChatGPTUserTurnElements(root)[0] || null;
-    }
+function sanitizeFileName(name, fallback = 'conversation') {
+    const cleaned = String(name || '')
+        .replace(/[\\/:*?"<>|\u0000-\u001f]+/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, 80);
+    return cleaned || fallback;
+}
 
-    const config = getSiteConfig(siteType);
-    const allSelector = config.allTurnSelector;
-    const userSelector = config.userTurnSelector;
-    return (allSelector ? querySelectorSafe(root, allSelector) : null) ||
-           (userSelector ? querySelectorSafe(root, userSelector) : null);
+function formatFileTimestamp(date = new Date()) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}`;
 }
 
-function getAllTurnElementsForSite(root = document, siteType = getSiteType()) {
-    if (siteType === 'chatgpt') {
-        return getChatGPTAllTurnElements(root);
+// --- Code collector downloads ---
+const CODE_FILE_EXTENSIONS = {
+    javascript: 'js', js: 'js', jsx: 'jsx', typescript: 'ts', ts: 'ts', tsx: 'tsx',
+    python: 'py', py: 'py', bash: 'sh', sh: 'sh', shell: 'sh', zsh: 'sh', powershell: 'ps1', ps1: 'ps1',
+    json: 'json', html: 'html', xml: 'xml', css: 'css', scss: 'scss', less: 'less', vue: 'vue', svelte: 'svelte',
+    java: 'java', kotlin: 'kt', swift: 'swift', c: 'c', cpp: 'cpp', 'c++': 'cpp', csharp: 'cs', 'c#': 'cs', cs: 'cs',
+    go: 'go', golang: 'go', rust: 'rs', rs: 'rs', ruby: 'rb', rb: 'rb', php: 'php', lua: 'lua', r: 'r', scala: 'scala',
+    dart: 'dart', sql: 'sql', yaml: 'yml', yml: 'yml', toml: 'toml', ini: 'ini', dockerfile: 'dockerfile',
+    makefile: 'mk', markdown: 'md', md: 'md', latex: 'tex', tex: 'tex', diff: 'diff', graphql: 'graphql'
+};
+
+// File extension for a code block: its language label first, then a few unambiguous openings
+function guessCodeFileExtension(language, code) {
+    const known = CODE_FILE_EXTENSIONS[String(language || '').toLowerCase()];
+    if (known) return known;
+    const text = String(code || '').trimStart();
+    const shebang = text.match(/^#!.*\b(python3?|node|bash|sh|zsh|ruby|php)\b/);
+    if (shebang) return CODE_FILE_EXTENSIONS[shebang[1].replace(/3$/, '')] || 'js';
+    if (/^<!doctype html|^<html[\s>]/i.test(text)) return 'html';
+    if (/^<\?xml/.test(text)) return 'xml';
+    if (/^[[{]/.test(text)) {
+        try {
+            JSON.parse(text);
+            return 'json';
+        } catch {}
     }
+    return 'txt';
+}
+
+// --- Conversation statistics ---
+const CJK_CHAR_PATTERN = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff]/g;
 
-    const config = getSiteConfig(siteType);
-    if (!config.allTurnSelector) return [];
-    return querySelectorAllSafe(root, config.allTurnSelector);
+// CJK characters count as one word each, like the diff tokenizer
+function countWords(text) {
+    const source = String(text || '');
+    const cjk = (source.match(CJK_CHAR_PATTERN) || []).length;
+    const words = (source.replace(CJK_CHAR_PATTERN, ' ').match(/[^\s]+/g) || []).length;
+    return cjk + words;
 }
 
-function getCommonAncestor(first, second) {
-    if (!first || !second) return first || second || null;
-    const ancestors = new Set();
-    let node = first;
-    while (node) {
-        ancestors.add(node);
-        node = node.parentElement;
-    }
-    node = second;
-    while (node) {
-        if (ancestors.has(node)) return node;
-        node = node.parentElement;
-    }
-    return document.body || document.documentElement;
+// Rough BPE estimate without a tokenizer: about four characters per token for Latin text and
+// roughly one token per CJK character
+function estimateTokens(text) {
+    const source = String(text || '');
+    if (!source.trim()) return 0;
+    const cjk = (source.match(CJK_CHAR_PATTERN) || []).length;
+    return Math.ceil(cjk + (source.length - cjk) / 4);
 }
 
-function getChatGPTConversationContainer(root = document) {
-    const turns = getChatGPTAllTurnElements(root);
-    if (turns.length === 0) return null;
+// turns: [{ turnId, index, question, answer, codeBlocks }]
+function computeConversationStats(turns) {
+    const side = () => ({ chars: 0, words: 0, tokens: 0 });
+    const stats = { turnCount: turns.length, user: side(), assistant: side(), codeBlocks: 0, perTurn: [], totalTokens: 0 };
+    let cumulative = 0;
+    turns.forEach(turn => {
+        const questionTokens = estimateTokens(turn.question);
+        const answerTokens = estimateTokens(turn.answer);
+        [[stats.user, turn.question, questionTokens], [stats.assistant, turn.answer, answerTokens]].forEach(([totals, text, tokens]) => {
+            totals.chars += String(text || '').length;
+            totals.words += countWords(text);
+            totals.tokens += tokens;
+        });
+        stats.codeBlocks += turn.codeBlocks || 0;
+        cumulative += questionTokens + answerTokens;
+        stats.perTurn.push({
+            turnId: turn.turnId,
+            index: turn.index,
+            tokens: questionTokens + answerTokens,
+            cumulative,
+            replyChars: String(turn.answer || '').length
+        });
+    });
+    stats.totalTokens = cumulative;
+    stats.longestReplies = [...stats.perTurn]
+        .filter(turn => turn.replyChars > 0)
+        .sort((a, b) => b.replyChars - a.replyChars || a.index - b.index)
+        .slice(0, 3);
+    return stats;
+}
 
-    const first = turns[0];
-    const last = turns[turns.length - 1];
-    const main = first.closest?.('main, [role="main"]');
-    if (main && turns.every(turn => main.contains(turn))) {
-        return main;
-    }
+function formatCompactNumber(value) {
+    if (value < 1000) return String(value);
+    if (value < 1000000) return `${(value / 1000).toFixed(value < 10000 ? 1 : 0)}k`;
+    return `${(value / 1000000).toFixed(1)}M`;
+}
 
-    let common = getCommonAncestor(first, last);
-    while (common && common.nodeType === Node.ELEMENT_NODE && common !== document.body) {
-        const userCount = getChatGPTUserTurnElements(common).length;
-        if (userCount >= Math.min(2, getChatGPTUserTurnElements(root).length || 1)) {
-            return common;
+let crc32Table = null;
+
+function crc32(bytes) {
+    if (!crc32Table) {
+        crc32Table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            crc32Table[n] = c >>> 0;
         }
-        common = common.parentElement;
     }
-
-    return first.closest?.('main, [role="main"]') ||
-           first.parentElement ||
-           first ||
-           document.body;
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = crc32Table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
 }
 
-function getConversationContainerForSite(firstTurn, siteType = getSiteType()) {
-    if (siteType === 'chatgpt') {
-        return getChatGPTConversationContainer(document) ||
-               firstTurn?.closest?.('main, [role="main"]') ||
-               firstTurn?.parentElement ||
-               firstTurn ||
-               document.body;
-    }
+// Uncompressed (STORE) zip of [{ name, content }] text files; code snippets are small, so
+// skipping compression keeps this dependency-free
+function createZipArchive(files, date = new Date()) {
+    const encoder = new TextEncoder();
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const day = ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const data = encoder.encode(file.content);
+        const crc = crc32(data);
+        // Bit 11: file names are UTF-8
+        const fields = (view, at) => {
+            view.setUint16(at, 20, true);
+            view.setUint16(at + 2, 0x0800, true);
+            view.setUint16(at + 4, 0, true);
+            view.setUint16(at + 6, time, true);
+            view.setUint16(at + 8, day, true);
+            view.setUint32(at + 10, crc, true);
+            view.setUint32(at + 14, data.length, true);
+            view.setUint32(at + 18, data.length, true);
+            view.setUint16(at + 22, name.length, true);
+        };
+
+        const local = new Uint8Array(30 + name.length);
+        const localView = new DataView(local.buffer);
+        localView.setUint32(0, 0x04034b50, true);
+        fields(localView, 4);
+        local.set(name, 30);
+
+        const central = new Uint8Array(46 + name.length);
+        const centralView = new DataView(central.buffer);
+        centralView.setUint32(0, 0x02014b50, true);
+        centralView.setUint16(4, 20, true);
+        fields(centralView, 6);
+        centralView.setUint32(42, offset, true);
+        central.set(name, 46);
+
+        locals.push(local, data);
+        centrals.push(central);
+        offset += local.length + data.length;
+    });
+
+    const centralSize = centrals.reduce((sum, part) => sum + part.length, 0);
+    const end = new Uint8Array(22);
+    const endView = new DataView(end.buffer);
+    endView.setUint32(0, 0x06054b50, true);
+    endView.setUint16(8, files.length, true);
+    endView.setUint16(10, files.length, true);
+    endView.setUint32(12, centralSize, true);
+    endView.setUint32(16, offset, true);
 
-    return firstTurn?.parentElement || firstTurn || document.body;
+    const parts = [...locals, ...centrals, end];
+    const archive = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+        archive.set(part, position);
+        position += part.length;
+    });
+    return archive;
 }
 
-function clampNumber(value, min, max, fallback) {
-    const parsed = Number.parseFloat(value);
-    const normalized = Number.isFinite(parsed) ? parsed : fallback;
-    return Math.max(min, Math.min(max, normalized));
+// Identifies a conversation by host + path; query strings and hashes do not start a new thread
+function getConversationKey(url = location.href) {
+    try {
+        const parsed = new URL(url, location.href);
+        const pathname = parsed.pathname.replace(/\/+$/, '') || '/';
+        return `${parsed.host}${pathname}`;
+    } catch {
+        return `${location.host}${location.pathname}`;
+    }
 }
 
 function getRootScrollElement() {
@@ -367,6 +385,18 @@ function canScrollVertically(element) {
     return (element.scrollHeight || 0) > (element.clientHeight || 0) + 1;
 }
 
+// Shortcuts must not steal keys from the page's own inputs (prompt box, our TOC search, ...)
+function isEditableTarget(target) {
+    if (!target || target.nodeType !== 1) return false;
+    if (target.isContentEditable) return true;
+    const tag = target.tagName;
+    if (tag === 'TEXTAREA' || tag === 'SELECT') return true;
+    if (tag === 'INPUT') {
+        return !['checkbox', 'radio', 'button', 'submit', 'reset', 'range', 'color', 'file'].includes(target.type);
+    }
+    return !!target.closest?.('[contenteditable=""], [contenteditable="true"]');
+}
+
 function isScrollableElement(element) {
     if (!element || element.nodeType !== Node.ELEMENT_NODE) return false;
     if (isRootScrollElement(element)) return canScrollVertically(element);
@@ -398,6 +428,9 @@ class TimelineManager {
         this.onTimelineBarFocusIn = null;
         this.onTimelineBarFocusOut = null;
         this.onWindowResize = null;
+        this.onShortcutKeydown = null;
+        // Turn the last keyboard jump went to, so repeated presses step on before scrolling settles
+        this.keyboardTarget = null;
         this.onTimelineWheel = null;
         this.scrollRafId = null;
         this.lastActiveChangeTime = 0;
@@ -432,6 +465,11 @@ class TimelineManager {
         this.onSliderDown = null;
         this.onSliderMove = null;
         this.onSliderUp = null;
+        // Minimap mode: scroll range covered by the strip and the viewport window drag
+        this.minimapSpan = { start: 0, length: 1 };
+        this.minimapDrag = null;
+        this.onMinimapMove = null;
+        this.onMinimapUp = null;
         this.markersVersion = 0;
         // Resize idle correction scheduling + debug perf
         this.resizeIdleTimer = null;
@@ -476,13 +514,67 @@ class TimelineManager {
         this.lastTOCSignature = '';
         this.lastTOCItemCount = 0;
 
+        // Starred turns, persisted per conversation
+        this.starredTurnIds = new Set();
+        this.tocStarredOnly = false;
+
+        // Per-turn notes and tags, persisted per conversation
+        this.turnNotes = new Map();
+        this.tocTagFilter = '';
+        this.noteEditor = null;
+        this.onNoteEditorOutside = null;
+
+        // Reading progress, persisted per conversation. previousTurnIds holds the turns known at the
+        // end of the last visit (null on a first visit) and decides which turns count as new.
+        this.readTurnIds = new Set();
+        this.previousTurnIds = null;
+        this.newTurnIds = null;
+        this.resumeTurnId = '';
+        this.readingProgressSaveTimer = null;
+        this.readingProgressSaveKey = '';
+
+        // Turns whose reply outline is expanded in the TOC
+        this.tocExpandedOutlines = new Set();
+
+        // Text of each prompt/reply version seen this visit, keyed by branch slot, for the tooltips
+        this.branchVersions = new Map();
+        this.diffOverlay = null;
+        this.onDiffOverlayKey = null;
+
+        // Turns picked with Ctrl/Shift+click for batch copy, export and starring
+        this.selectedTurnIds = new Set();
+        this.selectionAnchorId = null;
+        this.selectionBar = null;
+        this.onSelectionKey = null;
+
+        // TOC tab: 'turns' lists the conversation, 'code' every code block in the replies, 'stats'
+        // the conversation's size
+        this.tocView = 'turns';
+        this.lastCodePanelSignature = '';
+        this.lastStatsPanelSignature = '';
+
+        // Pending write of this conversation to the library and, when saved, the full-text index
+        this.libraryCaptureTimer = null;
+        this.fullTextIndexed = false;
+
+        // Turn requested through the URL fragment, revealed once its marker exists
+        this.pendingLinkedTurn = parseTurnLinkHash(location.hash);
+        this.pendingLinkedTurnSince = Date.now();
+        this.linkedTurnSettleTimer = null;
+        this.turnFlashTimer = null;
+
+        // TOC full-text search
+        this.tocSearchQuery = '';
+        this.searchHitIds = new Set();
+        this.searchHitCursor = -1;
+
         // Position persistence
         this.positionKey = 'chatgptTimelinePosition';
 
         // Settings management
-        this.settingsKey = 'chatgptTimelineSettings';
         this.settings = { ...DEFAULT_SETTINGS };
         this.siteType = getSiteType();
+        this.siteAdapter = getSiteAdapter(this.siteType);
 
         this.debouncedRecalculateAndRender = this.debounce(this.recalculateAndRenderMarkers, 350);
 
@@ -532,6 +624,10 @@ class TimelineManager {
                 console.log(`Timeline disabled for ${this.siteType}, skipping initialization`);
                 return;
             }
+            await this.loadStarredTurns();
+            await this.loadTurnNotes();
+            await this.loadFullTextIndexState();
+            await this.loadReadingProgress();
 
             // Find critical elements with fallbacks
             await this.findCriticalElements();
@@ -948,22 +1044,30 @@ class TimelineManager {
             n = Math.max(0, Math.min(1, n));
 
             // Get ChatGPT's reply for this user turn
-            const chatgptReply = this.getChatGPTReply(el);
+            const replyElement = this.getReplyElement(el);
+            const chatgptReply = this.getChatGPTReply(el, replyElement);
             const markerId = this.getTurnId(el, index);
-            this.markerById.set(markerId, el);
 
             return {
                 id: markerId,
                 element: el,
                 summary: this.getUserSummary(el),
                 chatgptReply: chatgptReply,
+                replyElement,
+                replyLength: chatgptReply.length,
                 n,
                 baseN: n,
+                replyN: n,
                 dotElement: null,
+                replyDotElement: null,
             };
         });
+        this.assignBranchIds(this.markers);
+        this.markers.forEach(marker => this.markerById.set(marker.id, marker.element));
+        this.pruneTurnSelection();
         // Bump version after markers are rebuilt to invalidate concurrent passes
         this.markersVersion++;
+        this.refreshSearchHits();
 
         // Compute geometry and virtualize render
         this.updateTimelineGeometry();
@@ -972,6 +1076,7 @@ class TimelineManager {
         }
         this.syncTimelineTrackToMain();
         this.updateVirtualRangeAndRender();
+        this.renderMinimap();
         // Ensure active class is applied after dots are created
         this.updateActiveDotUI();
         this.scheduleScrollSync();
@@ -994,93 +1099,61 @@ class TimelineManager {
             }
         }
 
+        this.scheduleLibraryCapture();
+        this.revealLinkedTurn();
+        this.resolveNewTurns();
+        this.renderResumePill();
         this.perfEnd('recalc');
     }
 
     getTurnContainer(turnElement) {
         if (!turnElement) return null;
-        if (this.siteType === 'chatgpt') {
-            return getChatGPTTurnRoot(turnElement) || turnElement;
-        }
-        if (this.siteType === 'gemini') {
-            return turnElement.closest('div.conversation-container') || turnElement;
-        }
-        return turnElement;
+        return this.siteAdapter.getTurnContainer(turnElement) || turnElement;
     }
 
     getUserTurnElements() {
         if (!this.conversationContainer) return [];
-        if (this.siteType === 'chatgpt') {
-            return getChatGPTUserTurnElements(this.conversationContainer);
-        }
-        if (this.siteType === 'gemini') {
-            const nodes = Array.from(this.conversationContainer.querySelectorAll('user-query'));
-            return nodes.filter(node => node.querySelector('.query-text') || (node.textContent || '').trim().length > 0);
-        }
-        if (this.siteType === 'claude') {
-            const nodes = Array.from(this.conversationContainer.querySelectorAll('div[data-test-render-count]'));
-            return nodes.filter(node => node.querySelector('div[data-testid]'));
-        }
-        const siteConfig = getSiteConfig(this.siteType);
-        if (siteConfig?.userTurnSelector) {
-            return querySelectorAllSafe(this.conversationContainer, siteConfig.userTurnSelector);
-        }
-        return querySelectorAllSafe(this.conversationContainer, 'article[data-turn="user"]');
+        return this.siteAdapter.getUserTurns(this.conversationContainer);
     }
 
     getAllTurnElements() {
         if (!this.conversationContainer) return [];
-        if (this.siteType === 'chatgpt') {
-            return getChatGPTAllTurnElements(this.conversationContainer);
-        }
-        const siteConfig = getSiteConfig(this.siteType);
-        if (!siteConfig?.allTurnSelector) return [];
-        return querySelectorAllSafe(this.conversationContainer, siteConfig.allTurnSelector);
+        return this.siteAdapter.getAllTurns(this.conversationContainer);
     }
 
     getTurnId(turnElement, index) {
         if (!turnElement) return `turn-${index}`;
-        if (this.siteType === 'chatgpt') {
-            const root = getChatGPTTurnRoot(turnElement) || turnElement;
-            return root.dataset?.turnId ||
-                   root.getAttribute?.('data-turn-id') ||
-                   root.getAttribute?.('data-message-id') ||
-                   root.getAttribute?.('data-testid') ||
-                   turnElement.getAttribute?.('data-message-id') ||
-                   turnElement.id ||
-                   `chatgpt-turn-${index}`;
-        }
-        if (this.siteType === 'gemini') {
-            const container = this.getTurnContainer(turnElement);
-            return container?.id || turnElement.id || `gemini-turn-${index}`;
-        }
-        if (this.siteType === 'claude') {
-            const container = turnElement.closest('div[data-test-render-count]');
-            const renderId = container?.getAttribute('data-test-render-count');
-            if (renderId) return `claude-turn-${renderId}`;
-        }
-        return turnElement.dataset.turnId || turnElement.id || `turn-${index}`;
+        return this.siteAdapter.getTurnId(turnElement, index);
     }
 
     getUserContentElement(turnElement) {
         if (!turnElement) return null;
-        if (this.siteType === 'chatgpt') {
-            const roleElement = getChatGPTRoleElement(turnElement, 'user');
-            const siteConfig = getSiteConfig(this.siteType);
-            return (roleElement && querySelectorSafe(roleElement, siteConfig.userTextSelector)) ||
-                   roleElement ||
-                   turnElement;
-        }
-        if (this.siteType === 'gemini') {
-            const container = this.getTurnContainer(turnElement);
-            return container?.querySelector('user-query .query-text') ||
-                   container?.querySelector('user-query') ||
-                   turnElement;
-        }
-        if (this.siteType === 'claude') {
-            return turnElement.querySelector('div[data-testid]') || turnElement;
+        return this.siteAdapter.getUserContentElement(turnElement) || turnElement;
+    }
+
+    isAssistantTurn(turn) {
+        return this.siteAdapter.isAssistantTurn(turn);
+    }
+
+    // Reply body answering a user turn, located by the site adapter
+    getReplyElement(userElement) {
+        if (!userElement) return null;
+        return this.siteAdapter.getReplyElement(userElement, this.conversationContainer || document);
+    }
+
+    getAssistantMarkerMode() {
+        const mode = this.settings?.assistantMarkers;
+        return mode === 'lane' || mode === 'inline' ? mode : 'off';
+    }
+
+    // Reply elements get replaced while an answer streams in, so re-resolve a detached one
+    getReplyTargetElement(turnId) {
+        const marker = this.markers.find(item => item.id === turnId);
+        if (!marker) return null;
+        if (!marker.replyElement?.isConnected) {
+            marker.replyElement = this.getReplyElement(marker.element);
         }
-        return turnElement;
+        return marker.replyElement || marker.element;
     }
 
     getUserSummary(turnElement) {
@@ -1089,61 +1162,16 @@ class TimelineManager {
     }
 
     // Get ChatGPT's reply for a given user conversation turn
-    getChatGPTReply(userElement) {
-        if (this.siteType === 'gemini') {
-            const container = this.getTurnContainer(userElement);
-            const response = container?.querySelector('model-response');
-            if (!response) return '';
-            const siteConfig = getSiteConfig(this.siteType);
-            const textNode = response.querySelector(siteConfig.assistantTextSelector) || response;
-            const replyText = this.normalizeText(textNode.textContent || '');
-            if (replyText && replyText.length > 10) {
-                return replyText;
-            }
-            return '';
+    getChatGPTReply(userElement, replyElement = this.getReplyElement(userElement)) {
+        if (!replyElement) return '';
+        const replyText = this.normalizeText(replyElement.textContent || '');
+        // Return the reply if it's not empty and not just the incomplete "哈哈，我当然不"
+        if (replyText && replyText.length > 10) { // 确保回复有足够的内容
+            return replyText;
         }
-        // Find the corresponding ChatGPT reply for this user message
-        const allTurns = this.getAllTurnElements();
-        const currentRoot = this.getTurnContainer(userElement) || userElement;
-        const currentIndex = allTurns.findIndex(turn =>
-            turn === currentRoot ||
-            turn === userElement ||
-            turn.contains?.(userElement) ||
-            userElement.contains?.(turn)
-        );
-        const isAssistantTurn = (turn) => {
-            if (!turn) return false;
-            if (this.siteType === 'chatgpt') return isChatGPTTurnForRole(turn, 'assistant');
-            const siteConfig = getSiteConfig(this.siteType);
-            if (turn.dataset?.turn === 'assistant') return true;
-            if (siteConfig?.assistantTurnSelector && turn.matches(siteConfig.assistantTurnSelector)) return true;
-            return false;
-        };
-
-        // Look for the next assistant turn (ChatGPT's reply) after this user turn
-        for (let i = Math.max(0, currentIndex + 1); i < allTurns.length; i++) {
-            const turn = allTurns[i];
-            if (currentIndex < 0 &&
-                currentRoot.compareDocumentPosition &&
-                !(currentRoot.compareDocumentPosition(turn) & Node.DOCUMENT_POSITION_FOLLOWING)) {
-                continue;
-            }
-            if (isAssistantTurn(turn)) {
-                const replyElement = this.siteType === 'chatgpt'
-                    ? (getChatGPTRoleElement(turn, 'assistant') || turn)
-                    : turn;
-                const replyText = this.normalizeText(replyElement.textContent || '');
-                // Return the reply if it's not empty and not just the incomplete "哈哈，我当然不"
-                if (replyText && replyText.length > 10) { // 确保回复有足够的内容
-                    return replyText;
-                }
-                // If it's the incomplete reply, don't return it
-                break;
-            }
-        }
+        return '';
+    }
 
-        return '';
-    }
     
     setupObservers() {
         // Clean up existing observers first
@@ -1255,6 +1283,16 @@ class TimelineManager {
     async refreshContent() {
         console.log('Refreshing timeline content...');
         try {
+            // Stars, notes and progress belong to the conversation we just navigated to
+            this.flushReadingProgress();
+            this.branchVersions.clear();
+            this.clearTurnSelection();
+            await this.loadStarredTurns();
+            await this.loadTurnNotes();
+            await this.loadFullTextIndexState();
+            await this.loadReadingProgress();
+            this.readLinkedTurnFromLocation();
+
             // Re-find containers and elements
             await this.findCriticalElements();
             
@@ -1375,7 +1413,16 @@ class TimelineManager {
             const dot = e.target.closest('.timeline-dot');
             if (dot) {
                 const targetId = dot.dataset.targetTurnId;
-                const targetElement = this.markerById.get(targetId);
+                // Instead of navigating: Alt+click copies a link to the turn and Ctrl/Cmd/Shift+click select
+                // turns. Notes and version diffs have their own controls in the navigation panel.
+                if (e.altKey) {
+                    this.copyTurnLink(targetId);
+                    return;
+                }
+                if (this.handleSelectionClick(e, targetId)) return;
+                const targetElement = dot.dataset.targetReply === 'true'
+                    ? this.getReplyTargetElement(targetId)
+                    : this.markerById.get(targetId);
                 if (targetElement) {
                     // Only scroll; let scroll-based computation set active to avoid double-flash
                     this.smoothScrollTo(targetElement);
@@ -1383,6 +1430,16 @@ class TimelineManager {
             }
         };
         this.ui.timelineBar.addEventListener('click', this.onTimelineBarClick);
+
+        // Right-click a dot to star/unstar its turn
+        this.onTimelineBarContextMenu = (e) => {
+            const dot = e.target.closest('.timeline-dot');
+            if (!dot) return;
+            e.preventDefault();
+            if (this.handleSelectionContextMenu(e, dot.dataset.targetTurnId)) return;
+            this.toggleTurnStar(dot.dataset.targetTurnId);
+        };
+        this.ui.timelineBar.addEventListener('contextmenu', this.onTimelineBarContextMenu);
 
         // Drag functionality - long press drag from anywhere on timeline bar except dots
         this.onDragHandleDown = (e) => {
@@ -1532,14 +1589,22 @@ class TimelineManager {
                 this.restoreTOCPosition();
             }
 
-            // Update long-canvas geometry and virtualization
+            // Update long-canvas geometry and virtualization; reflowed text changes turn heights
             if (this.ui.timelineBar) {
                 this.updateTimelineGeometry();
                 this.syncTimelineTrackToMain();
                 this.updateVirtualRangeAndRender();
+                this.renderMinimap();
             }
         };
         window.addEventListener('resize', this.onWindowResize);
+
+        // Keyboard shortcuts (bindings come from settings, so read them on every press)
+        if (this.onShortcutKeydown) {
+            window.removeEventListener('keydown', this.onShortcutKeydown, true);
+        }
+        this.onShortcutKeydown = (e) => this.handleShortcutKeydown(e);
+        window.addEventListener('keydown', this.onShortcutKeydown, true);
         // VisualViewport resize can fire on zoom on some platforms; schedule correction
         if (window.visualViewport) {
             this.onVisualViewportResize = () => {
@@ -1659,6 +1724,10 @@ class TimelineManager {
     updateActiveDotUI() {
         this.markers.forEach(marker => {
             marker.dotElement?.classList.toggle('active', marker.id === this.activeTurnId);
+            marker.replyDotElement?.classList.toggle('active', marker.id === this.activeTurnId);
+        });
+        this.ui.trackContent?.querySelectorAll('.timeline-minimap-segment').forEach(segment => {
+            segment.classList.toggle('active', segment.dataset.turnId === this.activeTurnId);
         });
 
         // Update TOC highlighting
@@ -1703,59 +1772,15 @@ class TimelineManager {
         }
     }
 
-    // Extract full text content including code blocks and formatting
+    // Markdown of a message (code with its language, tables, links, lists, math) for copy, export and search
     getFullTextContent(element) {
         if (!element) return '';
-        
         try {
-            // Clone the element to avoid modifying the original
-            const clone = element.cloneNode(true);
-            
-            // Process code blocks to preserve formatting
-            const codeBlocks = clone.querySelectorAll('pre, code');
-            codeBlocks.forEach(block => {
-                if (block.tagName === 'PRE') {
-                    // For pre blocks, add markdown code block formatting
-                    const code = block.textContent || '';
-                    const language = this.detectCodeLanguage(block);
-                    block.textContent = `\n\`\`\`${language}\n${code}\n\`\`\`\n`;
-                } else if (block.tagName === 'CODE' && !block.closest('pre')) {
-                    // For inline code, add backticks
-                    const code = block.textContent || '';
-                    block.textContent = `\`${code}\``;
-                }
-            });
-            
-            // Process other formatting elements
-            const strongElements = clone.querySelectorAll('strong, b');
-            strongElements.forEach(el => {
-                const text = el.textContent || '';
-                el.textContent = `**${text}**`;
-            });
-            
-            const emElements = clone.querySelectorAll('em, i');
-            emElements.forEach(el => {
-                const text = el.textContent || '';
-                el.textContent = `*${text}*`;
-            });
-            
-            // Process lists
-            const listItems = clone.querySelectorAll('li');
-            listItems.forEach(li => {
-                const text = li.textContent || '';
-                li.textContent = `• ${text}\n`;
-            });
-            
-            // Get the final text content
-            let text = clone.textContent || '';
-            
-            // Clean up extra whitespace but preserve code block formatting
-            text = text.replace(/\n\s*\n\s*\n/g, '\n\n'); // Remove excessive line breaks
-            text = text.trim();
-            
-            // Apply normalization but preserve code blocks
-            return this.normalizeTextWithCodeBlocks(text);
-            
+            return serializeMarkdown(element, { siteType: this.siteType })
+                .replace(/^\s*(you\s*said\s*[:：]?\s*)/i, '')
+                .replace(/^\s*(chatgpt\s*said\s*[:：]?\s*)/i, '')
+                .replace(/^\s*(chatgpt\s*[:：]?\s*)/i, '')
+                .replace(/^\s*(assistant\s*[:：]?\s*)/i, '');
         } catch (error) {
             console.error('Error extracting full text content:', error);
             return this.normalizeText(element.textContent || '');
@@ -1765,50 +1790,12 @@ class TimelineManager {
     // Get full ChatGPT reply with proper formatting
     getFullChatGPTReply(userElement) {
         try {
-            if (this.siteType === 'gemini') {
-                const container = this.getTurnContainer(userElement);
-                const response = container?.querySelector('model-response');
-                if (!response) return '';
-                const siteConfig = getSiteConfig(this.siteType);
-                const replyNode = response.querySelector(siteConfig.assistantTextSelector) || response;
-                const replyText = this.getFullTextContent(replyNode);
-                if (replyText && replyText.length > 10) {
-                    return replyText;
-                }
-                return '';
-            }
-
-            const allTurns = this.getAllTurnElements();
-            const currentRoot = this.getTurnContainer(userElement) || userElement;
-            const currentIndex = allTurns.findIndex(turn =>
-                turn === currentRoot ||
-                turn === userElement ||
-                turn.contains?.(userElement) ||
-                userElement.contains?.(turn)
-            );
-
-            // Look for the next assistant turn (ChatGPT's reply) after this user turn
-            for (let i = Math.max(0, currentIndex + 1); i < allTurns.length; i++) {
-                const turn = allTurns[i];
-                if (currentIndex < 0 &&
-                    currentRoot.compareDocumentPosition &&
-                    !(currentRoot.compareDocumentPosition(turn) & Node.DOCUMENT_POSITION_FOLLOWING)) {
-                    continue;
-                }
-                const isAssistant = this.siteType === 'chatgpt'
-                    ? isChatGPTTurnForRole(turn, 'assistant')
-                    : turn.dataset.turn === 'assistant';
-                if (isAssistant) {
-                    const replyElement = this.siteType === 'chatgpt'
-                        ? (getChatGPTRoleElement(turn, 'assistant') || turn)
-                        : turn;
-                    const replyText = this.getFullTextContent(replyElement);
-                    // Return the reply if it's not empty and has sufficient content
-                    if (replyText && replyText.length > 10) {
-                        return replyText;
-                    }
-                    break;
-                }
+            const replyElement = this.getReplyElement(userElement);
+            if (!replyElement) return '';
+            const replyText = this.getFullTextContent(replyElement);
+            // Return the reply if it's not empty and has sufficient content
+            if (replyText && replyText.length > 10) {
+                return replyText;
             }
         } catch (error) {
             console.error('Error getting full ChatGPT reply:', error);
@@ -1817,123 +1804,60 @@ class TimelineManager {
         return '';
     }
 
-    // Normalize text while preserving code blocks
-    normalizeTextWithCodeBlocks(text) {
-        try {
-            // Split by code blocks to preserve them
-            const codeBlockRegex = /```[\s\S]*?```/g;
-            const parts = [];
-            let lastIndex = 0;
-            let match;
-
-            while ((match = codeBlockRegex.exec(text)) !== null) {
-                // Add text before code block (normalized)
-                if (match.index > lastIndex) {
-                    const beforeText = text.substring(lastIndex, match.index);
-                    parts.push(beforeText.replace(/\s+/g, ' ').trim());
-                }
-                
-                // Add code block as-is
-                parts.push(match[0]);
-                lastIndex = match.index + match[0].length;
-            }
-            
-            // Add remaining text after last code block
-            if (lastIndex < text.length) {
-                const afterText = text.substring(lastIndex);
-                parts.push(afterText.replace(/\s+/g, ' ').trim());
-            }
-            
-            let result = parts.join(' ').trim();
-            
-            // Apply prefix removal
-            result = result.replace(/^\s*(you\s*said\s*[:：]?\s*)/i, '');
-            result = result.replace(/^\s*(chatgpt\s*said\s*[:：]?\s*)/i, '');
-            result = result.replace(/^\s*(chatgpt\s*[:：]?\s*)/i, '');
-            result = result.replace(/^\s*(assistant\s*[:：]?\s*)/i, '');
-            
-            return result;
-        } catch (error) {
-            console.error('Error normalizing text with code blocks:', error);
-            return text;
-        }
+    // Language of a code block from its class or the site's code block header
+    detectCodeLanguage(codeBlock) {
+        return getMarkdownCodeLanguage(codeBlock?.closest?.('pre') || codeBlock, this.siteType);
     }
 
-    // Detect code language from code block
-    detectCodeLanguage(codeBlock) {
-        try {
-            // Look for language hints in class names
-            const className = codeBlock.className || '';
-            const langMatch = className.match(/language-(\w+)/);
-            if (langMatch) {
-                return langMatch[1];
-            }
-            
-            // Look for data attributes
-            const lang = codeBlock.dataset.language || codeBlock.dataset.lang;
-            if (lang) {
-                return lang;
-            }
-            
-            // Try to detect from content
-            const content = codeBlock.textContent || '';
-            if (content.includes('function ') || content.includes('const ') || content.includes('=>')) {
-                return 'javascript';
-            }
-            if (content.includes('def ') || content.includes('import ')) {
-                return 'python';
-            }
-            if (content.includes('#include') || content.includes('int main')) {
-                return 'cpp';
-            }
-            if (content.includes('public class') || content.includes('System.out')) {
-                return 'java';
-            }
-            
-            return ''; // No language detected
-        } catch {
-            return '';
-        }
+    // Placeholder values for copy templates
+    getCopyTemplateValues(marker) {
+        const index = this.markers.findIndex(item => item.id === marker.id);
+        return {
+            // Full text content with proper formatting (including code blocks)
+            question: this.getFullTextContent(this.getUserContentElement(marker.element) || marker.element),
+            answer: this.getFullChatGPTReply(marker.element),
+            site: location.hostname,
+            index: index + 1,
+            url: this.getTurnLink(marker.id),
+            timestamp: new Date().toLocaleString()
+        };
     }
 
-    // Copy QA text to clipboard
+    // Copy QA text to clipboard, formatted with the active copy template
     async copyQAText(marker) {
+        const { text, html } = renderCopyTemplate(
+            getActiveCopyTemplate(copyTemplateStateCache),
+            this.getCopyTemplateValues(marker)
+        );
+        await this.writeClipboard(text, html);
+    }
+
+    // Rich editors take the HTML flavour, everything else the plain one
+    // html is optional; without it only text/plain is written
+    async writeClipboard(text, html, message) {
         try {
-            // Get full text content with proper formatting (including code blocks)
-            const userText = this.getFullTextContent(this.getUserContentElement(marker.element) || marker.element);
-            const chatgptText = this.getFullChatGPTReply(marker.element);
-            
-            // Format as QA text
-            let qaText = `Q: ${userText}`;
-            if (chatgptText) {
-                qaText += `\n\nA: ${chatgptText}`;
+            if (html && typeof ClipboardItem === 'function' && navigator.clipboard?.write) {
+                await navigator.clipboard.write([new ClipboardItem({
+                    'text/plain': new Blob([text], { type: 'text/plain' }),
+                    'text/html': new Blob([html], { type: 'text/html' })
+                })]);
+            } else {
+                await navigator.clipboard.writeText(text);
             }
-            
-            // Copy to clipboard
-            await navigator.clipboard.writeText(qaText);
-            
-            // Show feedback
-            this.showCopyFeedback();
-            
+            this.showCopyFeedback(message);
         } catch (error) {
-            console.error('Failed to copy QA text:', error);
+            console.error('Failed to copy to clipboard:', error);
             // Fallback for older browsers
-            const userText = this.getFullTextContent(this.getUserContentElement(marker.element) || marker.element);
-            const chatgptText = this.getFullChatGPTReply(marker.element);
-            let qaText = `Q: ${userText}`;
-            if (chatgptText) {
-                qaText += `\n\nA: ${chatgptText}`;
-            }
-            this.fallbackCopyText(qaText);
+            this.fallbackCopyText(text, message);
         }
     }
 
     // Show copy feedback
-    showCopyFeedback() {
+    showCopyFeedback(message = '已复制到剪贴板') {
         // Create temporary feedback element
         const feedback = document.createElement('div');
         feedback.className = 'toc-copy-feedback';
-        feedback.textContent = '已复制到剪贴板';
+        feedback.textContent = message;
         feedback.style.cssText = `
             position: fixed;
             top: 50%;
@@ -1964,7 +1888,7 @@ class TimelineManager {
     }
 
     // Fallback copy method for older browsers
-    fallbackCopyText(text) {
+    fallbackCopyText(text, message) {
         try {
             const textArea = document.createElement('textarea');
             textArea.value = text;
@@ -1977,7 +1901,7 @@ class TimelineManager {
             document.body.removeChild(textArea);
             
             if (successful) {
-                this.showCopyFeedback();
+                this.showCopyFeedback(message);
             } else {
                 console.error('Fallback copy failed');
             }
@@ -1986,52 +1910,712 @@ class TimelineManager {
         }
     }
 
-    getTrackPadding() {
-        if (!this.ui.timelineBar) return 12;
-        return this.getCSSVarNumber(this.ui.timelineBar, '--timeline-track-padding', 12);
-    }
-
-    getMinGap() {
-        if (!this.ui.timelineBar) return 12;
-        return this.getCSSVarNumber(this.ui.timelineBar, '--timeline-min-gap', 12);
-    }
-
-    getEffectiveMinGap(usableHeight, count) {
-        const raw = this.getMinGap();
-        if (count <= 1) return 0;
-        if (!Number.isFinite(usableHeight) || usableHeight <= 0) {
-            return Math.max(0, raw);
-        }
-        const maxGap = usableHeight / Math.max(1, count - 1);
-        return Math.max(0, Math.min(raw, maxGap));
-    }
-
-    // Enforce a minimum pixel gap between positions while staying within bounds
-    applyMinGap(positions, minTop, maxTop, gap) {
-        const n = positions.length;
-        if (n === 0) return positions;
-        const out = positions.slice();
-        // Clamp first and forward pass (monotonic increasing)
-        out[0] = Math.max(minTop, Math.min(positions[0], maxTop));
-        for (let i = 1; i < n; i++) {
-            const minAllowed = out[i - 1] + gap;
-            out[i] = Math.max(positions[i], minAllowed);
-        }
-        // If last exceeds max, backward pass
-        if (out[n - 1] > maxTop) {
-            out[n - 1] = maxTop;
-            for (let i = n - 2; i >= 0; i--) {
-                const maxAllowed = out[i + 1] - gap;
-                out[i] = Math.min(out[i], maxAllowed);
-            }
-            // Ensure first still within min
-            if (out[0] < minTop) {
-                out[0] = minTop;
-                for (let i = 1; i < n; i++) {
-                    const minAllowed = out[i - 1] + gap;
-                    out[i] = Math.max(out[i], minAllowed);
-                }
-            }
+    // --- Conversation export ---
+    getConversationTitle() {
+        const title = String(document.title || '')
+            .replace(/\s*[-|–—]\s*(ChatGPT|Gemini|Claude|DeepSeek|Grok|豆包|Doubao|Open WebUI|LibreChat|LobeChat)\s*$/i, '')
+            .trim();
+        return title || this.markers[0]?.summary?.slice(0, 60) || 'Conversation';
+    }
+
+    // Snapshot for the cross-conversation library (library-store.js, written by the background worker)
+    buildLibraryRecord() {
+        return {
+            key: getConversationKey(),
+            site: this.siteType,
+            title: this.getConversationTitle(),
+            url: location.href.split('#')[0],
+            turnCount: this.markers.length,
+            lastVisited: Date.now(),
+            turns: this.markers.map(marker => {
+                const entry = this.getTurnNote(marker.id);
+                return {
+                    id: marker.id,
+                    summary: this.truncateText(marker.summary || '', LIBRARY_CAPTURE_TEXT_LIMIT),
+                    reply: this.truncateText(marker.chatgptReply || '', LIBRARY_CAPTURE_TEXT_LIMIT),
+                    starred: this.isTurnStarred(marker.id),
+                    note: entry?.note || '',
+                    tags: entry ? [...entry.tags] : []
+                };
+            })
+        };
+    }
+
+    scheduleLibraryCapture() {
+        if (this.libraryCaptureTimer) clearTimeout(this.libraryCaptureTimer);
+        const conversationKey = getConversationKey();
+        this.libraryCaptureTimer = setTimeout(() => {
+            this.libraryCaptureTimer = null;
+            // Markers may still belong to the previous chat right after navigating
+            if (conversationKey !== getConversationKey()) return;
+            this.captureLibraryRecord();
+            this.captureFullTextIndex();
+        }, LIBRARY_CAPTURE_DELAY);
+    }
+
+    captureLibraryRecord() {
+        if (!this.settings.enableConversationLibrary || this.markers.length === 0) return;
+        if (!isTimelineSupportedPath()) return;
+        try {
+            chrome.runtime.sendMessage({ action: 'saveLibraryConversation', record: this.buildLibraryRecord() })
+                .catch(() => {});
+        } catch {}
+    }
+
+    // --- Branches (edited prompts and regenerated replies) ---
+    getBranchInfo(element) {
+        if (!element) return null;
+        return this.siteAdapter.getBranchInfo?.(element) || null;
+    }
+
+    hasBranches(marker) {
+        return !!(marker?.branches?.prompt || marker?.branches?.reply);
+    }
+
+    // Ids carry every version other than the first picked up to and including the turn, so stars,
+    // notes and progress made on one branch don't show up on another. Version 1 adds nothing: it is
+    // the conversation as it was before any edit or regeneration, whose ids were already handed out.
+    assignBranchIds(markers) {
+        let path = '';
+        markers.forEach(marker => {
+            const baseId = marker.id;
+            const prompt = this.getBranchInfo(marker.element);
+            const reply = this.getBranchInfo(marker.replyElement);
+            const promptSlot = `${baseId}${path}`;
+            if (prompt && prompt.current > 1) path += `~p${prompt.current}`;
+            const replySlot = `${baseId}${path}`;
+            if (reply && reply.current > 1) path += `~r${reply.current}`;
+            marker.id = `${baseId}${path}`;
+            marker.branches = { prompt, reply };
+            marker.branchSlots = { prompt: promptSlot, reply: replySlot };
+            this.rememberBranchVersion(promptSlot, prompt, marker.summary);
+            if (reply) {
+                this.rememberBranchVersion(replySlot, reply, marker.chatgptReply, this.getFullTextContent(marker.replyElement));
+            }
+        });
+    }
+
+    // Only the selected version is in the page, so the others are known by what was seen of them
+    rememberBranchVersion(slot, branch, summary, text = summary) {
+        if (!branch) return;
+        let versions = this.branchVersions.get(slot);
+        if (!versions) {
+            versions = new Map();
+            this.branchVersions.set(slot, versions);
+        }
+        versions.set(branch.current, { summary: summary || '', text: text || '' });
+    }
+
+    getBranchLabel(marker, kinds = ['prompt', 'reply']) {
+        return kinds
+            .map(kind => marker?.branches?.[kind])
+            .filter(Boolean)
+            .map(branch => `${branch.current}/${branch.total}`)
+            .join(' ');
+    }
+
+    getBranchVersionsText(marker, kinds = ['prompt', 'reply']) {
+        return kinds.map(kind => {
+            const branch = marker?.branches?.[kind];
+            if (!branch) return '';
+            const seen = this.branchVersions.get(marker.branchSlots[kind]);
+            const others = [];
+            for (let version = 1; version <= branch.total; version++) {
+                if (version === branch.current) continue;
+                const text = seen?.get(version)?.summary;
+                others.push(`#${version} ${text ? this.truncateText(text, 24) : '未查看'}`);
+            }
+            return `⑂ ${kind === 'prompt' ? '提问' : '回答'} ${branch.current}/${branch.total}，其他版本：${others.join('；')}`;
+        }).filter(Boolean).join(' · ');
+    }
+
+    // Side-by-side picker and word diff of two versions of a reply seen this visit
+    openBranchDiff(turnId) {
+        const marker = this.markers.find(item => item.id === turnId);
+        const branch = marker?.branches?.reply;
+        if (!branch) return;
+        this.closeBranchDiff();
+        const versions = this.branchVersions.get(marker.branchSlots.reply) || new Map();
+
+        const overlay = document.createElement('div');
+        overlay.className = 'timeline-diff-overlay';
+        overlay.innerHTML = `
+            <div class="timeline-diff-dialog" role="dialog" aria-modal="true">
+                <div class="timeline-diff-header">
+                    <div class="timeline-diff-title"></div>
+                    <button type="button" class="timeline-diff-close" aria-label="关闭" title="关闭">×</button>
+                </div>
+                <div class="timeline-diff-pickers">
+                    <label>对比 <select class="timeline-diff-select timeline-diff-before"></select></label>
+                    <label>与 <select class="timeline-diff-select timeline-diff-after"></select></label>
+                    <span class="timeline-diff-stats"></span>
+                </div>
+                <div class="timeline-diff-body"></div>
+            </div>
+        `;
+        const index = this.markers.indexOf(marker);
+        const dialog = overlay.querySelector('.timeline-diff-dialog');
+        overlay.querySelector('.timeline-diff-title').textContent = `第 ${index + 1} 条回答的版本对比`;
+        dialog.setAttribute('aria-label', overlay.querySelector('.timeline-diff-title').textContent);
+
+        const beforeSelect = overlay.querySelector('.timeline-diff-before');
+        const afterSelect = overlay.querySelector('.timeline-diff-after');
+        [beforeSelect, afterSelect].forEach(select => {
+            for (let version = 1; version <= branch.total; version++) {
+                const option = document.createElement('option');
+                option.value = String(version);
+                option.disabled = !versions.has(version);
+                option.textContent = `#${version}${version === branch.current ? '（当前）' : ''}${versions.has(version) ? '' : '（未查看）'}`;
+                select.appendChild(option);
+            }
+        });
+        // Default: the most recently numbered other version seen against the one on screen
+        const others = [...versions.keys()].filter(version => version !== branch.current).sort((a, b) => b - a);
+        beforeSelect.value = String(others[0] || branch.current);
+        afterSelect.value = String(branch.current);
+
+        const render = () => this.renderBranchDiff(overlay, versions, Number(beforeSelect.value), Number(afterSelect.value));
+        beforeSelect.addEventListener('change', render);
+        afterSelect.addEventListener('change', render);
+        overlay.querySelector('.timeline-diff-close').addEventListener('click', () => this.closeBranchDiff());
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) this.closeBranchDiff();
+        });
+        this.onDiffOverlayKey = (e) => {
+            if (e.key !== 'Escape') return;
+            e.preventDefault();
+            e.stopPropagation();
+            this.closeBranchDiff();
+        };
+        document.addEventListener('keydown', this.onDiffOverlayKey, true);
+
+        render();
+        document.body.appendChild(overlay);
+        this.diffOverlay = overlay;
+        overlay.querySelector('.timeline-diff-close').focus();
+    }
+
+    renderBranchDiff(overlay, versions, before, after) {
+        const body = overlay.querySelector('.timeline-diff-body');
+        const stats = overlay.querySelector('.timeline-diff-stats');
+        body.textContent = '';
+        stats.textContent = '';
+        if (versions.size < 2) {
+            body.classList.add('is-empty');
+            body.textContent = '用回答下方的 < > 切换到另一个版本后，即可在这里对比';
+            return;
+        }
+        if (before === after) {
+            body.classList.add('is-empty');
+            body.textContent = '请选择两个不同的版本';
+            return;
+        }
+        body.classList.remove('is-empty');
+
+        let added = 0;
+        let removed = 0;
+        diffWords(versions.get(before)?.text, versions.get(after)?.text).forEach(part => {
+            if (part.type === 'same') {
+                body.appendChild(document.createTextNode(part.text));
+                return;
+            }
+            const mark = document.createElement(part.type === 'added' ? 'ins' : 'del');
+            mark.className = `timeline-diff-${part.type}`;
+            mark.textContent = part.text;
+            body.appendChild(mark);
+            if (part.type === 'added') added += part.words;
+            else removed += part.words;
+        });
+        stats.textContent = `+${added} / −${removed} 词`;
+    }
+
+    closeBranchDiff() {
+        if (this.onDiffOverlayKey) {
+            try { document.removeEventListener('keydown', this.onDiffOverlayKey, true); } catch {}
+            this.onDiffOverlayKey = null;
+        }
+        try { this.diffOverlay?.remove(); } catch {}
+        this.diffOverlay = null;
+    }
+
+    // --- Reading progress ---
+    getProgressStorageKey(conversationKey = getConversationKey()) {
+        return `${READING_PROGRESS_STORAGE_PREFIX}${conversationKey}`;
+    }
+
+    isReadingProgressEnabled() {
+        return this.settings?.enableReadingProgress !== false;
+    }
+
+    async loadReadingProgress() {
+        const conversationKey = getConversationKey();
+        let stored = null;
+        try {
+            const storageKey = this.getProgressStorageKey(conversationKey);
+            const result = await chrome.storage.local.get([storageKey]);
+            if (result[storageKey] && typeof result[storageKey] === 'object') stored = result[storageKey];
+        } catch (error) {
+            console.warn('Failed to load reading progress:', error);
+        }
+        if (conversationKey !== getConversationKey()) return;
+        const ids = (value) => (Array.isArray(value) ? value.filter(id => typeof id === 'string' && id) : []);
+        this.readTurnIds = new Set(ids(stored?.readTurnIds));
+        this.previousTurnIds = stored ? new Set(ids(stored.knownTurnIds)) : null;
+        this.newTurnIds = null;
+        this.resumeTurnId = typeof stored?.lastTurnId === 'string' ? stored.lastTurnId : '';
+        this.resolveNewTurns();
+        this.applyTurnStates();
+        this.renderResumePill();
+    }
+
+    // Turns added since the last visit; decided once per visit so replies arriving now are not "new"
+    resolveNewTurns() {
+        if (this.newTurnIds || !this.previousTurnIds || this.markers.length === 0) return;
+        this.newTurnIds = new Set(this.markers
+            .map(marker => marker.id)
+            .filter(id => !this.previousTurnIds.has(id) && !this.readTurnIds.has(id)));
+        if (this.newTurnIds.size) this.applyTurnStates();
+    }
+
+    isTurnRead(turnId) {
+        return this.isReadingProgressEnabled() && this.readTurnIds.has(turnId);
+    }
+
+    isTurnNew(turnId) {
+        return this.isReadingProgressEnabled() && !!this.newTurnIds?.has(turnId);
+    }
+
+    recordReadingProgress(turnId) {
+        if (!turnId || !this.isReadingProgressEnabled()) return;
+        const firstRead = !this.readTurnIds.has(turnId);
+        this.readTurnIds.add(turnId);
+        this.newTurnIds?.delete(turnId);
+        if (turnId === this.resumeTurnId) {
+            this.resumeTurnId = '';
+            this.renderResumePill();
+        }
+        if (firstRead) this.applyTurnStates();
+        this.scheduleReadingProgressSave();
+    }
+
+    scheduleReadingProgressSave() {
+        if (this.readingProgressSaveTimer) clearTimeout(this.readingProgressSaveTimer);
+        this.readingProgressSaveKey = getConversationKey();
+        this.readingProgressSaveTimer = setTimeout(() => this.flushReadingProgress(), READING_PROGRESS_SAVE_DELAY);
+    }
+
+    // Called before leaving a conversation too, while the markers still belong to it
+    flushReadingProgress() {
+        if (!this.readingProgressSaveTimer) return;
+        clearTimeout(this.readingProgressSaveTimer);
+        this.readingProgressSaveTimer = null;
+        this.saveReadingProgress(this.readingProgressSaveKey);
+    }
+
+    async saveReadingProgress(conversationKey = getConversationKey()) {
+        if (!this.activeTurnId || this.markers.length === 0) return;
+        const known = new Set([...(this.previousTurnIds || []), ...this.markers.map(marker => marker.id)]);
+        try {
+            await chrome.storage.local.set({
+                [this.getProgressStorageKey(conversationKey)]: {
+                    lastTurnId: this.activeTurnId,
+                    readTurnIds: Array.from(this.readTurnIds).slice(-READING_PROGRESS_MAX_TURNS),
+                    knownTurnIds: Array.from(known).slice(-READING_PROGRESS_MAX_TURNS),
+                    updatedAt: Date.now()
+                }
+            });
+        } catch (error) {
+            console.warn('Failed to save reading progress:', error);
+        }
+    }
+
+    // "Resume at turn N" on the timeline bar and the TOC until that turn is reached
+    renderResumePill() {
+        const index = this.resumeTurnId ? this.markers.findIndex(marker => marker.id === this.resumeTurnId) : -1;
+        const show = this.isReadingProgressEnabled() && index >= 0 && !this.pendingLinkedTurn &&
+            this.resumeTurnId !== this.activeTurnId;
+        const tocContainer = document.querySelector('.timeline-toc');
+        [this.ui.timelineBar, tocContainer].forEach(container => {
+            if (!container) return;
+            let pill = container.querySelector('.timeline-resume-pill');
+            if (!show) {
+                pill?.remove();
+                return;
+            }
+            if (!pill) {
+                pill = document.createElement('button');
+                pill.type = 'button';
+                pill.className = 'timeline-resume-pill';
+                pill.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    const marker = this.markers.find(item => item.id === this.resumeTurnId);
+                    this.resumeTurnId = '';
+                    this.renderResumePill();
+                    if (marker?.element) this.smoothScrollTo(marker.element);
+                });
+                const toolbar = container === tocContainer ? container.querySelector('.toc-toolbar') : null;
+                if (toolbar) {
+                    toolbar.after(pill);
+                } else if (container === tocContainer) {
+                    container.prepend(pill);
+                } else {
+                    container.appendChild(pill);
+                }
+            }
+            pill.textContent = `从第 ${index + 1} 轮继续`;
+            pill.dataset.index = String(index + 1);
+            pill.title = this.truncateText(this.markers[index].summary || '', 80);
+        });
+    }
+
+    // --- Offline full-text index ---
+    getFullTextIndexStorageKey(conversationKey = getConversationKey()) {
+        return `${FULLTEXT_INDEX_STORAGE_PREFIX}${conversationKey}`;
+    }
+
+    async loadFullTextIndexState() {
+        const conversationKey = getConversationKey();
+        let indexed = false;
+        try {
+            const storageKey = this.getFullTextIndexStorageKey(conversationKey);
+            const result = await chrome.storage.local.get([storageKey]);
+            indexed = result[storageKey] === true;
+        } catch (error) {
+            console.warn('Failed to load full-text index state:', error);
+        }
+        if (conversationKey !== getConversationKey()) return;
+        this.fullTextIndexed = indexed;
+        this.syncFullTextIndexButton();
+    }
+
+    async setFullTextIndexed(indexed) {
+        const storageKey = this.getFullTextIndexStorageKey();
+        this.fullTextIndexed = indexed;
+        this.syncFullTextIndexButton();
+        try {
+            if (indexed) {
+                await chrome.storage.local.set({ [storageKey]: true });
+                this.captureFullTextIndex();
+            } else {
+                await chrome.storage.local.remove(storageKey);
+                await chrome.runtime.sendMessage({ action: 'removeConversationIndex', key: getConversationKey() });
+            }
+        } catch (error) {
+            console.warn('Failed to update full-text index:', error);
+        }
+    }
+
+    // Whole question and reply texts, unlike the truncated library record
+    buildFullTextDocument() {
+        return {
+            key: getConversationKey(),
+            site: this.siteType,
+            title: this.getConversationTitle(),
+            url: location.href.split('#')[0],
+            turns: this.markers.map(marker => ({
+                id: marker.id,
+                user: marker.element
+                    ? this.getFullTextContent(this.getUserContentElement(marker.element) || marker.element)
+                    : marker.summary || '',
+                assistant: marker.element ? this.getFullChatGPTReply(marker.element) : ''
+            }))
+        };
+    }
+
+    captureFullTextIndex() {
+        if (!this.fullTextIndexed || this.markers.length === 0 || !isTimelineSupportedPath()) return;
+        try {
+            chrome.runtime.sendMessage({ action: 'indexConversation', document: this.buildFullTextDocument() })
+                .catch(() => {});
+        } catch {}
+    }
+
+    syncFullTextIndexButton() {
+        const button = document.querySelector('.timeline-toc .toc-fulltext-btn');
+        if (!button) return;
+        const label = this.fullTextIndexed ? '已保存到离线搜索（点击移除）' : '保存到离线搜索';
+        button.setAttribute('aria-pressed', this.fullTextIndexed ? 'true' : 'false');
+        button.title = label;
+        button.setAttribute('aria-label', label);
+    }
+
+    // --- Deep links to a turn ---
+    getTurnLink(turnId) {
+        const index = this.markers.findIndex(marker => marker.id === turnId);
+        return buildTurnLinkURL(location.href, turnId, index);
+    }
+
+    async copyTurnLink(turnId) {
+        const link = this.getTurnLink(turnId);
+        try {
+            await navigator.clipboard.writeText(link);
+            this.showCopyFeedback('已复制此轮链接');
+        } catch {
+            this.fallbackCopyText(link, '已复制此轮链接');
+        }
+    }
+
+    // Picks up a turn link pasted into the address bar of an already open conversation
+    readLinkedTurnFromLocation() {
+        this.clearLinkedTurnSettleTimer();
+        this.pendingLinkedTurn = parseTurnLinkHash(location.hash);
+        this.pendingLinkedTurnSince = Date.now();
+    }
+
+    // Scrolls to the turn named in the URL fragment once its marker has been rendered.
+    // settled is set when no markers were recalculated for TURN_LINK_SETTLE_DELAY.
+    revealLinkedTurn(settled = false) {
+        const link = this.pendingLinkedTurn;
+        if (!link) return;
+        this.clearLinkedTurnSettleTimer();
+        const expired = Date.now() - this.pendingLinkedTurnSince > TURN_LINK_WAIT_TIMEOUT;
+        let marker = link.turnId ? this.markers.find(item => item.id === link.turnId) : null;
+        // Ids built from positions differ between sessions, but the turn may simply not have loaded
+        // yet; use the position only once loading has settled or the wait has run out
+        if (!marker && link.index >= 0 && (!link.turnId || settled || expired)) {
+            marker = this.markers[link.index] || null;
+        }
+        if (!marker?.element) {
+            if (expired) {
+                this.pendingLinkedTurn = null;
+            } else if (!settled) {
+                this.linkedTurnSettleTimer = setTimeout(() => {
+                    this.linkedTurnSettleTimer = null;
+                    this.revealLinkedTurn(true);
+                }, TURN_LINK_SETTLE_DELAY);
+            }
+            return;
+        }
+        this.pendingLinkedTurn = null;
+        this.activeTurnId = marker.id;
+        this.updateActiveDotUI();
+        this.smoothScrollTo(marker.element);
+        this.flashTurn(marker.element);
+    }
+
+    clearLinkedTurnSettleTimer() {
+        if (!this.linkedTurnSettleTimer) return;
+        clearTimeout(this.linkedTurnSettleTimer);
+        this.linkedTurnSettleTimer = null;
+    }
+
+    flashTurn(element) {
+        const target = this.getTurnContainer(element) || element;
+        document.querySelectorAll('.timeline-turn-flash').forEach(node => node.classList.remove('timeline-turn-flash'));
+        if (this.turnFlashTimer) clearTimeout(this.turnFlashTimer);
+        // Restart the animation when the same turn is flashed twice in a row
+        void target.offsetWidth;
+        target.classList.add('timeline-turn-flash');
+        this.turnFlashTimer = setTimeout(() => {
+            this.turnFlashTimer = null;
+            target.classList.remove('timeline-turn-flash');
+        }, TURN_LINK_FLASH_DURATION);
+    }
+
+    // Collect every Q/A pair as flat role/text records (user first, then the assistant reply)
+    collectConversationTurns(markers = this.markers) {
+        const turns = [];
+        markers.forEach((marker, position) => {
+            if (!marker?.element) return;
+            // Selections keep the turn numbers they have in the whole conversation
+            const index = this.markers.includes(marker) ? this.markers.indexOf(marker) : position;
+            const userText = this.getFullTextContent(this.getUserContentElement(marker.element) || marker.element);
+            const replyText = this.getFullChatGPTReply(marker.element);
+            turns.push({ index: index + 1, turnId: marker.id, role: 'user', text: userText, site: this.siteType });
+            if (replyText) {
+                turns.push({ index: index + 1, turnId: marker.id, role: 'assistant', text: replyText, site: this.siteType });
+            }
+        });
+        return turns;
+    }
+
+    // "12–19" for a selection of turns, '' for the whole conversation
+    getTurnRangeLabel(markers) {
+        if (markers.length >= this.markers.length) return '';
+        return formatTurnRanges(markers.map(marker => this.markers.indexOf(marker) + 1).filter(number => number > 0));
+    }
+
+    buildConversationExport(format, markers = this.markers) {
+        const turns = this.collectConversationTurns(markers);
+        const range = this.getTurnRangeLabel(markers);
+        const meta = {
+            title: range ? `${this.getConversationTitle()} (turns ${range})` : this.getConversationTitle(),
+            site: this.siteType,
+            url: location.href,
+            exportedAt: new Date().toISOString(),
+            turnCount: markers.length
+        };
+
+        if (format === 'json') {
+            return {
+                content: JSON.stringify({ ...meta, turns }, null, 2),
+                mimeType: 'application/json',
+                extension: 'json'
+            };
+        }
+        if (format === 'html') {
+            return {
+                content: this.buildConversationHTML(turns, meta),
+                mimeType: 'text/html',
+                extension: 'html'
+            };
+        }
+        return {
+            content: this.buildConversationMarkdown(turns, meta),
+            mimeType: 'text/markdown',
+            extension: 'md'
+        };
+    }
+
+    buildConversationMarkdown(turns, meta) {
+        const lines = [
+            `# ${meta.title}`,
+            '',
+            `- Site: ${meta.site}`,
+            `- URL: ${meta.url}`,
+            `- Exported: ${meta.exportedAt}`,
+            ''
+        ];
+        turns.forEach(turn => {
+            if (turn.role === 'user') {
+                lines.push(`## ${turn.index}. User`, '', turn.text, '');
+            } else {
+                lines.push('### Assistant', '', turn.text, '');
+            }
+        });
+        return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim() + '\n';
+    }
+
+    // Render exported text (prose plus ``` fenced code) as standalone HTML
+    renderTextAsHTML(text) {
+        const source = String(text || '');
+        const fenceRegex = /```([\w+#.-]*)\n?([\s\S]*?)```/g;
+        const renderInline = (segment) => escapeHTML(segment).replace(/`([^`\n]+)`/g, '<code>$1</code>');
+        const parts = [];
+        let lastIndex = 0;
+        let match;
+        while ((match = fenceRegex.exec(source)) !== null) {
+            const before = source.slice(lastIndex, match.index).trim();
+            if (before) parts.push(`<p>${renderInline(before)}</p>`);
+            const language = match[1] ? ` class="language-${escapeHTML(match[1])}"` : '';
+            parts.push(`<pre><code${language}>${escapeHTML(match[2].replace(/\n$/, ''))}</code></pre>`);
+            lastIndex = match.index + match[0].length;
+        }
+        const rest = source.slice(lastIndex).trim();
+        if (rest) parts.push(`<p>${renderInline(rest)}</p>`);
+        return parts.join('\n');
+    }
+
+    buildConversationHTML(turns, meta) {
+        const body = turns.map(turn => {
+            const label = turn.role === 'user' ? `${turn.index}. User` : 'Assistant';
+            return `<section class="turn ${turn.role}" data-turn-id="${escapeHTML(turn.turnId)}">
+<h2>${escapeHTML(label)}</h2>
+${this.renderTextAsHTML(turn.text)}
+</section>`;
+        }).join('\n');
+
+        return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8">
+<title>${escapeHTML(meta.title)}</title>
+<style>
+body { max-width: 860px; margin: 32px auto; padding: 0 20px; font: 15px/1.6 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; color: #1f2937; }
+header { margin-bottom: 24px; color: #6b7280; font-size: 13px; }
+h1 { color: #111827; font-size: 22px; }
+.turn { margin: 16px 0; padding: 12px 16px; border-radius: 10px; }
+.turn.user { background: #eef2ff; }
+.turn.assistant { background: #f9fafb; border: 1px solid #e5e7eb; }
+.turn h2 { margin: 0 0 8px; font-size: 13px; text-transform: uppercase; letter-spacing: 0.04em; color: #6b7280; }
+pre { overflow-x: auto; padding: 12px; background: #111827; color: #f9fafb; border-radius: 8px; }
+code { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; font-size: 13px; }
+p code { padding: 1px 4px; background: rgba(0, 0, 0, 0.06); border-radius: 4px; }
+</style>
+</head>
+<body>
+<h1>${escapeHTML(meta.title)}</h1>
+<header>${escapeHTML(meta.site)} · <a href="${escapeHTML(meta.url)}">${escapeHTML(meta.url)}</a> · ${escapeHTML(meta.exportedAt)}</header>
+${body}
+</body>
+</html>
+`;
+    }
+
+    downloadTextFile(fileName, content, mimeType) {
+        this.downloadBlob(fileName, new Blob([content], { type: `${mimeType};charset=utf-8` }));
+    }
+
+    downloadBlob(fileName, blob) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    exportConversation(format = 'markdown', markers = this.markers) {
+        if (!markers.length) return;
+        try {
+            const { content, mimeType, extension } = this.buildConversationExport(format, markers);
+            const range = this.getTurnRangeLabel(markers).replace(/–/g, '-').replace(/, /g, '_');
+            const fileName = `${sanitizeFileName(this.getConversationTitle())}${range ? `-turns-${range}` : ''}-${formatFileTimestamp()}.${extension}`;
+            this.downloadTextFile(fileName, content, mimeType);
+        } catch (error) {
+            console.error('Failed to export conversation:', error);
+        }
+    }
+
+    getTrackPadding() {
+        if (!this.ui.timelineBar) return 12;
+        return this.getCSSVarNumber(this.ui.timelineBar, '--timeline-track-padding', 12);
+    }
+
+    getMinGap() {
+        if (!this.ui.timelineBar) return 12;
+        return this.getCSSVarNumber(this.ui.timelineBar, '--timeline-min-gap', 12);
+    }
+
+    getEffectiveMinGap(usableHeight, count) {
+        const raw = this.getMinGap();
+        if (count <= 1) return 0;
+        if (!Number.isFinite(usableHeight) || usableHeight <= 0) {
+            return Math.max(0, raw);
+        }
+        const maxGap = usableHeight / Math.max(1, count - 1);
+        return Math.max(0, Math.min(raw, maxGap));
+    }
+
+    // Enforce a minimum pixel gap between positions while staying within bounds
+    applyMinGap(positions, minTop, maxTop, gap) {
+        const n = positions.length;
+        if (n === 0) return positions;
+        const out = positions.slice();
+        // Clamp first and forward pass (monotonic increasing)
+        out[0] = Math.max(minTop, Math.min(positions[0], maxTop));
+        for (let i = 1; i < n; i++) {
+            const minAllowed = out[i - 1] + gap;
+            out[i] = Math.max(positions[i], minAllowed);
+        }
+        // If last exceeds max, backward pass
+        if (out[n - 1] > maxTop) {
+            out[n - 1] = maxTop;
+            for (let i = n - 2; i >= 0; i--) {
+                const maxAllowed = out[i + 1] - gap;
+                out[i] = Math.min(out[i], maxAllowed);
+            }
+            // Ensure first still within min
+            if (out[0] < minTop) {
+                out[0] = minTop;
+                for (let i = 1; i < n; i++) {
+                    const minAllowed = out[i - 1] + gap;
+                    out[i] = Math.max(out[i], minAllowed);
+                }
+            }
         }
         // Final clamp
         for (let i = 0; i < n; i++) {
@@ -2075,7 +2659,11 @@ class TimelineManager {
         const usable = Math.max(0, barHeight - 2 * trackPadding);
         const minTop = trackPadding;
         const maxTop = trackPadding + usable;
-        const minGap = this.getEffectiveMinGap(usable, this.markers.length);
+        const count = this.markers.length;
+        // Inline reply markers sit between questions, so questions need twice the gap
+        const minGap = this.getAssistantMarkerMode() === 'inline'
+            ? 2 * this.getEffectiveMinGap(usable, 2 * count - 1)
+            : this.getEffectiveMinGap(usable, count);
         // Use cached normalized positions (default 0)
         const desired = this.markers.map(m => {
             const n = Math.max(0, Math.min(1, (m.n ?? 0)));
@@ -2088,6 +2676,10 @@ class TimelineManager {
             this.markers[i].n = Math.max(0, Math.min(1, n));
             try { this.markers[i].dotElement?.style.setProperty('--n', String(this.markers[i].n)); } catch {}
         }
+        this.updateReplyMarkerPositions();
+        this.markers.forEach(marker => {
+            try { marker.replyDotElement?.style.setProperty('--n', String(marker.replyN)); } catch {}
+        });
         this.perfEnd('minGapIdle');
     }
 
@@ -2097,7 +2689,7 @@ class TimelineManager {
         // T0: compute + write geometry while hidden
         const tip = this.ui.tooltip;
         tip.classList.remove('visible');
-        const fullText = (dot.getAttribute('aria-label') || '').trim();
+        const fullText = this.getDotTooltipText(dot);
         const p = this.computePlacementInfo(dot);
         const layout = this.truncateToThreeLines(fullText, p.width, true);
         tip.textContent = layout.text;
@@ -2114,6 +2706,19 @@ class TimelineManager {
         });
     }
 
+    // Notes lead the tooltip so they survive the three-line clamp
+    getDotTooltipText(dot) {
+        const turnId = dot.dataset.targetTurnId;
+        const marker = this.markers.find(item => item.id === turnId);
+        let branches = this.getBranchVersionsText(marker, dot.dataset.targetReply === 'true' ? ['reply'] : undefined);
+        if (marker?.branches?.reply) branches += '（点击导航面板中的 ⑂ 对比版本）';
+        const label = [branches, (dot.getAttribute('aria-label') || '').trim()].filter(Boolean).join(' · ');
+        const entry = this.getTurnNote(turnId);
+        if (!entry) return label;
+        const tags = entry.tags.map(tag => `#${tag}`).join(' ');
+        return `📝 ${[entry.note, tags].filter(Boolean).join(' ')} · ${label}`;
+    }
+
     hideTooltip(immediate = false) {
         if (!this.ui.tooltip) return;
         const doHide = () => {
@@ -2195,8 +2800,10 @@ class TimelineManager {
             this.yPositions[0] = mid;
             this.markers[0].n = 0.5;
         } else if (N > 1) {
-            // For multiple markers, distribute evenly
-            const step = usable / Math.max(1, N - 1);
+            // For multiple markers, distribute evenly; inline reply markers take a slot after each question
+            const step = this.getAssistantMarkerMode() === 'inline'
+                ? (2 * usable) / (2 * N - 1)
+                : usable / Math.max(1, N - 1);
             for (let i = 0; i < N; i++) {
                 const top = pad + step * i;
                 const clampedTop = Math.max(pad, Math.min(pad + usable, top));
@@ -2206,10 +2813,15 @@ class TimelineManager {
             }
         }
 
+        this.updateReplyMarkerPositions();
+
         for (let i = 0; i < N; i++) {
             if (this.markers[i].dotElement && !this.usePixelTop) {
                 try { this.markers[i].dotElement.style.setProperty('--n', String(this.markers[i].n)); } catch {}
             }
+            if (this.markers[i].replyDotElement && !this.usePixelTop) {
+                try { this.markers[i].replyDotElement.style.setProperty('--n', String(this.markers[i].replyN)); } catch {}
+            }
         }
 
         if (this._cssVarTopSupported === null) {
@@ -2230,6 +2842,21 @@ class TimelineManager {
         } catch {}
     }
 
+    // Lane reply markers sit beside their question, inline ones halfway to the next question
+    updateReplyMarkerPositions() {
+        const inline = this.getAssistantMarkerMode() === 'inline';
+        this.markers.forEach((marker, i) => {
+            if (!inline) {
+                marker.replyN = marker.n;
+                return;
+            }
+            const next = this.markers[i + 1];
+            const prev = this.markers[i - 1];
+            const gap = next ? next.n - marker.n : (prev ? marker.n - prev.n : 0.5);
+            marker.replyN = Math.max(0, Math.min(1, marker.n + gap / 2));
+        });
+    }
+
     detectCssVarTopSupport(pad, usableC) {
         try {
             if (!this.ui.trackContent) return false;
@@ -2279,6 +2906,7 @@ class TimelineManager {
     updateVirtualRangeAndRender() {
         if (!this.ui.trackContent || !this.ui.timelineBar) return;
         const count = this.markers.length;
+        const assistantMode = this.getAssistantMarkerMode();
         const frag = document.createDocumentFragment();
 
         const existing = new Set();
@@ -2307,8 +2935,21 @@ class TimelineManager {
             }
 
             try { dot.classList.toggle('active', marker.id === this.activeTurnId); } catch {}
+            try { dot.classList.toggle('starred', this.isTurnStarred(marker.id)); } catch {}
+            try { dot.classList.toggle('search-miss', this.isSearchMiss(marker.id)); } catch {}
+            dot.classList.toggle('is-selected', this.selectedTurnIds.has(marker.id));
+            dot.classList.toggle('has-note', !!this.getTurnNote(marker.id));
+            dot.classList.toggle('is-read', this.isTurnRead(marker.id));
+            dot.classList.toggle('is-new', this.isTurnNew(marker.id));
+            dot.classList.toggle('has-branches', this.hasBranches(marker));
             frag.appendChild(dot);
             existing.add(dot);
+
+            if (assistantMode !== 'off' && marker.replyElement) {
+                const replyDot = this.renderReplyDot(marker, assistantMode);
+                frag.appendChild(replyDot);
+                existing.add(replyDot);
+            }
         }
 
         const host = this.ui.trackContent;
@@ -2325,6 +2966,42 @@ class TimelineManager {
         this.visibleRange = { start: 0, end: count - 1 };
     }
 
+    // Second dot per turn for the assistant reply, sized by answer length
+    renderReplyDot(marker, mode) {
+        let dot = marker.replyDotElement;
+        if (!dot) {
+            dot = document.createElement('button');
+            dot.className = 'timeline-dot timeline-reply-dot';
+            dot.dataset.targetTurnId = marker.id;
+            dot.dataset.targetReply = 'true';
+            dot.setAttribute('aria-label', `回复：${marker.chatgptReply || marker.summary}`);
+            dot.setAttribute('tabindex', '0');
+            try { dot.setAttribute('aria-describedby', 'chatgpt-timeline-tooltip'); } catch {}
+            marker.replyDotElement = dot;
+        }
+        dot.classList.toggle('is-lane', mode === 'lane');
+        dot.classList.toggle('is-inline', mode === 'inline');
+        dot.classList.toggle('has-branches', !!marker.branches?.reply);
+        dot.style.setProperty('--reply-scale', String(getReplyMarkerScale(marker.replyLength)));
+
+        const n = Number.isFinite(marker.replyN) ? marker.replyN : 0;
+        if (this.usePixelTop) {
+            const pad = this.getTrackPadding();
+            const usable = Math.max(0, (this.contentHeight || 0) - 2 * pad);
+            dot.style.top = `${Math.round(pad + n * usable)}px`;
+            try { dot.style.removeProperty('--n'); } catch {}
+        } else {
+            try { dot.style.setProperty('--n', String(n)); } catch {}
+            try { dot.style.removeProperty('top'); } catch {}
+        }
+
+        dot.classList.toggle('active', marker.id === this.activeTurnId);
+        dot.classList.toggle('starred', this.isTurnStarred(marker.id));
+        dot.classList.toggle('search-miss', this.isSearchMiss(marker.id));
+        dot.classList.toggle('is-selected', this.selectedTurnIds.has(marker.id));
+        return dot;
+    }
+
     lowerBound(arr, x) {
         let lo = 0, hi = arr.length;
         while (lo < hi) {
@@ -2343,27 +3020,194 @@ class TimelineManager {
         return lo - 1;
     }
 
-    // --- Left slider helpers ---
-    updateSlider() {
-        if (!this.ui.slider || !this.ui.sliderHandle) return;
-        if (!this.contentHeight || !this.ui.timelineBar || !this.ui.track) return;
-        const barRect = this.ui.timelineBar.getBoundingClientRect();
-        const barH = barRect.height || 0;
-        const pad = this.getTrackPadding();
-        const innerH = Math.max(0, barH - 2 * pad);
-        if (this.contentHeight <= barH + 1 || innerH <= 0) {
-            this.sliderAlwaysVisible = false;
-            try {
-                this.ui.slider.classList.remove('visible');
-                this.ui.slider.style.opacity = '';
-            } catch {}
-            return;
-        }
-        this.sliderAlwaysVisible = true;
-        // External slider geometry (short rail centered on inner area)
-        const railLen = Math.max(120, Math.min(240, Math.floor(barH * 0.45)));
-        const railTop = Math.round(barRect.top + pad + (innerH - railLen) / 2);
-        const railLeftGap = 8; // px gap from bar's left edge
+    // --- Minimap mode ---
+    isMinimapMode() {
+        return this.settings?.timelineMode === 'minimap';
+    }
+
+    // Position of an element in the scroll container's content, comparable to scrollTop
+    getContentOffset(element) {
+        const container = this.scrollContainer;
+        const top = element.getBoundingClientRect().top;
+        if (!container || isRootScrollElement(container)) return top + (window.scrollY || 0);
+        return top - container.getBoundingClientRect().top + container.scrollTop;
+    }
+
+    isCodeHeavyReply(replyElement) {
+        if (!replyElement) return false;
+        const total = (replyElement.textContent || '').trim().length;
+        if (!total) return false;
+        const code = Array.from(replyElement.querySelectorAll('pre'))
+            .reduce((sum, pre) => sum + (pre.textContent || '').trim().length, 0);
+        return code / total >= MINIMAP_CODE_HEAVY_RATIO;
+    }
+
+    // One segment per question and per reply, as fractions of the conversation's rendered height
+    measureMinimapSegments() {
+        const turns = this.markers.map(marker => {
+            const container = this.getTurnContainer(marker.element) || marker.element;
+            const reply = marker.replyElement?.isConnected ? marker.replyElement : null;
+            const top = this.getContentOffset(container);
+            const replyTop = reply ? Math.max(top, this.getContentOffset(reply)) : null;
+            const bottom = reply
+                ? replyTop + reply.getBoundingClientRect().height
+                : top + container.getBoundingClientRect().height;
+            return { marker, top, replyTop, bottom, reply };
+        });
+        if (turns.length === 0) return [];
+
+        // A turn runs until the next question starts, so the gaps between turns are covered
+        const start = turns[0].top;
+        const end = Math.max(turns[turns.length - 1].bottom, start + 1);
+        const length = end - start;
+        this.minimapSpan = { start, length };
+
+        const segments = [];
+        turns.forEach((turn, i) => {
+            const turnEnd = Math.max(turn.top, i + 1 < turns.length ? turns[i + 1].top : end);
+            const split = turn.replyTop === null ? turnEnd : Math.min(turn.replyTop, turnEnd);
+            segments.push({
+                turnId: turn.marker.id,
+                kind: 'user',
+                start: (turn.top - start) / length,
+                end: (split - start) / length,
+                codeHeavy: false
+            });
+            if (turn.reply) {
+                segments.push({
+                    turnId: turn.marker.id,
+                    kind: 'assistant',
+                    start: (split - start) / length,
+                    end: (turnEnd - start) / length,
+                    codeHeavy: this.isCodeHeavyReply(turn.reply)
+                });
+            }
+        });
+        return segments;
+    }
+
+    renderMinimap() {
+        const host = this.ui.trackContent;
+        if (!host) return;
+        let minimap = host.querySelector('.timeline-minimap');
+        if (!this.isMinimapMode() || this.markers.length === 0) {
+            minimap?.remove();
+            return;
+        }
+        if (!minimap) {
+            minimap = document.createElement('div');
+            minimap.className = 'timeline-minimap';
+            minimap.addEventListener('click', (e) => {
+                const segment = e.target.closest('.timeline-minimap-segment');
+                if (!segment) return;
+                const target = segment.dataset.kind === 'assistant'
+                    ? this.getReplyTargetElement(segment.dataset.turnId)
+                    : this.markerById.get(segment.dataset.turnId);
+                if (target) this.smoothScrollTo(target);
+            });
+            host.appendChild(minimap);
+        }
+
+        minimap.textContent = '';
+        this.measureMinimapSegments().forEach(entry => {
+            const marker = this.markers.find(item => item.id === entry.turnId);
+            const segment = document.createElement('div');
+            segment.className = `timeline-minimap-segment is-${entry.kind}${entry.codeHeavy ? ' is-code' : ''}`;
+            segment.classList.toggle('active', entry.turnId === this.activeTurnId);
+            segment.dataset.turnId = entry.turnId;
+            segment.dataset.kind = entry.kind;
+            segment.style.top = `${(entry.start * 100).toFixed(3)}%`;
+            segment.style.height = `${(Math.max(0, entry.end - entry.start) * 100).toFixed(3)}%`;
+            segment.title = entry.kind === 'assistant'
+                ? `${entry.codeHeavy ? '代码为主 · ' : ''}${this.truncateText(marker?.chatgptReply || '回复', 80)}`
+                : this.truncateText(marker?.summary || '', 80);
+            minimap.appendChild(segment);
+        });
+
+        const viewport = document.createElement('div');
+        viewport.className = 'timeline-minimap-viewport';
+        viewport.addEventListener('pointerdown', (e) => this.startMinimapDrag(e));
+        minimap.appendChild(viewport);
+        this.updateMinimapViewport();
+    }
+
+    updateMinimapViewport() {
+        const viewport = this.ui.trackContent?.querySelector('.timeline-minimap-viewport');
+        if (!viewport || !this.scrollContainer) return;
+        const root = isRootScrollElement(this.scrollContainer);
+        const scrollTop = root ? (window.scrollY || 0) : this.scrollContainer.scrollTop;
+        const height = root ? window.innerHeight : this.scrollContainer.clientHeight;
+        const { start, length } = this.minimapSpan;
+        const top = Math.max(0, Math.min(1, (scrollTop - start) / length));
+        const bottom = Math.max(top, Math.min(1, (scrollTop + height - start) / length));
+        viewport.style.top = `${(top * 100).toFixed(3)}%`;
+        viewport.style.height = `${((bottom - top) * 100).toFixed(3)}%`;
+    }
+
+    // Dragging the viewport window scrolls the page, the same way the old slider handle did
+    startMinimapDrag(e) {
+        const minimap = e.currentTarget.closest('.timeline-minimap');
+        if (!minimap || !this.scrollContainer) return;
+        e.preventDefault();
+        e.stopPropagation();
+        try { e.currentTarget.setPointerCapture(e.pointerId); } catch {}
+        const root = isRootScrollElement(this.scrollContainer);
+        this.minimapDrag = {
+            startClientY: e.clientY,
+            startScrollTop: root ? (window.scrollY || 0) : this.scrollContainer.scrollTop,
+            height: minimap.getBoundingClientRect().height || 1,
+            root
+        };
+        minimap.classList.add('dragging');
+        this.onMinimapMove = (ev) => this.handleMinimapDrag(ev);
+        this.onMinimapUp = () => this.endMinimapDrag();
+        window.addEventListener('pointermove', this.onMinimapMove);
+        window.addEventListener('pointerup', this.onMinimapUp, { once: true });
+    }
+
+    handleMinimapDrag(e) {
+        const drag = this.minimapDrag;
+        if (!drag) return;
+        const delta = ((e.clientY - drag.startClientY) / drag.height) * this.minimapSpan.length;
+        const target = Math.max(0, drag.startScrollTop + delta);
+        if (drag.root) {
+            window.scrollTo(0, target);
+        } else {
+            this.scrollContainer.scrollTop = target;
+        }
+        this.scheduleScrollSync();
+    }
+
+    endMinimapDrag() {
+        this.minimapDrag = null;
+        try { window.removeEventListener('pointermove', this.onMinimapMove); } catch {}
+        try { window.removeEventListener('pointerup', this.onMinimapUp); } catch {}
+        this.onMinimapMove = null;
+        this.onMinimapUp = null;
+        this.ui.trackContent?.querySelector('.timeline-minimap')?.classList.remove('dragging');
+    }
+
+    // --- Left slider helpers ---
+    updateSlider() {
+        if (!this.ui.slider || !this.ui.sliderHandle) return;
+        if (!this.contentHeight || !this.ui.timelineBar || !this.ui.track) return;
+        const barRect = this.ui.timelineBar.getBoundingClientRect();
+        const barH = barRect.height || 0;
+        const pad = this.getTrackPadding();
+        const innerH = Math.max(0, barH - 2 * pad);
+        if (this.contentHeight <= barH + 1 || innerH <= 0) {
+            this.sliderAlwaysVisible = false;
+            try {
+                this.ui.slider.classList.remove('visible');
+                this.ui.slider.style.opacity = '';
+            } catch {}
+            return;
+        }
+        this.sliderAlwaysVisible = true;
+        // External slider geometry (short rail centered on inner area)
+        const railLen = Math.max(120, Math.min(240, Math.floor(barH * 0.45)));
+        const railTop = Math.round(barRect.top + pad + (innerH - railLen) / 2);
+        const railLeftGap = 8; // px gap from bar's left edge
         const sliderWidth = 12; // matches CSS
         const left = Math.round(barRect.left - railLeftGap - sliderWidth);
         this.ui.slider.style.left = `${left}px`;
@@ -2506,6 +3350,7 @@ class TimelineManager {
             this.updateVirtualRangeAndRender();
             this.computeActiveByScroll();
             this.updateSlider();
+            this.updateMinimapViewport();
         });
     }
 
@@ -2538,6 +3383,7 @@ class TimelineManager {
                         if (this.pendingActiveId && this.pendingActiveId !== this.activeTurnId) {
                             this.activeTurnId = this.pendingActiveId;
                             this.updateActiveDotUI();
+                            this.recordReadingProgress(this.activeTurnId);
                             this.lastActiveChangeTime = (typeof performance !== 'undefined' && performance.now) ? performance.now() : Date.now();
                         }
                         this.pendingActiveId = null;
@@ -2546,6 +3392,7 @@ class TimelineManager {
             } else {
                 this.activeTurnId = activeId;
                 this.updateActiveDotUI();
+                this.recordReadingProgress(activeId);
                 this.lastActiveChangeTime = now;
             }
         }
@@ -2583,6 +3430,9 @@ class TimelineManager {
         if (this.ui.timelineBar && this.onTimelineBarClick) {
             try { this.ui.timelineBar.removeEventListener('click', this.onTimelineBarClick); } catch {}
         }
+        if (this.ui.timelineBar && this.onTimelineBarContextMenu) {
+            try { this.ui.timelineBar.removeEventListener('contextmenu', this.onTimelineBarContextMenu); } catch {}
+        }
         if (this.scrollContainer && this.onScroll) {
             try { this.scrollContainer.removeEventListener('scroll', this.onScroll); } catch {}
         }
@@ -2610,6 +3460,10 @@ class TimelineManager {
         if (this.onWindowResize) {
             try { window.removeEventListener('resize', this.onWindowResize); } catch {}
         }
+        if (this.onShortcutKeydown) {
+            try { window.removeEventListener('keydown', this.onShortcutKeydown, true); } catch {}
+            this.onShortcutKeydown = null;
+        }
         if (this.onVisualViewportResize && window.visualViewport) {
             try { window.visualViewport.removeEventListener('resize', this.onVisualViewportResize); } catch {}
             this.onVisualViewportResize = null;
@@ -2618,6 +3472,21 @@ class TimelineManager {
             try { cancelAnimationFrame(this.scrollRafId); } catch {}
             this.scrollRafId = null;
         }
+        this.closeNoteEditor();
+        this.closeBranchDiff();
+        this.clearTurnSelection();
+        if (this.libraryCaptureTimer) {
+            clearTimeout(this.libraryCaptureTimer);
+            this.libraryCaptureTimer = null;
+        }
+        if (this.turnFlashTimer) {
+            clearTimeout(this.turnFlashTimer);
+            this.turnFlashTimer = null;
+        }
+        this.clearLinkedTurnSettleTimer();
+        this.flushReadingProgress();
+        this.endMinimapDrag();
+        document.querySelectorAll('.timeline-turn-flash').forEach(node => node.classList.remove('timeline-turn-flash'));
         try { this.ui.timelineBar?.remove(); } catch {}
         try { this.ui.tooltip?.remove(); } catch {}
         try { this.measureEl?.remove(); } catch {}
@@ -2962,30 +3831,423 @@ class TimelineManager {
 
     // Settings management methods
     async loadSettings() {
+        this.settings = await loadStoredSettings();
+        settingsCache = { ...this.settings };
+        settingsCacheLoaded = true;
+    }
+
+    // --- Starred turns ---
+    getStarsStorageKey(conversationKey = getConversationKey()) {
+        return `${STARRED_TURNS_STORAGE_PREFIX}${conversationKey}`;
+    }
+
+    async loadStarredTurns() {
+        const conversationKey = getConversationKey();
+        let ids = [];
         try {
-            const result = await chrome.storage.local.get([this.settingsKey]);
-            const saved = result[this.settingsKey];
-            if (saved) {
-                const { settings: migrated, migrated: didMigrate } = migrateDeepseekWidthSetting({ ...saved });
-                this.settings = { ...this.settings, ...migrated };
-                if (didMigrate) {
-                    try { await chrome.storage.local.set({ [this.settingsKey]: this.settings }); } catch {}
-                }
+            const storageKey = this.getStarsStorageKey(conversationKey);
+            const result = await chrome.storage.local.get([storageKey]);
+            if (Array.isArray(result[storageKey])) ids = result[storageKey];
+        } catch (error) {
+            console.warn('Failed to load starred turns:', error);
+        }
+        // Ignore stale reads when the user navigated again while storage was busy
+        if (conversationKey !== getConversationKey()) return;
+        this.starredTurnIds = new Set(ids.filter(id => typeof id === 'string' && id));
+        this.applyTurnStates();
+    }
+
+    async saveStarredTurns() {
+        const storageKey = this.getStarsStorageKey();
+        try {
+            if (this.starredTurnIds.size === 0) {
+                await chrome.storage.local.remove(storageKey);
+            } else {
+                await chrome.storage.local.set({ [storageKey]: Array.from(this.starredTurnIds) });
             }
-            settingsCache = { ...DEFAULT_SETTINGS, ...this.settings };
-            settingsCacheLoaded = true;
         } catch (error) {
-            console.warn('Failed to load settings:', error);
+            console.warn('Failed to save starred turns:', error);
         }
     }
-
-    async saveSettings() {
+
+    getNotesStorageKey(conversationKey = getConversationKey()) {
+        return `${TURN_NOTES_STORAGE_PREFIX}${conversationKey}`;
+    }
+
+    async loadTurnNotes() {
+        const conversationKey = getConversationKey();
+        let stored = {};
         try {
-            await chrome.storage.local.set({ [this.settingsKey]: this.settings });
-            settingsCache = { ...DEFAULT_SETTINGS, ...this.settings };
-            settingsCacheLoaded = true;
+            const storageKey = this.getNotesStorageKey(conversationKey);
+            const result = await chrome.storage.local.get([storageKey]);
+            if (result[storageKey] && typeof result[storageKey] === 'object') stored = result[storageKey];
         } catch (error) {
-            console.warn('Failed to save settings:', error);
+            console.warn('Failed to load turn notes:', error);
+        }
+        if (conversationKey !== getConversationKey()) return;
+        this.turnNotes = new Map();
+        Object.entries(stored).forEach(([turnId, entry]) => {
+            const note = typeof entry?.note === 'string' ? entry.note.trim() : '';
+            const tags = parseTurnTags(entry?.tags);
+            if (note || tags.length) {
+                this.turnNotes.set(turnId, { note, tags, updatedAt: Number(entry.updatedAt) || 0 });
+            }
+        });
+        this.dropStaleTagFilter();
+        this.refreshSearchHits();
+        this.applyTurnStates();
+    }
+
+    async saveTurnNotes() {
+        const storageKey = this.getNotesStorageKey();
+        try {
+            if (this.turnNotes.size === 0) {
+                await chrome.storage.local.remove(storageKey);
+            } else {
+                await chrome.storage.local.set({ [storageKey]: Object.fromEntries(this.turnNotes) });
+            }
+        } catch (error) {
+            console.warn('Failed to save turn notes:', error);
+        }
+    }
+
+    getTurnNote(turnId) {
+        return (turnId && this.turnNotes.get(turnId)) || null;
+    }
+
+    // An empty note without tags removes the entry
+    setTurnNote(turnId, note, tags) {
+        if (!turnId) return;
+        const text = String(note ?? '').trim();
+        const parsedTags = parseTurnTags(tags);
+        if (text || parsedTags.length) {
+            this.turnNotes.set(turnId, { note: text, tags: parsedTags, updatedAt: Date.now() });
+        } else {
+            this.turnNotes.delete(turnId);
+        }
+        this.dropStaleTagFilter();
+        this.refreshSearchHits();
+        this.applyTurnStates();
+        this.saveTurnNotes();
+        this.scheduleLibraryCapture();
+    }
+
+    getAllTurnTags() {
+        const tags = new Map();
+        this.turnNotes.forEach(entry => {
+            entry.tags.forEach(tag => {
+                if (!tags.has(tag.toLowerCase())) tags.set(tag.toLowerCase(), tag);
+            });
+        });
+        return Array.from(tags.values()).sort((a, b) => a.localeCompare(b));
+    }
+
+    turnHasTag(turnId, tag) {
+        const entry = this.getTurnNote(turnId);
+        return !!entry && entry.tags.some(item => item.toLowerCase() === tag.toLowerCase());
+    }
+
+    dropStaleTagFilter() {
+        if (this.tocTagFilter && !this.getAllTurnTags().some(tag => tag.toLowerCase() === this.tocTagFilter.toLowerCase())) {
+            this.tocTagFilter = '';
+        }
+    }
+
+    openNoteEditor(turnId, anchor) {
+        if (!turnId) return;
+        this.closeNoteEditor();
+        const index = this.markers.findIndex(marker => marker.id === turnId);
+        const entry = this.getTurnNote(turnId);
+
+        const editor = document.createElement('div');
+        editor.className = 'timeline-note-editor';
+        editor.setAttribute('role', 'dialog');
+        editor.setAttribute('aria-label', '编辑笔记');
+        editor.innerHTML = `
+            <div class="timeline-note-title"></div>
+            <textarea class="timeline-note-input" rows="4" placeholder="记录为什么采纳或放弃这个回答"></textarea>
+            <input type="text" class="timeline-note-tags" placeholder="标签，用空格或逗号分隔">
+            <div class="timeline-note-actions">
+                <button type="button" class="timeline-note-btn is-danger timeline-note-delete">删除</button>
+                <button type="button" class="timeline-note-btn timeline-note-cancel">取消</button>
+                <button type="button" class="timeline-note-btn is-primary timeline-note-save">保存</button>
+            </div>
+        `;
+        editor.querySelector('.timeline-note-title').textContent = index >= 0 ? `第 ${index + 1} 条的笔记` : '笔记';
+        const noteInput = editor.querySelector('.timeline-note-input');
+        const tagsInput = editor.querySelector('.timeline-note-tags');
+        const deleteButton = editor.querySelector('.timeline-note-delete');
+        noteInput.value = entry?.note || '';
+        tagsInput.value = entry ? entry.tags.join(' ') : '';
+        deleteButton.hidden = !entry;
+
+        const save = () => {
+            this.setTurnNote(turnId, noteInput.value, tagsInput.value);
+            this.closeNoteEditor();
+        };
+        editor.querySelector('.timeline-note-save').addEventListener('click', save);
+        editor.querySelector('.timeline-note-cancel').addEventListener('click', () => this.closeNoteEditor());
+        deleteButton.addEventListener('click', () => {
+            this.setTurnNote(turnId, '', '');
+            this.closeNoteEditor();
+        });
+        editor.addEventListener('keydown', (e) => {
+            // Keep the page's own key handlers out of the editor
+            e.stopPropagation();
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.closeNoteEditor();
+            } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey || e.target === tagsInput)) {
+                e.preventDefault();
+                save();
+            }
+        });
+
+        document.body.appendChild(editor);
+        this.noteEditor = editor;
+        this.positionNoteEditor(editor, anchor);
+        this.onNoteEditorOutside = (e) => {
+            if (!editor.contains(e.target)) this.closeNoteEditor();
+        };
+        document.addEventListener('pointerdown', this.onNoteEditorOutside, true);
+        noteInput.focus();
+    }
+
+    positionNoteEditor(editor, anchor) {
+        const rect = anchor?.getBoundingClientRect?.();
+        const width = editor.offsetWidth || 280;
+        const height = editor.offsetHeight || 200;
+        const pad = 8;
+        let left = rect ? rect.left - width - 12 : (window.innerWidth - width) / 2;
+        if (rect && left < pad) left = rect.right + 12;
+        let top = rect ? rect.top + rect.height / 2 - height / 2 : (window.innerHeight - height) / 2;
+        left = Math.max(pad, Math.min(window.innerWidth - width - pad, left));
+        top = Math.max(pad, Math.min(window.innerHeight - height - pad, top));
+        editor.style.left = `${Math.round(left)}px`;
+        editor.style.top = `${Math.round(top)}px`;
+    }
+
+    closeNoteEditor() {
+        if (this.onNoteEditorOutside) {
+            try { document.removeEventListener('pointerdown', this.onNoteEditorOutside, true); } catch {}
+            this.onNoteEditorOutside = null;
+        }
+        try { this.noteEditor?.remove(); } catch {}
+        this.noteEditor = null;
+    }
+
+    isTurnStarred(turnId) {
+        return !!turnId && this.starredTurnIds.has(turnId);
+    }
+
+    toggleTurnStar(turnId, starred = !this.isTurnStarred(turnId)) {
+        if (!turnId) return;
+        this.setTurnsStarred([turnId], starred);
+    }
+
+    setTurnsStarred(turnIds, starred) {
+        turnIds.forEach(turnId => {
+            if (starred) {
+                this.starredTurnIds.add(turnId);
+            } else {
+                this.starredTurnIds.delete(turnId);
+            }
+        });
+        this.applyTurnStates();
+        this.saveStarredTurns();
+        this.scheduleLibraryCapture();
+    }
+
+    // --- Multi-select ---
+    // Ctrl/Cmd+click toggles a turn, Shift+click selects the range from the last toggled turn
+    // (Ctrl+Shift adds the range). Returns true when the click was a selection click.
+    handleSelectionClick(e, turnId) {
+        if (!turnId || !(e.shiftKey || e.ctrlKey || e.metaKey)) return false;
+        e.preventDefault();
+        e.stopPropagation();
+        const additive = e.ctrlKey || e.metaKey;
+        if (e.shiftKey) {
+            const ids = this.markers.map(marker => marker.id);
+            const anchor = ids.includes(this.selectionAnchorId) ? this.selectionAnchorId : (this.activeTurnId || turnId);
+            const [from, to] = [ids.indexOf(anchor), ids.indexOf(turnId)].sort((a, b) => a - b);
+            if (!additive) this.selectedTurnIds.clear();
+            ids.slice(Math.max(0, from), to + 1).forEach(id => this.selectedTurnIds.add(id));
+        } else {
+            if (this.selectedTurnIds.has(turnId)) {
+                this.selectedTurnIds.delete(turnId);
+            } else {
+                this.selectedTurnIds.add(turnId);
+            }
+            this.selectionAnchorId = turnId;
+        }
+        this.updateTurnSelection();
+        return true;
+    }
+
+    // macOS turns Ctrl+click into a contextmenu event with the primary button; it still means "select"
+    handleSelectionContextMenu(e, turnId) {
+        if (!e.ctrlKey || e.button !== 0) return false;
+        return this.handleSelectionClick(e, turnId);
+    }
+
+    getSelectedMarkers() {
+        return this.markers.filter(marker => this.selectedTurnIds.has(marker.id));
+    }
+
+    clearTurnSelection() {
+        this.selectedTurnIds.clear();
+        this.selectionAnchorId = null;
+        this.updateTurnSelection();
+    }
+
+    // Drops turns that disappeared from the page (e.g. after switching branches)
+    pruneTurnSelection() {
+        if (!this.selectedTurnIds.size) return;
+        const before = this.selectedTurnIds.size;
+        [...this.selectedTurnIds].forEach(id => {
+            if (!this.markerById.has(id)) this.selectedTurnIds.delete(id);
+        });
+        if (this.selectedTurnIds.size !== before) this.renderSelectionBar();
+    }
+
+    updateTurnSelection() {
+        this.applyTurnStates();
+        this.renderSelectionBar();
+    }
+
+    renderSelectionBar() {
+        const markers = this.getSelectedMarkers();
+        if (!markers.length) {
+            if (this.onSelectionKey) {
+                try { document.removeEventListener('keydown', this.onSelectionKey); } catch {}
+                this.onSelectionKey = null;
+            }
+            try { this.selectionBar?.remove(); } catch {}
+            this.selectionBar = null;
+            return;
+        }
+
+        let bar = this.selectionBar;
+        if (!bar) {
+            bar = document.createElement('div');
+            bar.className = 'timeline-selection-bar';
+            bar.setAttribute('role', 'toolbar');
+            bar.setAttribute('aria-label', '已选对话');
+            bar.innerHTML = `
+                <span class="timeline-selection-count"></span>
+                <button type="button" class="timeline-selection-button timeline-selection-copy">复制</button>
+                <button type="button" class="timeline-selection-button timeline-selection-export" aria-haspopup="menu" aria-expanded="false">导出</button>
+                <div class="timeline-selection-menu" role="menu" hidden></div>
+                <button type="button" class="timeline-selection-button timeline-selection-star"></button>
+                <button type="button" class="timeline-selection-button timeline-selection-clear" title="取消选择（Esc）" aria-label="取消选择">×</button>
+            `;
+            const exportButton = bar.querySelector('.timeline-selection-export');
+            const menu = bar.querySelector('.timeline-selection-menu');
+            const setMenuOpen = (open) => {
+                menu.hidden = !open;
+                exportButton.setAttribute('aria-expanded', open ? 'true' : 'false');
+            };
+            CONVERSATION_EXPORT_FORMATS.forEach(([format, label]) => {
+                const option = document.createElement('button');
+                option.type = 'button';
+                option.className = 'timeline-selection-option';
+                option.setAttribute('role', 'menuitem');
+                option.dataset.format = format;
+                option.textContent = label;
+                option.addEventListener('click', () => {
+                    setMenuOpen(false);
+                    this.exportConversation(format, this.getSelectedMarkers());
+                });
+                menu.appendChild(option);
+            });
+            exportButton.addEventListener('click', () => setMenuOpen(menu.hidden));
+            bar.addEventListener('focusout', (e) => {
+                if (!bar.contains(e.relatedTarget)) setMenuOpen(false);
+            });
+            bar.querySelector('.timeline-selection-copy').addEventListener('click', () => this.copySelectedTurns());
+            bar.querySelector('.timeline-selection-star').addEventListener('click', () => {
+                const selected = this.getSelectedMarkers();
+                const starAll = !selected.every(marker => this.isTurnStarred(marker.id));
+                this.setTurnsStarred(selected.map(marker => marker.id), starAll);
+                this.renderSelectionBar();
+            });
+            bar.querySelector('.timeline-selection-clear').addEventListener('click', () => this.clearTurnSelection());
+
+            this.onSelectionKey = (e) => {
+                if (e.key !== 'Escape' || e.defaultPrevented || isEditableTarget(e.target)) return;
+                this.clearTurnSelection();
+            };
+            document.addEventListener('keydown', this.onSelectionKey);
+            document.body.appendChild(bar);
+            this.selectionBar = bar;
+        }
+
+        bar.querySelector('.timeline-selection-count').textContent =
+            `已选 ${markers.length} 轮 · #${formatTurnRanges(markers.map(marker => this.markers.indexOf(marker) + 1))}`;
+        const allStarred = markers.every(marker => this.isTurnStarred(marker.id));
+        bar.querySelector('.timeline-selection-star').textContent = allStarred ? '取消收藏' : '收藏';
+    }
+
+    // The selected turns as one Markdown document, with the HTML export as the rich flavour
+    async copySelectedTurns() {
+        const markers = this.getSelectedMarkers();
+        if (!markers.length) return;
+        const text = this.buildConversationExport('markdown', markers).content;
+        const html = this.buildConversationExport('html', markers).content;
+        await this.writeClipboard(text, html, `已复制 ${markers.length} 轮对话`);
+    }
+
+    // Sync per-turn state classes on dots and TOC items without rebuilding either
+    applyTurnStates() {
+        this.markers.forEach(marker => {
+            [marker.dotElement, marker.replyDotElement].forEach(dot => {
+                if (!dot) return;
+                dot.classList.toggle('starred', this.isTurnStarred(marker.id));
+                dot.classList.toggle('search-miss', this.isSearchMiss(marker.id));
+            });
+            marker.dotElement?.classList.toggle('has-note', !!this.getTurnNote(marker.id));
+            marker.dotElement?.classList.toggle('is-read', this.isTurnRead(marker.id));
+            marker.dotElement?.classList.toggle('is-new', this.isTurnNew(marker.id));
+        });
+
+        const tocContainer = document.querySelector('.timeline-toc');
+        if (!tocContainer) return;
+        tocContainer.querySelectorAll('.toc-item').forEach(item => {
+            const starred = this.isTurnStarred(item.dataset.turnId);
+            item.classList.toggle('starred', starred);
+            item.classList.toggle('is-selected', this.selectedTurnIds.has(item.dataset.turnId));
+            const starButton = item.querySelector('.toc-star-btn');
+            if (starButton) {
+                starButton.setAttribute('aria-pressed', starred ? 'true' : 'false');
+                starButton.title = starred ? '取消收藏' : '收藏';
+                starButton.setAttribute('aria-label', starButton.title);
+            }
+            this.syncTOCItemNote(item);
+            this.syncTOCItemProgress(item);
+        });
+        this.applyTOCFilters(tocContainer);
+    }
+
+    syncTOCItemProgress(item) {
+        if (item.dataset.reply === 'true') return;
+        item.classList.toggle('is-read', this.isTurnRead(item.dataset.turnId));
+        item.classList.toggle('is-new', this.isTurnNew(item.dataset.turnId));
+    }
+
+    syncTOCItemNote(item) {
+        const button = item.querySelector('.toc-note-btn');
+        if (!button) return;
+        const entry = this.getTurnNote(item.dataset.turnId);
+        item.classList.toggle('has-note', !!entry);
+        button.setAttribute('aria-pressed', entry ? 'true' : 'false');
+        button.title = entry ? '编辑笔记' : '添加笔记';
+        button.setAttribute('aria-label', button.title);
+        const tags = item.querySelector('.toc-item-tags');
+        if (tags) tags.textContent = entry ? entry.tags.map(tag => `#${tag}`).join(' ') : '';
+        if (entry?.note) {
+            item.title = entry.note;
+        } else {
+            item.removeAttribute('title');
         }
     }
 
@@ -3012,6 +4274,7 @@ class TimelineManager {
                 timelineBar.classList.add('position-right');
                 break;
         }
+        timelineBar.classList.toggle('is-minimap', this.isMinimapMode());
         this.applyMergedNavigationMode(timelineBar);
     }
 
@@ -3177,52 +4440,799 @@ class TimelineManager {
         tocContainer.classList.remove('expanded', 'collapsed', 'dragging', 'long-press-ready', 'near-boundary');
         tocContainer.dataset.hasCustomPosition = 'false';
         tocContainer.querySelectorAll('.toc-drag-handle, .toc-header').forEach(node => node.remove());
+        this.ensureTOCToolbar(tocContainer);
+
+        const isCollapsed = tocContainer.classList.contains('collapsed');
+        const wasCollapsed = tocContainer.dataset.wasCollapsed === 'true';
+
+        // Only rebuild header if state changed or it's missing
+        const existingHeader = tocContainer.querySelector('.toc-header');
+        if (isCollapsed && (!existingHeader || isCollapsed !== wasCollapsed)) {
+            // Clear and rebuild only when necessary
+            tocContainer.innerHTML = '';
+
+            const header = document.createElement('div');
+            header.className = 'toc-header';
+
+            header.innerHTML = `
+                <h3>导航</h3>
+                <div class="toc-expand"></div>
+            `;
+            // Add expand functionality
+            const expandButton = header.querySelector('.toc-expand');
+            expandButton.addEventListener('click', () => {
+                this.expandTOC();
+            });
+
+            tocContainer.appendChild(header);
+        } else if (!isCollapsed && existingHeader) {
+            existingHeader.remove();
+        }
+
+        // Update collapsed state tracking
+        tocContainer.dataset.wasCollapsed = isCollapsed;
+
+        if (isCollapsed) {
+            // Collapsed state - already handled above
+            this.applyTOCPosition(tocContainer, false);
+            this.ensureTOCVisible();
+            return;
+        }
+
+        // Handle expanded state content
+        this.updateTOCContent(tocContainer);
+
+        this.applyTOCPosition(tocContainer, false);
+        this.ensureTOCVisible();
+    }
+
+    createTOCToolbarButton(className, label, iconSvg) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `toc-toolbar-btn ${className}`;
+        button.title = label;
+        button.setAttribute('aria-label', label);
+        button.innerHTML = iconSvg;
+        return button;
+    }
+
+    // Inline action inside a TOC item; a span because the item itself is a <button>
+    createTOCItemAction(className, label, iconSvg, onActivate) {
+        const action = document.createElement('span');
+        action.className = `toc-item-action ${className}`;
+        action.setAttribute('role', 'button');
+        action.setAttribute('tabindex', '0');
+        action.title = label;
+        action.setAttribute('aria-label', label);
+        action.innerHTML = iconSvg;
+        action.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            onActivate(e);
+        });
+        action.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter' && e.key !== ' ') return;
+            e.preventDefault();
+            e.stopPropagation();
+            onActivate(e);
+        });
+        return action;
+    }
+
+    isMarkerVisibleInTOC(markerId) {
+        if (this.tocStarredOnly && !this.isTurnStarred(markerId)) return false;
+        if (this.tocTagFilter && !this.turnHasTag(markerId, this.tocTagFilter)) return false;
+        if (this.isSearchMiss(markerId)) return false;
+        return true;
+    }
+
+    // Hide TOC items that don't pass the active filters
+    applyTOCFilters(tocContainer = document.querySelector('.timeline-toc')) {
+        if (!tocContainer) return;
+
+        const starredFilterButton = tocContainer.querySelector('.toc-starred-filter-btn');
+        if (starredFilterButton) {
+            starredFilterButton.setAttribute('aria-pressed', this.tocStarredOnly ? 'true' : 'false');
+        }
+
+        this.updateTagFilter(tocContainer);
+        this.updateSearchControls(tocContainer);
+
+        const list = tocContainer.querySelector('.toc-list');
+        if (!list) return;
+
+        const terms = this.getSearchTerms();
+        const markersById = new Map(this.markers.map(marker => [marker.id, marker]));
+        const currentHitId = this.getSearchHitMarkers()[this.searchHitCursor]?.id || null;
+        let currentHitItem = null;
+        let visibleCount = 0;
+        list.querySelectorAll('.toc-item').forEach(item => {
+            const turnId = item.dataset.turnId;
+            const visible = this.isMarkerVisibleInTOC(turnId);
+            item.hidden = !visible;
+            if (visible) visibleCount++;
+
+            const isCurrentHit = !!currentHitId && turnId === currentHitId;
+            item.classList.toggle('search-current', isCurrentHit);
+            if (isCurrentHit) currentHitItem = item;
+
+            const userMessage = item.querySelector('.toc-user-message');
+            if (userMessage) this.renderTOCItemLabel(userMessage, markersById.get(turnId), terms);
+        });
+        list.querySelectorAll('.toc-outline').forEach(outline => {
+            outline.hidden = !this.isMarkerVisibleInTOC(outline.dataset.turnId);
+        });
+
+        let emptyHint = list.querySelector('.toc-filter-empty');
+        if (visibleCount === 0 && this.markers.length > 0) {
+            if (!emptyHint) {
+                emptyHint = document.createElement('div');
+                emptyHint.className = 'toc-filter-empty';
+                list.appendChild(emptyHint);
+            }
+            emptyHint.textContent = this.tocStarredOnly && terms.length === 0 ? '还没有收藏的对话' : '没有匹配的对话';
+        } else if (emptyHint) {
+            emptyHint.remove();
+        }
+
+        if (currentHitItem) {
+            currentHitItem.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+        }
+    }
+
+    // One chip per tag used in this conversation; the pressed chip narrows the TOC
+    updateTagFilter(tocContainer) {
+        const toolbar = tocContainer.querySelector('.toc-toolbar');
+        if (!toolbar) return;
+        const tags = this.getAllTurnTags();
+        let row = toolbar.querySelector('.toc-tag-filter');
+        if (tags.length === 0) {
+            row?.remove();
+            return;
+        }
+        if (!row) {
+            row = document.createElement('div');
+            row.className = 'toc-tag-filter';
+            row.setAttribute('role', 'group');
+            row.setAttribute('aria-label', '按标签筛选');
+            toolbar.appendChild(row);
+        }
+        const signature = tags.join('\u001f');
+        if (row.dataset.tags !== signature) {
+            row.dataset.tags = signature;
+            row.textContent = '';
+            tags.forEach(tag => {
+                const chip = document.createElement('button');
+                chip.type = 'button';
+                chip.className = 'toc-tag-chip';
+                chip.dataset.tag = tag;
+                chip.textContent = `#${tag}`;
+                chip.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    const active = this.tocTagFilter.toLowerCase() === tag.toLowerCase();
+                    this.tocTagFilter = active ? '' : tag;
+                    this.applyTOCFilters(tocContainer);
+                });
+                row.appendChild(chip);
+            });
+        }
+        row.querySelectorAll('.toc-tag-chip').forEach(chip => {
+            const active = this.tocTagFilter.toLowerCase() === chip.dataset.tag.toLowerCase();
+            chip.setAttribute('aria-pressed', active ? 'true' : 'false');
+        });
+    }
+
+    // --- TOC search ---
+    createTOCSearchBox() {
+        const box = document.createElement('div');
+        box.className = 'toc-search';
+        box.setAttribute('role', 'search');
+
+        const input = document.createElement('input');
+        input.type = 'search';
+        input.className = 'toc-search-input';
+        input.placeholder = '搜索对话';
+        input.setAttribute('aria-label', '搜索提问和回复');
+        input.value = this.tocSearchQuery;
+
+        const count = document.createElement('span');
+        count.className = 'toc-search-count';
+        count.setAttribute('aria-live', 'polite');
+
+        const prevButton = this.createTOCToolbarButton('toc-search-prev', '上一个结果 (Shift+Enter)', `
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <polyline points="18 15 12 9 6 15"></polyline>
+            </svg>
+        `);
+        const nextButton = this.createTOCToolbarButton('toc-search-next', '下一个结果 (Enter)', `
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <polyline points="6 9 12 15 18 9"></polyline>
+            </svg>
+        `);
+
+        const debouncedSearch = this.debounce((value) => this.setSearchQuery(value), 120);
+        input.addEventListener('input', () => debouncedSearch(input.value));
+        input.addEventListener('keydown', (e) => {
+            // Keep the host page from treating typing here as its own shortcuts
+            e.stopPropagation();
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                // Apply pending input first so Enter never navigates stale hits
+                if (input.value !== this.tocSearchQuery) this.setSearchQuery(input.value);
+                this.gotoSearchHit(e.shiftKey ? -1 : 1);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                if (input.value) {
+                    input.value = '';
+                    this.setSearchQuery('');
+                } else {
+                    input.blur();
+                }
+            }
+        });
+        prevButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.gotoSearchHit(-1);
+        });
+        nextButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.gotoSearchHit(1);
+        });
+
+        box.appendChild(input);
+        box.appendChild(count);
+        box.appendChild(prevButton);
+        box.appendChild(nextButton);
+        return box;
+    }
+
+    getSearchTerms(query = this.tocSearchQuery) {
+        return String(query || '').trim().toLowerCase().split(/\s+/).filter(Boolean);
+    }
+
+    // Every term must appear in the question or the reply (case-insensitive)
+    markerMatchesSearch(marker, terms) {
+        const entry = this.getTurnNote(marker?.id);
+        const note = entry ? `${entry.note}\n${entry.tags.join(' ')}` : '';
+        const haystack = `${marker?.summary || ''}\n${marker?.chatgptReply || ''}\n${note}`.toLowerCase();
+        return terms.every(term => haystack.includes(term));
+    }
+
+    // Recompute hits whenever the query or the markers change
+    refreshSearchHits() {
+        const terms = this.getSearchTerms();
+        this.searchHitIds = new Set(terms.length
+            ? this.markers.filter(marker => this.markerMatchesSearch(marker, terms)).map(marker => marker.id)
+            : []);
+        if (this.searchHitCursor >= this.searchHitIds.size) this.searchHitCursor = -1;
+    }
+
+    isSearchActive() {
+        return this.getSearchTerms().length > 0;
+    }
+
+    isSearchMiss(markerId) {
+        return this.isSearchActive() && !this.searchHitIds.has(markerId);
+    }
+
+    getSearchHitMarkers() {
+        return this.markers.filter(marker => this.searchHitIds.has(marker.id));
+    }
+
+    setSearchQuery(query) {
+        this.tocSearchQuery = String(query || '');
+        this.searchHitCursor = -1;
+        this.refreshSearchHits();
+        this.applyTurnStates();
+    }
+
+    // Step through hits in conversation order; direction is 1 (next) or -1 (previous)
+    gotoSearchHit(direction = 1) {
+        const hits = this.getSearchHitMarkers();
+        if (hits.length === 0) return;
+
+        if (this.searchHitCursor < 0) {
+            this.searchHitCursor = direction > 0 ? 0 : hits.length - 1;
+        } else {
+            this.searchHitCursor = (this.searchHitCursor + direction + hits.length) % hits.length;
+        }
+
+        const marker = hits[this.searchHitCursor];
+        const targetElement = this.markerById.get(marker.id) || marker.element;
+        if (targetElement) {
+            this.smoothScrollTo(targetElement);
+        }
+        this.applyTOCFilters();
+    }
+
+    updateSearchControls(tocContainer) {
+        const count = tocContainer.querySelector('.toc-search-count');
+        const hitCount = this.searchHitIds.size;
+        const active = this.isSearchActive();
+        if (count) {
+            if (!active) {
+                count.textContent = '';
+            } else if (hitCount === 0) {
+                count.textContent = '无结果';
+            } else if (this.searchHitCursor >= 0) {
+                count.textContent = `${this.searchHitCursor + 1}/${hitCount}`;
+            } else {
+                count.textContent = `${hitCount} 条`;
+            }
+        }
+        tocContainer.querySelectorAll('.toc-search-prev, .toc-search-next').forEach(button => {
+            button.disabled = hitCount === 0;
+        });
+        const input = tocContainer.querySelector('.toc-search-input');
+        if (input && document.activeElement !== input && input.value !== this.tocSearchQuery) {
+            input.value = this.tocSearchQuery;
+        }
+    }
+
+    // Render the TOC label with <mark> around hits; reply-only hits get a context snippet
+    renderTOCItemLabel(userMessage, marker, terms) {
+        const label = userMessage.dataset.label || '';
+        userMessage.textContent = '';
+        this.appendHighlightedText(userMessage, label, terms);
+
+        if (!marker || terms.length === 0) return;
+        const labelLower = label.toLowerCase();
+        const missingTerm = terms.find(term => !labelLower.includes(term));
+        if (!missingTerm) return;
+
+        const source = [marker.chatgptReply, this.getTurnNote(marker.id)?.note]
+            .find(text => text && text.toLowerCase().includes(missingTerm));
+        const snippet = this.buildSearchSnippet(source || marker.chatgptReply || marker.summary || '', missingTerm);
+        if (!snippet) return;
+        const snippetEl = document.createElement('span');
+        snippetEl.className = 'toc-search-snippet';
+        this.appendHighlightedText(snippetEl, snippet, terms);
+        userMessage.appendChild(snippetEl);
+    }
+
+    appendHighlightedText(parent, text, terms) {
+        if (!terms.length) {
+            parent.appendChild(document.createTextNode(text));
+            return;
+        }
+        const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+        text.split(pattern).forEach((part, index) => {
+            if (!part) return;
+            if (index % 2 === 1) {
+                const mark = document.createElement('mark');
+                mark.className = 'toc-search-mark';
+                mark.textContent = part;
+                parent.appendChild(mark);
+            } else {
+                parent.appendChild(document.createTextNode(part));
+            }
+        });
+    }
+
+    buildSearchSnippet(text, term, radius = 16) {
+        const normalized = String(text || '').replace(/\s+/g, ' ').trim();
+        const index = normalized.toLowerCase().indexOf(term);
+        if (index < 0) return '';
+        const start = Math.max(0, index - radius);
+        const end = Math.min(normalized.length, index + term.length + radius);
+        return `${start > 0 ? '…' : ''}${normalized.slice(start, end)}${end < normalized.length ? '…' : ''}`;
+    }
+
+    // Action bar shown at the top of the expanded navigation panel
+    ensureTOCToolbar(tocContainer) {
+        let toolbar = tocContainer.querySelector('.toc-toolbar');
+        if (!toolbar) {
+            toolbar = document.createElement('div');
+            toolbar.className = 'toc-toolbar';
+
+            const tabs = document.createElement('div');
+            tabs.className = 'toc-tabs';
+            tabs.setAttribute('role', 'tablist');
+            TOC_VIEWS.forEach(([view, label]) => {
+                const tab = document.createElement('button');
+                tab.type = 'button';
+                tab.className = 'toc-tab';
+                tab.setAttribute('role', 'tab');
+                tab.dataset.view = view;
+                tab.textContent = label;
+                tab.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.setTOCView(view, tocContainer);
+                });
+                tabs.appendChild(tab);
+            });
+            toolbar.appendChild(tabs);
+            toolbar.appendChild(this.createTOCSearchBox());
+
+            const starredFilterButton = this.createTOCToolbarButton('toc-starred-filter-btn', '仅显示收藏', `
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linejoin="round">
+                    <polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"></polygon>
+                </svg>
+            `);
+            starredFilterButton.setAttribute('aria-pressed', this.tocStarredOnly ? 'true' : 'false');
+            starredFilterButton.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.tocStarredOnly = !this.tocStarredOnly;
+                this.applyTOCFilters(tocContainer);
+            });
+
+            const exportButton = this.createTOCToolbarButton('toc-export-btn', '导出对话', `
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
+                    <polyline points="7 10 12 15 17 10"></polyline>
+                    <line x1="12" y1="15" x2="12" y2="3"></line>
+                </svg>
+            `);
+            exportButton.setAttribute('aria-haspopup', 'menu');
+            exportButton.setAttribute('aria-expanded', 'false');
+
+            const menu = document.createElement('div');
+            menu.className = 'toc-export-menu';
+            menu.setAttribute('role', 'menu');
+            menu.hidden = true;
+
+            const setMenuOpen = (open) => {
+                menu.hidden = !open;
+                exportButton.setAttribute('aria-expanded', open ? 'true' : 'false');
+            };
+
+            CONVERSATION_EXPORT_FORMATS.forEach(([format, label]) => {
+                const option = document.createElement('button');
+                option.type = 'button';
+                option.className = 'toc-export-option';
+                option.setAttribute('role', 'menuitem');
+                option.dataset.format = format;
+                option.textContent = label;
+                option.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    setMenuOpen(false);
+                    this.exportConversation(format);
+                });
+                menu.appendChild(option);
+            });
+
+            exportButton.addEventListener('click', (e) => {
+                e.stopPropagation();
+                setMenuOpen(menu.hidden);
+            });
+            toolbar.addEventListener('focusout', (e) => {
+                if (!toolbar.contains(e.relatedTarget)) setMenuOpen(false);
+            });
+
+            const fullTextButton = this.createTOCToolbarButton('toc-fulltext-btn', '保存到离线搜索', `
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <ellipse cx="12" cy="5" rx="9" ry="3"></ellipse>
+                    <path d="M21 12c0 1.66-4 3-9 3s-9-1.34-9-3"></path>
+                    <path d="M3 5v14c0 1.66 4 3 9 3s9-1.34 9-3V5"></path>
+                </svg>
+            `);
+            fullTextButton.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.setFullTextIndexed(!this.fullTextIndexed);
+            });
+
+            toolbar.appendChild(starredFilterButton);
+            toolbar.appendChild(fullTextButton);
+            toolbar.appendChild(exportButton);
+            toolbar.appendChild(menu);
+            tocContainer.prepend(toolbar);
+            this.syncFullTextIndexButton();
+        }
+
+        const exportButton = toolbar.querySelector('.toc-export-btn');
+        if (exportButton) exportButton.disabled = this.markers.length === 0;
+        toolbar.querySelectorAll('.toc-tab').forEach(tab => {
+            tab.setAttribute('aria-selected', tab.dataset.view === this.tocView ? 'true' : 'false');
+        });
+        return toolbar;
+    }
+
+    setTOCView(view, tocContainer = document.querySelector('.timeline-toc')) {
+        this.tocView = TOC_VIEWS.some(([name]) => name === view) ? view : 'turns';
+        if (!tocContainer) return;
+        tocContainer.querySelectorAll('.toc-tab').forEach(tab => {
+            tab.setAttribute('aria-selected', tab.dataset.view === this.tocView ? 'true' : 'false');
+        });
+        this.lastCodePanelSignature = '';
+        this.lastStatsPanelSignature = '';
+        this.updateTOCPanels(tocContainer);
+    }
+
+    // The code and stats tabs replace the turn list while they are open
+    updateTOCPanels(tocContainer) {
+        tocContainer.classList.toggle('is-panel-view', this.tocView !== 'turns');
+        tocContainer.classList.toggle('is-code-view', this.tocView === 'code');
+        tocContainer.classList.toggle('is-stats-view', this.tocView === 'stats');
+        this.updateTOCCodePanel(tocContainer);
+        this.updateTOCStatsPanel(tocContainer);
+    }
+
+    // --- Conversation statistics ---
+    collectConversationStats() {
+        return computeConversationStats(this.markers.map((marker, index) => {
+            const reply = marker.replyElement?.isConnected ? marker.replyElement : this.getReplyElement(marker.element);
+            return {
+                turnId: marker.id,
+                index: index + 1,
+                question: this.getFullTextContent(this.getUserContentElement(marker.element) || marker.element),
+                answer: this.getFullChatGPTReply(marker.element),
+                codeBlocks: reply ? Array.from(reply.querySelectorAll('pre')).filter(pre => !pre.parentElement?.closest('pre')).length : 0
+            };
+        }));
+    }
 
-        const isCollapsed = tocContainer.classList.contains('collapsed');
-        const wasCollapsed = tocContainer.dataset.wasCollapsed === 'true';
+    updateTOCStatsPanel(tocContainer) {
+        let panel = tocContainer.querySelector('.toc-stats-panel');
+        if (this.tocView !== 'stats') {
+            panel?.remove();
+            this.lastStatsPanelSignature = '';
+            return;
+        }
+        // Serializing every turn is the expensive part, so only redo it when the text changed
+        const signature = this.markers.map(marker =>
+            `${marker.id}\u001f${(marker.element?.textContent || '').length}\u001f${(marker.replyElement?.textContent || '').length}`
+        ).join('\u001e');
+        if (panel && signature === this.lastStatsPanelSignature) return;
+        this.lastStatsPanelSignature = signature;
 
-        // Only rebuild header if state changed or it's missing
-        const existingHeader = tocContainer.querySelector('.toc-header');
-        if (isCollapsed && (!existingHeader || isCollapsed !== wasCollapsed)) {
-            // Clear and rebuild only when necessary
-            tocContainer.innerHTML = '';
+        if (!panel) {
+            panel = document.createElement('div');
+            panel.className = 'toc-stats-panel';
+            panel.setAttribute('role', 'tabpanel');
+            tocContainer.appendChild(panel);
+        }
+        panel.textContent = '';
+        const stats = this.collectConversationStats();
 
-            const header = document.createElement('div');
-            header.className = 'toc-header';
+        const summary = document.createElement('div');
+        summary.className = 'toc-stats-summary';
+        summary.textContent = `${stats.turnCount} 轮 · 约 ${formatCompactNumber(stats.totalTokens)} tokens · ${stats.codeBlocks} 个代码块`;
+        panel.appendChild(summary);
 
-            header.innerHTML = `
-                <h3>导航</h3>
-                <div class="toc-expand"></div>
-            `;
-            // Add expand functionality
-            const expandButton = header.querySelector('.toc-expand');
-            expandButton.addEventListener('click', () => {
-                this.expandTOC();
+        const table = document.createElement('div');
+        table.className = 'toc-stats-grid';
+        [
+            ['', '提问', '回答'],
+            ['字符', stats.user.chars, stats.assistant.chars],
+            ['词', stats.user.words, stats.assistant.words],
+            ['tokens', stats.user.tokens, stats.assistant.tokens]
+        ].forEach((row, rowIndex) => {
+            row.forEach(value => {
+                const cell = document.createElement('span');
+                cell.className = rowIndex === 0 ? 'toc-stats-head' : 'toc-stats-cell';
+                cell.textContent = typeof value === 'number' ? formatCompactNumber(value) : value;
+                if (typeof value === 'number') cell.title = value.toLocaleString();
+                table.appendChild(cell);
             });
+        });
+        panel.appendChild(table);
 
-            tocContainer.appendChild(header);
-        } else if (!isCollapsed && existingHeader) {
-            existingHeader.remove();
+        if (stats.perTurn.length) {
+            panel.appendChild(this.createStatsSparkline(stats.perTurn));
         }
 
-        // Update collapsed state tracking
-        tocContainer.dataset.wasCollapsed = isCollapsed;
+        if (stats.longestReplies.length) {
+            const heading = document.createElement('div');
+            heading.className = 'toc-stats-heading';
+            heading.textContent = '最长回答';
+            panel.appendChild(heading);
+            stats.longestReplies.forEach(turn => {
+                panel.appendChild(this.createStatsTurnButton(turn, `#${turn.index} · ${turn.replyChars.toLocaleString()} 字符`));
+            });
+        }
 
-        if (isCollapsed) {
-            // Collapsed state - already handled above
-            this.applyTOCPosition(tocContainer, false);
-            this.ensureTOCVisible();
-            return;
-        }
-
-        // Handle expanded state content
-        this.updateTOCContent(tocContainer);
-
-        this.applyTOCPosition(tocContainer, false);
-        this.ensureTOCVisible();
-    }
+        const heading = document.createElement('div');
+        heading.className = 'toc-stats-heading';
+        heading.textContent = '每轮 tokens（累计）';
+        panel.appendChild(heading);
+        const list = document.createElement('div');
+        list.className = 'toc-stats-turns';
+        stats.perTurn.forEach(turn => {
+            list.appendChild(this.createStatsTurnButton(turn, `#${turn.index} · ${formatCompactNumber(turn.tokens)}（${formatCompactNumber(turn.cumulative)}）`));
+        });
+        panel.appendChild(list);
+    }
+
+    createStatsTurnButton(turn, label) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'toc-stats-turn';
+        button.dataset.turnId = turn.turnId;
+        button.textContent = label;
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const target = this.markerById.get(turn.turnId);
+            if (target) this.smoothScrollTo(target);
+        });
+        return button;
+    }
+
+    // Bars are tokens per turn, the line is the running total (each scaled to its own maximum)
+    createStatsSparkline(perTurn) {
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const height = 40;
+        const maxTokens = Math.max(1, ...perTurn.map(turn => turn.tokens));
+        const total = Math.max(1, perTurn[perTurn.length - 1].cumulative);
+        const svg = document.createElementNS(svgNS, 'svg');
+        svg.setAttribute('class', 'toc-stats-sparkline');
+        svg.setAttribute('viewBox', `0 0 ${perTurn.length} ${height}`);
+        svg.setAttribute('preserveAspectRatio', 'none');
+        svg.setAttribute('role', 'img');
+        svg.setAttribute('aria-label', '每轮长度');
+
+        perTurn.forEach((turn, i) => {
+            const barHeight = Math.max(1, (turn.tokens / maxTokens) * (height - 2));
+            const bar = document.createElementNS(svgNS, 'rect');
+            bar.setAttribute('class', `toc-stats-bar${turn.turnId === this.activeTurnId ? ' active' : ''}`);
+            bar.setAttribute('x', String(i + 0.1));
+            bar.setAttribute('y', String(height - barHeight));
+            bar.setAttribute('width', '0.8');
+            bar.setAttribute('height', String(barHeight));
+            const title = document.createElementNS(svgNS, 'title');
+            title.textContent = `#${turn.index} · ${turn.tokens.toLocaleString()} tokens（累计 ${turn.cumulative.toLocaleString()}）`;
+            bar.appendChild(title);
+            bar.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const target = this.markerById.get(turn.turnId);
+                if (target) this.smoothScrollTo(target);
+            });
+            svg.appendChild(bar);
+        });
+
+        const line = document.createElementNS(svgNS, 'polyline');
+        line.setAttribute('class', 'toc-stats-cumulative');
+        line.setAttribute('points', perTurn.map((turn, i) =>
+            `${(i + 0.5).toFixed(2)},${(height - (turn.cumulative / total) * (height - 2)).toFixed(2)}`
+        ).join(' '));
+        line.setAttribute('vector-effect', 'non-scaling-stroke');
+        svg.appendChild(line);
+        return svg;
+    }
+
+    // --- Code collector ---
+    // Every code block in the replies, grouped by turn: [{ marker, index, blocks }]
+    collectCodeBlocks() {
+        const groups = [];
+        this.markers.forEach((marker, index) => {
+            const reply = marker.replyElement?.isConnected ? marker.replyElement : this.getReplyElement(marker.element);
+            if (!reply) return;
+            const blocks = Array.from(reply.querySelectorAll('pre'))
+                .filter(pre => !pre.parentElement?.closest('pre'))
+                .map((pre, blockIndex) => {
+                    const code = getMarkdownCodeText(pre, this.siteType);
+                    const language = this.detectCodeLanguage(pre);
+                    const lines = code ? code.split('\n').length : 0;
+                    return {
+                        pre,
+                        code,
+                        language,
+                        lines,
+                        firstLine: code.split('\n').find(line => line.trim())?.trim() || '',
+                        fileName: `turn-${index + 1}-${blockIndex + 1}.${guessCodeFileExtension(language, code)}`
+                    };
+                })
+                .filter(block => block.code.trim());
+            if (blocks.length) groups.push({ marker, index: index + 1, blocks });
+        });
+        return groups;
+    }
+
+    // Newest turn first: the latest version of a function is usually the one wanted
+    updateTOCCodePanel(tocContainer) {
+        let panel = tocContainer.querySelector('.toc-code-panel');
+        if (this.tocView !== 'code') {
+            panel?.remove();
+            this.lastCodePanelSignature = '';
+            return;
+        }
+        const groups = this.collectCodeBlocks();
+        const signature = groups.map(group =>
+            `${group.marker.id}\u001f${group.blocks.map(block => `${block.lines}:${block.code.length}`).join(',')}`
+        ).join('\u001e');
+        if (panel && signature === this.lastCodePanelSignature) return;
+        this.lastCodePanelSignature = signature;
+
+        if (!panel) {
+            panel = document.createElement('div');
+            panel.className = 'toc-code-panel';
+            panel.setAttribute('role', 'tabpanel');
+            tocContainer.appendChild(panel);
+        }
+        panel.textContent = '';
+
+        const total = groups.reduce((sum, group) => sum + group.blocks.length, 0);
+        const header = document.createElement('div');
+        header.className = 'toc-code-header';
+        const count = document.createElement('span');
+        count.className = 'toc-code-count';
+        count.textContent = total ? `${total} 个代码块` : '回答中还没有代码块';
+        header.appendChild(count);
+        if (total) {
+            const download = document.createElement('button');
+            download.type = 'button';
+            download.className = 'toc-code-download';
+            download.textContent = '全部下载 (.zip)';
+            download.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.downloadCodeBlocks();
+            });
+            header.appendChild(download);
+        }
+        panel.appendChild(header);
+
+        [...groups].reverse().forEach(group => {
+            const section = document.createElement('div');
+            section.className = 'toc-code-group';
+            const title = document.createElement('button');
+            title.type = 'button';
+            title.className = 'toc-code-turn';
+            title.textContent = `#${group.index} ${this.truncateText(group.marker.summary || '', 36)}`;
+            title.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const target = this.markerById.get(group.marker.id) || group.marker.element;
+                if (target) this.smoothScrollTo(target);
+            });
+            section.appendChild(title);
+            group.blocks.forEach(block => section.appendChild(this.createTOCCodeItem(block)));
+            panel.appendChild(section);
+        });
+    }
+
+    createTOCCodeItem(block) {
+        const item = document.createElement('div');
+        item.className = 'toc-code-item';
+        const meta = document.createElement('span');
+        meta.className = 'toc-code-meta';
+        meta.textContent = `${block.language || 'text'} · ${block.lines} 行`;
+        const preview = document.createElement('span');
+        preview.className = 'toc-code-preview';
+        preview.textContent = block.firstLine;
+        preview.title = block.firstLine;
+
+        const copy = this.createTOCItemAction('toc-code-copy', '复制代码', `
+            <svg width="13" height="13" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect>
+                <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path>
+            </svg>
+        `, () => this.copyCodeBlock(block.code));
+        const jump = this.createTOCItemAction('toc-code-jump', '跳转到代码', `
+            <svg width="13" height="13" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                <polyline points="9 18 15 12 9 6"></polyline>
+            </svg>
+        `, () => {
+            if (!block.pre.isConnected) return;
+            this.smoothScrollTo(block.pre);
+            this.flashTurn(block.pre);
+        });
+
+        item.append(meta, preview, copy, jump);
+        return item;
+    }
+
+    async copyCodeBlock(code) {
+        try {
+            await navigator.clipboard.writeText(code);
+            this.showCopyFeedback('已复制代码');
+        } catch {
+            this.fallbackCopyText(code, '已复制代码');
+        }
+    }
+
+    downloadCodeBlocks() {
+        const files = this.collectCodeBlocks().flatMap(group => group.blocks)
+            .map(block => ({ name: block.fileName, content: `${block.code}\n` }));
+        if (!files.length) return;
+        try {
+            const archive = createZipArchive(files);
+            const fileName = `${sanitizeFileName(this.getConversationTitle())}-code-${formatFileTimestamp()}.zip`;
+            this.downloadBlob(fileName, new Blob([archive], { type: 'application/zip' }));
+        } catch (error) {
+            console.error('Failed to download code blocks:', error);
+        }
+    }
 
     updateTOCContent(tocContainer) {
+        this.updateTOCPanels(tocContainer);
         if (this.markers.length === 0) {
             this.lastTOCSignature = '';
             this.lastTOCItemCount = 0;
@@ -3279,11 +5289,13 @@ class TimelineManager {
         list.textContent = '';
 
         // Add current markers
+        const assistantMode = this.getAssistantMarkerMode();
         this.markers.forEach((marker, index) => {
             const markerId = marker.id;
+            const starred = this.isTurnStarred(markerId);
             const item = document.createElement('button');
             item.type = 'button';
-            item.className = `toc-item${markerId === this.activeTurnId ? ' active' : ''}`;
+            item.className = `toc-item${markerId === this.activeTurnId ? ' active' : ''}${starred ? ' starred' : ''}${this.selectedTurnIds.has(markerId) ? ' is-selected' : ''}`;
             item.dataset.turnId = markerId;
             item.setAttribute('aria-label', `跳转到第 ${index + 1} 条：${marker.summary || ''}`);
 
@@ -3297,12 +5309,57 @@ class TimelineManager {
 
             const userMessage = document.createElement('span');
             userMessage.className = 'toc-user-message';
-            userMessage.textContent = this.truncateText(marker.summary || `第 ${index + 1} 条对话`, 42);
+            userMessage.dataset.label = this.truncateText(marker.summary || `第 ${index + 1} 条对话`, 42);
+            userMessage.textContent = userMessage.dataset.label;
+
+            const starButton = this.createTOCItemAction('toc-star-btn', starred ? '取消收藏' : '收藏', `
+                <svg width="13" height="13" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linejoin="round">
+                    <polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"></polygon>
+                </svg>
+            `, () => this.toggleTurnStar(markerId));
+            starButton.setAttribute('aria-pressed', starred ? 'true' : 'false');
+
+            const tags = document.createElement('span');
+            tags.className = 'toc-item-tags';
+            const noteButton = this.createTOCItemAction('toc-note-btn', '添加笔记', `
+                <svg width="13" height="13" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                    <path d="M12 20h9"></path>
+                    <path d="M16.5 3.5a2.12 2.12 0 0 1 3 3L7 19l-4 1 1-4 12.5-12.5z"></path>
+                </svg>
+            `, () => this.openNoteEditor(markerId, item));
+
+            const linkButton = this.createTOCItemAction('toc-link-btn', '复制此轮链接', `
+                <svg width="13" height="13" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                    <path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"></path>
+                    <path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"></path>
+                </svg>
+            `, () => this.copyTurnLink(markerId));
 
             content.appendChild(userMessage);
+            if (this.hasBranches(marker)) {
+                content.appendChild(this.createTOCBranchBadge(marker));
+            }
+            content.appendChild(tags);
+            content.appendChild(linkButton);
+            content.appendChild(noteButton);
+            content.appendChild(starButton);
             item.appendChild(indexEl);
             item.appendChild(content);
 
+            const outline = this.getReplyOutline(marker.replyElement);
+            const outlineEl = outline.length ? this.createTOCOutline(markerId, outline) : null;
+            if (outlineEl) {
+                const expanded = this.tocExpandedOutlines.has(markerId);
+                const outlineButton = this.createTOCItemAction('toc-outline-btn', expanded ? '收起大纲' : '展开大纲', `
+                    <svg width="13" height="13" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round">
+                        <line x1="9" y1="6" x2="21" y2="6"></line><line x1="9" y1="12" x2="21" y2="12"></line><line x1="9" y1="18" x2="21" y2="18"></line>
+                        <line x1="4" y1="6" x2="4.01" y2="6"></line><line x1="4" y1="12" x2="4.01" y2="12"></line><line x1="4" y1="18" x2="4.01" y2="18"></line>
+                    </svg>
+                `, () => this.toggleTOCOutline(markerId, outlineButton, outlineEl));
+                outlineButton.setAttribute('aria-expanded', expanded ? 'true' : 'false');
+                content.appendChild(outlineButton);
+            }
+
             // Use debounced click handler to prevent rapid-fire updates
             const debouncedClick = this.debounce((e) => {
                 e.stopPropagation();
@@ -3316,10 +5373,125 @@ class TimelineManager {
                 }, 50);
             }, 100);
 
-            item.addEventListener('click', debouncedClick);
+            item.addEventListener('click', (e) => {
+                if (this.handleSelectionClick(e, markerId)) return;
+                debouncedClick(e);
+            });
+            item.addEventListener('contextmenu', (e) => this.handleSelectionContextMenu(e, markerId));
 
             list.appendChild(item);
+            if (assistantMode !== 'off' && marker.replyElement) {
+                list.appendChild(this.createTOCReplyItem(marker, index, assistantMode));
+            }
+            if (outlineEl) list.appendChild(outlineEl);
+            this.syncTOCItemNote(item);
+            this.syncTOCItemProgress(item);
+        });
+
+        this.applyTOCFilters(tocContainer);
+    }
+
+    createTOCBranchBadge(marker, kinds) {
+        const badge = document.createElement('span');
+        badge.className = 'toc-branch-badge';
+        badge.textContent = `⑂ ${this.getBranchLabel(marker, kinds)}`;
+        badge.title = this.getBranchVersionsText(marker, kinds);
+        if (!marker.branches?.reply) return badge;
+
+        // Regenerated replies can be compared from the badge
+        badge.title += '（点击对比版本）';
+        badge.setAttribute('role', 'button');
+        badge.setAttribute('tabindex', '0');
+        const open = (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.openBranchDiff(marker.id);
+        };
+        badge.addEventListener('click', open);
+        badge.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') open(e);
+        });
+        return badge;
+    }
+
+    createTOCReplyItem(marker, index, mode) {
+        const item = document.createElement('button');
+        item.type = 'button';
+        item.className = `toc-item toc-reply-item is-${mode}${marker.id === this.activeTurnId ? ' active' : ''}${this.isTurnStarred(marker.id) ? ' starred' : ''}${this.selectedTurnIds.has(marker.id) ? ' is-selected' : ''}`;
+        item.dataset.turnId = marker.id;
+        item.dataset.reply = 'true';
+        item.style.setProperty('--reply-scale', String(getReplyMarkerScale(marker.replyLength)));
+        item.setAttribute('aria-label', `跳转到第 ${index + 1} 条的回复：${marker.chatgptReply || ''}`);
+
+        const content = document.createElement('span');
+        content.className = 'toc-content';
+        const reply = document.createElement('span');
+        reply.className = 'toc-reply-message';
+        reply.textContent = this.truncateText(marker.chatgptReply || '回复', 42);
+        content.appendChild(reply);
+        if (marker.branches?.reply) {
+            content.appendChild(this.createTOCBranchBadge(marker, ['reply']));
+        }
+        item.appendChild(content);
+
+        item.addEventListener('click', (e) => {
+            if (this.handleSelectionClick(e, marker.id)) return;
+            e.stopPropagation();
+            const targetElement = this.getReplyTargetElement(marker.id);
+            if (targetElement) {
+                this.smoothScrollTo(targetElement);
+            }
+        });
+        item.addEventListener('contextmenu', (e) => this.handleSelectionContextMenu(e, marker.id));
+        return item;
+    }
+
+    // Headings and code blocks of a reply in document order
+    getReplyOutline(replyElement) {
+        if (!replyElement) return [];
+        return Array.from(replyElement.querySelectorAll('h1, h2, h3, h4, pre')).map(element => {
+            if (element.tagName === 'PRE') {
+                const code = element.querySelector('code') || element;
+                const firstLine = (code.textContent || '').trim().split('\n')[0];
+                return { type: 'code', level: 0, element, language: this.detectCodeLanguage(code), text: this.normalizeText(firstLine) };
+            }
+            return { type: 'heading', level: Number(element.tagName.slice(1)), element, text: this.normalizeText(element.textContent || '') };
+        }).filter(entry => entry.text);
+    }
+
+    createTOCOutline(markerId, outline) {
+        const container = document.createElement('div');
+        container.className = `toc-outline${this.tocExpandedOutlines.has(markerId) ? ' expanded' : ''}`;
+        container.dataset.turnId = markerId;
+        container.setAttribute('role', 'group');
+
+        outline.forEach(entry => {
+            const label = entry.type === 'code' ? `${entry.language || '代码'} · ${entry.text}` : entry.text;
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = `toc-outline-item ${entry.type === 'code' ? 'is-code' : `level-${entry.level}`}`;
+            item.textContent = this.truncateText(label, 40);
+            item.title = label;
+            item.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.smoothScrollTo(entry.element);
+            });
+            container.appendChild(item);
         });
+        return container;
+    }
+
+    toggleTOCOutline(markerId, button, outlineEl) {
+        const expanded = !this.tocExpandedOutlines.has(markerId);
+        if (expanded) {
+            this.tocExpandedOutlines.add(markerId);
+        } else {
+            this.tocExpandedOutlines.delete(markerId);
+        }
+        button.setAttribute('aria-expanded', expanded ? 'true' : 'false');
+        button.title = expanded ? '收起大纲' : '展开大纲';
+        button.setAttribute('aria-label', button.title);
+        outlineEl.classList.toggle('expanded', expanded);
     }
 
     buildTOCSignature(markers = this.markers) {
@@ -3327,12 +5499,14 @@ class TimelineManager {
             return '';
         }
 
-        return markers.map((marker, index) => {
+        const signature = markers.map((marker, index) => {
             const markerId = marker?.id || `marker-${index}`;
             const summary = this.normalizeText(marker?.summary || '');
             const chatgptReply = this.normalizeText(marker?.chatgptReply || '');
             return `${markerId}\u001f${summary}\u001f${chatgptReply}`;
         }).join('\u001e');
+        // Reply items are part of the list, so switching modes must rebuild it
+        return `${this.getAssistantMarkerMode()}\u001d${signature}`;
     }
 
     applyTOCPosition(tocContainer, forceDefault = false) {
@@ -3352,6 +5526,94 @@ class TimelineManager {
         return tocContainer.dataset.hasCustomPosition === 'true';
     }
 
+    // --- Keyboard shortcuts ---
+    handleShortcutKeydown(e) {
+        if (!this.settings.enableKeyboardShortcuts || e.defaultPrevented || e.isComposing) return;
+        if (isEditableTarget(e.target)) return;
+        const shortcut = getShortcutFromEvent(e);
+        if (!shortcut) return;
+        const binding = KEYBOARD_SHORTCUTS.find(item => this.settings[item.setting] === shortcut);
+        if (!binding) return;
+        e.preventDefault();
+        e.stopPropagation();
+        this.runShortcutAction(binding.action);
+    }
+
+    runShortcutAction(action) {
+        switch (action) {
+            case 'prevTurn':
+                this.gotoTurnByOffset(-1);
+                break;
+            case 'nextTurn':
+                this.gotoTurnByOffset(1);
+                break;
+            case 'firstTurn':
+                this.gotoTurnAt(0);
+                break;
+            case 'lastTurn':
+                this.gotoTurnAt(this.markers.length - 1);
+                break;
+            case 'toggleTOC':
+                if (this.settings.enableTOC) this.toggleTOC();
+                break;
+            case 'focusSearch':
+                this.focusTOCSearch();
+                break;
+            case 'copyQA': {
+                const marker = this.getKeyboardBaseMarker();
+                if (marker) this.copyQAText(marker);
+                break;
+            }
+            default:
+                return false;
+        }
+        return true;
+    }
+
+    // The active turn, or the one a recent keyboard jump is still scrolling to
+    getKeyboardBaseMarker() {
+        const pending = this.keyboardTarget;
+        const pendingId = pending && Date.now() - pending.time < 800 ? pending.id : null;
+        const id = pendingId || this.activeTurnId;
+        return this.markers.find(marker => marker.id === id) || null;
+    }
+
+    gotoTurnByOffset(offset) {
+        if (!this.markers.length) return;
+        const base = this.getKeyboardBaseMarker();
+        const index = base ? this.markers.indexOf(base) : -1;
+        if (index < 0) {
+            this.gotoTurnAt(offset > 0 ? 0 : this.markers.length - 1);
+        } else {
+            this.gotoTurnAt(index + offset);
+        }
+    }
+
+    gotoTurnAt(index) {
+        if (!this.markers.length) return;
+        const marker = this.markers[Math.max(0, Math.min(this.markers.length - 1, index))];
+        const targetElement = this.markerById.get(marker.id) || marker.element;
+        if (!targetElement) return;
+        this.keyboardTarget = { id: marker.id, time: Date.now() };
+        this.smoothScrollTo(targetElement);
+    }
+
+    focusTOCSearch() {
+        if (!this.settings.enableTOC) return;
+        let tocContainer = document.querySelector('.timeline-toc');
+        if (!tocContainer) {
+            this.createTOC();
+            tocContainer = document.querySelector('.timeline-toc');
+        }
+        if (!tocContainer) return;
+        if (tocContainer.classList.contains('collapsed')) this.expandTOC();
+        const input = tocContainer.querySelector('.toc-search-input');
+        if (input) {
+            input.focus();
+            input.select();
+        }
+    }
+
     // Toggle TOC between collapsed/expanded states
     toggleTOC() {
         const tocContainer = document.querySelector('.timeline-toc');
@@ -3744,7 +6006,7 @@ class TimelineManager {
             tocContainer.querySelectorAll('.toc-item').forEach(item => {
                 const isActive = item.dataset.turnId === this.activeTurnId;
                 item.classList.toggle('active', isActive);
-                if (isActive) activeItem = item;
+                if (isActive && !activeItem) activeItem = item;
             });
 
             if (activeItem) {
@@ -3758,131 +6020,65 @@ class TimelineManager {
         return text.substring(0, maxLength - 3) + '...';
     }
 
-    // Message handler for settings updates
-    async handleMessage(request, sender, sendResponse) {
-        if (request.action === 'updateSettings') {
-            try {
-                // Handle backwards compatibility for enableDragging vs enableLongPressDrag
-                if (request.settings.hasOwnProperty('enableDragging') && !request.settings.hasOwnProperty('enableLongPressDrag')) {
-                    request.settings.enableLongPressDrag = request.settings.enableDragging;
-                }
-                this.settings = { ...this.settings, ...request.settings };
-                await this.saveSettings();
-                settingsCache = { ...DEFAULT_SETTINGS, ...this.settings };
-                settingsCacheLoaded = true;
-
-                if (!isTimelineEnabledForSite(this.settings, this.siteType)) {
-                    this.destroy();
-                    timelineManagerInstance = null;
-                    sendResponse({ success: true, disabled: true });
-                    return;
-                }
+    // Re-render with settings changed elsewhere (popup, options page or another device).
+    // Returns false when the timeline was turned off for this site and the instance destroyed.
+    async applySettings(settings) {
+        this.settings = { ...settings };
 
-                // Re-inject UI with new settings
-                if (this.ui.timelineBar) {
-                    this.ui.timelineBar.remove();
-                    this.ui = { timelineBar: null, tooltip: null };
-                }
-                await this.injectTimelineUI();
-                this.setupEventListeners();
-
-                // Update drag handle visibility based on new settings
-                if (this.settings.enableLongPressDrag && !this.dragHandle) {
-                    this.addDragHandle(this.ui.timelineBar);
-                } else if (!this.settings.enableLongPressDrag && this.dragHandle) {
-                    this.dragHandle.remove();
-                    this.dragHandle = null;
-                }
-
-                if (this.settings.enableTOC) {
-                    const existingTOC = document.querySelector('.timeline-toc');
-                    if (existingTOC) {
-                        // Update existing TOC with new settings instead of recreating
-                        this.applyTOCPosition(existingTOC, true); // Force default position for new settings
-                        this.updateTOC();
-                    } else {
-                        this.createTOC();
-                    }
-                } else {
-                    const toc = document.querySelector('.timeline-toc');
-                    if (toc) toc.remove();
-                }
-
-                sendResponse({ success: true });
-            } catch (error) {
-                console.warn('Failed to handle settings update:', error);
-                sendResponse({ success: false, error: error.message });
-            }
-        } else if (request.action === 'getSettings') {
-            sendResponse(this.settings);
-        } else if (request.action === 'updateChatGPTWidth') {
-            try {
-                // Update CSS variable for ChatGPT width (width already includes unit)
-                document.documentElement.style.setProperty('--timeline-chatgpt-html-content-max-width', request.width);
-                sendResponse({ success: true });
-            } catch (error) {
-                console.warn('Failed to update ChatGPT width:', error);
-                sendResponse({ success: false, error: error.message });
-            }
-        } else if (request.action === 'updateTaskPageWidth') {
-            try {
-                // Update CSS variable for task page width (width already includes unit)
-                document.documentElement.style.setProperty('--timeline-task-page-max-width', request.width);
-                sendResponse({ success: true });
-            } catch (error) {
-                console.warn('Failed to update task page width:', error);
-                sendResponse({ success: false, error: error.message });
-            }
-        } else if (request.action === 'updateGeminiWidth') {
-            try {
-                // Update CSS variable for Gemini width (width already includes unit)
-                document.documentElement.style.setProperty('--timeline-gemini-conversation-max-width', request.width);
-                sendResponse({ success: true });
-            } catch (error) {
-                console.warn('Failed to update Gemini width:', error);
-                sendResponse({ success: false, error: error.message });
-            }
-        } else if (request.action === 'updateClaudeWidth') {
-            try {
-                // Update CSS variable for Claude width (width already includes unit)
-                document.documentElement.style.setProperty('--timeline-claude-content-max-width', request.width);
-                sendResponse({ success: true });
-            } catch (error) {
-                console.warn('Failed to update Claude width:', error);
-                sendResponse({ success: false, error: error.message });
-            }
-        } else if (request.action === 'updateDeepseekWidth') {
-            try {
-                // Update CSS variable for DeepSeek width (width already includes unit)
-                document.documentElement.style.setProperty('--timeline-deepseek-content-width', request.width);
-                sendResponse({ success: true });
-            } catch (error) {
-                console.warn('Failed to update DeepSeek width:', error);
-                sendResponse({ success: false, error: error.message });
-            }
-        } else if (request.action === 'updateDoubaoWidth') {
-            try {
-                // Update CSS variable for Doubao width (width already includes unit)
-                document.documentElement.style.setProperty('--timeline-doubao-content-width', request.width);
-                sendResponse({ success: true });
-            } catch (error) {
-                console.warn('Failed to update Doubao width:', error);
-                sendResponse({ success: false, error: error.message });
-            }
-        } else if (request.action === 'updateGrokWidth') {
-            try {
-                // Update CSS variable for Grok width (width already includes unit)
-                document.documentElement.style.setProperty('--timeline-grok-content-max-width', request.width);
-                sendResponse({ success: true });
-            } catch (error) {
-                console.warn('Failed to update Grok width:', error);
-                sendResponse({ success: false, error: error.message });
+        if (!isTimelineEnabledForSite(this.settings, this.siteType)) {
+            this.destroy();
+            timelineManagerInstance = null;
+            return false;
+        }
+
+        // Re-inject UI with new settings
+        if (this.ui.timelineBar) {
+            this.ui.timelineBar.remove();
+            this.ui = { timelineBar: null, tooltip: null };
+        }
+        await this.injectTimelineUI();
+        this.setupEventListeners();
+
+        // Update drag handle visibility based on new settings
+        if (this.settings.enableLongPressDrag && !this.dragHandle) {
+            this.addDragHandle(this.ui.timelineBar);
+        } else if (!this.settings.enableLongPressDrag && this.dragHandle) {
+            this.dragHandle.remove();
+            this.dragHandle = null;
+        }
+
+        if (this.settings.enableTOC) {
+            const existingTOC = document.querySelector('.timeline-toc');
+            if (existingTOC) {
+                // Update existing TOC with new settings instead of recreating
+                this.applyTOCPosition(existingTOC, true); // Force default position for new settings
+                this.updateTOC();
+            } else {
+                this.createTOC();
             }
+        } else {
+            const toc = document.querySelector('.timeline-toc');
+            if (toc) toc.remove();
+        }
+        return true;
+    }
+
+    // Message handler for popup requests
+    handleMessage(request, sender, sendResponse) {
+        if (request.action === 'getSettings') {
+            sendResponse(this.settings);
+        } else if (request.action === 'runShortcut') {
+            // Browser-level shortcut forwarded by the background worker
+            const binding = KEYBOARD_SHORTCUTS.find(item => item.command === request.command);
+            const handled = !!binding && this.runShortcutAction(binding.action);
+            sendResponse({ success: handled });
+        } else {
+            sendResponse({ success: false, error: 'Unknown action' });
         }
     }
 }
-
-
+
+
 // --- Entry Point and SPA Navigation Handler ---
 let timelineManagerInstance = null;
 let currentUrl = location.href;
@@ -4420,170 +6616,66 @@ function throttle(func, limit) {
 // Start scroll listener after initial attempts
 setTimeout(addScrollListenerForInit, 2000);
 
-async function applyStoredWidthSettings() {
-    try {
-        const result = await chrome.storage.local.get(['chatgptTimelineSettings']);
-        const saved = result.chatgptTimelineSettings || {};
-        const chatgptWidth = saved.chatgptWidth ?? 48;
-        const taskPageWidth = saved.taskPageWidth ?? 48;
-        const geminiWidth = saved.geminiWidth ?? 48;
-        const claudeWidth = saved.claudeWidth ?? 48;
-        const deepseekWidth = saved.deepseekWidthMode === 'width'
-            ? (saved.deepseekWidth ?? DEFAULT_DEEPSEEK_WIDTH)
-            : (DEEPSEEK_PADDING_MAX + DEEPSEEK_PADDING_MIN - (saved.deepseekWidth ?? DEFAULT_DEEPSEEK_PADDING));
-        const doubaoWidth = saved.doubaoWidth ?? DEFAULT_DOUBAO_WIDTH;
-        const grokWidth = saved.grokWidth ?? 85;
-        document.documentElement.style.setProperty('--timeline-chatgpt-html-content-max-width', chatgptWidth + 'rem');
-        document.documentElement.style.setProperty('--timeline-task-page-max-width', taskPageWidth + 'rem');
-        document.documentElement.style.setProperty('--timeline-gemini-conversation-max-width', geminiWidth + 'rem');
-        document.documentElement.style.setProperty('--timeline-claude-content-max-width', claudeWidth + 'rem');
-        document.documentElement.style.setProperty('--timeline-deepseek-content-width', deepseekWidth + 'rem');
-        document.documentElement.style.setProperty('--timeline-doubao-content-width', doubaoWidth + 'rem');
-        document.documentElement.style.setProperty('--timeline-grok-content-max-width', grokWidth + 'rem');
-    } catch (error) {
-        console.warn('Failed to apply stored width settings:', error);
-    }
+function applyWidthSettings(settings) {
+    WIDTH_SETTING_KEYS.forEach(key => {
+        document.documentElement.style.setProperty(SETTINGS_SCHEMA[key].cssVar, settings[key] + 'rem');
+    });
 }
 
-async function handleStandaloneMessage(request, sendResponse) {
-    if (request.action === 'updateSettings') {
-        try {
-            if (request.settings && request.settings.hasOwnProperty('enableDragging') &&
-                !request.settings.hasOwnProperty('enableLongPressDrag')) {
-                request.settings.enableLongPressDrag = request.settings.enableDragging;
-            }
-            const result = await chrome.storage.local.get(['chatgptTimelineSettings']);
-            const saved = result.chatgptTimelineSettings || {};
-            const merged = { ...saved, ...request.settings };
-            const { settings: migrated } = migrateDeepseekWidthSetting({ ...merged });
-            await chrome.storage.local.set({ chatgptTimelineSettings: migrated });
-            settingsCache = { ...DEFAULT_SETTINGS, ...migrated };
-            settingsCacheLoaded = true;
-            if (merged.chatgptWidth) {
-                document.documentElement.style.setProperty('--timeline-chatgpt-html-content-max-width', merged.chatgptWidth + 'rem');
-            }
-            if (merged.taskPageWidth) {
-                document.documentElement.style.setProperty('--timeline-task-page-max-width', merged.taskPageWidth + 'rem');
-            }
-            if (merged.geminiWidth) {
-                document.documentElement.style.setProperty('--timeline-gemini-conversation-max-width', merged.geminiWidth + 'rem');
-            }
-            if (merged.claudeWidth) {
-                document.documentElement.style.setProperty('--timeline-claude-content-max-width', merged.claudeWidth + 'rem');
-            }
-            if (Number.isFinite(migrated.deepseekWidth)) {
-                document.documentElement.style.setProperty('--timeline-deepseek-content-width', migrated.deepseekWidth + 'rem');
-            }
-            if (Number.isFinite(merged.doubaoWidth)) {
-                document.documentElement.style.setProperty('--timeline-doubao-content-width', merged.doubaoWidth + 'rem');
-            }
-            if (merged.grokWidth) {
-                document.documentElement.style.setProperty('--timeline-grok-content-max-width', merged.grokWidth + 'rem');
-            }
-
-            const enabledForSite = isTimelineEnabledForSite(settingsCache, getSiteType());
-            if (!enabledForSite) {
-                try { document.querySelector('.chatgpt-timeline-bar')?.remove(); } catch {}
-                try { document.querySelector('.timeline-left-slider')?.remove(); } catch {}
-                try { document.getElementById('chatgpt-timeline-tooltip')?.remove(); } catch {}
-                try { document.querySelector('.timeline-toc')?.remove(); } catch {}
-            } else if (!timelineManagerInstance && isTimelineSupportedPath()) {
-                await initializeTimeline();
-            }
-            sendResponse({ success: true });
-        } catch (error) {
-            console.warn('Failed to handle settings update (standalone):', error);
-            sendResponse({ success: false, error: error.message });
-        }
-        return;
-    }
-
-    if (request.action === 'updateChatGPTWidth') {
-        try {
-            document.documentElement.style.setProperty('--timeline-chatgpt-html-content-max-width', request.width);
-            sendResponse({ success: true });
-        } catch (error) {
-            console.warn('Failed to update ChatGPT width (standalone):', error);
-            sendResponse({ success: false, error: error.message });
-        }
-        return;
-    }
-
-    if (request.action === 'updateTaskPageWidth') {
-        try {
-            document.documentElement.style.setProperty('--timeline-task-page-max-width', request.width);
-            sendResponse({ success: true });
-        } catch (error) {
-            console.warn('Failed to update task page width (standalone):', error);
-            sendResponse({ success: false, error: error.message });
-        }
-        return;
-    }
-
-    if (request.action === 'updateGeminiWidth') {
-        try {
-            document.documentElement.style.setProperty('--timeline-gemini-conversation-max-width', request.width);
-            sendResponse({ success: true });
-        } catch (error) {
-            console.warn('Failed to update Gemini width (standalone):', error);
-            sendResponse({ success: false, error: error.message });
-        }
-        return;
-    }
+function removeTimelineUI() {
+    try { document.querySelector('.chatgpt-timeline-bar')?.remove(); } catch {}
+    try { document.querySelector('.timeline-left-slider')?.remove(); } catch {}
+    try { document.getElementById('chatgpt-timeline-tooltip')?.remove(); } catch {}
+    try { document.querySelector('.timeline-toc')?.remove(); } catch {}
+}
 
-    if (request.action === 'updateClaudeWidth') {
-        try {
-            document.documentElement.style.setProperty('--timeline-claude-content-max-width', request.width);
-            sendResponse({ success: true });
-        } catch (error) {
-            console.warn('Failed to update Claude width (standalone):', error);
-            sendResponse({ success: false, error: error.message });
-        }
+// Settings are written to chrome.storage by the popup/options pages; every tab follows along from here
+async function handleStoredSettingsChange(settings, changedKeys) {
+    settingsCache = { ...settings };
+    settingsCacheLoaded = true;
+    applyWidthSettings(settings);
+    // Width and shortcut changes need no UI rebuild; the key handler reads this.settings on each press
+    if (changedKeys.every(key => WIDTH_SETTING_KEYS.includes(key) || KEYBOARD_SHORTCUT_SETTING_KEYS.includes(key))) {
+        if (timelineManagerInstance) timelineManagerInstance.settings = { ...settings };
         return;
     }
 
-    if (request.action === 'updateDeepseekWidth') {
-        try {
-            document.documentElement.style.setProperty('--timeline-deepseek-content-width', request.width);
-            sendResponse({ success: true });
-        } catch (error) {
-            console.warn('Failed to update DeepSeek width (standalone):', error);
-            sendResponse({ success: false, error: error.message });
+    try {
+        if (timelineManagerInstance) {
+            await timelineManagerInstance.applySettings(settings);
+        } else if (!isTimelineEnabledForSite(settings, getSiteType())) {
+            removeTimelineUI();
+        } else if (isTimelineSupportedPath()) {
+            await initializeTimeline();
         }
-        return;
+    } catch (error) {
+        console.warn('Failed to apply settings update:', error);
     }
+}
 
-    if (request.action === 'updateDoubaoWidth') {
-        try {
-            document.documentElement.style.setProperty('--timeline-doubao-content-width', request.width);
-            sendResponse({ success: true });
-        } catch (error) {
-            console.warn('Failed to update Doubao width (standalone):', error);
-            sendResponse({ success: false, error: error.message });
-        }
-        return;
-    }
+loadSettingsCache().then(applyWidthSettings);
+onStoredSettingsChanged(handleStoredSettingsChange);
+getStoredCopyTemplateState().then((state) => { copyTemplateStateCache = state; });
+onStoredCopyTemplatesChanged((state) => { copyTemplateStateCache = state; });
 
-    if (request.action === 'updateGrokWidth') {
-        try {
-            document.documentElement.style.setProperty('--timeline-grok-content-max-width', request.width);
-            sendResponse({ success: true });
-        } catch (error) {
-            console.warn('Failed to update Grok width (standalone):', error);
-            sendResponse({ success: false, error: error.message });
+// Custom and self-hosted sites are only recognised once storage has been read, so start them from here
+loadUserConfiguredSites()
+    .catch(error => console.warn('Failed to register custom sites:', error))
+    .then(() => {
+        try { document.documentElement.setAttribute('data-timeline-site', getSiteType()); } catch {}
+        if (isUserConfiguredSite(SITE_CONFIGS[getSiteType()]) && !timelineManagerInstance &&
+            isTimelineSupportedPath() && isTimelineEnabledForSite(getCachedSettings(), getSiteType())) {
+            attemptProcessUrlChange();
         }
-    }
-}
-
-applyStoredWidthSettings();
-loadSettingsCache();
+    });
 
 // Listen for messages from popup
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     if (timelineManagerInstance) {
         timelineManagerInstance.handleMessage(request, sender, sendResponse);
+    } else if (request.action === 'getSettings') {
+        sendResponse(getCachedSettings());
     } else {
-        handleStandaloneMessage(request, sendResponse);
+        sendResponse({ success: false, error: 'Unknown action' });
     }
-    return true; // Keep message channel open for async response
 });
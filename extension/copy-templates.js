@@ -0,0 +1,357 @@
+// Copy templates: how "copy Q&A" formats a turn. Built-in templates plus user-defined ones kept in
+// chrome.storage.local, rendered with {{placeholder|filter}} tags. Shared by content scripts and the options page.
+
+const COPY_TEMPLATES_STORAGE_KEY = 'chatgptTimelineCopyTemplates';
+const COPY_TEMPLATE_NAME_MAX_LENGTH = 40;
+const COPY_TEMPLATE_BODY_MAX_LENGTH = 4000;
+const COPY_TEMPLATE_FORMATS = ['text', 'html'];
+const COPY_TEMPLATE_PLACEHOLDERS = ['question', 'answer', 'site', 'index', 'url', 'timestamp'];
+const DEFAULT_COPY_TEMPLATE_ID = 'plain';
+
+const BUILTIN_COPY_TEMPLATES = [
+    {
+        id: 'plain',
+        name: 'Plain text',
+        format: 'text',
+        body: 'Q: {{question}}{{#answer}}\n\nA: {{answer}}{{/answer}}'
+    },
+    {
+        id: 'markdown',
+        name: 'Markdown',
+        format: 'text',
+        body: '{{question|quote}}\n\n{{answer}}\n\n[{{site}} · #{{index}}]({{url}}) · {{timestamp}}'
+    },
+    {
+        id: 'jira',
+        name: 'Jira',
+        format: 'text',
+        body: '{quote}{{question|jira}}{quote}\n\n{{answer|jira}}\n\n[{{site}} #{{index}}|{{url}}] · {{timestamp}}'
+    },
+    {
+        id: 'slack',
+        name: 'Slack',
+        format: 'text',
+        body: '{{question|quote}}\n\n{{answer|slack}}\n\n<{{url}}|{{site}} #{{index}}> · {{timestamp}}'
+    },
+    {
+        id: 'html',
+        name: 'HTML',
+        format: 'html',
+        body: '<blockquote>{{question}}</blockquote>\n<div>{{answer}}</div>\n<p><a href="{{url}}">{{site}} #{{index}}</a> · {{timestamp}}</p>'
+    }
+].map(template => ({ ...template, builtin: true }));
+
+// --- Filters ---
+// Markdown is what getFullTextContent produces, so the chat-tool filters translate from it.
+// Fenced code blocks are passed through untouched; `inline` sees the text between inline code spans
+// and `block` the whole line afterwards, so line-start rules never fire inside code.
+function mapMarkdownOutsideCode(text, { inline, block, code = span => `\`${span}\``, fence }) {
+    const lines = String(text || '').split('\n');
+    let inFence = false;
+    return lines.map((current) => {
+        const fenceMatch = current.match(/^\s*(`{3,})(.*)$/);
+        if (fenceMatch) {
+            const opening = !inFence;
+            inFence = !inFence;
+            return fence(fenceMatch[2].trim(), opening);
+        }
+        if (inFence) return current;
+        const line = current.split(/`([^`]*)`/).map((part, i) => (i % 2 ? code(part) : inline(part))).join('');
+        return block(line);
+    }).join('\n');
+}
+
+// **bold** and *italic* become the single-character forms both tools use
+function convertMarkdownEmphasis(part) {
+    return part
+        .replace(/\*\*(.+?)\*\*/g, '\u0003$1\u0003')
+        .replace(/(^|[^*\w])\*([^*\n]+)\*(?!\w)/g, '$1_$2_')
+        .replace(/\u0003/g, '*');
+}
+
+function markdownToJira(text) {
+    return mapMarkdownOutsideCode(text, {
+        fence: (language, opening) => (opening && language ? `{code:${language}}` : '{code}'),
+        code: span => `{{${span}}}`,
+        inline: part => convertMarkdownEmphasis(part)
+            .replace(/~~(.+?)~~/g, '-$1-')
+            .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, '!$2!')
+            .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, '[$1|$2]'),
+        block: line => line
+            .replace(/^(#{1,6})\s+/, (_, hashes) => `h${hashes.length}. `)
+            .replace(/^(\s*)-\s+/, (_, indent) => `${'*'.repeat(Math.floor(indent.length / 2) + 1)} `)
+            .replace(/^(\s*)\d+\.\s+/, (_, indent) => `${'#'.repeat(Math.floor(indent.length / 3) + 1)} `)
+            .replace(/^>\s?/, 'bq. ')
+    });
+}
+
+function markdownToSlack(text) {
+    return mapMarkdownOutsideCode(text, {
+        // Slack code blocks take no language
+        fence: () => '```',
+        inline: part => convertMarkdownEmphasis(part)
+            .replace(/~~(.+?)~~/g, '~$1~')
+            .replace(/!?\[([^\]]*)\]\(([^)\s]+)\)/g, (_, label, url) => (label ? `<${url}|${label}>` : `<${url}>`)),
+        block: line => line
+            .replace(/^#{1,6}\s+(.+)$/, '*$1*')
+            .replace(/^(\s*)-\s+/, '$1• ')
+    });
+}
+
+const COPY_TEMPLATE_FILTERS = {
+    quote: text => String(text || '').split('\n').map(line => (line ? `> ${line}` : '>')).join('\n'),
+    jira: markdownToJira,
+    slack: markdownToSlack,
+    oneline: text => String(text || '').replace(/\s+/g, ' ').trim()
+};
+
+// --- Rendering ---
+function escapeCopyTemplateHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// --- Markdown to HTML ---
+// Covers what the serializer emits (fences, headings, lists, quotes, tables, rules), so HTML
+// templates paste a formatted answer instead of Markdown source. Everything is escaped first.
+const MARKDOWN_LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const MARKDOWN_TABLE_DIVIDER = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+
+function isSafeMarkdownURL(url) {
+    return /^(https?:|mailto:|#|\/)/i.test(url);
+}
+
+function markdownInlineToHTML(text) {
+    // Code spans are set aside first so nothing inside them is read as markup
+    const spans = [];
+    const source = String(text || '').replace(/`([^`]+)`/g, (_, code) => {
+        spans.push(`<code>${escapeCopyTemplateHTML(code)}</code>`);
+        return `\u0000${spans.length - 1}\u0000`;
+    });
+    return escapeCopyTemplateHTML(source)
+        .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (match, alt, url) => (isSafeMarkdownURL(url) ? `<img src="${url}" alt="${alt}">` : alt))
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => (isSafeMarkdownURL(url) ? `<a href="${url}">${label}</a>` : label))
+        .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^*\w])\*([^*\n]+)\*(?!\w)/g, '$1<em>$2</em>')
+        .replace(/~~(.+?)~~/g, '<del>$1</del>')
+        .replace(/\u0000(\d+)\u0000/g, (_, i) => spans[i]);
+}
+
+function startsMarkdownBlock(line) {
+    return /^\s*`{3,}/.test(line) || /^#{1,6}\s/.test(line) || /^>/.test(line) || MARKDOWN_LIST_ITEM.test(line);
+}
+
+// Items at the first line's indentation; deeper lines belong to the item above and are rendered recursively
+function markdownListToHTML(lines, start) {
+    const [, indent, marker] = lines[start].match(MARKDOWN_LIST_ITEM);
+    const ordered = /\d/.test(marker);
+    const items = [];
+    let i = start;
+    while (i < lines.length) {
+        const item = lines[i].match(MARKDOWN_LIST_ITEM);
+        if (item && item[1].length === indent.length && /\d/.test(item[2]) === ordered) {
+            items.push({ first: item[3], rest: [], offset: item[1].length + item[2].length + 1 });
+            i++;
+        } else if (lines[i].trim() && lines[i].match(/^\s*/)[0].length > indent.length) {
+            const current = items[items.length - 1];
+            current.rest.push(lines[i].replace(new RegExp(`^ {0,${current.offset}}`), ''));
+            i++;
+        } else if (!lines[i].trim() && i + 1 < lines.length && lines[i + 1].match(/^\s*/)[0].length >= indent.length
+            && (lines[i + 1].match(/^\s*/)[0].length > indent.length || MARKDOWN_LIST_ITEM.test(lines[i + 1]))) {
+            i++;
+        } else {
+            break;
+        }
+    }
+    const number = parseInt(marker, 10);
+    const tag = ordered ? 'ol' : 'ul';
+    const open = ordered && number !== 1 ? `<ol start="${number}">` : `<${tag}>`;
+    const body = items.map(item => `<li>${markdownInlineToHTML(item.first)}${item.rest.length ? markdownToHTML(item.rest.join('\n')) : ''}</li>`);
+    return { html: `${open}${body.join('')}</${tag}>`, next: i };
+}
+
+function markdownToHTML(text) {
+    const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+    const cells = line => line.trim().replace(/^\||\|$/g, '').split('|').map(cell => markdownInlineToHTML(cell.trim()));
+    const blocks = [];
+    let i = 0;
+    while (i < lines.length) {
+        const line = lines[i];
+        const fence = line.match(/^\s*(`{3,})\s*([\w+#.-]*)/);
+        if (fence) {
+            const code = [];
+            i++;
+            while (i < lines.length && !lines[i].trim().startsWith(fence[1])) code.push(lines[i++]);
+            i++;
+            const language = fence[2] ? ` class="language-${escapeCopyTemplateHTML(fence[2])}"` : '';
+            blocks.push(`<pre><code${language}>${escapeCopyTemplateHTML(code.join('\n'))}</code></pre>`);
+            continue;
+        }
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
+        const heading = line.match(/^(#{1,6})\s+(.*)$/);
+        if (heading) {
+            blocks.push(`<h${heading[1].length}>${markdownInlineToHTML(heading[2])}</h${heading[1].length}>`);
+            i++;
+            continue;
+        }
+        if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            blocks.push('<hr>');
+            i++;
+            continue;
+        }
+        if (line.includes('|') && MARKDOWN_TABLE_DIVIDER.test(lines[i + 1] || '')) {
+            const head = cells(line);
+            const rows = [];
+            i += 2;
+            while (i < lines.length && lines[i].trim() && lines[i].includes('|')) rows.push(cells(lines[i++]));
+            blocks.push(`<table><thead><tr>${head.map(cell => `<th>${cell}</th>`).join('')}</tr></thead>`
+                + `<tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('')}</tbody></table>`);
+            continue;
+        }
+        if (/^>/.test(line)) {
+            const quoted = [];
+            while (i < lines.length && /^>/.test(lines[i])) quoted.push(lines[i++].replace(/^>\s?/, ''));
+            blocks.push(`<blockquote>${markdownToHTML(quoted.join('\n'))}</blockquote>`);
+            continue;
+        }
+        if (MARKDOWN_LIST_ITEM.test(line)) {
+            const list = markdownListToHTML(lines, i);
+            blocks.push(list.html);
+            i = list.next;
+            continue;
+        }
+        const paragraph = [];
+        while (i < lines.length && lines[i].trim() && (!paragraph.length || !startsMarkdownBlock(lines[i]))) {
+            paragraph.push(markdownInlineToHTML(lines[i++].trim()));
+        }
+        blocks.push(`<p>${paragraph.join('<br>')}</p>`);
+    }
+    return blocks.join('\n');
+}
+
+// Rough plain-text rendering of an HTML template's output, for editors that only take text/plain
+function copyTemplateHTMLToText(html) {
+    const doc = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+    doc.querySelectorAll('br').forEach(br => br.replaceWith('\n'));
+    doc.querySelectorAll('th, td').forEach(cell => cell.append('\t'));
+    doc.querySelectorAll('p, div, blockquote, li, tr, h1, h2, h3, h4, h5, h6, pre').forEach(block => {
+        block.append('\n');
+    });
+    return (doc.body.textContent || '').replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// Returns { text, html } for the clipboard. Text templates only have a plain flavour (html is null):
+// rich editors prefer text/html and would otherwise paste Markdown or wiki markup literally instead of
+// converting it. HTML templates get their values escaped, an unfiltered {{answer}} rendered from
+// Markdown, and their plain flavour derived from the markup.
+function renderCopyTemplate(template, values) {
+    const format = template?.format === 'html' ? 'html' : 'text';
+    const lookup = name => (values && values[name] != null ? String(values[name]) : '');
+    const body = String(template?.body || '')
+        // {{#name}}…{{/name}} keeps its content only when the value is not empty
+        .replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (_, name, inner) => (lookup(name).trim() ? inner : ''));
+    const rendered = body.replace(/\{\{\s*(\w+)\s*(?:\|\s*(\w+)\s*)?\}\}/g, (match, name, filter) => {
+        if (!COPY_TEMPLATE_PLACEHOLDERS.includes(name)) return match;
+        const value = filter && COPY_TEMPLATE_FILTERS[filter] ? COPY_TEMPLATE_FILTERS[filter](lookup(name)) : lookup(name);
+        if (format !== 'html') return value;
+        if (name === 'answer' && !filter) return markdownToHTML(value);
+        return escapeCopyTemplateHTML(value).replace(/\n/g, '<br>');
+    });
+
+    if (format === 'html') {
+        return { text: copyTemplateHTMLToText(rendered), html: rendered };
+    }
+    return { text: rendered.trim(), html: null };
+}
+
+// --- Storage ---
+// Stored shape: { active: templateId, templates: [user templates] }; built-ins are never stored
+function normalizeCopyTemplate(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const name = String(raw.name || '').trim().slice(0, COPY_TEMPLATE_NAME_MAX_LENGTH);
+    const body = String(raw.body || '').slice(0, COPY_TEMPLATE_BODY_MAX_LENGTH);
+    if (!name || !body.trim()) return null;
+    const id = typeof raw.id === 'string' && raw.id && !BUILTIN_COPY_TEMPLATES.some(item => item.id === raw.id)
+        ? raw.id
+        : `template-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    return { id, name, format: COPY_TEMPLATE_FORMATS.includes(raw.format) ? raw.format : 'text', body };
+}
+
+function normalizeCopyTemplateState(raw) {
+    const source = raw && typeof raw === 'object' ? raw : {};
+    const templates = Array.isArray(source.templates)
+        ? source.templates.map(normalizeCopyTemplate).filter(Boolean)
+        : [];
+    const ids = [...BUILTIN_COPY_TEMPLATES, ...templates].map(template => template.id);
+    return { active: ids.includes(source.active) ? source.active : DEFAULT_COPY_TEMPLATE_ID, templates };
+}
+
+async function getStoredCopyTemplateState() {
+    try {
+        const result = await chrome.storage.local.get([COPY_TEMPLATES_STORAGE_KEY]);
+        return normalizeCopyTemplateState(result[COPY_TEMPLATES_STORAGE_KEY]);
+    } catch (error) {
+        console.warn('Failed to load copy templates:', error);
+        return normalizeCopyTemplateState(null);
+    }
+}
+
+async function saveStoredCopyTemplateState(state) {
+    const normalized = normalizeCopyTemplateState(state);
+    await chrome.storage.local.set({ [COPY_TEMPLATES_STORAGE_KEY]: normalized });
+    return normalized;
+}
+
+// Adds a template, or replaces the one with the same id
+async function saveCopyTemplate(template) {
+    const normalized = normalizeCopyTemplate(template);
+    if (!normalized) return null;
+    const state = await getStoredCopyTemplateState();
+    const index = state.templates.findIndex(item => item.id === normalized.id);
+    if (index >= 0) {
+        state.templates[index] = normalized;
+    } else {
+        state.templates.push(normalized);
+    }
+    await saveStoredCopyTemplateState(state);
+    return normalized;
+}
+
+async function deleteCopyTemplate(templateId) {
+    const state = await getStoredCopyTemplateState();
+    await saveStoredCopyTemplateState({
+        ...state,
+        templates: state.templates.filter(template => template.id !== templateId)
+    });
+}
+
+async function setActiveCopyTemplate(templateId) {
+    const state = await getStoredCopyTemplateState();
+    return saveStoredCopyTemplateState({ ...state, active: templateId });
+}
+
+function getAllCopyTemplates(state) {
+    return [...BUILTIN_COPY_TEMPLATES, ...(state?.templates || [])];
+}
+
+// The active template, falling back to plain text when it was deleted
+function getActiveCopyTemplate(state) {
+    const templates = getAllCopyTemplates(state);
+    return templates.find(template => template.id === state?.active)
+        || templates.find(template => template.id === DEFAULT_COPY_TEMPLATE_ID);
+}
+
+function onStoredCopyTemplatesChanged(callback) {
+    const listener = (changes, areaName) => {
+        if (areaName !== 'local' || !changes[COPY_TEMPLATES_STORAGE_KEY]) return;
+        callback(normalizeCopyTemplateState(changes[COPY_TEMPLATES_STORAGE_KEY].newValue));
+    };
+    chrome.storage.onChanged.addListener(listener);
+    return () => chrome.storage.onChanged.removeListener(listener);
+}
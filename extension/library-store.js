@@ -0,0 +1,295 @@
+// Conversation library: one IndexedDB record per conversation the timeline has run on, plus a
+// full-text index of the conversations the user chose to save for offline search.
+// The database lives in the extension origin, so content scripts hand their records to the
+// background worker, and the library page and popup read them back from the same stores.
+const LIBRARY_DB_NAME = 'chatgptTimelineLibrary';
+const LIBRARY_DB_VERSION = 2;
+const LIBRARY_STORE_NAME = 'conversations';
+// Summaries are for finding a chat again, not for archiving it
+const LIBRARY_TEXT_LIMIT = 2000;
+const LIBRARY_MAX_TURNS = 1000;
+// Full-text index: saved conversation texts and an inverted index of term -> turns per conversation
+const FULLTEXT_DOCUMENT_STORE_NAME = 'fulltextDocuments';
+const FULLTEXT_TERM_STORE_NAME = 'fulltextTerms';
+const FULLTEXT_TEXT_LIMIT = 50000;
+const FULLTEXT_TERM_MAX_LENGTH = 40;
+const FULLTEXT_RESULT_LIMIT = 20;
+const FULLTEXT_SNIPPET_RADIUS = 40;
+// Scripts written without spaces between words; these are indexed as overlapping character pairs
+const FULLTEXT_CJK_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+const FULLTEXT_WORD_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]+|(?:(?![\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}])[\p{L}\p{N}_])+/gu;
+
+function openLibraryDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(LIBRARY_DB_NAME, LIBRARY_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(LIBRARY_STORE_NAME)) {
+                const store = db.createObjectStore(LIBRARY_STORE_NAME, { keyPath: 'key' });
+                store.createIndex('lastVisited', 'lastVisited');
+                store.createIndex('site', 'site');
+            }
+            if (!db.objectStoreNames.contains(FULLTEXT_DOCUMENT_STORE_NAME)) {
+                db.createObjectStore(FULLTEXT_DOCUMENT_STORE_NAME, { keyPath: 'key' });
+            }
+            if (!db.objectStoreNames.contains(FULLTEXT_TERM_STORE_NAME)) {
+                const terms = db.createObjectStore(FULLTEXT_TERM_STORE_NAME, { keyPath: ['term', 'key'] });
+                terms.createIndex('term', 'term');
+                terms.createIndex('key', 'key');
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Resolves with the result of the request returned by run() once the transaction commits.
+// run() gets the object store, or the transaction itself when several stores are involved.
+async function runLibraryTransaction(mode, run, storeNames = LIBRARY_STORE_NAME) {
+    const db = await openLibraryDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeNames, mode);
+        const request = run(Array.isArray(storeNames) ? transaction : transaction.objectStore(storeNames));
+        transaction.oncomplete = () => {
+            db.close();
+            resolve(request ? request.result : undefined);
+        };
+        transaction.onerror = transaction.onabort = () => {
+            db.close();
+            reject(transaction.error);
+        };
+    });
+}
+
+function normalizeLibraryText(value) {
+    return typeof value === 'string' ? value.trim().slice(0, LIBRARY_TEXT_LIMIT) : '';
+}
+
+function normalizeLibraryTurn(raw) {
+    if (!raw || typeof raw.id !== 'string' || !raw.id) return null;
+    return {
+        id: raw.id,
+        summary: normalizeLibraryText(raw.summary),
+        reply: normalizeLibraryText(raw.reply),
+        starred: raw.starred === true,
+        note: normalizeLibraryText(raw.note),
+        tags: Array.isArray(raw.tags) ? raw.tags.filter(tag => typeof tag === 'string' && tag) : []
+    };
+}
+
+// Content scripts are untrusted input as far as the store is concerned
+function normalizeLibraryRecord(raw) {
+    if (!raw || typeof raw.key !== 'string' || !raw.key) return null;
+    const turns = (Array.isArray(raw.turns) ? raw.turns : [])
+        .slice(0, LIBRARY_MAX_TURNS)
+        .map(normalizeLibraryTurn)
+        .filter(Boolean);
+    const lastVisited = Number(raw.lastVisited);
+    return {
+        key: raw.key,
+        site: typeof raw.site === 'string' ? raw.site : 'unknown',
+        title: normalizeLibraryText(raw.title) || raw.key,
+        url: typeof raw.url === 'string' ? raw.url : '',
+        turnCount: Number.isFinite(Number(raw.turnCount)) ? Number(raw.turnCount) : turns.length,
+        lastVisited: Number.isFinite(lastVisited) && lastVisited > 0 ? lastVisited : Date.now(),
+        turns
+    };
+}
+
+async function saveLibraryConversation(raw) {
+    const record = normalizeLibraryRecord(raw);
+    if (!record) return null;
+    // Keep the first visit across updates
+    const existing = await runLibraryTransaction('readonly', store => store.get(record.key));
+    record.firstVisited = existing?.firstVisited || record.lastVisited;
+    await runLibraryTransaction('readwrite', store => store.put(record));
+    return record;
+}
+
+async function getLibraryConversations() {
+    const records = await runLibraryTransaction('readonly', store => store.getAll());
+    return (records || []).sort((a, b) => b.lastVisited - a.lastVisited);
+}
+
+async function deleteLibraryConversation(key) {
+    await runLibraryTransaction('readwrite', store => store.delete(key));
+}
+
+// Every term must appear somewhere in the conversation; turns mentioning any term are returned as hits
+function searchLibraryConversations(records, query) {
+    const terms = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    if (terms.length === 0) return records.map(record => ({ record, turns: [] }));
+
+    return records.map(record => {
+        const texts = record.turns.map(turn =>
+            [turn.summary, turn.reply, turn.note, turn.tags.join(' ')].join('\n').toLowerCase()
+        );
+        const haystack = `${record.title}\n${record.url}\n${texts.join('\n')}`.toLowerCase();
+        if (!terms.every(term => haystack.includes(term))) return null;
+        const turns = record.turns.filter((turn, index) => terms.some(term => texts[index].includes(term)));
+        return { record, turns };
+    }).filter(Boolean);
+}
+
+// --- Full-text index ---
+function tokenizeFullText(text) {
+    const terms = new Set();
+    const words = String(text || '').toLowerCase().match(FULLTEXT_WORD_PATTERN) || [];
+    words.forEach(word => {
+        if (FULLTEXT_CJK_PATTERN.test(word)) {
+            const chars = Array.from(word);
+            if (chars.length === 1) terms.add(word);
+            for (let i = 0; i < chars.length - 1; i++) terms.add(chars[i] + chars[i + 1]);
+        } else if (word.length > 1) {
+            terms.add(word.slice(0, FULLTEXT_TERM_MAX_LENGTH));
+        }
+    });
+    return [...terms];
+}
+
+function normalizeFullTextDocument(raw) {
+    if (!raw || typeof raw.key !== 'string' || !raw.key) return null;
+    const turns = (Array.isArray(raw.turns) ? raw.turns : [])
+        .slice(0, LIBRARY_MAX_TURNS)
+        .filter(turn => turn && typeof turn.id === 'string' && turn.id)
+        .map(turn => ({
+            id: turn.id,
+            user: typeof turn.user === 'string' ? turn.user.slice(0, FULLTEXT_TEXT_LIMIT) : '',
+            assistant: typeof turn.assistant === 'string' ? turn.assistant.slice(0, FULLTEXT_TEXT_LIMIT) : ''
+        }));
+    return {
+        key: raw.key,
+        site: typeof raw.site === 'string' ? raw.site : 'unknown',
+        title: normalizeLibraryText(raw.title) || raw.key,
+        url: typeof raw.url === 'string' ? raw.url : '',
+        indexedAt: Date.now(),
+        turns
+    };
+}
+
+// Replaces everything indexed for the conversation in one transaction
+async function indexFullTextConversation(raw) {
+    const doc = normalizeFullTextDocument(raw);
+    if (!doc) return null;
+
+    const postings = new Map();
+    doc.turns.forEach(turn => {
+        tokenizeFullText(`${turn.user}\n${turn.assistant}`).forEach(term => {
+            if (!postings.has(term)) postings.set(term, []);
+            postings.get(term).push(turn.id);
+        });
+    });
+
+    await runLibraryTransaction('readwrite', transaction => {
+        const terms = transaction.objectStore(FULLTEXT_TERM_STORE_NAME);
+        // Drop terms that are no longer in the conversation; the rest are overwritten below
+        terms.index('key').openCursor(IDBKeyRange.only(doc.key)).onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+            if (!postings.has(cursor.value.term)) cursor.delete();
+            cursor.continue();
+        };
+        postings.forEach((turns, term) => terms.put({ term, key: doc.key, turns }));
+        transaction.objectStore(FULLTEXT_DOCUMENT_STORE_NAME).put(doc);
+    }, [FULLTEXT_DOCUMENT_STORE_NAME, FULLTEXT_TERM_STORE_NAME]);
+    return doc;
+}
+
+async function removeFullTextConversation(key) {
+    await runLibraryTransaction('readwrite', transaction => {
+        transaction.objectStore(FULLTEXT_TERM_STORE_NAME).index('key').openCursor(IDBKeyRange.only(key)).onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+            cursor.delete();
+            cursor.continue();
+        };
+        transaction.objectStore(FULLTEXT_DOCUMENT_STORE_NAME).delete(key);
+    }, [FULLTEXT_DOCUMENT_STORE_NAME, FULLTEXT_TERM_STORE_NAME]);
+}
+
+// Query terms match indexed terms by prefix, so "debou" finds "debounce"
+function getFullTextPostings(store, term) {
+    return new Promise((resolve, reject) => {
+        const request = store.index('term').getAll(IDBKeyRange.bound(term, `${term}\uffff`));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function getFullTextSnippet(text, terms) {
+    const normalized = String(text || '').replace(/\s+/g, ' ').trim();
+    const lower = normalized.toLowerCase();
+    const index = terms.reduce((found, term) => {
+        const at = lower.indexOf(term);
+        return at >= 0 && (found < 0 || at < found) ? at : found;
+    }, -1);
+    if (index < 0) return normalized.slice(0, FULLTEXT_SNIPPET_RADIUS * 2);
+    const start = Math.max(0, index - FULLTEXT_SNIPPET_RADIUS);
+    const end = Math.min(normalized.length, index + FULLTEXT_SNIPPET_RADIUS);
+    return `${start > 0 ? '…' : ''}${normalized.slice(start, end)}${end < normalized.length ? '…' : ''}`;
+}
+
+// Conversations containing every query term, most recently indexed first, each with the first matching turn
+async function searchFullText(query, limit = FULLTEXT_RESULT_LIMIT) {
+    const terms = tokenizeFullText(query);
+    if (terms.length === 0) return [];
+
+    const db = await openLibraryDatabase();
+    try {
+        const transaction = db.transaction([FULLTEXT_DOCUMENT_STORE_NAME, FULLTEXT_TERM_STORE_NAME], 'readonly');
+        const termStore = transaction.objectStore(FULLTEXT_TERM_STORE_NAME);
+
+        let matches = null;
+        for (const term of terms) {
+            const turnsByKey = new Map();
+            (await getFullTextPostings(termStore, term)).forEach(posting => {
+                if (!turnsByKey.has(posting.key)) turnsByKey.set(posting.key, new Set());
+                posting.turns.forEach(id => turnsByKey.get(posting.key).add(id));
+            });
+            if (matches === null) {
+                matches = turnsByKey;
+            } else {
+                for (const [key, turns] of matches) {
+                    const other = turnsByKey.get(key);
+                    if (!other) {
+                        matches.delete(key);
+                        continue;
+                    }
+                    // Prefer turns holding every term; fall back to any turn that has one
+                    const both = new Set([...turns].filter(id => other.has(id)));
+                    matches.set(key, both.size ? both : new Set([...turns, ...other]));
+                }
+            }
+            if (matches.size === 0) return [];
+        }
+
+        const documentStore = transaction.objectStore(FULLTEXT_DOCUMENT_STORE_NAME);
+        const docs = await Promise.all([...matches.keys()].map(key => new Promise((resolve, reject) => {
+            const request = documentStore.get(key);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        })));
+
+        return docs
+            .filter(Boolean)
+            .sort((a, b) => b.indexedAt - a.indexedAt)
+            .slice(0, limit)
+            .map(doc => {
+                const ids = matches.get(doc.key);
+                const index = doc.turns.findIndex(turn => ids.has(turn.id));
+                const turn = doc.turns[index];
+                return {
+                    key: doc.key,
+                    site: doc.site,
+                    title: doc.title,
+                    url: doc.url,
+                    turnId: turn?.id || '',
+                    turnIndex: index,
+                    matchCount: ids.size,
+                    snippet: turn ? getFullTextSnippet(`${turn.user}\n${turn.assistant}`, query.toLowerCase().split(/\s+/).filter(Boolean)) : ''
+                };
+            });
+    } finally {
+        db.close();
+    }
+}
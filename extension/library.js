@@ -0,0 +1,202 @@
+// Library page: every conversation the timeline has run on, read from the IndexedDB store in library-store.js.
+const LIBRARY_SITE_LABELS = {
+    chatgpt: 'ChatGPT',
+    gemini: 'Gemini',
+    claude: 'Claude',
+    deepseek: 'DeepSeek',
+    doubao: '豆包',
+    grok: 'Grok',
+    openwebui: 'Open WebUI',
+    librechat: 'LibreChat',
+    lobechat: 'LobeChat'
+};
+// Starred/annotated turns listed under a conversation when no search is active
+const LIBRARY_HIGHLIGHT_LIMIT = 5;
+
+function getLibrarySiteLabel(record) {
+    if (LIBRARY_SITE_LABELS[record.site]) return LIBRARY_SITE_LABELS[record.site];
+    // Custom sites: the host is the most recognisable name we have
+    return record.key.split('/')[0] || record.site;
+}
+
+class ConversationLibrary {
+    constructor() {
+        this.records = [];
+        this.searchInput = document.getElementById('librarySearch');
+        this.siteSelect = document.getElementById('librarySite');
+        this.list = document.getElementById('libraryList');
+        this.emptyHint = document.getElementById('libraryEmpty');
+        this.countEl = document.getElementById('libraryCount');
+
+        if (!this.list) return;
+        this.init();
+    }
+
+    async init() {
+        await i18n.init();
+        await this.translatePage();
+        i18n.onLanguageChange(async () => {
+            await this.translatePage();
+            await this.render();
+        });
+
+        this.searchInput?.addEventListener('input', () => this.render());
+        this.siteSelect?.addEventListener('change', () => this.render());
+        // Conversations keep being captured while this tab sits in the background
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) this.reload();
+        });
+
+        await this.reload();
+    }
+
+    async translatePage() {
+        for (const element of document.querySelectorAll('[data-i18n]')) {
+            const text = await i18n.t(element.getAttribute('data-i18n'));
+            if (element.tagName === 'TITLE') {
+                document.title = text;
+            } else {
+                element.textContent = text;
+            }
+        }
+        for (const element of document.querySelectorAll('[data-i18n-placeholder]')) {
+            element.placeholder = await i18n.t(element.getAttribute('data-i18n-placeholder'));
+        }
+    }
+
+    async reload() {
+        try {
+            this.records = await getLibraryConversations();
+        } catch (error) {
+            console.warn('Failed to read the conversation library:', error);
+            this.records = [];
+        }
+        this.renderSiteOptions();
+        await this.render();
+    }
+
+    renderSiteOptions() {
+        if (!this.siteSelect) return;
+        const selected = this.siteSelect.value;
+        const sites = [...new Set(this.records.map(record => record.site))];
+        this.siteSelect.querySelectorAll('option[value]:not([value=""])').forEach(option => option.remove());
+        sites.forEach(site => {
+            const option = document.createElement('option');
+            option.value = site;
+            option.textContent = getLibrarySiteLabel(this.records.find(record => record.site === site));
+            this.siteSelect.appendChild(option);
+        });
+        this.siteSelect.value = sites.includes(selected) ? selected : '';
+    }
+
+    async render() {
+        const t = await i18n.translate([
+            'libraryOpen', 'libraryDelete', 'libraryTurns', 'libraryLastVisited',
+            'libraryStarred', 'libraryNotes', 'libraryCount', 'libraryNoMatches'
+        ]);
+        const site = this.siteSelect?.value || '';
+        const records = site ? this.records.filter(record => record.site === site) : this.records;
+        const results = searchLibraryConversations(records, this.searchInput?.value || '');
+
+        this.list.innerHTML = '';
+        if (this.emptyHint) this.emptyHint.hidden = this.records.length > 0;
+        if (this.countEl) {
+            this.countEl.textContent = this.records.length
+                ? (results.length ? t.libraryCount.replace('{{count}}', results.length) : t.libraryNoMatches)
+                : '';
+        }
+
+        results.forEach(({ record, turns }) => {
+            this.list.appendChild(this.createItem(record, turns, t));
+        });
+    }
+
+    createItem(record, matchedTurns, t) {
+        const item = document.createElement('div');
+        item.className = 'custom-site-item library-item';
+
+        const info = document.createElement('div');
+        info.className = 'custom-site-info';
+        const title = document.createElement('a');
+        title.className = 'custom-site-name library-title';
+        title.href = record.url;
+        title.target = '_blank';
+        title.rel = 'noopener';
+        title.textContent = record.title;
+        const meta = document.createElement('div');
+        meta.className = 'custom-site-meta';
+        const starredCount = record.turns.filter(turn => turn.starred).length;
+        const notesCount = record.turns.filter(turn => turn.note || turn.tags.length).length;
+        meta.textContent = [
+            getLibrarySiteLabel(record),
+            t.libraryTurns.replace('{{count}}', record.turnCount),
+            t.libraryLastVisited.replace('{{date}}', new Date(record.lastVisited).toLocaleString()),
+            starredCount ? t.libraryStarred.replace('{{count}}', starredCount) : '',
+            notesCount ? t.libraryNotes.replace('{{count}}', notesCount) : ''
+        ].filter(Boolean).join(' · ');
+        info.append(title, meta);
+
+        // Search hits when searching, otherwise the turns the user starred or annotated
+        const turns = matchedTurns.length
+            ? matchedTurns
+            : record.turns.filter(turn => turn.starred || turn.note || turn.tags.length);
+        if (turns.length) {
+            const list = document.createElement('ul');
+            list.className = 'library-turns';
+            turns.slice(0, LIBRARY_HIGHLIGHT_LIMIT).forEach(turn => list.appendChild(this.createTurn(turn)));
+            info.appendChild(list);
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'custom-site-item-actions';
+        const open = document.createElement('a');
+        open.className = 'custom-site-button is-primary';
+        open.href = record.url;
+        open.target = '_blank';
+        open.rel = 'noopener';
+        open.textContent = t.libraryOpen;
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'custom-site-button is-danger';
+        remove.textContent = t.libraryDelete;
+        remove.addEventListener('click', () => this.deleteRecord(record));
+        actions.append(open, remove);
+
+        item.append(info, actions);
+        return item;
+    }
+
+    createTurn(turn) {
+        const item = document.createElement('li');
+        item.className = 'library-turn';
+        const marks = [turn.starred ? '★' : '', turn.note || turn.tags.length ? '📝' : ''].filter(Boolean).join(' ');
+        const summary = document.createElement('span');
+        summary.className = 'library-turn-summary';
+        summary.textContent = `${marks ? `${marks} ` : ''}${turn.summary || turn.reply}`;
+        item.appendChild(summary);
+
+        const details = [turn.note, turn.tags.map(tag => `#${tag}`).join(' ')].filter(Boolean).join(' ');
+        if (details) {
+            const note = document.createElement('span');
+            note.className = 'library-turn-note';
+            note.textContent = details;
+            item.appendChild(note);
+        }
+        return item;
+    }
+
+    async deleteRecord(record) {
+        const message = await i18n.t('libraryDeleteConfirm', { title: record.title });
+        if (!window.confirm(message)) return;
+        try {
+            await deleteLibraryConversation(record.key);
+        } catch (error) {
+            console.warn('Failed to delete library conversation:', error);
+        }
+        await this.reload();
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    new ConversationLibrary();
+});
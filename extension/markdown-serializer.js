@@ -0,0 +1,363 @@
+// DOM to Markdown for copying, exporting and indexing messages. Loaded before content.js on chat
+// pages; it only reads the nodes it is given and never touches the page itself.
+
+// Block boundaries are kept as markers while walking and turned into newlines once the
+// surrounding whitespace is known: a soft break becomes "\n", a paragraph break "\n\n"
+const MARKDOWN_SOFT_BREAK = '\u0001';
+const MARKDOWN_PARAGRAPH_BREAK = '\u0002';
+const MARKDOWN_SKIPPED_TAGS = new Set(['BUTTON', 'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'TEXTAREA', 'INPUT', 'SELECT', 'SVG']);
+const MARKDOWN_BLOCK_TAGS = new Set([
+    'P', 'DIV', 'SECTION', 'ARTICLE', 'HEADER', 'FOOTER', 'MAIN', 'ASIDE', 'NAV', 'FIGURE', 'FIGCAPTION',
+    'DL', 'DT', 'DD', 'DETAILS', 'SUMMARY', 'LI'
+]);
+// Elements that can be code block chrome: short labels and button rows, never content blocks
+const MARKDOWN_CONTENT_TAGS = /^(P|UL|OL|H[1-6]|TABLE|BLOCKQUOTE|PRE)$/;
+
+function isMarkdownCodeChrome(element) {
+    return !MARKDOWN_CONTENT_TAGS.test(element.tagName) &&
+           !element.querySelector('pre, code') &&
+           (element.textContent || '').trim().length <= 40;
+}
+
+// Language label and copy buttons around a code block, per site. They are left out of the
+// Markdown, and the label names the fence's language when the code carries no language class.
+const MARKDOWN_CODE_HEADERS = {
+    // Header row inside <pre>, before the code
+    chatgpt(pre) {
+        const code = pre.querySelector('code');
+        if (!code) return [];
+        const header = Array.from(pre.querySelectorAll('div')).find(div =>
+            !div.contains(code) && (div.compareDocumentPosition(code) & Node.DOCUMENT_POSITION_FOLLOWING)
+        );
+        return header ? [header] : [];
+    },
+    // Label and a floating copy button placed before <pre> in the same wrapper
+    claude(pre) {
+        const headers = [];
+        for (let node = pre.previousElementSibling; node && isMarkdownCodeChrome(node); node = node.previousElementSibling) {
+            headers.unshift(node);
+        }
+        return headers;
+    },
+    // <code-block> with a decoration bar above the <pre>
+    gemini(pre) {
+        const header = pre.closest('code-block')?.querySelector('.code-block-decoration');
+        return header ? [header] : [];
+    }
+};
+
+function getMarkdownCodeHeaders(pre, siteType) {
+    const findHeaders = MARKDOWN_CODE_HEADERS[siteType];
+    return findHeaders ? findHeaders(pre) : [];
+}
+
+// First text in the header that is not a button, e.g. "python" or "TypeScript"
+function getMarkdownCodeHeaderLabel(header) {
+    const walker = document.createTreeWalker(header, NodeFilter.SHOW_TEXT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        if (node.parentElement?.closest('button')) continue;
+        const text = node.textContent.trim();
+        if (!text) continue;
+        return /^[\w+#.\- ]{1,30}$/.test(text) ? text.toLowerCase().replace(/\s+/g, '') : '';
+    }
+    return '';
+}
+
+function getMarkdownCodeLanguage(pre, siteType = '') {
+    if (!pre) return '';
+    const code = pre.querySelector?.('code') || pre;
+    for (const element of [code, pre]) {
+        const className = typeof element.className === 'string' ? element.className : '';
+        const match = /(?:^|\s)lang(?:uage)?-([\w+#.-]+)/.exec(className);
+        if (match) return match[1].toLowerCase();
+        const data = element.dataset?.language || element.dataset?.lang;
+        if (data) return data.trim().toLowerCase();
+    }
+    for (const header of getMarkdownCodeHeaders(pre, siteType)) {
+        const label = getMarkdownCodeHeaderLabel(header);
+        if (label) return label;
+    }
+    return '';
+}
+
+// Resolve the break markers in a finished block: whitespace around them goes, and a run of
+// markers becomes a paragraph break if any of them is one
+function resolveMarkdownBreaks(text) {
+    return text
+        .replace(/[ \t]*[\u0001\u0002][\u0001\u0002 \t]*/g, run => (run.includes(MARKDOWN_PARAGRAPH_BREAK) ? '\n\n' : '\n'))
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+function wrapMarkdownInline(text, mark) {
+    const match = /^(\s*)([\s\S]*?)(\s*)$/.exec(text);
+    return match[2] ? `${match[1]}${mark}${match[2]}${mark}${match[3]}` : text;
+}
+
+function getLongestBacktickRun(code) {
+    return (code.match(/`+/g) || []).reduce((max, run) => Math.max(max, run.length), 0);
+}
+
+function indentMarkdown(text, prefix, firstPrefix = prefix) {
+    return text.split('\n').map((line, i) => {
+        if (i === 0) return `${firstPrefix}${line}`;
+        return line ? `${prefix}${line}` : line;
+    }).join('\n');
+}
+
+function isPreWrapElement(element) {
+    return element.classList?.contains('whitespace-pre-wrap') ||
+           /pre-wrap|pre-line/.test(element.style?.whiteSpace || '');
+}
+
+class MarkdownSerializer {
+    constructor(siteType = '') {
+        this.siteType = siteType;
+        this.skipped = new Set();
+        // Last character emitted, so whitespace between inline nodes collapses to one space
+        this.last = '\n';
+        this.listDepth = 0;
+        this.preWrapDepth = 0;
+    }
+
+    serialize(root) {
+        root.querySelectorAll?.('pre').forEach(pre => {
+            getMarkdownCodeHeaders(pre, this.siteType).forEach(header => this.skipped.add(header));
+        });
+        return resolveMarkdownBreaks(this.renderChildren(root));
+    }
+
+    renderChildren(element) {
+        let out = '';
+        element.childNodes.forEach(child => {
+            out += this.renderNode(child);
+        });
+        return out;
+    }
+
+    renderNode(node) {
+        if (node.nodeType === Node.TEXT_NODE) return this.renderText(node.textContent || '');
+        if (node.nodeType !== Node.ELEMENT_NODE) return '';
+        const element = node;
+        const tag = element.tagName.toUpperCase();
+        if (this.skipped.has(element) || MARKDOWN_SKIPPED_TAGS.has(tag) || element.hidden) return '';
+        if (element.getAttribute('aria-hidden') === 'true' || element.classList.contains('sr-only')) return '';
+
+        const math = this.renderMath(element);
+        if (math !== null) return math;
+
+        switch (tag) {
+            case 'BR':
+                return this.breakMarker(MARKDOWN_SOFT_BREAK);
+            case 'HR':
+                return this.block('---');
+            case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6': {
+                const level = Number(tag[1]);
+                const text = this.inlineOnly(this.renderChildren(element));
+                return text ? this.block(`${'#'.repeat(level)} ${text}`) : '';
+            }
+            case 'STRONG': case 'B':
+                return wrapMarkdownInline(this.renderChildren(element), '**');
+            case 'EM': case 'I':
+                return wrapMarkdownInline(this.renderChildren(element), '*');
+            case 'DEL': case 'S': case 'STRIKE':
+                return wrapMarkdownInline(this.renderChildren(element), '~~');
+            case 'CODE':
+                return this.renderInlineCode(element);
+            case 'A':
+                return this.renderLink(element);
+            case 'IMG':
+                return this.renderImage(element);
+            case 'PRE':
+                return this.renderCodeBlock(element);
+            case 'UL': case 'OL':
+                return this.renderList(element, tag === 'OL');
+            case 'BLOCKQUOTE':
+                return this.renderBlockquote(element);
+            case 'TABLE':
+                return this.renderTable(element);
+            default:
+                break;
+        }
+
+        if (isPreWrapElement(element)) {
+            this.preWrapDepth++;
+            const out = this.renderChildren(element);
+            this.preWrapDepth--;
+            return MARKDOWN_BLOCK_TAGS.has(tag) ? this.wrapBlock(out, tag) : out;
+        }
+        if (MARKDOWN_BLOCK_TAGS.has(tag)) {
+            return this.wrapBlock(null, tag, element);
+        }
+        return this.renderChildren(element);
+    }
+
+    renderText(raw) {
+        let text;
+        if (this.preWrapDepth > 0) {
+            // Typed messages keep the user's line breaks
+            text = raw.replace(/[ \t]+/g, ' ')
+                .replace(/\n{2,}/g, MARKDOWN_PARAGRAPH_BREAK)
+                .replace(/\n/g, MARKDOWN_SOFT_BREAK);
+        } else {
+            text = raw.replace(/\s+/g, ' ');
+        }
+        if (text.startsWith(' ') && /[\s\u0001\u0002]/.test(this.last)) text = text.slice(1);
+        if (text) this.last = text.slice(-1);
+        return text;
+    }
+
+    breakMarker(marker) {
+        this.last = '\n';
+        return marker;
+    }
+
+    block(text) {
+        this.last = '\n';
+        return `${MARKDOWN_PARAGRAPH_BREAK}${text}${MARKDOWN_PARAGRAPH_BREAK}`;
+    }
+
+    // Paragraphs get a blank line around them, other block containers just start a new line
+    wrapBlock(content, tag, element) {
+        const marker = tag === 'P' ? MARKDOWN_PARAGRAPH_BREAK : MARKDOWN_SOFT_BREAK;
+        this.last = '\n';
+        const inner = content ?? this.renderChildren(element);
+        this.last = '\n';
+        return `${marker}${inner}${marker}`;
+    }
+
+    inlineOnly(text) {
+        return text.replace(/[\u0001\u0002]+/g, ' ').replace(/\s+/g, ' ').trim();
+    }
+
+    // KaTeX keeps the TeX source in a MathML annotation; Gemini puts it in data-math
+    renderMath(element) {
+        let source = null;
+        let display = false;
+        if (element.classList.contains('katex-display') || element.classList.contains('katex')) {
+            source = element.querySelector('annotation[encoding="application/x-tex"]')?.textContent ?? null;
+            display = element.classList.contains('katex-display') || !!element.closest('.katex-display');
+        } else if (element.hasAttribute('data-math')) {
+            source = element.getAttribute('data-math');
+            display = element.classList.contains('math-block');
+        }
+        if (source === null) return null;
+        source = source.trim();
+        if (display) return this.block(`$$\n${source}\n$$`);
+        this.last = '$';
+        return `$${source}$`;
+    }
+
+    renderInlineCode(element) {
+        const code = element.textContent || '';
+        if (!code) return '';
+        this.last = '`';
+        const fence = '`'.repeat(getLongestBacktickRun(code) + 1);
+        const pad = fence.length > 1 || /^`|`$/.test(code) ? ' ' : '';
+        return `${fence}${pad}${code}${pad}${fence}`;
+    }
+
+    renderLink(element) {
+        const text = this.renderChildren(element);
+        const href = element.getAttribute('href') || '';
+        if (!href || /^javascript:/i.test(href) || href.startsWith('#')) return text;
+        const url = element.href || href;
+        const label = this.inlineOnly(text) || url;
+        return `[${label.replace(/([[\]])/g, '\\$1')}](${url.replace(/([()])/g, '\\$1')})`;
+    }
+
+    renderImage(element) {
+        const src = element.getAttribute('src') || '';
+        if (!src) return '';
+        this.last = ')';
+        const alt = (element.getAttribute('alt') || '').replace(/([[\]])/g, '\\$1');
+        return `![${alt}](${element.src || src})`;
+    }
+
+    renderCodeBlock(pre) {
+        const code = this.getCodeText(pre);
+        const fence = '`'.repeat(Math.max(3, getLongestBacktickRun(code) + 1));
+        return this.block(`${fence}${getMarkdownCodeLanguage(pre, this.siteType)}\n${code}\n${fence}`);
+    }
+
+    getCodeText(pre) {
+        const codeElement = pre.querySelector('code');
+        const code = codeElement ? codeElement.textContent || '' : this.getTextOutside(pre);
+        return code.replace(/\n$/, '');
+    }
+
+    getTextOutside(element) {
+        let text = '';
+        const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            if ([...this.skipped].some(skipped => skipped.contains(node))) continue;
+            if (node.parentElement?.closest('button')) continue;
+            text += node.textContent;
+        }
+        return text;
+    }
+
+    renderList(list, ordered) {
+        const start = ordered ? Number.parseInt(list.getAttribute('start'), 10) || 1 : 1;
+        const items = Array.from(list.children).filter(child => child.tagName === 'LI');
+        const nested = this.listDepth > 0;
+        this.listDepth++;
+        const lines = items.map((item, i) => {
+            const marker = ordered ? `${start + i}. ` : '- ';
+            this.last = '\n';
+            const content = resolveMarkdownBreaks(this.renderChildren(item));
+            return indentMarkdown(content, ' '.repeat(marker.length), marker);
+        });
+        this.listDepth--;
+        if (!lines.length) return '';
+        this.last = '\n';
+        const boundary = nested ? MARKDOWN_SOFT_BREAK : MARKDOWN_PARAGRAPH_BREAK;
+        return `${boundary}${lines.join('\n')}${boundary}`;
+    }
+
+    renderBlockquote(element) {
+        this.last = '\n';
+        const content = resolveMarkdownBreaks(this.renderChildren(element));
+        if (!content) return '';
+        return this.block(content.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n'));
+    }
+
+    renderTable(table) {
+        const rows = Array.from(table.querySelectorAll('tr')).filter(row => row.closest('table') === table);
+        if (!rows.length) return '';
+        const cells = rows.map(row => Array.from(row.children)
+            .filter(cell => cell.tagName === 'TH' || cell.tagName === 'TD')
+            .map(cell => {
+                this.last = '\n';
+                return resolveMarkdownBreaks(this.renderChildren(cell))
+                    .replace(/\n+/g, '<br>')
+                    .replace(/\|/g, '\\|');
+            }));
+        const columns = Math.max(...cells.map(row => row.length));
+        if (!columns) return '';
+        const headerCells = Array.from(rows[0].children).filter(cell => cell.tagName === 'TH' || cell.tagName === 'TD');
+        const align = Array.from({ length: columns }, (_, i) => {
+            const cell = headerCells[i];
+            const value = (cell?.getAttribute('align') || cell?.style?.textAlign || '').toLowerCase();
+            if (value === 'center') return ':---:';
+            if (value === 'right') return '---:';
+            if (value === 'left') return ':---';
+            return '---';
+        });
+        const line = row => `| ${Array.from({ length: columns }, (_, i) => row[i] || '').join(' | ')} |`;
+        return this.block([line(cells[0]), `| ${align.join(' | ')} |`, ...cells.slice(1).map(line)].join('\n'));
+    }
+}
+
+function serializeMarkdown(element, { siteType = '' } = {}) {
+    if (!element) return '';
+    return new MarkdownSerializer(siteType).serialize(element);
+}
+
+// Code of a single <pre>, without the site's header label or copy button
+function getMarkdownCodeText(pre, siteType = '') {
+    if (!pre) return '';
+    const serializer = new MarkdownSerializer(siteType);
+    getMarkdownCodeHeaders(pre, siteType).forEach(header => serializer.skipped.add(header));
+    return serializer.getCodeText(pre);
+}
@@ -0,0 +1,175 @@
+// Options page: the active copy template and the editor for user-defined ones (copy-templates.js).
+class CopyTemplatesEditor {
+    constructor() {
+        this.state = normalizeCopyTemplateState(null);
+        this.activeSelect = document.getElementById('copyTemplateActive');
+        this.form = document.getElementById('copyTemplateForm');
+        this.list = document.getElementById('copyTemplateList');
+        this.emptyHint = document.getElementById('copyTemplateEmpty');
+        this.statusEl = document.getElementById('copyTemplateStatus');
+        this.formTitle = document.getElementById('copyTemplateFormTitle');
+        this.cancelButton = document.getElementById('copyTemplateCancel');
+
+        if (!this.form || !this.list) return;
+        this.init();
+    }
+
+    async init() {
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSubmit();
+        });
+        this.cancelButton?.addEventListener('click', () => this.fillForm(null));
+        this.activeSelect?.addEventListener('change', () => setActiveCopyTemplate(this.activeSelect.value));
+
+        i18n.onLanguageChange(() => {
+            this.render();
+            this.updateFormTitle();
+        });
+        onStoredCopyTemplatesChanged((state) => {
+            this.state = state;
+            this.render();
+        });
+
+        this.state = await getStoredCopyTemplateState();
+        await this.render();
+        await this.updateFormTitle();
+    }
+
+    async showStatus(key, params, ok = false) {
+        if (!this.statusEl) return;
+        this.statusEl.textContent = key ? await i18n.t(key, params) : '';
+        this.statusEl.classList.toggle('is-ok', ok);
+        this.statusEl.hidden = !key;
+    }
+
+    fillForm(template) {
+        document.getElementById('copyTemplateId').value = template?.id || '';
+        document.getElementById('copyTemplateName').value = template?.name || '';
+        document.getElementById('copyTemplateFormat').value = template?.format || 'text';
+        document.getElementById('copyTemplateBody').value = template?.body || '';
+        this.showStatus('');
+        this.updateFormTitle();
+    }
+
+    async updateFormTitle() {
+        if (!this.formTitle) return;
+        const editing = !!document.getElementById('copyTemplateId')?.value;
+        this.formTitle.textContent = await i18n.t(editing ? 'copyTemplateEditTitle' : 'copyTemplateAddTitle');
+        if (this.cancelButton) this.cancelButton.hidden = !editing;
+    }
+
+    async handleSubmit() {
+        const nameInput = document.getElementById('copyTemplateName');
+        const bodyInput = document.getElementById('copyTemplateBody');
+        if (!nameInput.value.trim()) {
+            await this.showStatus('copyTemplateErrorName');
+            nameInput.focus();
+            return;
+        }
+        if (!bodyInput.value.trim()) {
+            await this.showStatus('copyTemplateErrorBody');
+            bodyInput.focus();
+            return;
+        }
+        try {
+            const template = await saveCopyTemplate({
+                id: document.getElementById('copyTemplateId').value || undefined,
+                name: nameInput.value,
+                format: document.getElementById('copyTemplateFormat').value,
+                body: bodyInput.value
+            });
+            this.fillForm(null);
+            await this.showStatus('copyTemplateSaved', { name: template.name }, true);
+        } catch (error) {
+            console.warn('Failed to save copy template:', error);
+            await this.showStatus('copyTemplateErrorSave');
+        }
+    }
+
+    async deleteTemplate(template) {
+        const message = await i18n.t('copyTemplateDeleteConfirm', { name: template.name });
+        if (!window.confirm(message)) return;
+        await deleteCopyTemplate(template.id);
+        if (document.getElementById('copyTemplateId').value === template.id) this.fillForm(null);
+    }
+
+    async render() {
+        const t = await i18n.translate([
+            'copyTemplateUse', 'copyTemplateEdit', 'copyTemplateDuplicate', 'copyTemplateDelete',
+            'copyTemplateActiveBadge', 'copyTemplateFormatText', 'copyTemplateFormatHtml'
+        ]);
+        const active = getActiveCopyTemplate(this.state);
+        const templates = getAllCopyTemplates(this.state);
+
+        if (this.activeSelect) {
+            this.activeSelect.innerHTML = '';
+            templates.forEach((template) => {
+                const option = document.createElement('option');
+                option.value = template.id;
+                option.textContent = template.name;
+                this.activeSelect.appendChild(option);
+            });
+            this.activeSelect.value = active.id;
+        }
+
+        this.list.innerHTML = '';
+        if (this.emptyHint) this.emptyHint.hidden = this.state.templates.length > 0;
+
+        // Built-ins are listed too so they can be duplicated as a starting point
+        templates.forEach((template) => {
+            const item = document.createElement('div');
+            item.className = 'custom-site-item';
+
+            const info = document.createElement('div');
+            info.className = 'custom-site-info';
+            const name = document.createElement('div');
+            name.className = 'custom-site-name';
+            name.textContent = template.name;
+            const meta = document.createElement('div');
+            meta.className = 'custom-site-meta copy-template-preview';
+            meta.textContent = template.body;
+            info.append(name, meta);
+            const status = document.createElement('div');
+            status.className = `custom-site-status${template.id === active.id ? ' is-granted' : ''}`;
+            status.textContent = [
+                template.format === 'html' ? t.copyTemplateFormatHtml : t.copyTemplateFormatText,
+                template.id === active.id ? t.copyTemplateActiveBadge : ''
+            ].filter(Boolean).join(' · ');
+            info.appendChild(status);
+
+            const actions = document.createElement('div');
+            actions.className = 'custom-site-item-actions';
+            const button = (label, className, onClick) => {
+                const element = document.createElement('button');
+                element.type = 'button';
+                element.className = `custom-site-button${className ? ` ${className}` : ''}`;
+                element.textContent = label;
+                element.addEventListener('click', onClick);
+                actions.appendChild(element);
+            };
+            if (template.id !== active.id) {
+                button(t.copyTemplateUse, 'is-primary', () => setActiveCopyTemplate(template.id));
+            }
+            if (template.builtin) {
+                button(t.copyTemplateDuplicate, '', () => {
+                    this.fillForm({ ...template, id: '', name: `${template.name} (2)` });
+                    this.form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+                });
+            } else {
+                button(t.copyTemplateEdit, '', () => {
+                    this.fillForm(template);
+                    this.form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+                });
+                button(t.copyTemplateDelete, 'is-danger', () => this.deleteTemplate(template));
+            }
+
+            item.append(info, actions);
+            this.list.appendChild(item);
+        });
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    new CopyTemplatesEditor();
+});
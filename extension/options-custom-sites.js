@@ -0,0 +1,404 @@
+// Options page: hosts for the self-hosted front-ends and the editor for user-defined
+// custom sites (both stored in chrome.storage.local).
+class SelfHostedHostsEditor {
+    constructor() {
+        this.form = document.getElementById('selfHostedForm');
+        this.statusEl = document.getElementById('selfHostedStatus');
+        this.inputs = Array.from(document.querySelectorAll('[data-self-hosted-site]'));
+        this.savedHosts = {};
+
+        if (!this.form || !this.inputs.length) return;
+        this.init();
+    }
+
+    async init() {
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSubmit();
+        });
+        this.savedHosts = await getStoredSelfHostedHosts();
+        this.inputs.forEach((input) => {
+            input.value = (this.savedHosts[input.dataset.selfHostedSite] || []).join(', ');
+        });
+    }
+
+    async showStatus(key, params, ok = false) {
+        if (!this.statusEl) return;
+        this.statusEl.textContent = key ? await i18n.t(key, params) : '';
+        this.statusEl.classList.toggle('is-ok', ok);
+        this.statusEl.hidden = !key;
+    }
+
+    // Same as the custom site form: the permission request has to start inside the submit gesture
+    handleSubmit() {
+        const hosts = {};
+        for (const input of this.inputs) {
+            const entries = input.value.split(/[\s,]+/).filter(Boolean);
+            const invalid = entries.find(entry => !normalizeHostPattern(entry));
+            if (invalid) {
+                this.showStatus('customSiteErrorHost', {}, false);
+                input.focus();
+                return;
+            }
+            hosts[input.dataset.selfHostedSite] = normalizeHostList(entries);
+        }
+
+        const origins = Object.values(hosts).flat().flatMap(getHostMatchPatterns);
+        const permission = origins.length
+            ? chrome.permissions.request({ origins })
+            : Promise.resolve(true);
+
+        permission.then(async (granted) => {
+            await chrome.storage.local.set({ [SELF_HOSTED_HOSTS_STORAGE_KEY]: hosts });
+            await this.releaseUnusedOrigins(hosts);
+            this.savedHosts = hosts;
+            this.inputs.forEach((input) => {
+                input.value = hosts[input.dataset.selfHostedSite].join(', ');
+            });
+            await this.showStatus(granted ? 'selfHostedSaved' : 'customSitePermissionMissing', {}, granted);
+        }).catch(error => {
+            console.warn('Failed to save self-hosted hosts:', error);
+            this.showStatus('customSiteErrorSave');
+        });
+    }
+
+    // Drop access to hosts that were removed here and that no custom site still needs
+    async releaseUnusedOrigins(hosts) {
+        const customSites = await getStoredCustomSites();
+        const stillUsed = new Set([
+            ...Object.values(hosts).flat().flatMap(getHostMatchPatterns),
+            ...customSites.flatMap(getCustomSiteMatchPatterns)
+        ]);
+        const origins = Object.values(this.savedHosts).flat()
+            .flatMap(getHostMatchPatterns)
+            .filter(origin => !stillUsed.has(origin));
+        if (origins.length) {
+            try { await chrome.permissions.remove({ origins }); } catch {}
+        }
+    }
+}
+
+// Editor for user-defined custom sites
+class CustomSitesEditor {
+    constructor() {
+        this.sites = [];
+        this.permissionState = new Map();
+        this.form = document.getElementById('customSiteForm');
+        this.list = document.getElementById('customSiteList');
+        this.emptyHint = document.getElementById('customSiteEmpty');
+        this.errorEl = document.getElementById('customSiteError');
+        this.formTitle = document.getElementById('customSiteFormTitle');
+        this.cancelButton = document.getElementById('customSiteCancel');
+
+        if (!this.form || !this.list) return;
+        this.init();
+    }
+
+    async init() {
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSubmit();
+        });
+        this.cancelButton?.addEventListener('click', () => this.resetForm());
+
+        i18n.onLanguageChange(() => {
+            this.renderList();
+            this.updateFormTitle();
+        });
+
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'local' && changes[CUSTOM_SITES_STORAGE_KEY]) {
+                this.reload();
+            }
+        });
+        chrome.permissions.onAdded?.addListener(() => this.reload());
+        chrome.permissions.onRemoved?.addListener(() => this.reload());
+
+        await this.reload();
+        await this.updateFormTitle();
+    }
+
+    async reload() {
+        // Same ids the background worker and content scripts derive, so edits hit the right entry
+        const takenIds = [];
+        this.sites = (await getStoredCustomSites()).map(site => {
+            const config = normalizeCustomSiteConfig(site, takenIds);
+            if (!config) return null;
+            takenIds.push(config.id);
+            return { ...site, id: config.id };
+        }).filter(Boolean);
+        await this.refreshPermissionState();
+        await this.renderList();
+    }
+
+    async refreshPermissionState() {
+        this.permissionState.clear();
+        for (const site of this.sites) {
+            const origins = getCustomSiteMatchPatterns(site);
+            let granted = false;
+            try {
+                granted = origins.length > 0 && await chrome.permissions.contains({ origins });
+            } catch {}
+            this.permissionState.set(site.id, granted);
+        }
+    }
+
+    async saveSites(sites) {
+        this.sites = sites;
+        await chrome.storage.local.set({ [CUSTOM_SITES_STORAGE_KEY]: sites });
+    }
+
+    readForm() {
+        const value = (id) => (document.getElementById(id)?.value || '').trim();
+        return {
+            id: value('customSiteId') || undefined,
+            name: value('customSiteName'),
+            hostPattern: value('customSiteHost'),
+            pathPrefixes: normalizePathPrefixes(value('customSitePaths')),
+            userTurnSelector: value('customSiteUserSelector'),
+            assistantTurnSelector: value('customSiteAssistantSelector'),
+            allTurnSelector: value('customSiteAllSelector'),
+            userTextSelector: value('customSiteUserTextSelector'),
+            assistantTextSelector: value('customSiteAssistantTextSelector'),
+            enabled: !!document.getElementById('customSiteEnabled')?.checked
+        };
+    }
+
+    fillForm(site) {
+        const set = (id, value) => {
+            const el = document.getElementById(id);
+            if (el) el.value = value || '';
+        };
+        set('customSiteId', site?.id);
+        set('customSiteName', site?.name);
+        set('customSiteHost', site?.hostPattern);
+        set('customSitePaths', (site?.pathPrefixes || []).join(', '));
+        set('customSiteUserSelector', site?.userTurnSelector);
+        set('customSiteAssistantSelector', site?.assistantTurnSelector);
+        set('customSiteAllSelector', site?.allTurnSelector);
+        set('customSiteUserTextSelector', site?.userTextSelector);
+        set('customSiteAssistantTextSelector', site?.assistantTextSelector);
+        const enabled = document.getElementById('customSiteEnabled');
+        if (enabled) enabled.checked = site ? site.enabled !== false : true;
+        this.showError('');
+        this.updateFormTitle();
+    }
+
+    resetForm() {
+        this.fillForm(null);
+    }
+
+    async updateFormTitle() {
+        if (!this.formTitle) return;
+        const editing = !!document.getElementById('customSiteId')?.value;
+        this.formTitle.textContent = await i18n.t(editing ? 'customSiteEditTitle' : 'customSiteAddTitle');
+        if (this.cancelButton) this.cancelButton.hidden = !editing;
+    }
+
+    async showError(key, params) {
+        if (!this.errorEl) return;
+        this.errorEl.textContent = key ? await i18n.t(key, params) : '';
+        this.errorEl.hidden = !key;
+    }
+
+    // Returns the offending selector, or null when every selector parses
+    findInvalidSelector(site) {
+        const fragment = document.createDocumentFragment();
+        const selectors = [
+            site.userTurnSelector,
+            site.assistantTurnSelector,
+            site.allTurnSelector,
+            site.userTextSelector,
+            site.assistantTextSelector
+        ].filter(Boolean);
+        for (const selector of selectors) {
+            try {
+                fragment.querySelector(selector);
+            } catch {
+                return selector;
+            }
+        }
+        return null;
+    }
+
+    // Validation and the permission request stay synchronous so they run inside the submit gesture
+    handleSubmit() {
+        const raw = this.readForm();
+        const normalized = normalizeCustomSiteConfig(raw, this.sites.filter(site => site.id !== raw.id).map(site => site.id));
+        if (!normalizeHostPattern(raw.hostPattern)) {
+            this.showError('customSiteErrorHost');
+            return;
+        }
+        if (!normalized) {
+            this.showError('customSiteErrorRequired');
+            return;
+        }
+        const invalid = this.findInvalidSelector(raw);
+        if (invalid) {
+            this.showError('customSiteErrorSelector', { selector: invalid });
+            return;
+        }
+        if (this.sites.some(site => site.id !== raw.id && normalizeHostPattern(site.hostPattern) === normalized.hostPattern)) {
+            this.showError('customSiteErrorDuplicate');
+            return;
+        }
+
+        const site = {
+            ...raw,
+            id: normalized.id,
+            hostPattern: normalized.hostPattern,
+            pathPrefixes: normalized.pathPrefixes
+        };
+        const permission = site.enabled
+            ? this.requestPermission(site)
+            : Promise.resolve(true);
+
+        permission.then(async () => {
+            const index = this.sites.findIndex(item => item.id === raw.id);
+            const previous = this.sites[index];
+            const sites = this.sites.slice();
+            if (index >= 0) {
+                sites[index] = site;
+            } else {
+                sites.push(site);
+            }
+            await this.saveSites(sites);
+            // An edited host pattern can leave the old origins unused
+            if (previous) await this.releaseUnusedOrigins(previous, sites);
+            this.resetForm();
+            await this.reload();
+        }).catch(error => {
+            console.warn('Failed to save custom site:', error);
+            this.showError('customSiteErrorSave');
+        });
+    }
+
+    requestPermission(site) {
+        const origins = getCustomSiteMatchPatterns(site);
+        return chrome.permissions.request({ origins }).then(granted => {
+            this.permissionState.set(site.id, granted);
+            return granted;
+        });
+    }
+
+    async toggleSite(site, enabled) {
+        if (enabled && !this.permissionState.get(site.id)) {
+            await this.requestPermission(site).catch(() => false);
+        }
+        const sites = this.sites.map(item => (item.id === site.id ? { ...item, enabled } : item));
+        await this.saveSites(sites);
+        await this.reload();
+    }
+
+    async deleteSite(site) {
+        const message = await i18n.t('customSiteDeleteConfirm', { name: site.name || site.hostPattern });
+        if (!window.confirm(message)) return;
+
+        const sites = this.sites.filter(item => item.id !== site.id);
+        await this.saveSites(sites);
+        await this.releaseUnusedOrigins(site, sites);
+        if (document.getElementById('customSiteId')?.value === site.id) {
+            this.resetForm();
+        }
+        await this.reload();
+    }
+
+    // Drop host access of a removed or edited site that nobody else needs any more
+    async releaseUnusedOrigins(site, sites) {
+        const selfHostedHosts = await getStoredSelfHostedHosts();
+        const stillUsed = new Set([
+            ...sites.flatMap(getCustomSiteMatchPatterns),
+            ...Object.values(selfHostedHosts).flat().flatMap(getHostMatchPatterns)
+        ]);
+        const origins = getCustomSiteMatchPatterns(site).filter(origin => !stillUsed.has(origin));
+        if (origins.length) {
+            try { await chrome.permissions.remove({ origins }); } catch {}
+        }
+    }
+
+    async renderList() {
+        const t = await i18n.translate([
+            'customSiteEdit',
+            'customSiteDelete',
+            'customSiteGrant',
+            'customSitePermissionGranted',
+            'customSitePermissionMissing',
+            'customSiteEnabled'
+        ]);
+
+        this.list.innerHTML = '';
+        if (this.emptyHint) this.emptyHint.hidden = this.sites.length > 0;
+
+        this.sites.forEach((site) => {
+            const granted = !!this.permissionState.get(site.id);
+            const item = document.createElement('div');
+            item.className = 'custom-site-item';
+
+            const info = document.createElement('div');
+            info.className = 'custom-site-info';
+            const name = document.createElement('div');
+            name.className = 'custom-site-name';
+            name.textContent = site.name || site.hostPattern;
+            const meta = document.createElement('div');
+            meta.className = 'custom-site-meta';
+            meta.textContent = `${site.hostPattern} · ${(site.pathPrefixes || ['/']).join(', ')}`;
+            const status = document.createElement('div');
+            status.className = `custom-site-status ${granted ? 'is-granted' : 'is-missing'}`;
+            status.textContent = granted ? t.customSitePermissionGranted : t.customSitePermissionMissing;
+            info.append(name, meta, status);
+
+            const actions = document.createElement('div');
+            actions.className = 'custom-site-item-actions';
+
+            const toggle = document.createElement('label');
+            toggle.className = 'setting-checkbox';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = site.enabled !== false;
+            checkbox.addEventListener('change', () => this.toggleSite(site, checkbox.checked));
+            const checkmark = document.createElement('span');
+            checkmark.className = 'checkmark';
+            const toggleLabel = document.createElement('span');
+            toggleLabel.textContent = t.customSiteEnabled;
+            toggle.append(checkbox, checkmark, toggleLabel);
+            actions.appendChild(toggle);
+
+            if (!granted) {
+                const grant = document.createElement('button');
+                grant.type = 'button';
+                grant.className = 'custom-site-button';
+                grant.textContent = t.customSiteGrant;
+                grant.addEventListener('click', () => {
+                    this.requestPermission(site)
+                        .then(() => this.renderList())
+                        .catch(() => {});
+                });
+                actions.appendChild(grant);
+            }
+
+            const edit = document.createElement('button');
+            edit.type = 'button';
+            edit.className = 'custom-site-button';
+            edit.textContent = t.customSiteEdit;
+            edit.addEventListener('click', () => {
+                this.fillForm(site);
+                this.form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            });
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'custom-site-button is-danger';
+            remove.textContent = t.customSiteDelete;
+            remove.addEventListener('click', () => this.deleteSite(site));
+
+            actions.append(edit, remove);
+            item.append(info, actions);
+            this.list.appendChild(item);
+        });
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    new SelfHostedHostsEditor();
+    new CustomSitesEditor();
+});
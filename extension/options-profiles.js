@@ -0,0 +1,197 @@
+// Options page: named settings profiles and JSON import/export of the settings object.
+class SettingsProfilesEditor {
+    constructor() {
+        this.profiles = [];
+        this.settings = { ...DEFAULT_SETTINGS };
+        this.form = document.getElementById('profileForm');
+        this.nameInput = document.getElementById('profileName');
+        this.list = document.getElementById('profileList');
+        this.emptyHint = document.getElementById('profileEmpty');
+        this.statusEl = document.getElementById('profileStatus');
+
+        if (!this.form || !this.list) return;
+        this.init();
+    }
+
+    async init() {
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSubmit();
+        });
+
+        i18n.onLanguageChange(() => this.renderList());
+
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'local' && changes[SETTINGS_PROFILES_STORAGE_KEY]) {
+                this.reload();
+            }
+        });
+        onStoredSettingsChanged((settings) => {
+            this.settings = settings;
+            this.renderList();
+        });
+
+        this.settings = await loadStoredSettings();
+        await this.reload();
+    }
+
+    async reload() {
+        this.profiles = await getStoredSettingsProfiles();
+        await this.renderList();
+    }
+
+    async showStatus(key, params, ok = false) {
+        if (!this.statusEl) return;
+        this.statusEl.textContent = key ? await i18n.t(key, params) : '';
+        this.statusEl.classList.toggle('is-ok', ok);
+        this.statusEl.hidden = !key;
+    }
+
+    async handleSubmit() {
+        const name = this.nameInput.value.trim();
+        if (!name) {
+            await this.showStatus('profileErrorName');
+            this.nameInput.focus();
+            return;
+        }
+        try {
+            const profile = await saveSettingsProfile(name, await loadStoredSettings());
+            this.nameInput.value = '';
+            await this.showStatus('profileSaved', { name: profile.name }, true);
+        } catch (error) {
+            console.warn('Failed to save settings profile:', error);
+            await this.showStatus('profileErrorSave');
+        }
+    }
+
+    async deleteProfile(profile) {
+        const message = await i18n.t('profileDeleteConfirm', { name: profile.name });
+        if (!window.confirm(message)) return;
+        await deleteSettingsProfile(profile.id);
+        await this.showStatus('');
+    }
+
+    async renderList() {
+        const t = await i18n.translate(['profileApply', 'profileUpdate', 'profileDelete', 'profileActive']);
+        const active = findMatchingSettingsProfile(this.profiles, this.settings);
+
+        this.list.innerHTML = '';
+        if (this.emptyHint) this.emptyHint.hidden = this.profiles.length > 0;
+
+        this.profiles.forEach((profile) => {
+            const item = document.createElement('div');
+            item.className = 'custom-site-item';
+
+            const info = document.createElement('div');
+            info.className = 'custom-site-info';
+            const name = document.createElement('div');
+            name.className = 'custom-site-name';
+            name.textContent = profile.name;
+            const meta = document.createElement('div');
+            meta.className = 'custom-site-meta';
+            meta.textContent = `ChatGPT ${profile.settings.chatgptWidth}rem · TOC ${profile.settings.tocWidth}px`;
+            info.append(name, meta);
+            if (active && active.id === profile.id) {
+                const status = document.createElement('div');
+                status.className = 'custom-site-status is-granted';
+                status.textContent = t.profileActive;
+                info.appendChild(status);
+            }
+
+            const actions = document.createElement('div');
+            actions.className = 'custom-site-item-actions';
+
+            const apply = document.createElement('button');
+            apply.type = 'button';
+            apply.className = 'custom-site-button is-primary';
+            apply.textContent = t.profileApply;
+            apply.addEventListener('click', () => applySettingsProfile(profile.id));
+
+            // Overwrite the profile with the current settings
+            const update = document.createElement('button');
+            update.type = 'button';
+            update.className = 'custom-site-button';
+            update.textContent = t.profileUpdate;
+            update.addEventListener('click', async () => {
+                await saveSettingsProfile(profile.name, await loadStoredSettings());
+                await this.showStatus('profileSaved', { name: profile.name }, true);
+            });
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'custom-site-button is-danger';
+            remove.textContent = t.profileDelete;
+            remove.addEventListener('click', () => this.deleteProfile(profile));
+
+            actions.append(apply, update, remove);
+            item.append(info, actions);
+            this.list.appendChild(item);
+        });
+    }
+}
+
+class SettingsTransfer {
+    constructor() {
+        this.exportButton = document.getElementById('settingsExport');
+        this.importButton = document.getElementById('settingsImport');
+        this.fileInput = document.getElementById('settingsImportFile');
+        this.statusEl = document.getElementById('settingsTransferStatus');
+
+        if (!this.exportButton || !this.importButton || !this.fileInput) return;
+        this.init();
+    }
+
+    init() {
+        this.exportButton.addEventListener('click', () => this.exportSettings());
+        this.importButton.addEventListener('click', () => this.fileInput.click());
+        this.fileInput.addEventListener('change', () => {
+            const [file] = this.fileInput.files;
+            this.fileInput.value = '';
+            if (file) this.importSettings(file);
+        });
+    }
+
+    async showStatus(key, params, ok = false) {
+        if (!this.statusEl) return;
+        this.statusEl.textContent = key ? await i18n.t(key, params) : '';
+        this.statusEl.classList.toggle('is-ok', ok);
+        this.statusEl.hidden = !key;
+    }
+
+    async exportSettings() {
+        const data = createSettingsExport(await loadStoredSettings(), await getStoredSettingsProfiles());
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `chatgpt-timeline-settings-${data.exportedAt.slice(0, 10)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    async importSettings(file) {
+        const imported = parseSettingsExport(await file.text());
+        if (!imported) {
+            await this.showStatus('settingsImportInvalid');
+            return;
+        }
+        try {
+            await saveStoredSettings(imported.settings);
+            if (imported.profiles.length) {
+                const profiles = mergeSettingsProfiles(await getStoredSettingsProfiles(), imported.profiles);
+                await saveStoredSettingsProfiles(profiles);
+            }
+            await this.showStatus('settingsImported', { count: imported.profiles.length }, true);
+        } catch (error) {
+            console.warn('Failed to import settings:', error);
+            await this.showStatus('settingsImportFailed');
+        }
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    new SettingsProfilesEditor();
+    new SettingsTransfer();
+});
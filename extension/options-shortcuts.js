@@ -0,0 +1,174 @@
+// Options page: in-page keyboard shortcut bindings and the browser-level chrome.commands list.
+class KeyboardShortcutsEditor {
+    constructor() {
+        this.settings = { ...DEFAULT_SETTINGS };
+        this.toggle = document.getElementById('enableKeyboardShortcuts');
+        this.inputs = Array.from(document.querySelectorAll('[data-shortcut-action]'));
+        this.statusEl = document.getElementById('shortcutStatus');
+        this.resetButton = document.getElementById('resetShortcuts');
+        this.browserList = document.getElementById('browserShortcutList');
+        this.openBrowserButton = document.getElementById('openBrowserShortcuts');
+
+        if (!this.toggle || !this.inputs.length) return;
+        this.init();
+    }
+
+    async init() {
+        this.toggle.addEventListener('change', () => {
+            this.saveSetting('enableKeyboardShortcuts', this.toggle.checked);
+        });
+        this.inputs.forEach((input) => {
+            input.addEventListener('focus', () => this.startRecording(input));
+            input.addEventListener('blur', () => this.stopRecording(input));
+            input.addEventListener('keydown', (e) => this.handleKeydown(e, input));
+        });
+        this.resetButton?.addEventListener('click', () => this.resetShortcuts());
+        this.openBrowserButton?.addEventListener('click', () => {
+            chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+        });
+        // Pick up bindings changed on the browser page when the user comes back
+        window.addEventListener('focus', () => this.renderBrowserShortcuts());
+
+        i18n.onLanguageChange(() => {
+            this.render();
+            this.renderBrowserShortcuts();
+        });
+        onStoredSettingsChanged((settings) => {
+            this.settings = settings;
+            this.render();
+        });
+
+        this.settings = await loadStoredSettings();
+        await this.render();
+        await this.renderBrowserShortcuts();
+    }
+
+    getBinding(input) {
+        return KEYBOARD_SHORTCUTS.find(item => item.action === input.dataset.shortcutAction);
+    }
+
+    async render() {
+        const t = await i18n.translate(['shortcutNone', 'shortcutRecording']);
+        this.toggle.checked = this.settings.enableKeyboardShortcuts;
+        this.inputs.forEach((input) => {
+            const binding = this.getBinding(input);
+            if (!binding) return;
+            input.value = input.classList.contains('is-recording')
+                ? ''
+                : formatShortcut(this.settings[binding.setting]) || t.shortcutNone;
+            input.placeholder = t.shortcutRecording;
+        });
+    }
+
+    startRecording(input) {
+        input.classList.add('is-recording');
+        input.value = '';
+    }
+
+    stopRecording(input) {
+        input.classList.remove('is-recording');
+        this.render();
+    }
+
+    async showStatus(key, params, ok = false) {
+        if (!this.statusEl) return;
+        this.statusEl.textContent = key ? await i18n.t(key, params) : '';
+        this.statusEl.classList.toggle('is-ok', ok);
+        this.statusEl.hidden = !key;
+    }
+
+    async handleKeydown(e, input) {
+        const plain = !e.ctrlKey && !e.altKey && !e.metaKey && !e.shiftKey;
+        // Leave plain Tab alone so the form stays keyboard accessible
+        if (e.key === 'Tab' && plain) return;
+        e.preventDefault();
+        e.stopPropagation();
+
+        if (e.key === 'Escape' && plain) {
+            input.blur();
+            return;
+        }
+        const binding = this.getBinding(input);
+        if (!binding) return;
+
+        if ((e.key === 'Backspace' || e.key === 'Delete') && plain) {
+            await this.saveSetting(binding.setting, '');
+            await this.showStatus('');
+            input.blur();
+            return;
+        }
+
+        const shortcut = getShortcutFromEvent(e);
+        if (!shortcut) {
+            // Bare modifiers: keep waiting for the rest of the combination
+            if (['Control', 'Alt', 'Shift', 'Meta'].includes(e.key)) return;
+            await this.showStatus('shortcutErrorInvalid');
+            return;
+        }
+
+        const conflict = KEYBOARD_SHORTCUTS.find(item =>
+            item.setting !== binding.setting && this.settings[item.setting] === shortcut
+        );
+        if (conflict) {
+            const action = await i18n.t(getShortcutLabelKey(conflict));
+            await this.showStatus('shortcutErrorConflict', { shortcut: formatShortcut(shortcut), action });
+            return;
+        }
+
+        await this.saveSetting(binding.setting, shortcut);
+        await this.showStatus('');
+        input.blur();
+    }
+
+    async saveSetting(key, value) {
+        try {
+            const current = await loadStoredSettings();
+            this.settings = await saveStoredSettings({ ...current, [key]: value });
+            await this.render();
+        } catch (error) {
+            console.warn('Failed to save shortcut:', error);
+        }
+    }
+
+    async resetShortcuts() {
+        const current = await loadStoredSettings();
+        KEYBOARD_SHORTCUT_SETTING_KEYS.forEach((key) => {
+            current[key] = DEFAULT_SETTINGS[key];
+        });
+        this.settings = await saveStoredSettings(current);
+        await this.render();
+        await this.showStatus('shortcutsResetDone', {}, true);
+    }
+
+    // chrome.commands bindings are owned by the browser; list them read-only
+    async renderBrowserShortcuts() {
+        if (!this.browserList || !chrome.commands?.getAll) return;
+        const commands = await chrome.commands.getAll();
+        const t = await i18n.translate(['shortcutNone', ...KEYBOARD_SHORTCUTS.map(getShortcutLabelKey)]);
+
+        this.browserList.innerHTML = '';
+        KEYBOARD_SHORTCUTS.forEach((binding) => {
+            const command = commands.find(item => item.name === binding.command);
+            if (!command) return;
+            const item = document.createElement('div');
+            item.className = 'custom-site-item';
+            const name = document.createElement('div');
+            name.className = 'custom-site-name';
+            name.textContent = t[getShortcutLabelKey(binding)];
+            const keys = document.createElement('div');
+            keys.className = 'custom-site-meta';
+            keys.textContent = command.shortcut || t.shortcutNone;
+            item.append(name, keys);
+            this.browserList.appendChild(item);
+        });
+    }
+}
+
+// Locale key shared with the chrome.commands descriptions in the manifest
+function getShortcutLabelKey(binding) {
+    return `command${binding.action.charAt(0).toUpperCase()}${binding.action.slice(1)}`;
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    new KeyboardShortcutsEditor();
+});
@@ -1,46 +1,7 @@
-const DEEPSEEK_PADDING_MIN = 0;
-const DEEPSEEK_PADDING_MAX = 60;
-const DEFAULT_DEEPSEEK_PADDING = 5;
-const DEFAULT_DEEPSEEK_WIDTH = DEEPSEEK_PADDING_MAX + DEEPSEEK_PADDING_MIN - DEFAULT_DEEPSEEK_PADDING;
-const DOUBAO_PADDING_MIN = 0;
-const DOUBAO_PADDING_MAX = 60;
-const DEFAULT_DOUBAO_PADDING = 5;
-const DEFAULT_DOUBAO_WIDTH = DOUBAO_PADDING_MAX + DOUBAO_PADDING_MIN - DEFAULT_DOUBAO_PADDING;
-
-function migrateDeepseekWidthSetting(settings) {
-    if (!settings) return { settings, migrated: false };
-    if (settings.deepseekWidthMode === 'width') return { settings, migrated: false };
-    const raw = Number.parseFloat(settings.deepseekWidth);
-    const normalized = Number.isFinite(raw) ? raw : DEFAULT_DEEPSEEK_PADDING;
-    settings.deepseekWidth = DEEPSEEK_PADDING_MAX + DEEPSEEK_PADDING_MIN - normalized;
-    settings.deepseekWidthMode = 'width';
-    return { settings, migrated: true };
-}
-
 // ChatGPT Timeline Settings Popup
 class SettingsManager {
     constructor() {
-        this.settingsKey = 'chatgptTimelineSettings';
-        this.defaultSettings = {
-            timelinePosition: 'right',
-            enableDragging: true,
-            enableTOC: true,
-            tocWidth: 280,
-            tocPosition: 'right',
-            enableLongPressDrag: true,
-            enableChatGPTTimeline: true,
-            enableGeminiTimeline: true,
-            enableClaudeTimeline: true,
-            enableDoubaoTimeline: true,
-            chatgptWidth: 48,
-            taskPageWidth: 48,
-            geminiWidth: 48,
-            claudeWidth: 48,
-            deepseekWidth: DEFAULT_DEEPSEEK_WIDTH,
-            deepseekWidthMode: 'width',
-            doubaoWidth: DEFAULT_DOUBAO_WIDTH,
-            grokWidth: 85
-        };
+        this.defaultSettings = { ...DEFAULT_SETTINGS };
         this.settings = { ...this.defaultSettings };
 
         this.init();
@@ -58,9 +19,19 @@ class SettingsManager {
             this.updateUITranslations();
         });
 
-        this.loadSettings();
+        await this.loadSettings();
         this.setupEventListeners();
+        this.setupSyncToggle();
+        this.setupFullTextSearch();
+        await this.setupProfileSelect();
         this.updateUI();
+
+        // 其它页面（弹窗、设置页或其它设备）修改设置后同步界面
+        onStoredSettingsChanged((settings, changedKeys) => {
+            if (changedKeys.every(key => this.settings[key] === settings[key])) return;
+            this.settings = settings;
+            this.updateUI();
+        });
     }
 
     /**
@@ -79,6 +50,9 @@ class SettingsManager {
                 }
             }
         }
+        for (const element of document.querySelectorAll('[data-i18n-placeholder]')) {
+            element.placeholder = await i18n.t(element.getAttribute('data-i18n-placeholder'));
+        }
     }
 
     /**
@@ -88,113 +62,140 @@ class SettingsManager {
         await this.initTranslations();
     }
 
-    loadSettings() {
+    async loadSettings() {
+        await this.migrateLegacySettings();
+        this.settings = await loadStoredSettings();
+    }
+
+    // 早期版本把设置保存在弹窗的 localStorage 中，首次打开时迁移到 chrome.storage
+    async migrateLegacySettings() {
         try {
-            const saved = localStorage.getItem(this.settingsKey);
-            if (saved) {
-                const loadedSettings = JSON.parse(saved);
-                // Handle backwards compatibility for enableDragging vs enableLongPressDrag
-                if (loadedSettings.hasOwnProperty('enableDragging') && !loadedSettings.hasOwnProperty('enableLongPressDrag')) {
-                    loadedSettings.enableLongPressDrag = loadedSettings.enableDragging;
-                }
-                const { settings: migrated, migrated: didMigrate } = migrateDeepseekWidthSetting({ ...loadedSettings });
-                this.settings = { ...this.defaultSettings, ...migrated };
-                if (didMigrate) {
-                    localStorage.setItem(this.settingsKey, JSON.stringify(this.settings));
-                }
-            }
+            const legacy = localStorage.getItem(SETTINGS_STORAGE_KEY);
+            if (!legacy) return;
+            await saveStoredSettings(migrateSettings(JSON.parse(legacy)).settings);
+            localStorage.removeItem(SETTINGS_STORAGE_KEY);
         } catch (error) {
-            console.warn('Failed to load settings:', error);
-            this.settings = { ...this.defaultSettings };
+            console.warn('Failed to migrate legacy settings:', error);
         }
     }
 
-    saveSettings() {
+    async saveSettings() {
         try {
-            localStorage.setItem(this.settingsKey, JSON.stringify(this.settings));
-            // 通知content script更新设置
-            this.notifyContentScript();
+            // 所有标签页通过 chrome.storage.onChanged 收到更新
+            await saveStoredSettings(this.settings);
+            this.updateProfileSelect();
         } catch (error) {
             console.warn('Failed to save settings:', error);
         }
     }
 
-    notifyContentScript() {
-        const sendToTab = (tabId) => {
-            chrome.tabs.sendMessage(tabId, {
-                action: 'updateSettings',
-                settings: this.settings
-            }).catch(() => {});
-
-            if (this.settings.chatgptWidth) {
-                chrome.tabs.sendMessage(tabId, {
-                    action: 'updateChatGPTWidth',
-                    width: this.settings.chatgptWidth + 'rem'
-                }).catch(() => {});
-            }
-            if (this.settings.taskPageWidth) {
-                chrome.tabs.sendMessage(tabId, {
-                    action: 'updateTaskPageWidth',
-                    width: this.settings.taskPageWidth + 'rem'
-                }).catch(() => {});
-            }
-            if (this.settings.geminiWidth) {
-                chrome.tabs.sendMessage(tabId, {
-                    action: 'updateGeminiWidth',
-                    width: this.settings.geminiWidth + 'rem'
-                }).catch(() => {});
-            }
-            if (this.settings.claudeWidth) {
-                chrome.tabs.sendMessage(tabId, {
-                    action: 'updateClaudeWidth',
-                    width: this.settings.claudeWidth + 'rem'
-                }).catch(() => {});
-            }
-            if (Number.isFinite(this.settings.deepseekWidth)) {
-                chrome.tabs.sendMessage(tabId, {
-                    action: 'updateDeepseekWidth',
-                    width: this.settings.deepseekWidth + 'rem'
-                }).catch(() => {});
-            }
-            if (Number.isFinite(this.settings.doubaoWidth)) {
-                chrome.tabs.sendMessage(tabId, {
-                    action: 'updateDoubaoWidth',
-                    width: this.settings.doubaoWidth + 'rem'
-                }).catch(() => {});
-            }
-            if (this.settings.grokWidth) {
-                chrome.tabs.sendMessage(tabId, {
-                    action: 'updateGrokWidth',
-                    width: this.settings.grokWidth + 'rem'
-                }).catch(() => {});
-            }
-        };
-
-        const isOptionsPage = typeof window !== 'undefined' && window.location &&
-            (window.location.pathname === '/options.html' || String(window.location.pathname).endsWith('options.html'));
-
-        if (isOptionsPage) {
-            // 设置页：通知所有已注入 content script 的标签页
-            const contentScriptUrls = [
-                'https://chatgpt.com/*',
-                'https://chat.openai.com/*',
-                'https://gemini.google.com/*',
-                'https://grok.com/*',
-                'https://claude.ai/*',
-                'https://chat.deepseek.com/*',
-                'https://deepseek.com/*',
-                'https://www.doubao.com/*',
-                'https://doubao.com/*'
-            ];
-            chrome.tabs.query({ url: contentScriptUrls }, (tabs) => {
-                tabs.forEach((tab) => sendToTab(tab.id));
-            });
-        } else {
-            // Popup：仅通知当前窗口的当前标签
-            chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-                if (tabs[0]) sendToTab(tabs[0].id);
+    // 配置方案切换（仅弹窗提供，方案在设置页管理）
+    async setupProfileSelect() {
+        const profileSelect = document.getElementById('profileSelect');
+        if (!profileSelect) return;
+        this.profiles = await getStoredSettingsProfiles();
+        profileSelect.addEventListener('change', (e) => {
+            if (e.target.value) applySettingsProfile(e.target.value);
+        });
+        chrome.storage.onChanged.addListener(async (changes, areaName) => {
+            if (areaName === 'local' && changes[SETTINGS_PROFILES_STORAGE_KEY]) {
+                this.profiles = await getStoredSettingsProfiles();
+                this.updateProfileSelect();
+            }
+        });
+    }
+
+    updateProfileSelect() {
+        const profileSelect = document.getElementById('profileSelect');
+        const profileSection = document.getElementById('profileSection');
+        if (!profileSelect || !this.profiles) return;
+
+        profileSection.hidden = this.profiles.length === 0;
+        // 保留第一项“当前设置”，重建方案列表
+        while (profileSelect.options.length > 1) {
+            profileSelect.remove(1);
+        }
+        this.profiles.forEach((profile) => {
+            profileSelect.add(new Option(profile.name, profile.id));
+        });
+        const active = findMatchingSettingsProfile(this.profiles, this.settings);
+        profileSelect.value = active ? active.id : '';
+    }
+
+    // 离线全文搜索（仅弹窗提供），点击结果打开对话并定位到匹配的那一轮
+    setupFullTextSearch() {
+        const input = document.getElementById('fullTextSearch');
+        const results = document.getElementById('fullTextResults');
+        if (!input || !results || typeof searchFullText !== 'function') return;
+
+        let searchTimer = null;
+        let searchVersion = 0;
+        const runSearch = async () => {
+            const version = ++searchVersion;
+            const query = input.value.trim();
+            let matches = [];
+            if (query) {
+                try {
+                    matches = await searchFullText(query);
+                } catch (error) {
+                    console.warn('Failed to search saved conversations:', error);
+                }
+            }
+            // 输入过程中较早的查询可能更晚返回
+            if (version !== searchVersion) return;
+            await this.renderFullTextResults(results, matches, !!query);
+        };
+        input.addEventListener('input', () => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(runSearch, 150);
+        });
+        i18n.onLanguageChange(runSearch);
+    }
+
+    async renderFullTextResults(results, matches, searched) {
+        const t = await i18n.translate(['fullTextNoResults', 'fullTextTurnLabel']);
+        results.innerHTML = '';
+        if (searched && matches.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'fulltext-empty';
+            empty.textContent = t.fullTextNoResults;
+            results.appendChild(empty);
+            return;
+        }
+        matches.forEach((match) => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'fulltext-result';
+            const title = document.createElement('span');
+            title.className = 'fulltext-result-title';
+            title.textContent = match.title;
+            const meta = document.createElement('span');
+            meta.className = 'fulltext-result-meta';
+            meta.textContent = `${match.key.split('/')[0]} · ${t.fullTextTurnLabel.replace('{{index}}', match.turnIndex + 1)}`;
+            const snippet = document.createElement('span');
+            snippet.className = 'fulltext-result-snippet';
+            snippet.textContent = match.snippet;
+            button.append(title, meta, snippet);
+            button.addEventListener('click', () => {
+                chrome.tabs.create({ url: buildTurnLinkURL(match.url, match.turnId, match.turnIndex) });
+                window.close();
+            });
+            item.appendChild(button);
+            results.appendChild(item);
+        });
+    }
+
+    // 跨设备同步开关（仅设置页提供）
+    async setupSyncToggle() {
+        const syncToggle = document.getElementById('enableSettingsSync');
+        if (!syncToggle) return;
+        syncToggle.checked = await isSettingsSyncEnabled();
+        syncToggle.addEventListener('change', (e) => {
+            setSettingsSyncEnabled(e.target.checked).catch((error) => {
+                console.warn('Failed to update settings sync:', error);
             });
-        }
+        });
     }
 
     setupEventListeners() {
@@ -214,6 +215,46 @@ class SettingsManager {
             });
         }
 
+        // 时间线样式（仅 options 页保留）
+        const timelineModeSelect = document.getElementById('timelineMode');
+        if (timelineModeSelect) {
+            timelineModeSelect.addEventListener('change', (e) => {
+                this.settings.timelineMode = e.target.value;
+                this.saveSettings();
+            });
+        }
+
+        // 回复标记（仅 options 页保留）
+        const assistantMarkersSelect = document.getElementById('assistantMarkers');
+        if (assistantMarkersSelect) {
+            assistantMarkersSelect.addEventListener('change', (e) => {
+                this.settings.assistantMarkers = e.target.value;
+                this.saveSettings();
+            });
+        }
+
+        // 对话库收录开关（仅 options 页保留）
+        const conversationLibraryCheckbox = document.getElementById('enableConversationLibrary');
+        if (conversationLibraryCheckbox) {
+            conversationLibraryCheckbox.addEventListener('change', (e) => {
+                this.settings.enableConversationLibrary = e.target.checked;
+                this.saveSettings();
+            });
+        }
+
+        // 阅读进度开关（仅 options 页保留）
+        const readingProgressCheckbox = document.getElementById('enableReadingProgress');
+        if (readingProgressCheckbox) {
+            readingProgressCheckbox.addEventListener('change', (e) => {
+                this.settings.enableReadingProgress = e.target.checked;
+                this.saveSettings();
+            });
+        }
+
+        document.getElementById('openLibrary')?.addEventListener('click', () => {
+            chrome.tabs.create({ url: chrome.runtime.getURL('library.html') });
+        });
+
         // 允许长按拖拽复选框
         document.getElementById('enableDragging').addEventListener('change', (e) => {
             this.settings.enableLongPressDrag = e.target.checked;
@@ -240,6 +281,31 @@ class SettingsManager {
             this.settings.enableDoubaoTimeline = e.target.checked;
             this.saveSettings();
         });
+
+        document.getElementById('enableDeepseekTimeline').addEventListener('change', (e) => {
+            this.settings.enableDeepseekTimeline = e.target.checked;
+            this.saveSettings();
+        });
+
+        document.getElementById('enableGrokTimeline').addEventListener('change', (e) => {
+            this.settings.enableGrokTimeline = e.target.checked;
+            this.saveSettings();
+        });
+
+        document.getElementById('enableOpenWebUITimeline').addEventListener('change', (e) => {
+            this.settings.enableOpenWebUITimeline = e.target.checked;
+            this.saveSettings();
+        });
+
+        document.getElementById('enableLibreChatTimeline').addEventListener('change', (e) => {
+            this.settings.enableLibreChatTimeline = e.target.checked;
+            this.saveSettings();
+        });
+
+        document.getElementById('enableLobeChatTimeline').addEventListener('change', (e) => {
+            this.settings.enableLobeChatTimeline = e.target.checked;
+            this.saveSettings();
+        });
 
         // 启用目录导航复选框
         document.getElementById('enableTOC').addEventListener('change', (e) => {
@@ -278,10 +344,6 @@ class SettingsManager {
             this.settings.chatgptWidth = parseInt(value);
             // 实时更新 CSS 变量
             document.documentElement.style.setProperty('--timeline-chatgpt-html-content-max-width', value + 'rem');
-            this.notifyContentScript();
-        });
-
-        chatgptWidthSlider.addEventListener('change', () => {
             this.saveSettings();
         });
 
@@ -295,10 +357,6 @@ class SettingsManager {
             this.settings.taskPageWidth = parseInt(value);
             // 实时更新 CSS 变量
             document.documentElement.style.setProperty('--timeline-task-page-max-width', value + 'rem');
-            this.notifyContentScript();
-        });
-
-        taskPageWidthSlider.addEventListener('change', () => {
             this.saveSettings();
         });
 
@@ -312,10 +370,6 @@ class SettingsManager {
             this.settings.geminiWidth = parseInt(value);
             // 实时更新 CSS 变量
             document.documentElement.style.setProperty('--timeline-gemini-conversation-max-width', value + 'rem');
-            this.notifyContentScript();
-        });
-
-        geminiWidthSlider.addEventListener('change', () => {
             this.saveSettings();
         });
 
@@ -329,10 +383,6 @@ class SettingsManager {
             this.settings.claudeWidth = parseInt(value);
             // 实时更新 CSS 变量
             document.documentElement.style.setProperty('--timeline-claude-content-max-width', value + 'rem');
-            this.notifyContentScript();
-        });
-
-        claudeWidthSlider.addEventListener('change', () => {
             this.saveSettings();
         });
 
@@ -346,10 +396,6 @@ class SettingsManager {
             this.settings.deepseekWidth = parseInt(value);
             // 实时更新 CSS 变量
             document.documentElement.style.setProperty('--timeline-deepseek-content-width', this.settings.deepseekWidth + 'rem');
-            this.notifyContentScript();
-        });
-
-        deepseekWidthSlider.addEventListener('change', () => {
             this.saveSettings();
         });
 
@@ -363,10 +409,6 @@ class SettingsManager {
             this.settings.doubaoWidth = parseInt(value);
             // 实时更新 CSS 变量
             document.documentElement.style.setProperty('--timeline-doubao-content-width', this.settings.doubaoWidth + 'rem');
-            this.notifyContentScript();
-        });
-
-        doubaoWidthSlider.addEventListener('change', () => {
             this.saveSettings();
         });
 
@@ -380,10 +422,6 @@ class SettingsManager {
             this.settings.grokWidth = parseInt(value);
             // 实时更新 CSS 变量
             document.documentElement.style.setProperty('--timeline-grok-content-max-width', value + 'rem');
-            this.notifyContentScript();
-        });
-
-        grokWidthSlider.addEventListener('change', () => {
             this.saveSettings();
         });
 
@@ -431,11 +469,33 @@ class SettingsManager {
         // 更新语言选择器
         document.getElementById('languageSelect').value = i18n.currentLanguage;
 
+        this.updateProfileSelect();
+
         // 更新进度条位置选择（仅 options 页保留）
         const timelinePositionSelect = document.getElementById('timelinePosition');
         if (timelinePositionSelect) {
             timelinePositionSelect.value = this.settings.timelinePosition;
         }
+
+        const timelineModeSelect = document.getElementById('timelineMode');
+        if (timelineModeSelect) {
+            timelineModeSelect.value = this.settings.timelineMode;
+        }
+
+        const assistantMarkersSelect = document.getElementById('assistantMarkers');
+        if (assistantMarkersSelect) {
+            assistantMarkersSelect.value = this.settings.assistantMarkers;
+        }
+
+        const conversationLibraryCheckbox = document.getElementById('enableConversationLibrary');
+        if (conversationLibraryCheckbox) {
+            conversationLibraryCheckbox.checked = this.settings.enableConversationLibrary;
+        }
+
+        const readingProgressCheckbox = document.getElementById('enableReadingProgress');
+        if (readingProgressCheckbox) {
+            readingProgressCheckbox.checked = this.settings.enableReadingProgress;
+        }
 
         // 更新允许长按拖拽复选框
         document.getElementById('enableDragging').checked = this.settings.enableLongPressDrag;
@@ -445,6 +505,11 @@ class SettingsManager {
         document.getElementById('enableGeminiTimeline').checked = this.settings.enableGeminiTimeline !== false;
         document.getElementById('enableClaudeTimeline').checked = this.settings.enableClaudeTimeline !== false;
         document.getElementById('enableDoubaoTimeline').checked = this.settings.enableDoubaoTimeline !== false;
+        document.getElementById('enableDeepseekTimeline').checked = this.settings.enableDeepseekTimeline !== false;
+        document.getElementById('enableGrokTimeline').checked = this.settings.enableGrokTimeline !== false;
+        document.getElementById('enableOpenWebUITimeline').checked = this.settings.enableOpenWebUITimeline !== false;
+        document.getElementById('enableLibreChatTimeline').checked = this.settings.enableLibreChatTimeline !== false;
+        document.getElementById('enableLobeChatTimeline').checked = this.settings.enableLobeChatTimeline !== false;
 
         // 更新启用目录导航复选框
         document.getElementById('enableTOC').checked = this.settings.enableTOC;
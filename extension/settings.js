@@ -0,0 +1,381 @@
+// Shared settings: schema, migrations and storage.
+// Loaded by content scripts, popup/options pages and the background worker, so it must not
+// touch the DOM or localStorage. chrome.storage.local is the single source of truth; when the
+// user opts in, the background worker mirrors it to chrome.storage.sync.
+
+const SETTINGS_STORAGE_KEY = 'chatgptTimelineSettings';
+// Device-local switch, deliberately kept outside the settings object so it never syncs itself
+const SETTINGS_SYNC_ENABLED_KEY = 'chatgptTimelineSettingsSync';
+const SETTINGS_VERSION = 2;
+
+const DEEPSEEK_PADDING_MIN = 0;
+const DEEPSEEK_PADDING_MAX = 60;
+const DEFAULT_DEEPSEEK_PADDING = 5;
+const DEFAULT_DEEPSEEK_WIDTH = DEEPSEEK_PADDING_MAX + DEEPSEEK_PADDING_MIN - DEFAULT_DEEPSEEK_PADDING;
+const DOUBAO_PADDING_MIN = 0;
+const DOUBAO_PADDING_MAX = 60;
+const DEFAULT_DOUBAO_PADDING = 5;
+const DEFAULT_DOUBAO_WIDTH = DOUBAO_PADDING_MAX + DOUBAO_PADDING_MIN - DEFAULT_DOUBAO_PADDING;
+
+const SETTINGS_SCHEMA = {
+    timelinePosition: { type: 'enum', values: ['left', 'right'], default: 'right' },
+    timelineMode: { type: 'enum', values: ['dots', 'minimap'], default: 'dots' },
+    enableDragging: { type: 'boolean', default: true },
+    enableLongPressDrag: { type: 'boolean', default: true },
+    enableTOC: { type: 'boolean', default: true },
+    tocWidth: { type: 'number', min: 200, max: 400, default: 280 },
+    tocPosition: { type: 'enum', values: ['left', 'right'], default: 'right' },
+    assistantMarkers: { type: 'enum', values: ['off', 'lane', 'inline'], default: 'off' },
+    enableConversationLibrary: { type: 'boolean', default: true },
+    enableReadingProgress: { type: 'boolean', default: true },
+    enableChatGPTTimeline: { type: 'boolean', default: true },
+    enableGeminiTimeline: { type: 'boolean', default: true },
+    enableClaudeTimeline: { type: 'boolean', default: true },
+    enableDoubaoTimeline: { type: 'boolean', default: true },
+    enableDeepseekTimeline: { type: 'boolean', default: true },
+    enableGrokTimeline: { type: 'boolean', default: true },
+    enableOpenWebUITimeline: { type: 'boolean', default: true },
+    enableLibreChatTimeline: { type: 'boolean', default: true },
+    enableLobeChatTimeline: { type: 'boolean', default: true },
+    chatgptWidth: { type: 'number', min: 20, max: 150, default: 48, cssVar: '--timeline-chatgpt-html-content-max-width' },
+    taskPageWidth: { type: 'number', min: 20, max: 150, default: 48, cssVar: '--timeline-task-page-max-width' },
+    geminiWidth: { type: 'number', min: 20, max: 150, default: 48, cssVar: '--timeline-gemini-conversation-max-width' },
+    claudeWidth: { type: 'number', min: 20, max: 150, default: 48, cssVar: '--timeline-claude-content-max-width' },
+    deepseekWidth: { type: 'number', min: DEEPSEEK_PADDING_MIN, max: DEEPSEEK_PADDING_MAX, default: DEFAULT_DEEPSEEK_WIDTH, cssVar: '--timeline-deepseek-content-width' },
+    deepseekWidthMode: { type: 'enum', values: ['width'], default: 'width' },
+    doubaoWidth: { type: 'number', min: DOUBAO_PADDING_MIN, max: DOUBAO_PADDING_MAX, default: DEFAULT_DOUBAO_WIDTH, cssVar: '--timeline-doubao-content-width' },
+    grokWidth: { type: 'number', min: 20, max: 150, default: 85, cssVar: '--timeline-grok-content-max-width' },
+    enableKeyboardShortcuts: { type: 'boolean', default: true },
+    shortcutPrevTurn: { type: 'shortcut', default: 'Alt+ArrowUp' },
+    shortcutNextTurn: { type: 'shortcut', default: 'Alt+ArrowDown' },
+    shortcutFirstTurn: { type: 'shortcut', default: 'Alt+Home' },
+    shortcutLastTurn: { type: 'shortcut', default: 'Alt+End' },
+    shortcutToggleTOC: { type: 'shortcut', default: 'Alt+T' },
+    shortcutFocusSearch: { type: 'shortcut', default: 'Alt+K' },
+    shortcutCopyQA: { type: 'shortcut', default: 'Alt+C' }
+};
+
+const DEFAULT_SETTINGS = Object.fromEntries(
+    Object.entries(SETTINGS_SCHEMA).map(([key, field]) => [key, field.default])
+);
+
+// Settings that only change page CSS variables, so pages can apply them without a UI rebuild
+const WIDTH_SETTING_KEYS = Object.keys(SETTINGS_SCHEMA).filter(key => SETTINGS_SCHEMA[key].cssVar);
+
+// In-page bindings live in the settings above; `command` is the matching chrome.commands name
+// (bound at chrome://extensions/shortcuts, which also works while typing in the page)
+const KEYBOARD_SHORTCUTS = [
+    { action: 'prevTurn', setting: 'shortcutPrevTurn', command: 'prev-turn' },
+    { action: 'nextTurn', setting: 'shortcutNextTurn', command: 'next-turn' },
+    { action: 'firstTurn', setting: 'shortcutFirstTurn', command: 'first-turn' },
+    { action: 'lastTurn', setting: 'shortcutLastTurn', command: 'last-turn' },
+    { action: 'toggleTOC', setting: 'shortcutToggleTOC', command: 'toggle-toc' },
+    { action: 'focusSearch', setting: 'shortcutFocusSearch', command: 'focus-search' },
+    { action: 'copyQA', setting: 'shortcutCopyQA', command: 'copy-qa' }
+];
+const KEYBOARD_SHORTCUT_SETTING_KEYS = ['enableKeyboardShortcuts', ...KEYBOARD_SHORTCUTS.map(item => item.setting)];
+const SHORTCUT_MODIFIERS = ['Ctrl', 'Alt', 'Shift', 'Meta'];
+const SHORTCUT_NAMED_KEYS = [
+    'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Home', 'End', 'PageUp', 'PageDown',
+    'Enter', 'Space', 'Tab', 'Backspace', 'Delete', 'Insert', 'Escape',
+    'F1', 'F2', 'F3', 'F4', 'F5', 'F6', 'F7', 'F8', 'F9', 'F10', 'F11', 'F12'
+];
+
+// Canonical form is 'Ctrl+Alt+Shift+Meta+Key' with an upper-case letter or digit or a named key.
+// Returns '' for "no binding" and null when the value cannot be a shortcut.
+function normalizeShortcut(value) {
+    if (typeof value !== 'string') return null;
+    const parts = value.split('+').map(part => part.trim()).filter(Boolean);
+    if (!parts.length) return '';
+    const key = parts.pop();
+    const modifiers = parts.map(part => SHORTCUT_MODIFIERS.find(name => name.toLowerCase() === part.toLowerCase()));
+    if (modifiers.some(name => !name)) return null;
+
+    const namedKey = SHORTCUT_NAMED_KEYS.find(name => name.toLowerCase() === key.toLowerCase());
+    const normalizedKey = namedKey || (/^[a-z0-9]$/i.test(key) ? key.toUpperCase() : null);
+    if (!normalizedKey) return null;
+    // Plain keys would fire while reading; function keys are the only ones allowed alone
+    const hasCommandModifier = modifiers.some(name => name !== 'Shift');
+    if (!hasCommandModifier && !/^F\d+$/.test(normalizedKey)) return null;
+
+    const ordered = SHORTCUT_MODIFIERS.filter(name => modifiers.includes(name));
+    return [...ordered, normalizedKey].join('+');
+}
+
+// Shortcut string for a keydown event, or '' for bare modifier presses.
+// Letters and digits come from event.code so Alt/Option combos on macOS still read as 'Alt+K'.
+function getShortcutFromEvent(event) {
+    if (['Control', 'Alt', 'Shift', 'Meta'].includes(event.key)) return '';
+    let key = event.key === ' ' ? 'Space' : event.key;
+    const code = event.code || '';
+    if (/^Key[A-Z]$/.test(code)) key = code.slice(3);
+    else if (/^Digit\d$/.test(code)) key = code.slice(5);
+    const modifiers = [];
+    if (event.ctrlKey) modifiers.push('Ctrl');
+    if (event.altKey) modifiers.push('Alt');
+    if (event.shiftKey) modifiers.push('Shift');
+    if (event.metaKey) modifiers.push('Meta');
+    return normalizeShortcut([...modifiers, key].join('+')) || '';
+}
+
+const SHORTCUT_KEY_LABELS = {
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→'
+};
+
+function formatShortcut(shortcut) {
+    return String(shortcut || '')
+        .split('+')
+        .map(part => SHORTCUT_KEY_LABELS[part] || part)
+        .join('+');
+}
+
+// Each step upgrades settings stored by the previous version. Objects without settingsVersion
+// predate versioning and run every step.
+const SETTINGS_MIGRATIONS = [
+    {
+        version: 1,
+        // enableDragging was renamed to enableLongPressDrag
+        migrate(settings) {
+            if (Object.prototype.hasOwnProperty.call(settings, 'enableDragging') &&
+                !Object.prototype.hasOwnProperty.call(settings, 'enableLongPressDrag')) {
+                settings.enableLongPressDrag = settings.enableDragging;
+            }
+            return settings;
+        }
+    },
+    {
+        version: 2,
+        // deepseekWidth used to store the side padding; it now stores the content width
+        migrate(settings) {
+            if (settings.deepseekWidthMode === 'width') return settings;
+            const raw = Number.parseFloat(settings.deepseekWidth);
+            const padding = Number.isFinite(raw) ? raw : DEFAULT_DEEPSEEK_PADDING;
+            settings.deepseekWidth = DEEPSEEK_PADDING_MAX + DEEPSEEK_PADDING_MIN - padding;
+            settings.deepseekWidthMode = 'width';
+            return settings;
+        }
+    }
+];
+
+function migrateSettings(raw) {
+    const settings = raw && typeof raw === 'object' ? { ...raw } : {};
+    const fromVersion = Number.isInteger(settings.settingsVersion) ? settings.settingsVersion : 0;
+    let migrated = false;
+    SETTINGS_MIGRATIONS
+        .filter(step => step.version > fromVersion)
+        .forEach(step => {
+            step.migrate(settings);
+            migrated = true;
+        });
+    settings.settingsVersion = Math.max(fromVersion, SETTINGS_VERSION);
+    return { settings, migrated };
+}
+
+// Coerce every known key to its schema type, falling back to defaults; unknown keys are dropped
+function normalizeSettings(raw) {
+    const source = raw && typeof raw === 'object' ? raw : {};
+    const settings = {};
+    Object.entries(SETTINGS_SCHEMA).forEach(([key, field]) => {
+        const value = source[key];
+        if (field.type === 'boolean') {
+            settings[key] = typeof value === 'boolean' ? value : field.default;
+        } else if (field.type === 'number') {
+            const parsed = Number.parseFloat(value);
+            settings[key] = Number.isFinite(parsed)
+                ? Math.min(field.max, Math.max(field.min, parsed))
+                : field.default;
+        } else if (field.type === 'enum') {
+            settings[key] = field.values.includes(value) ? value : field.default;
+        } else if (field.type === 'shortcut') {
+            const shortcut = normalizeShortcut(value);
+            settings[key] = shortcut === null ? field.default : shortcut;
+        }
+    });
+    return settings;
+}
+
+// Stored shape: normalized settings plus settingsVersion and updatedAt (used to pick the newer copy when syncing)
+function prepareSettingsForStorage(settings, updatedAt = Date.now()) {
+    return { ...normalizeSettings(settings), settingsVersion: SETTINGS_VERSION, updatedAt };
+}
+
+async function loadStoredSettings() {
+    try {
+        const result = await chrome.storage.local.get([SETTINGS_STORAGE_KEY]);
+        const stored = result[SETTINGS_STORAGE_KEY];
+        const { settings, migrated } = migrateSettings(stored);
+        if (stored && migrated) {
+            try {
+                await chrome.storage.local.set({
+                    [SETTINGS_STORAGE_KEY]: prepareSettingsForStorage(settings, stored.updatedAt || Date.now())
+                });
+            } catch {}
+        }
+        return normalizeSettings(settings);
+    } catch (error) {
+        console.warn('Failed to load settings:', error);
+        return { ...DEFAULT_SETTINGS };
+    }
+}
+
+async function saveStoredSettings(settings) {
+    const stored = prepareSettingsForStorage(settings);
+    await chrome.storage.local.set({ [SETTINGS_STORAGE_KEY]: stored });
+    return normalizeSettings(stored);
+}
+
+// callback(settings, changedKeys) fires in every extension context whenever the stored settings change
+function onStoredSettingsChanged(callback) {
+    const listener = (changes, areaName) => {
+        if (areaName !== 'local' || !changes[SETTINGS_STORAGE_KEY]) return;
+        const previous = normalizeSettings(migrateSettings(changes[SETTINGS_STORAGE_KEY].oldValue).settings);
+        const next = normalizeSettings(migrateSettings(changes[SETTINGS_STORAGE_KEY].newValue).settings);
+        const changedKeys = Object.keys(next).filter(key => previous[key] !== next[key]);
+        if (changedKeys.length) callback(next, changedKeys);
+    };
+    chrome.storage.onChanged.addListener(listener);
+    return () => chrome.storage.onChanged.removeListener(listener);
+}
+
+async function isSettingsSyncEnabled() {
+    try {
+        const result = await chrome.storage.local.get([SETTINGS_SYNC_ENABLED_KEY]);
+        return result[SETTINGS_SYNC_ENABLED_KEY] === true;
+    } catch {
+        return false;
+    }
+}
+
+async function setSettingsSyncEnabled(enabled) {
+    await chrome.storage.local.set({ [SETTINGS_SYNC_ENABLED_KEY]: !!enabled });
+}
+
+// Reconcile local and sync copies: whichever was written last wins. Background worker only.
+async function reconcileSyncedSettings() {
+    if (!chrome.storage.sync || !(await isSettingsSyncEnabled())) return;
+    const [localResult, syncResult] = await Promise.all([
+        chrome.storage.local.get([SETTINGS_STORAGE_KEY]),
+        chrome.storage.sync.get([SETTINGS_STORAGE_KEY])
+    ]);
+    const local = localResult[SETTINGS_STORAGE_KEY];
+    const synced = syncResult[SETTINGS_STORAGE_KEY];
+    const localTime = local?.updatedAt || 0;
+    const syncTime = synced?.updatedAt || 0;
+
+    if (synced && syncTime > localTime) {
+        const { settings } = migrateSettings(synced);
+        await chrome.storage.local.set({ [SETTINGS_STORAGE_KEY]: prepareSettingsForStorage(settings, syncTime) });
+    } else if (local && localTime > syncTime) {
+        const { settings } = migrateSettings(local);
+        await chrome.storage.sync.set({ [SETTINGS_STORAGE_KEY]: prepareSettingsForStorage(settings, localTime) });
+    }
+}
+
+// --- Profiles and import/export ---
+// Profiles are named snapshots of the settings object ({ id, name, settings }) kept on this device
+const SETTINGS_PROFILES_STORAGE_KEY = 'chatgptTimelineSettingsProfiles';
+const SETTINGS_EXPORT_FORMAT = 'chatgpt-timeline-settings';
+const SETTINGS_PROFILE_NAME_MAX_LENGTH = 40;
+
+function normalizeSettingsProfile(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const name = String(raw.name || '').trim().slice(0, SETTINGS_PROFILE_NAME_MAX_LENGTH);
+    if (!name) return null;
+    const id = typeof raw.id === 'string' && raw.id
+        ? raw.id
+        : `profile-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    return { id, name, settings: normalizeSettings(migrateSettings(raw.settings).settings) };
+}
+
+async function getStoredSettingsProfiles() {
+    try {
+        const result = await chrome.storage.local.get([SETTINGS_PROFILES_STORAGE_KEY]);
+        const stored = result[SETTINGS_PROFILES_STORAGE_KEY];
+        return Array.isArray(stored) ? stored.map(normalizeSettingsProfile).filter(Boolean) : [];
+    } catch (error) {
+        console.warn('Failed to load settings profiles:', error);
+        return [];
+    }
+}
+
+async function saveStoredSettingsProfiles(profiles) {
+    await chrome.storage.local.set({ [SETTINGS_PROFILES_STORAGE_KEY]: profiles });
+}
+
+// Add profiles, replacing existing ones with the same name (case-insensitive)
+function mergeSettingsProfiles(profiles, additions) {
+    const merged = [...profiles];
+    additions.forEach((profile) => {
+        const index = merged.findIndex(item => item.name.toLowerCase() === profile.name.toLowerCase());
+        if (index >= 0) {
+            merged[index] = { ...profile, id: merged[index].id };
+        } else {
+            merged.push(profile);
+        }
+    });
+    return merged;
+}
+
+async function saveSettingsProfile(name, settings) {
+    const profile = normalizeSettingsProfile({ name, settings });
+    if (!profile) return null;
+    const profiles = mergeSettingsProfiles(await getStoredSettingsProfiles(), [profile]);
+    await saveStoredSettingsProfiles(profiles);
+    return profiles.find(item => item.name.toLowerCase() === profile.name.toLowerCase());
+}
+
+async function deleteSettingsProfile(profileId) {
+    const profiles = await getStoredSettingsProfiles();
+    await saveStoredSettingsProfiles(profiles.filter(profile => profile.id !== profileId));
+}
+
+async function applySettingsProfile(profileId) {
+    const profile = (await getStoredSettingsProfiles()).find(item => item.id === profileId);
+    if (!profile) return null;
+    return saveStoredSettings(profile.settings);
+}
+
+// The profile whose settings equal the current ones, so pages can show which layout is active
+function findMatchingSettingsProfile(profiles, settings) {
+    const current = normalizeSettings(settings);
+    return profiles.find(profile =>
+        Object.keys(current).every(key => profile.settings[key] === current[key])
+    ) || null;
+}
+
+function createSettingsExport(settings, profiles = []) {
+    return {
+        format: SETTINGS_EXPORT_FORMAT,
+        settingsVersion: SETTINGS_VERSION,
+        exportedAt: new Date().toISOString(),
+        settings: normalizeSettings(settings),
+        profiles: profiles.map(({ name, settings: profileSettings }) => ({ name, settings: profileSettings }))
+    };
+}
+
+// Returns { settings, profiles } ready to store, or null when the text is not a settings export.
+// Files from older versions go through the same migrations as stored settings.
+function parseSettingsExport(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        return null;
+    }
+    if (!data || data.format !== SETTINGS_EXPORT_FORMAT || !data.settings || typeof data.settings !== 'object') {
+        return null;
+    }
+    const version = Number.isInteger(data.settingsVersion) ? data.settingsVersion : 0;
+    const withVersion = (settings) => ({ settingsVersion: version, ...settings });
+    const settings = normalizeSettings(migrateSettings(withVersion(data.settings)).settings);
+    const profiles = (Array.isArray(data.profiles) ? data.profiles : [])
+        .map(profile => normalizeSettingsProfile({
+            name: profile?.name,
+            settings: withVersion(profile?.settings)
+        }))
+        .filter(Boolean);
+    return { settings, profiles };
+}
@@ -0,0 +1,754 @@
+// Site adapters: how the timeline finds turns, ids and text on each chat front-end.
+// Loaded before content.js on chat pages, by options.html and by the background worker,
+// so nothing in this file may touch the DOM at load time.
+
+const CUSTOM_SITES_STORAGE_KEY = 'chatgptTimelineCustomSites';
+const CUSTOM_SITE_ID_PREFIX = 'custom-';
+// { openwebui: ['chat.example.com'], ... }: where each self-hosted front-end is deployed
+const SELF_HOSTED_HOSTS_STORAGE_KEY = 'chatgptTimelineSelfHostedHosts';
+
+const SITE_CONFIGS = {
+    chatgpt: {
+        id: 'chatgpt',
+        enabledSetting: 'enableChatGPTTimeline',
+        hostMatches: ['chatgpt.com', 'chat.openai.com'],
+        pathPrefixes: ['/c/', '/g/'],
+        userTurnSelector: 'article[data-turn="user"], [data-message-author-role="user"]',
+        allTurnSelector: 'article[data-turn-id], article[data-turn], [data-testid^="conversation-turn-"], [data-message-author-role]',
+        assistantTurnSelector: 'article[data-turn="assistant"], [data-message-author-role="assistant"]',
+        userTextSelector: '[data-message-author-role="user"], [data-testid="user-message"], .whitespace-pre-wrap, .markdown',
+        assistantTextSelector: '[data-message-author-role="assistant"], .markdown, [data-testid*="assistant"]',
+        conversationRootSelectors: [
+            'main [data-message-author-role]',
+            '[data-message-author-role="user"]',
+            '[data-testid^="conversation-turn-"]',
+            'article[data-turn-id]',
+            '[data-testid="conversation-turn"]',
+            '.conversation-turn'
+        ]
+    },
+    gemini: {
+        id: 'gemini',
+        enabledSetting: 'enableGeminiTimeline',
+        hostMatches: ['gemini.google.com'],
+        pathPrefixes: ['/app/', '/app'],
+        userTurnSelector: 'user-query',
+        allTurnSelector: 'div.conversation-container',
+        assistantTurnSelector: 'model-response',
+        userTextSelector: 'user-query .query-text, user-query-content .query-text, .query-text',
+        assistantTextSelector: 'message-content, .markdown, .model-response-text',
+        conversationRootSelectors: [
+            'div.conversation-container',
+            'user-query',
+            'chat-window-content',
+            '#chat-history',
+            'infinite-scroller'
+        ]
+    },
+    claude: {
+        id: 'claude',
+        enabledSetting: 'enableClaudeTimeline',
+        hostMatches: ['claude.ai'],
+        pathPrefixes: ['/chat/', '/chat'],
+        userTurnSelector: 'div[data-test-render-count] div[data-testid]',
+        allTurnSelector: 'div[data-test-render-count]',
+        assistantTurnSelector: null,
+        // Every message sits in its own render-count wrapper; replies are the ones holding the response body
+        assistantTurnContentSelector: '[data-is-streaming], .font-claude-response, .font-claude-message',
+        userTextSelector: null,
+        assistantTextSelector: '.font-claude-response, .font-claude-message',
+        conversationRootSelectors: [
+            'div[data-test-render-count]',
+            'main'
+        ]
+    },
+    deepseek: {
+        id: 'deepseek',
+        enabledSetting: 'enableDeepseekTimeline',
+        hostMatches: ['chat.deepseek.com', 'deepseek.com'],
+        pathPrefixes: ['/a/chat/', '/chat/', '/chat', '/c/', '/c'],
+        // User and assistant messages share .ds-message; replies are the ones rendering .ds-markdown
+        userTurnSelector: 'div.ds-message',
+        allTurnSelector: 'div.ds-message',
+        assistantTurnSelector: null,
+        assistantTurnContentSelector: '.ds-markdown',
+        userTextSelector: null,
+        // Direct child only: R1 nests its reasoning in another .ds-markdown
+        assistantTextSelector: ':scope > .ds-markdown',
+        conversationRootSelectors: [
+            'div.ds-message',
+            'div.ds-theme',
+            'main'
+        ]
+    },
+    doubao: {
+        id: 'doubao',
+        enabledSetting: 'enableDoubaoTimeline',
+        hostMatches: ['www.doubao.com', 'doubao.com'],
+        pathPrefixes: ['/chat/', '/chat', '/'],
+        userTurnSelector: 'div[data-testid="send_message"]',
+        allTurnSelector: 'div[data-testid="message-list"] > div:nth-child(2) > div > div > div',
+        assistantTurnSelector: 'div[data-testid="receive_message"]',
+        userTextSelector: null,
+        assistantTextSelector: null,
+        conversationRootSelectors: [
+            'div[data-testid="message-list"]',
+            'main'
+        ]
+    },
+    grok: {
+        id: 'grok',
+        enabledSetting: 'enableGrokTimeline',
+        hostMatches: ['grok.com'],
+        pathPrefixes: ['/c/', '/c'],
+        // Each message row is div#response-<id>; user rows align right, assistant rows left
+        userTurnSelector: 'div[id^="response-"].items-end, [data-grok-turn="user"]',
+        allTurnSelector: 'div[id^="response-"], [data-grok-turn]',
+        assistantTurnSelector: 'div[id^="response-"].items-start, [data-grok-turn="assistant"]',
+        userTextSelector: '.message-bubble',
+        assistantTextSelector: '.message-bubble',
+        conversationRootSelectors: [
+            'div[id^="response-"]',
+            '[data-grok-turn]',
+            'main'
+        ]
+    },
+    // Self-hosted front-ends run on arbitrary domains: hostMatches is filled from the
+    // hosts the user enters on the options page (see loadSelfHostedSiteHosts)
+    openwebui: {
+        id: 'openwebui',
+        name: 'Open WebUI',
+        selfHosted: true,
+        enabledSetting: 'enableOpenWebUITimeline',
+        hostMatches: [],
+        pathPrefixes: ['/c/'],
+        userTurnSelector: 'div.user-message[id^="message-"]',
+        allTurnSelector: '#messages-container div[id^="message-"]',
+        assistantTurnSelector: 'div[id^="message-"]:not(.user-message)',
+        userTextSelector: '.chat-user, .rounded-3xl',
+        assistantTextSelector: '.chat-assistant, .markdown-prose',
+        conversationRootSelectors: [
+            '#messages-container',
+            'div[id^="message-"]'
+        ]
+    },
+    librechat: {
+        id: 'librechat',
+        name: 'LibreChat',
+        selfHosted: true,
+        enabledSetting: 'enableLibreChatTimeline',
+        hostMatches: [],
+        pathPrefixes: ['/c/'],
+        userTurnSelector: '.user-turn',
+        allTurnSelector: '.user-turn, .agent-turn',
+        assistantTurnSelector: '.agent-turn',
+        userTextSelector: '.text-message, .whitespace-pre-wrap',
+        assistantTextSelector: '.markdown, .text-message',
+        conversationRootSelectors: [
+            '.user-turn',
+            'main'
+        ]
+    },
+    lobechat: {
+        id: 'lobechat',
+        name: 'LobeChat',
+        selfHosted: true,
+        enabledSetting: 'enableLobeChatTimeline',
+        hostMatches: [],
+        pathPrefixes: ['/chat'],
+        // Virtuoso rows; user and assistant rows only differ by the role of the message inside
+        userTurnSelector: '[data-testid="virtuoso-item-list"] > div[data-index]',
+        allTurnSelector: '[data-testid="virtuoso-item-list"] > div[data-index]',
+        assistantTurnSelector: null,
+        assistantTurnContentSelector: '[data-role="assistant"]',
+        userTextSelector: '[data-role="user"] .markdown',
+        assistantTextSelector: '[data-role="assistant"] .markdown',
+        conversationRootSelectors: [
+            '[data-testid="virtuoso-item-list"]',
+            'main'
+        ]
+    }
+};
+
+// "*.example.com" covers example.com and its subdomains, any other pattern only that exact host
+function hostMatchesPattern(host, pattern) {
+    if (!pattern.startsWith('*.')) return host === pattern;
+    const base = pattern.slice(2);
+    return host === base || host.endsWith(`.${base}`);
+}
+
+function getSiteType(hostname = location.hostname) {
+    const host = (hostname || '').toLowerCase();
+    for (const [key, config] of Object.entries(SITE_CONFIGS)) {
+        if (config.hostMatches.some(match => hostMatchesPattern(host, match))) {
+            return key;
+        }
+    }
+    return 'unknown';
+}
+
+function getSiteConfig(siteType = getSiteType()) {
+    return SITE_CONFIGS[siteType] || SITE_CONFIGS.chatgpt;
+}
+
+function isTimelineEnabledForSite(settings, siteType = getSiteType()) {
+    const config = SITE_CONFIGS[siteType];
+    // Custom sites carry their own switch in the site editor
+    if (config?.custom) return config.enabled !== false;
+    if (!settings) return true;
+    if (!config?.enabledSetting) return false;
+    return settings[config.enabledSetting] !== false;
+}
+
+function isSupportedConversationUrl(url) {
+    try {
+        const parsed = new URL(url, location.origin);
+        const siteType = getSiteType(parsed.hostname);
+        const config = SITE_CONFIGS[siteType];
+        if (!config) return false;
+        return config.pathPrefixes.some(prefix => parsed.pathname.startsWith(prefix));
+    } catch {
+        return false;
+    }
+}
+
+function querySelectorSafe(root, selector) {
+    if (!root || !selector) return null;
+    try {
+        return root.querySelector(selector);
+    } catch {
+        return null;
+    }
+}
+
+function querySelectorAllSafe(root, selector) {
+    if (!root || !selector) return [];
+    try {
+        return Array.from(root.querySelectorAll(selector));
+    } catch {
+        return [];
+    }
+}
+
+function matchesSelectorSafe(element, selector) {
+    if (!element || !selector) return false;
+    try {
+        return element.matches(selector);
+    } catch {
+        return false;
+    }
+}
+
+function uniqueElements(elements) {
+    const seen = new Set();
+    const result = [];
+    elements.forEach(element => {
+        if (element && element.nodeType === Node.ELEMENT_NODE && !seen.has(element)) {
+            seen.add(element);
+            result.push(element);
+        }
+    });
+    return result;
+}
+
+function getChatGPTTurnRoot(element) {
+    if (!element || element.nodeType !== Node.ELEMENT_NODE) return null;
+    const containedMessage = element.matches?.('[data-message-id]')
+        ? element
+        : querySelectorSafe(element, '[data-message-id]');
+    if (containedMessage &&
+        (containedMessage.matches?.('[data-message-author-role]') ||
+         querySelectorSafe(containedMessage, '[data-message-author-role]'))) {
+        return containedMessage;
+    }
+    return element.closest('article[data-turn-id], article[data-turn], [data-testid^="conversation-turn-"], [data-testid="conversation-turn"], [data-turn-id], [data-message-id]') || element;
+}
+
+function getChatGPTRoleElement(turnElement, role) {
+    if (!turnElement || !role) return null;
+    const legacyTurn = turnElement.getAttribute?.('data-turn');
+    if (legacyTurn === role) return turnElement;
+    if (turnElement.matches?.(`[data-message-author-role="${role}"]`)) return turnElement;
+    return querySelectorSafe(turnElement, `[data-message-author-role="${role}"]`);
+}
+
+function isChatGPTTurnForRole(turnElement, role) {
+    return Boolean(getChatGPTRoleElement(turnElement, role));
+}
+
+function getChatGPTAllTurnElements(root = document) {
+    const candidates = querySelectorAllSafe(
+        root,
+        'article[data-turn-id], article[data-turn], [data-testid^="conversation-turn-"], [data-testid="conversation-turn"], [data-message-id], [data-message-author-role]'
+    );
+    return uniqueElements(candidates.map(getChatGPTTurnRoot)).filter(turn =>
+        isChatGPTTurnForRole(turn, 'user') || isChatGPTTurnForRole(turn, 'assistant')
+    );
+}
+
+function getChatGPTUserTurnElements(root = document) {
+    const candidates = querySelectorAllSafe(
+        root,
+        'article[data-turn="user"], [data-message-author-role="user"], [data-message-id], [data-testid^="conversation-turn-"], [data-testid="conversation-turn"]'
+    );
+    return uniqueElements(candidates.map(getChatGPTTurnRoot)).filter(turn => isChatGPTTurnForRole(turn, 'user'));
+}
+
+function getCommonAncestor(first, second) {
+    if (!first || !second) return first || second || null;
+    const ancestors = new Set();
+    let node = first;
+    while (node) {
+        ancestors.add(node);
+        node = node.parentElement;
+    }
+    node = second;
+    while (node) {
+        if (ancestors.has(node)) return node;
+        node = node.parentElement;
+    }
+    return document.body || document.documentElement;
+}
+
+function getChatGPTConversationContainer(root = document) {
+    const turns = getChatGPTAllTurnElements(root);
+    if (turns.length === 0) return null;
+
+    const first = turns[0];
+    const last = turns[turns.length - 1];
+    const main = first.closest?.('main, [role="main"]');
+    if (main && turns.every(turn => main.contains(turn))) {
+        return main;
+    }
+
+    let common = getCommonAncestor(first, last);
+    while (common && common.nodeType === Node.ELEMENT_NODE && common !== document.body) {
+        const userCount = getChatGPTUserTurnElements(common).length;
+        if (userCount >= Math.min(2, getChatGPTUserTurnElements(root).length || 1)) {
+            return common;
+        }
+        common = common.parentElement;
+    }
+
+    return first.closest?.('main, [role="main"]') ||
+           first.parentElement ||
+           first ||
+           document.body;
+}
+
+// ChatGPT and Claude page through edited prompts and regenerated replies with a
+// "< 2/3 >" pager: a plain counter between two buttons
+const BRANCH_COUNTER_PATTERN = /^\s*(\d+)\s*\/\s*(\d+)\s*$/;
+
+function findBranchCounter(root) {
+    if (!root) return null;
+    const groups = new Set();
+    for (const button of querySelectorAllSafe(root, 'button')) {
+        const group = button.parentElement;
+        if (!group || groups.has(group)) continue;
+        groups.add(group);
+        for (const element of group.children) {
+            if (element.tagName === 'BUTTON' || element.childElementCount) continue;
+            const match = BRANCH_COUNTER_PATTERN.exec(element.textContent || '');
+            if (!match) continue;
+            const current = Number(match[1]);
+            const total = Number(match[2]);
+            if (total > 1 && current >= 1 && current <= total) return { current, total };
+        }
+    }
+    return null;
+}
+
+// --- Adapter registry ---
+//
+// An adapter exposes these hooks; createSelectorAdapter() derives all of them from a
+// SITE_CONFIGS entry and registerSiteAdapter() overrides only what selectors cannot express.
+//
+//   getFirstTurn(root)                 first turn element, used to detect a conversation
+//   getUserTurns(root)                 user turns in document order (one timeline marker each)
+//   getAllTurns(root)                  user + assistant turns in document order
+//   getTurnContainer(turn)             element wrapping the whole turn
+//   getTurnId(turn, index)             stable id that stars and notes are keyed by
+//   getUserContentElement(turn)        node holding the user's message
+//   isAssistantTurn(turn)
+//   getAssistantContentElement(turn)   reply body inside an assistant turn
+//   getReplyElement(userTurn, root)    reply body answering a user turn, or null
+//   getBranchInfo(element)             { current, total } when the turn or reply has other versions, else null
+//   getConversationContainer(firstTurn)
+const SITE_ADAPTERS = {};
+
+function getDefaultTurnId(turnElement, index) {
+    return turnElement.dataset?.turnId || turnElement.id || `turn-${index}`;
+}
+
+function createSelectorAdapter(config) {
+    const adapter = {
+        config,
+
+        getFirstTurn(root) {
+            return querySelectorSafe(root, config.allTurnSelector) ||
+                   querySelectorSafe(root, config.userTurnSelector);
+        },
+
+        getUserTurns(root) {
+            const nodes = querySelectorAllSafe(root, config.userTurnSelector || 'article[data-turn="user"]');
+            return config.assistantTurnContentSelector
+                ? nodes.filter(node => !adapter.isAssistantTurn(node))
+                : nodes;
+        },
+
+        getAllTurns(root) {
+            return querySelectorAllSafe(root, config.allTurnSelector);
+        },
+
+        getTurnContainer(turn) {
+            return turn;
+        },
+
+        getTurnId(turn, index) {
+            return getDefaultTurnId(turn, index);
+        },
+
+        getUserContentElement(turn) {
+            return querySelectorSafe(turn, config.userTextSelector) || turn;
+        },
+
+        isAssistantTurn(turn) {
+            if (!turn) return false;
+            if (turn.dataset?.turn === 'assistant') return true;
+            if (matchesSelectorSafe(turn, config.assistantTurnSelector)) return true;
+            return !!querySelectorSafe(turn, config.assistantTurnContentSelector);
+        },
+
+        getAssistantContentElement(turn) {
+            return querySelectorSafe(turn, config.assistantTextSelector) || turn;
+        },
+
+        // Walk forward from the user turn to the first assistant turn after it
+        getReplyElement(userTurn, root) {
+            const allTurns = adapter.getAllTurns(root);
+            const currentRoot = adapter.getTurnContainer(userTurn) || userTurn;
+            const currentIndex = allTurns.findIndex(turn =>
+                turn === currentRoot ||
+                turn === userTurn ||
+                turn.contains?.(userTurn) ||
+                userTurn.contains?.(turn)
+            );
+            for (let i = Math.max(0, currentIndex + 1); i < allTurns.length; i++) {
+                const turn = allTurns[i];
+                if (currentIndex < 0 &&
+                    currentRoot.compareDocumentPosition &&
+                    !(currentRoot.compareDocumentPosition(turn) & Node.DOCUMENT_POSITION_FOLLOWING)) {
+                    continue;
+                }
+                if (adapter.isAssistantTurn(turn)) {
+                    return adapter.getAssistantContentElement(turn);
+                }
+            }
+            return null;
+        },
+
+        getBranchInfo() {
+            return null;
+        },
+
+        getConversationContainer(firstTurn) {
+            // Virtualized lists wrap every message separately; widen to the ancestor holding all turns
+            const turns = adapter.getAllTurns(document);
+            const lastTurn = turns[turns.length - 1];
+            if (firstTurn && lastTurn && lastTurn !== firstTurn && !firstTurn.parentElement?.contains(lastTurn)) {
+                return getCommonAncestor(firstTurn, lastTurn);
+            }
+            return firstTurn?.parentElement || firstTurn || document.body;
+        }
+    };
+    return adapter;
+}
+
+function registerSiteAdapter(config, overrides = {}) {
+    SITE_CONFIGS[config.id] = config;
+    SITE_ADAPTERS[config.id] = Object.assign(createSelectorAdapter(config), overrides);
+    return SITE_ADAPTERS[config.id];
+}
+
+function getSiteAdapter(siteType = getSiteType()) {
+    return SITE_ADAPTERS[siteType] || SITE_ADAPTERS.chatgpt;
+}
+
+registerSiteAdapter(SITE_CONFIGS.chatgpt, {
+    getFirstTurn(root) {
+        return getChatGPTAllTurnElements(root)[0] || getChatGPTUserTurnElements(root)[0] || null;
+    },
+    getUserTurns: getChatGPTUserTurnElements,
+    getAllTurns: getChatGPTAllTurnElements,
+    getTurnContainer(turn) {
+        return getChatGPTTurnRoot(turn) || turn;
+    },
+    getTurnId(turn, index) {
+        const root = getChatGPTTurnRoot(turn) || turn;
+        return root.dataset?.turnId ||
+               root.getAttribute?.('data-turn-id') ||
+               root.getAttribute?.('data-message-id') ||
+               root.getAttribute?.('data-testid') ||
+               turn.getAttribute?.('data-message-id') ||
+               turn.id ||
+               `chatgpt-turn-${index}`;
+    },
+    getUserContentElement(turn) {
+        const roleElement = getChatGPTRoleElement(turn, 'user');
+        return (roleElement && querySelectorSafe(roleElement, SITE_CONFIGS.chatgpt.userTextSelector)) ||
+               roleElement ||
+               turn;
+    },
+    isAssistantTurn(turn) {
+        return isChatGPTTurnForRole(turn, 'assistant');
+    },
+    getAssistantContentElement(turn) {
+        return getChatGPTRoleElement(turn, 'assistant') || turn;
+    },
+    // The pager sits in the article's action row, outside the message element
+    getBranchInfo(element) {
+        return findBranchCounter(element?.closest?.('article') || getChatGPTTurnRoot(element));
+    },
+    getConversationContainer(firstTurn) {
+        return getChatGPTConversationContainer(document) ||
+               firstTurn?.closest?.('main, [role="main"]') ||
+               firstTurn?.parentElement ||
+               firstTurn ||
+               document.body;
+    }
+});
+
+registerSiteAdapter(SITE_CONFIGS.gemini, {
+    getUserTurns(root) {
+        const nodes = querySelectorAllSafe(root, 'user-query');
+        return nodes.filter(node => node.querySelector('.query-text') || (node.textContent || '').trim().length > 0);
+    },
+    getTurnContainer(turn) {
+        return turn.closest('div.conversation-container') || turn;
+    },
+    getTurnId(turn, index) {
+        const container = SITE_ADAPTERS.gemini.getTurnContainer(turn);
+        return container?.id || turn.id || `gemini-turn-${index}`;
+    },
+    getUserContentElement(turn) {
+        const container = SITE_ADAPTERS.gemini.getTurnContainer(turn);
+        return container?.querySelector('user-query .query-text') ||
+               container?.querySelector('user-query') ||
+               turn;
+    },
+    // Question and answer share one container, so no forward walk is needed
+    getReplyElement(userTurn) {
+        const container = SITE_ADAPTERS.gemini.getTurnContainer(userTurn);
+        const response = container?.querySelector('model-response');
+        if (!response) return null;
+        return querySelectorSafe(response, SITE_CONFIGS.gemini.assistantTextSelector) || response;
+    }
+});
+
+registerSiteAdapter(SITE_CONFIGS.claude, {
+    getUserTurns(root) {
+        const nodes = querySelectorAllSafe(root, 'div[data-test-render-count]');
+        return nodes.filter(node => node.querySelector('div[data-testid]'));
+    },
+    getTurnId(turn, index) {
+        const container = turn.closest('div[data-test-render-count]');
+        const renderId = container?.getAttribute('data-test-render-count');
+        return renderId ? `claude-turn-${renderId}` : getDefaultTurnId(turn, index);
+    },
+    getUserContentElement(turn) {
+        return turn.querySelector('div[data-testid]') || turn;
+    },
+    getBranchInfo(element) {
+        return findBranchCounter(element?.closest?.('div[data-test-render-count]') || element);
+    }
+});
+
+registerSiteAdapter(SITE_CONFIGS.deepseek, {
+    getTurnId(turn, index) {
+        const item = turn.closest('[data-virtual-list-item-key]');
+        const itemKey = item?.getAttribute('data-virtual-list-item-key');
+        return itemKey ? `deepseek-turn-${itemKey}` : getDefaultTurnId(turn, index);
+    }
+});
+
+registerSiteAdapter(SITE_CONFIGS.doubao);
+registerSiteAdapter(SITE_CONFIGS.grok);
+registerSiteAdapter(SITE_CONFIGS.openwebui);
+
+registerSiteAdapter(SITE_CONFIGS.librechat, {
+    getTurnId(turn, index) {
+        const message = turn.closest('.message-render, [id]');
+        return message?.id ? `librechat-turn-${message.id}` : getDefaultTurnId(turn, index);
+    }
+});
+
+registerSiteAdapter(SITE_CONFIGS.lobechat, {
+    getTurnId(turn, index) {
+        const message = turn.querySelector('[data-role][id]');
+        if (message) return `lobechat-turn-${message.id}`;
+        return turn.dataset?.index ? `lobechat-turn-${turn.dataset.index}` : getDefaultTurnId(turn, index);
+    }
+});
+
+function getFirstTurnElementForSite(root = document, siteType = getSiteType()) {
+    return getSiteAdapter(siteType).getFirstTurn(root) || null;
+}
+
+function getAllTurnElementsForSite(root = document, siteType = getSiteType()) {
+    return getSiteAdapter(siteType).getAllTurns(root);
+}
+
+function getConversationContainerForSite(firstTurn, siteType = getSiteType()) {
+    return getSiteAdapter(siteType).getConversationContainer(firstTurn);
+}
+
+function getSelfHostedSiteIds() {
+    return Object.keys(SITE_CONFIGS).filter(key => SITE_CONFIGS[key].selfHosted);
+}
+
+// Sites whose hosts come from storage; content.js has to wait for them before it can run
+function isUserConfiguredSite(config) {
+    return !!(config && (config.custom || config.selfHosted));
+}
+
+// --- User-defined sites ---
+//
+// Stored in chrome.storage.local as an array of plain objects edited on the options page:
+// { id, name, enabled, hostPattern, pathPrefixes, userTurnSelector, assistantTurnSelector,
+//   allTurnSelector?, userTextSelector?, assistantTextSelector? }
+
+// "https://chat.example.com:8080/c/" -> "chat.example.com"; keeps a leading "*." wildcard
+function normalizeHostPattern(value) {
+    let host = String(value || '').trim().toLowerCase();
+    host = host.replace(/^[a-z*]+:\/\//, '').split('/')[0].replace(/:\d+$/, '');
+    const wildcard = host.startsWith('*.');
+    host = host.replace(/^\*\./, '');
+    if (!/^[a-z0-9.-]+$/.test(host) || host.startsWith('.') || host.endsWith('.')) return '';
+    return wildcard ? `*.${host}` : host;
+}
+
+function normalizePathPrefixes(value) {
+    const list = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+    const prefixes = list
+        .map(prefix => String(prefix || '').trim())
+        .filter(Boolean)
+        .map(prefix => (prefix.startsWith('/') ? prefix : `/${prefix}`));
+    return prefixes.length ? Array.from(new Set(prefixes)) : ['/'];
+}
+
+// Returns a SITE_CONFIGS-shaped entry, or null when the definition is unusable.
+// takenIds holds the ids of the other sites, so two sites on the same host never share one.
+function normalizeCustomSiteConfig(raw, takenIds = []) {
+    if (!raw || typeof raw !== 'object') return null;
+    const hostPattern = normalizeHostPattern(raw.hostPattern);
+    const userTurnSelector = String(raw.userTurnSelector || '').trim();
+    const assistantTurnSelector = String(raw.assistantTurnSelector || '').trim();
+    if (!hostPattern || !userTurnSelector || !assistantTurnSelector) return null;
+
+    const slug = hostPattern.replace(/^\*\./, '').replace(/[^a-z0-9]+/g, '-');
+    const baseId = typeof raw.id === 'string' && raw.id.startsWith(CUSTOM_SITE_ID_PREFIX)
+        ? raw.id
+        : `${CUSTOM_SITE_ID_PREFIX}${slug}`;
+    let id = baseId;
+    for (let n = 2; takenIds.includes(id); n++) {
+        id = `${baseId}-${n}`;
+    }
+    const optional = (value) => String(value || '').trim() || null;
+
+    return {
+        id,
+        name: String(raw.name || '').trim() || hostPattern,
+        custom: true,
+        enabled: raw.enabled !== false,
+        hostPattern,
+        hostMatches: [hostPattern],
+        pathPrefixes: normalizePathPrefixes(raw.pathPrefixes),
+        userTurnSelector,
+        assistantTurnSelector,
+        allTurnSelector: optional(raw.allTurnSelector) || `${userTurnSelector}, ${assistantTurnSelector}`,
+        userTextSelector: optional(raw.userTextSelector),
+        assistantTextSelector: optional(raw.assistantTextSelector),
+        conversationRootSelectors: [userTurnSelector, 'main']
+    };
+}
+
+// Normalizes a stored list in order, keeping every id unique
+function normalizeCustomSites(sites) {
+    const takenIds = [];
+    return sites.map(site => {
+        const config = normalizeCustomSiteConfig(site, takenIds);
+        if (config) takenIds.push(config.id);
+        return config;
+    }).filter(Boolean);
+}
+
+// Host permission / content-script match patterns covering a host entered by the user
+function getHostMatchPatterns(value) {
+    const hostPattern = normalizeHostPattern(value);
+    if (!hostPattern) return [];
+    const host = hostPattern.replace(/^\*\./, '');
+    return hostPattern.startsWith('*.')
+        ? [`*://${host}/*`, `*://*.${host}/*`]
+        : [`*://${host}/*`];
+}
+
+function getCustomSiteMatchPatterns(site) {
+    return getHostMatchPatterns(site?.hostPattern);
+}
+
+function normalizeHostList(value) {
+    const list = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+    return Array.from(new Set(list.map(normalizeHostPattern).filter(Boolean)));
+}
+
+async function getStoredSelfHostedHosts() {
+    try {
+        const result = await chrome.storage.local.get([SELF_HOSTED_HOSTS_STORAGE_KEY]);
+        const stored = result[SELF_HOSTED_HOSTS_STORAGE_KEY];
+        const hosts = {};
+        getSelfHostedSiteIds().forEach(siteId => {
+            hosts[siteId] = normalizeHostList(stored?.[siteId]);
+        });
+        return hosts;
+    } catch (error) {
+        console.warn('Failed to load self-hosted site hosts:', error);
+        return {};
+    }
+}
+
+// Point the self-hosted adapters at the hosts configured on the options page
+async function loadSelfHostedSiteHosts() {
+    const hosts = await getStoredSelfHostedHosts();
+    getSelfHostedSiteIds().forEach(siteId => {
+        SITE_CONFIGS[siteId].hostMatches = hosts[siteId] || [];
+    });
+    return hosts;
+}
+
+async function getStoredCustomSites() {
+    try {
+        const result = await chrome.storage.local.get([CUSTOM_SITES_STORAGE_KEY]);
+        const sites = result[CUSTOM_SITES_STORAGE_KEY];
+        return Array.isArray(sites) ? sites : [];
+    } catch (error) {
+        console.warn('Failed to load custom sites:', error);
+        return [];
+    }
+}
+
+// Register every stored custom site as a selector-driven adapter
+async function loadCustomSiteAdapters() {
+    const sites = await getStoredCustomSites();
+    Object.keys(SITE_CONFIGS)
+        .filter(key => SITE_CONFIGS[key].custom)
+        .forEach(key => {
+            delete SITE_CONFIGS[key];
+            delete SITE_ADAPTERS[key];
+        });
+    return normalizeCustomSites(sites).map(config => registerSiteAdapter(config));
+}
+
+async function loadUserConfiguredSites() {
+    await Promise.all([loadSelfHostedSiteHosts(), loadCustomSiteAdapters()]);
+}
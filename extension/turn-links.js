@@ -0,0 +1,28 @@
+// Turn links: "#timeline-turn=<turn id>&timeline-index=<n>" opens a conversation scrolled to that
+// turn. Shared by content scripts, which write and follow them, and the popup's full-text search.
+// The 1-based index is the fallback for sites whose turn ids are positional or change on reload.
+
+const TURN_LINK_ID_PARAM = 'timeline-turn';
+const TURN_LINK_INDEX_PARAM = 'timeline-index';
+
+function buildTurnLinkHash(turnId, index) {
+    const params = new URLSearchParams();
+    if (turnId) params.set(TURN_LINK_ID_PARAM, turnId);
+    if (Number.isInteger(index) && index >= 0) params.set(TURN_LINK_INDEX_PARAM, String(index + 1));
+    return `#${params.toString()}`;
+}
+
+// Conversation URL with any existing fragment replaced by the turn link
+function buildTurnLinkURL(url, turnId, index) {
+    return `${String(url || '').split('#')[0]}${buildTurnLinkHash(turnId, index)}`;
+}
+
+// Returns { turnId, index } with a 0-based index, or null when the fragment is not a turn link
+function parseTurnLinkHash(hash) {
+    const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+    const turnId = params.get(TURN_LINK_ID_PARAM) || '';
+    const position = Number.parseInt(params.get(TURN_LINK_INDEX_PARAM), 10);
+    const index = Number.isInteger(position) && position > 0 ? position - 1 : -1;
+    if (!turnId && index < 0) return null;
+    return { turnId, index };
+}
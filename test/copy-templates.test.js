@@ -0,0 +1,120 @@
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, closeAllExtensions } = require('./helpers/load-extension');
+
+afterEach(closeAllExtensions);
+
+const STORAGE_KEY = 'chatgptTimelineCopyTemplates';
+const VALUES = {
+    question: 'How do I **debounce** a handler?',
+    answer: 'Use `setTimeout`:\n\n```js\nconst x = a * b * c;\n```\n\n- Reset on each call\n- See [MDN](https://developer.mozilla.org)',
+    site: 'chatgpt.com',
+    index: 3,
+    url: 'https://chatgpt.com/c/1#timeline-turn=t3',
+    timestamp: '2026/1/2 10:00'
+};
+
+function builtin(ext, id) {
+    return ext.window.getAllCopyTemplates(null).find(template => template.id === id);
+}
+
+describe('renderCopyTemplate', () => {
+    test('plain text keeps the old Q/A layout and drops the answer section when there is none', async () => {
+        const ext = await loadExtension();
+        const plain = builtin(ext, 'plain');
+        assert.equal(ext.window.renderCopyTemplate(plain, { question: 'Hi', answer: 'Hello there' }).text, 'Q: Hi\n\nA: Hello there');
+        assert.equal(ext.window.renderCopyTemplate(plain, { question: 'Hi', answer: '' }).text, 'Q: Hi');
+    });
+
+    test('fills every placeholder and quotes the question for Markdown', async () => {
+        const ext = await loadExtension();
+        const { text, html } = ext.window.renderCopyTemplate(builtin(ext, 'markdown'), VALUES);
+        assert.ok(text.startsWith('> How do I **debounce** a handler?\n\nUse `setTimeout`:'));
+        assert.ok(text.endsWith('[chatgpt.com · #3](https://chatgpt.com/c/1#timeline-turn=t3) · 2026/1/2 10:00'));
+        // Rich editors would paste an HTML flavour as literal Markdown instead of converting it
+        assert.equal(html, null);
+    });
+
+    test('converts Markdown to Jira wiki markup outside code', async () => {
+        const ext = await loadExtension();
+        const { text } = ext.window.renderCopyTemplate(builtin(ext, 'jira'), VALUES);
+        assert.ok(text.startsWith('{quote}How do I *debounce* a handler?{quote}'));
+        assert.ok(text.includes('Use {{setTimeout}}:'));
+        assert.ok(text.includes('{code:js}\nconst x = a * b * c;\n{code}'));
+        assert.ok(text.includes('* Reset on each call\n* See [MDN|https://developer.mozilla.org]'));
+        assert.ok(text.endsWith('[chatgpt.com #3|https://chatgpt.com/c/1#timeline-turn=t3] · 2026/1/2 10:00'));
+    });
+
+    test('converts Markdown to Slack mrkdwn', async () => {
+        const ext = await loadExtension();
+        const { text } = ext.window.renderCopyTemplate(builtin(ext, 'slack'), VALUES);
+        assert.ok(text.startsWith('> How do I **debounce** a handler?'));
+        assert.ok(text.includes('```\nconst x = a * b * c;\n```'));
+        assert.ok(text.includes('• Reset on each call\n• See <https://developer.mozilla.org|MDN>'));
+        assert.ok(text.endsWith('<https://chatgpt.com/c/1#timeline-turn=t3|chatgpt.com #3> · 2026/1/2 10:00'));
+        assert.equal(ext.window.markdownToSlack('# Title\n*soft* and **loud**'), '*Title*\n_soft_ and *loud*');
+    });
+
+    test('HTML templates escape values and derive the plain flavour from the markup', async () => {
+        const ext = await loadExtension();
+        const template = { format: 'html', body: '<p><b>{{question}}</b></p><div>{{answer}}</div>{{unknown}}' };
+        const { text, html } = ext.window.renderCopyTemplate(template, { question: '<script>', answer: 'one <b>\ntwo' });
+        assert.equal(html, '<p><b>&lt;script&gt;</b></p><div><p>one &lt;b&gt;<br>two</p></div>{{unknown}}');
+        assert.equal(text, '<script>\none <b>\ntwo\n\n{{unknown}}');
+    });
+
+    test('the HTML template renders the answer from Markdown', async () => {
+        const ext = await loadExtension();
+        const answer = `${VALUES.answer}\n\n| Option | Delay |\n| --- | --- |\n| **leading** | 0 |`;
+        const { text, html } = ext.window.renderCopyTemplate(builtin(ext, 'html'), { ...VALUES, answer });
+        assert.ok(html.includes('<p>Use <code>setTimeout</code>:</p>'));
+        assert.ok(html.includes('<pre><code class="language-js">const x = a * b * c;</code></pre>'));
+        assert.ok(html.includes('<ul><li>Reset on each call</li><li>See <a href="https://developer.mozilla.org">MDN</a></li></ul>'));
+        assert.ok(html.includes('<tr><td><strong>leading</strong></td><td>0</td></tr>'));
+        // The question is what the user typed and stays literal
+        assert.ok(!/```|\*\*|\| ---/.test(html.split('</blockquote>')[1]));
+        assert.ok(text.includes('const x = a * b * c;\n\nReset on each call\nSee MDN\n\nOption\tDelay\nleading\t0'));
+    });
+
+    test('markdownToHTML nests lists and drops unsafe links', async () => {
+        const ext = await loadExtension();
+        assert.equal(ext.window.markdownToHTML('3. Three\n   - sub\n4. Four'), '<ol start="3"><li>Three<ul><li>sub</li></ul></li><li>Four</li></ol>');
+        assert.equal(ext.window.markdownToHTML('> # Note\n> see [x](javascript:void)'), '<blockquote><h1>Note</h1>\n<p>see x</p></blockquote>');
+    });
+});
+
+describe('stored copy templates', () => {
+    test('saves, edits and deletes user templates and falls back to plain text', async () => {
+        const ext = await loadExtension();
+        const saved = await ext.window.saveCopyTemplate({ name: ' Notion ', format: 'html', body: '<h3>{{question}}</h3>' });
+        assert.equal(saved.name, 'Notion');
+        await ext.window.setActiveCopyTemplate(saved.id);
+        let state = await ext.window.getStoredCopyTemplateState();
+        assert.equal(ext.window.getActiveCopyTemplate(state).name, 'Notion');
+
+        await ext.window.saveCopyTemplate({ ...saved, body: '<h2>{{question}}</h2>' });
+        state = await ext.window.getStoredCopyTemplateState();
+        assert.equal(state.templates.length, 1);
+        assert.equal(state.templates[0].body, '<h2>{{question}}</h2>');
+
+        await ext.window.deleteCopyTemplate(saved.id);
+        state = await ext.window.getStoredCopyTemplateState();
+        assert.equal(ext.window.getActiveCopyTemplate(state).id, 'plain');
+    });
+
+    test('drops invalid templates and never stores a built-in id', async () => {
+        const ext = await loadExtension({
+            storage: {
+                [STORAGE_KEY]: {
+                    active: 'slack',
+                    templates: [{ name: '', body: 'x' }, { id: 'plain', name: 'Mine', body: '{{answer}}', format: 'rtf' }]
+                }
+            }
+        });
+        const state = await ext.window.getStoredCopyTemplateState();
+        assert.equal(state.active, 'slack');
+        assert.equal(state.templates.length, 1);
+        assert.notEqual(state.templates[0].id, 'plain');
+        assert.equal(state.templates[0].format, 'text');
+    });
+});
@@ -0,0 +1,193 @@
+// Loads settings.js, site-adapters.js and content.js into a jsdom window the way Chrome injects them:
+// as classic scripts sharing one global scope, with just enough of the chrome.* API stubbed.
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const EXTENSION_DIR = path.join(__dirname, '..', '..', 'extension');
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+const CONTENT_SCRIPTS = ['settings.js', 'site-adapters.js', 'markdown-serializer.js', 'copy-templates.js', 'turn-links.js', 'content.js'];
+
+// Windows still open; content.js starts intervals that keep the test process alive
+const openInstances = new Set();
+
+function readFixture(name) {
+    return fs.readFileSync(path.join(FIXTURES_DIR, `${name}.html`), 'utf8');
+}
+
+function createChromeStub(initialStorage = {}) {
+    const storage = { ...initialStorage };
+    const noopEvent = { addListener() {}, removeListener() {} };
+    const changeListeners = new Set();
+    const notify = (changes) => {
+        changeListeners.forEach(listener => listener(changes, 'local'));
+    };
+    return {
+        storage: {
+            local: {
+                async get(keys) {
+                    const list = keys == null ? Object.keys(storage) : [].concat(keys);
+                    const result = {};
+                    list.forEach(key => {
+                        if (key in storage) result[key] = storage[key];
+                    });
+                    return result;
+                },
+                async set(items) {
+                    const changes = {};
+                    Object.keys(items).forEach(key => {
+                        changes[key] = { oldValue: storage[key], newValue: items[key] };
+                    });
+                    Object.assign(storage, items);
+                    notify(changes);
+                },
+                async remove(keys) {
+                    const changes = {};
+                    [].concat(keys).forEach(key => {
+                        changes[key] = { oldValue: storage[key] };
+                        delete storage[key];
+                    });
+                    notify(changes);
+                }
+            },
+            onChanged: {
+                addListener(listener) {
+                    changeListeners.add(listener);
+                },
+                removeListener(listener) {
+                    changeListeners.delete(listener);
+                }
+            }
+        },
+        runtime: {
+            onMessage: noopEvent,
+            sendMessage() {
+                return Promise.resolve();
+            }
+        }
+    };
+}
+
+// html: markup or a fixture name; url decides which site adapter is picked; scripts are extra
+// extension files evaluated after the content scripts (e.g. modules shared with extension pages).
+// Resolves once the startup storage reads (settings, custom sites) have settled.
+async function loadExtension({ html = '', fixture, url = 'https://chatgpt.com/', storage, scripts = [] } = {}) {
+    const markup = fixture ? readFixture(fixture) : html;
+    const dom = new JSDOM(markup, {
+        url,
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        virtualConsole: new VirtualConsole()
+    });
+    const { window } = dom;
+
+    window.chrome = createChromeStub(storage);
+    window.IntersectionObserver = class {
+        observe() {}
+        unobserve() {}
+        disconnect() {}
+    };
+    window.ResizeObserver = class {
+        observe() {}
+        unobserve() {}
+        disconnect() {}
+    };
+    // Track observers so close() can disconnect them before jsdom tears the document down
+    const mutationObservers = [];
+    const NativeMutationObserver = window.MutationObserver;
+    window.MutationObserver = class extends NativeMutationObserver {
+        constructor(callback) {
+            super(callback);
+            mutationObservers.push(this);
+        }
+    };
+    // jsdom has no TextEncoder; Node's produces Node Uint8Arrays, which DataView accepts all the same
+    window.TextEncoder = TextEncoder;
+    window.HTMLCanvasElement.prototype.getContext = () => null;
+    window.Element.prototype.scrollIntoView = function () {};
+
+    const source = [...CONTENT_SCRIPTS, ...scripts]
+        .map(file => fs.readFileSync(path.join(EXTENSION_DIR, file), 'utf8'))
+        .join('\n;\n');
+    // Classes and top-level consts are not window properties, so hand them out explicitly
+    window.eval(`${source}\n;window.__timeline = { TimelineManager, SITE_CONFIGS, SITE_ADAPTERS, SETTINGS_SCHEMA, DEFAULT_SETTINGS };`);
+
+    await new Promise(resolve => setImmediate(resolve));
+
+    const api = window.__timeline;
+    const instance = {
+        window,
+        document: window.document,
+        ...api,
+        // A manager bound to the page's conversation, without building the timeline UI
+        createManager() {
+            const manager = new api.TimelineManager();
+            const firstTurn = window.getFirstTurnElementForSite(window.document);
+            manager.conversationContainer = firstTurn
+                ? window.getConversationContainerForSite(firstTurn)
+                : null;
+            return manager;
+        },
+        close() {
+            openInstances.delete(instance);
+            mutationObservers.forEach(observer => observer.disconnect());
+            window.close();
+        }
+    };
+    openInstances.add(instance);
+    return instance;
+}
+
+// Markers for the page's user turns in the shape recalculateAndRenderMarkers builds them, with
+// markerById filled in; extra(element, replyElement, manager) adds per-suite fields
+function buildMarkers(manager, extra = () => ({})) {
+    manager.markers = [...manager.getUserTurnElements()].map((element, index) => {
+        const replyElement = manager.getReplyElement(element);
+        return {
+            id: manager.getTurnId(element, index),
+            element,
+            replyElement,
+            summary: manager.getUserSummary(element),
+            ...extra(element, replyElement, manager)
+        };
+    });
+    manager.markerById.clear();
+    manager.markers.forEach(marker => manager.markerById.set(marker.id, marker.element));
+    return manager.markers;
+}
+
+// Loads a page (the chatgpt fixture unless html or fixture is given) and hands run() a manager with
+// default settings plus `settings` and markers for every turn; the manager is destroyed afterwards.
+// markerFields is passed to buildMarkers. With recordScrolls, smoothScrollTo pushes its target to
+// `scrolled` instead of animating; with toc, a navigation panel is mounted, listed and passed as `toc`.
+async function withManager({ settings, markerFields, recordScrolls = false, toc: withTOC = false, ...options }, run) {
+    const ext = await loadExtension({
+        fixture: options.html ? undefined : 'chatgpt',
+        url: 'https://chatgpt.com/c/6f1c2b7e',
+        ...options
+    });
+    const manager = ext.createManager();
+    manager.settings = { ...ext.DEFAULT_SETTINGS, ...settings };
+    buildMarkers(manager, markerFields);
+    const scrolled = [];
+    if (recordScrolls) manager.smoothScrollTo = (element) => scrolled.push(element);
+    let toc = null;
+    if (withTOC) {
+        toc = ext.document.createElement('div');
+        toc.className = 'timeline-toc';
+        ext.document.body.appendChild(toc);
+        manager.updateTOCList(toc);
+    }
+    try {
+        return await run({ ext, manager, scrolled, toc });
+    } finally {
+        manager.destroy();
+    }
+}
+
+// Meant for afterEach(), so a failing assertion cannot leave a window running
+function closeAllExtensions() {
+    openInstances.forEach(instance => instance.close());
+}
+
+module.exports = { loadExtension, closeAllExtensions, readFixture, buildMarkers, withManager };
@@ -0,0 +1,129 @@
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, closeAllExtensions, withManager } = require('./helpers/load-extension');
+
+afterEach(closeAllExtensions);
+
+const URL = 'https://chatgpt.com/c/6f1c2b7e';
+
+describe('library capture', () => {
+    const page = {
+        url: URL,
+        markerFields: (element, replyElement, manager) => ({ chatgptReply: manager.getChatGPTReply(element, replyElement) })
+    };
+
+    test('builds a record with summaries, stars and notes', () => withManager(page, ({ manager }) => {
+        manager.starredTurnIds.add('aa11-user-2');
+        manager.turnNotes.set('aa11-user-1', { note: 'Used in prod', tags: ['accepted'], updatedAt: 1 });
+        const record = manager.buildLibraryRecord();
+        assert.equal(record.key, 'chatgpt.com/c/6f1c2b7e');
+        assert.equal(record.site, 'chatgpt');
+        assert.equal(record.url, URL);
+        assert.equal(record.turnCount, 2);
+        assert.equal(record.turns[0].summary, 'Write a debounce helper in JavaScript');
+        assert.equal(record.turns[0].note, 'Used in prod');
+        assert.deepEqual([...record.turns[0].tags], ['accepted']);
+        assert.equal(record.turns[1].starred, true);
+        assert.ok(record.turns[1].reply.startsWith('Yes, return the timer handle'));
+    }));
+
+    test('sends the record to the background worker unless capturing is off', () => withManager(page, ({ ext, manager }) => {
+        const sent = [];
+        ext.window.chrome.runtime.sendMessage = (message) => {
+            sent.push(message);
+            return Promise.resolve();
+        };
+        manager.captureLibraryRecord();
+        manager.settings = { ...manager.settings, enableConversationLibrary: false };
+        manager.captureLibraryRecord();
+        assert.equal(sent.length, 1);
+        assert.equal(sent[0].action, 'saveLibraryConversation');
+        assert.equal(sent[0].record.turns.length, 2);
+    }));
+});
+
+describe('library store', () => {
+    const records = [
+        {
+            key: 'chatgpt.com/c/1', site: 'chatgpt', title: 'Debounce helper', url: 'https://chatgpt.com/c/1', turnCount: 2, lastVisited: 2,
+            turns: [
+                { id: 'a', summary: 'Write a debounce helper', reply: 'Here is a version using setTimeout', starred: false, note: '', tags: [] },
+                { id: 'b', summary: 'Can it cancel?', reply: 'Yes', starred: true, note: 'Rejected: leaks timers', tags: ['rejected'] }
+            ]
+        },
+        {
+            key: 'claude.ai/chat/2', site: 'claude', title: 'Regex review', url: 'https://claude.ai/chat/2', turnCount: 1, lastVisited: 1,
+            turns: [{ id: 'c', summary: 'Is this regex safe?', reply: 'No, nested quantifiers', starred: false, note: '', tags: [] }]
+        }
+    ];
+
+    test('normalizes untrusted records', async () => {
+        const ext = await loadExtension({ scripts: ['library-store.js'] });
+        const { normalizeLibraryRecord } = ext.window;
+        assert.equal(normalizeLibraryRecord({ title: 'no key' }), null);
+        const record = normalizeLibraryRecord({
+            key: 'grok.com/c/1',
+            lastVisited: 'soon',
+            turns: [{ id: 'x', summary: 'a'.repeat(5000), tags: ['ok', 3] }, { summary: 'no id' }]
+        });
+        assert.equal(record.title, 'grok.com/c/1');
+        assert.equal(record.turns.length, 1);
+        assert.equal(record.turns[0].summary.length, 2000);
+        assert.deepEqual([...record.turns[0].tags], ['ok']);
+        assert.equal(typeof record.lastVisited, 'number');
+    });
+
+    test('search needs every term and reports the turns that mention one', async () => {
+        const ext = await loadExtension({ scripts: ['library-store.js'] });
+        const { searchLibraryConversations } = ext.window;
+
+        assert.equal(searchLibraryConversations(records, '').length, 2);
+
+        const byNote = searchLibraryConversations(records, 'leaks');
+        assert.equal(byNote.length, 1);
+        assert.deepEqual([...byNote[0].turns.map(turn => turn.id)], ['b']);
+
+        const byTitleAndTag = searchLibraryConversations(records, 'DEBOUNCE rejected');
+        assert.deepEqual([...byTitleAndTag[0].turns.map(turn => turn.id)], ['a', 'b']);
+
+        assert.equal(searchLibraryConversations(records, 'debounce regex').length, 0);
+    });
+});
+
+describe('offline full-text index', () => {
+    test('tokenizes words and indexes CJK text as character pairs', async () => {
+        const ext = await loadExtension({ scripts: ['library-store.js'] });
+        const terms = [...ext.window.tokenizeFullText('Debounce the React hook, a 防抖函数 字')];
+        assert.deepEqual(terms, ['debounce', 'the', 'react', 'hook', '防抖', '抖函', '函数', '字']);
+        assert.equal(ext.window.getFullTextSnippet('x'.repeat(100) + ' useDebounce hook', ['debounce']).startsWith('…'), true);
+    });
+
+    test('saving a conversation sends its full text and remembers the choice', () => withManager({ url: URL }, async ({ ext, manager }) => {
+        const sent = [];
+        ext.window.chrome.runtime.sendMessage = (message) => {
+            sent.push(message);
+            return Promise.resolve();
+        };
+
+        await manager.setFullTextIndexed(true);
+        const stored = await ext.window.chrome.storage.local.get(['chatgptTimelineFullText:chatgpt.com/c/6f1c2b7e']);
+        assert.equal(stored['chatgptTimelineFullText:chatgpt.com/c/6f1c2b7e'], true);
+        assert.equal(sent[0].action, 'indexConversation');
+        assert.equal(sent[0].document.url, URL);
+        assert.equal(sent[0].document.turns[0].user, 'Write a debounce helper in JavaScript');
+        assert.match(sent[0].document.turns[0].assistant, /clearTimeout/);
+
+        await manager.setFullTextIndexed(false);
+        assert.deepEqual({ ...sent[1] }, { action: 'removeConversationIndex', key: 'chatgpt.com/c/6f1c2b7e' });
+        const cleared = await ext.window.chrome.storage.local.get(['chatgptTimelineFullText:chatgpt.com/c/6f1c2b7e']);
+        assert.equal(cleared['chatgptTimelineFullText:chatgpt.com/c/6f1c2b7e'], undefined);
+    }));
+
+    test('search results open the matched turn through the timeline link format', () => withManager({ url: URL }, ({ ext, manager }) => {
+        const doc = manager.buildFullTextDocument();
+        const link = ext.window.buildTurnLinkURL(`${doc.url}#stale`, doc.turns[1].id, 1);
+        assert.equal(link, manager.getTurnLink(doc.turns[1].id));
+        assert.deepEqual({ ...ext.window.parseTurnLinkHash(new ext.window.URL(link).hash) }, { turnId: doc.turns[1].id, index: 1 });
+    }));
+
+});
@@ -0,0 +1,113 @@
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, closeAllExtensions } = require('./helpers/load-extension');
+
+afterEach(closeAllExtensions);
+
+async function serialize(html, { siteType = '', url = 'https://chatgpt.com/c/md' } = {}) {
+    const ext = await loadExtension({ html: `<div id="message">${html}</div>`, url });
+    return ext.window.serializeMarkdown(ext.document.getElementById('message'), { siteType });
+}
+
+describe('serializeMarkdown', () => {
+    test('keeps heading levels, links, images and blockquotes', async () => {
+        const markdown = await serialize(`
+            <h2>Setup</h2>
+            <p>See <a href="https://nodejs.org/api/timers.html">the <em>timers</em> docs</a> first.</p>
+            <p><img src="https://example.com/flow.png" alt="flow"></p>
+            <blockquote><p>Measure first.</p><p>Then optimise.</p></blockquote>
+            <h3>Next</h3>
+        `);
+        assert.equal(markdown, [
+            '## Setup',
+            '',
+            'See [the *timers* docs](https://nodejs.org/api/timers.html) first.',
+            '',
+            '![flow](https://example.com/flow.png)',
+            '',
+            '> Measure first.',
+            '>',
+            '> Then optimise.',
+            '',
+            '### Next'
+        ].join('\n'));
+    });
+
+    test('numbers ordered lists and indents nested ones', async () => {
+        const markdown = await serialize(`
+            <ol start="3">
+                <li>Install
+                    <ul><li>with <code>npm</code></li><li>or yarn</li></ul>
+                </li>
+                <li><p>Run it</p></li>
+            </ol>
+        `);
+        assert.equal(markdown, '3. Install\n   - with `npm`\n   - or yarn\n4. Run it');
+    });
+
+    test('writes GFM tables with alignment and escaped pipes', async () => {
+        const markdown = await serialize(`
+            <table>
+                <thead><tr><th>Option</th><th style="text-align: right">Default</th></tr></thead>
+                <tbody>
+                    <tr><td><code>wait</code></td><td>100</td></tr>
+                    <tr><td>mode</td><td>a | b</td></tr>
+                </tbody>
+            </table>
+        `);
+        assert.equal(markdown, [
+            '| Option | Default |',
+            '| --- | ---: |',
+            '| `wait` | 100 |',
+            '| mode | a \\| b |'
+        ].join('\n'));
+    });
+
+    test('takes LaTeX from KaTeX annotations and Gemini data-math', async () => {
+        const katex = (tex, display) => {
+            const inner = `<span class="katex"><span class="katex-mathml"><math><semantics><mrow></mrow><annotation encoding="application/x-tex">${tex}</annotation></semantics></math></span><span class="katex-html" aria-hidden="true">rendered</span></span>`;
+            return display ? `<span class="katex-display">${inner}</span>` : inner;
+        };
+        const markdown = await serialize(`<p>Energy ${katex('E = mc^2')} and</p>${katex('\\sum_{i=1}^n i', true)}<p><span class="math-inline" data-math="x^2">x2</span></p>`);
+        assert.equal(markdown, 'Energy $E = mc^2$ and\n\n$$\n\\sum_{i=1}^n i\n$$\n\n$x^2$');
+    });
+
+    test('keeps line breaks the user typed', async () => {
+        const markdown = await serialize('<div class="whitespace-pre-wrap">first line\nsecond line\n\nnew paragraph</div>');
+        assert.equal(markdown, 'first line\nsecond line\n\nnew paragraph');
+    });
+});
+
+describe('code block headers', () => {
+    test('ChatGPT: the header inside <pre> names the language and is left out', async () => {
+        const markdown = await serialize(`
+            <pre><div><div class="flex items-center">Python<button>Copy code</button></div><div><code class="whitespace-pre!">print("hi")</code></div></div></pre>
+        `, { siteType: 'chatgpt' });
+        assert.equal(markdown, '```python\nprint("hi")\n```');
+    });
+
+    test('Claude: the label before <pre> is used and dropped', async () => {
+        const markdown = await serialize(`
+            <p>Try this:</p>
+            <div class="relative"><div class="text-text-500">bash</div><pre><code>ls -la</code></pre></div>
+        `, { siteType: 'claude', url: 'https://claude.ai/chat/md' });
+        assert.equal(markdown, 'Try this:\n\n```bash\nls -la\n```');
+    });
+
+    test('Gemini: the decoration bar of <code-block> is used and dropped', async () => {
+        const markdown = await serialize(`
+            <code-block><div class="code-block-decoration"><span>TypeScript</span><div><button>copy</button></div></div><pre><code>const x: number = 1;</code></pre></code-block>
+        `, { siteType: 'gemini', url: 'https://gemini.google.com/app/md' });
+        assert.equal(markdown, '```typescript\nconst x: number = 1;\n```');
+    });
+
+    test('language classes win, and code with backtick runs gets a longer fence', async () => {
+        const markdown = await serialize('<pre><code class="language-markdown">```js\nx\n```</code></pre>');
+        assert.equal(markdown, '````markdown\n```js\nx\n```\n````');
+    });
+
+    test('without a class or header the fence has no language', async () => {
+        const ext = await loadExtension({ html: '<pre><code>const answer = () => 42;</code></pre>' });
+        assert.equal(ext.window.getMarkdownCodeLanguage(ext.document.querySelector('pre'), 'chatgpt'), '');
+    });
+});
@@ -0,0 +1,189 @@
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, closeAllExtensions } = require('./helpers/load-extension');
+
+afterEach(closeAllExtensions);
+
+const STORAGE_KEY = 'chatgptTimelineSettings';
+
+describe('migrateSettings', () => {
+    test('upgrades unversioned settings through every step', async () => {
+        const ext = await loadExtension();
+        const { settings, migrated } = ext.window.migrateSettings({ enableDragging: false, deepseekWidth: 10 });
+        assert.equal(migrated, true);
+        assert.equal(settings.enableLongPressDrag, false);
+        // The old deepseekWidth was the side padding
+        assert.equal(settings.deepseekWidth, 50);
+        assert.equal(settings.deepseekWidthMode, 'width');
+        assert.equal(settings.settingsVersion, 2);
+    });
+
+    test('leaves current settings untouched', async () => {
+        const ext = await loadExtension();
+        const stored = { deepseekWidth: 10, deepseekWidthMode: 'width', settingsVersion: 2 };
+        const { settings, migrated } = ext.window.migrateSettings(stored);
+        assert.equal(migrated, false);
+        assert.equal(settings.deepseekWidth, 10);
+    });
+
+    test('keeps an explicit enableLongPressDrag over the legacy flag', async () => {
+        const ext = await loadExtension();
+        const { settings } = ext.window.migrateSettings({ enableDragging: false, enableLongPressDrag: true });
+        assert.equal(settings.enableLongPressDrag, true);
+    });
+});
+
+describe('normalizeSettings', () => {
+    test('fills defaults, clamps ranges and drops unknown keys', async () => {
+        const ext = await loadExtension();
+        const settings = ext.window.normalizeSettings({
+            chatgptWidth: '500',
+            tocWidth: 10,
+            tocPosition: 'middle',
+            enableTOC: 'yes',
+            somethingElse: 1
+        });
+        assert.equal(settings.chatgptWidth, 150);
+        assert.equal(settings.tocWidth, 200);
+        assert.equal(settings.tocPosition, 'right');
+        assert.equal(settings.enableTOC, true);
+        assert.equal('somethingElse' in settings, false);
+        assert.deepEqual(Object.keys(settings), Object.keys(ext.DEFAULT_SETTINGS));
+    });
+});
+
+describe('stored settings', () => {
+    test('loadStoredSettings writes migrated settings back', async () => {
+        const ext = await loadExtension({ storage: { [STORAGE_KEY]: { deepseekWidth: 20 } } });
+        const settings = await ext.window.loadStoredSettings();
+        assert.equal(settings.deepseekWidth, 40);
+        const result = await ext.window.chrome.storage.local.get([STORAGE_KEY]);
+        assert.equal(result[STORAGE_KEY].settingsVersion, 2);
+        assert.equal(result[STORAGE_KEY].deepseekWidth, 40);
+    });
+
+    test('saveStoredSettings stamps version and time', async () => {
+        const ext = await loadExtension();
+        await ext.window.saveStoredSettings({ ...ext.DEFAULT_SETTINGS, grokWidth: 90 });
+        const result = await ext.window.chrome.storage.local.get([STORAGE_KEY]);
+        assert.equal(result[STORAGE_KEY].grokWidth, 90);
+        assert.equal(result[STORAGE_KEY].settingsVersion, 2);
+        assert.equal(typeof result[STORAGE_KEY].updatedAt, 'number');
+    });
+
+    test('onStoredSettingsChanged reports only the keys that changed', async () => {
+        const ext = await loadExtension();
+        const calls = [];
+        ext.window.onStoredSettingsChanged((settings, changedKeys) => calls.push([...changedKeys]));
+        await ext.window.saveStoredSettings({ ...ext.DEFAULT_SETTINGS, tocWidth: 300 });
+        await ext.window.saveStoredSettings({ ...ext.DEFAULT_SETTINGS, tocWidth: 300 });
+        assert.deepEqual(calls, [['tocWidth']]);
+    });
+});
+
+describe('live propagation to pages', () => {
+    test('applies stored widths on load', async () => {
+        const ext = await loadExtension({ storage: { [STORAGE_KEY]: { chatgptWidth: 60, settingsVersion: 2 } } });
+        const style = ext.document.documentElement.style;
+        assert.equal(style.getPropertyValue('--timeline-chatgpt-html-content-max-width'), '60rem');
+        assert.equal(style.getPropertyValue('--timeline-grok-content-max-width'), '85rem');
+    });
+
+    test('follows width changes written by another page', async () => {
+        const ext = await loadExtension();
+        await ext.window.saveStoredSettings({ ...ext.DEFAULT_SETTINGS, claudeWidth: 72 });
+        await new Promise(resolve => setImmediate(resolve));
+        const style = ext.document.documentElement.style;
+        assert.equal(style.getPropertyValue('--timeline-claude-content-max-width'), '72rem');
+        assert.equal(ext.window.getCachedSettings().claudeWidth, 72);
+    });
+});
+
+describe('settings profiles', () => {
+    test('saving under an existing name replaces that profile', async () => {
+        const ext = await loadExtension();
+        const laptop = await ext.window.saveSettingsProfile('Laptop', { chatgptWidth: 40 });
+        await ext.window.saveSettingsProfile('Ultrawide', { chatgptWidth: 120 });
+        await ext.window.saveSettingsProfile('laptop', { chatgptWidth: 44 });
+        const profiles = await ext.window.getStoredSettingsProfiles();
+        assert.deepEqual([...profiles.map(profile => profile.name)], ['laptop', 'Ultrawide']);
+        assert.equal(profiles[0].id, laptop.id);
+        assert.equal(profiles[0].settings.chatgptWidth, 44);
+    });
+
+    test('applying a profile stores its settings and marks it as matching', async () => {
+        const ext = await loadExtension();
+        const profile = await ext.window.saveSettingsProfile('Ultrawide', { ...ext.DEFAULT_SETTINGS, grokWidth: 140 });
+        await ext.window.applySettingsProfile(profile.id);
+        const settings = await ext.window.loadStoredSettings();
+        assert.equal(settings.grokWidth, 140);
+        const profiles = await ext.window.getStoredSettingsProfiles();
+        assert.equal(ext.window.findMatchingSettingsProfile(profiles, settings).id, profile.id);
+        assert.equal(ext.window.findMatchingSettingsProfile(profiles, ext.DEFAULT_SETTINGS), null);
+    });
+
+    test('rejects profiles without a name', async () => {
+        const ext = await loadExtension();
+        assert.equal(await ext.window.saveSettingsProfile('   ', {}), null);
+    });
+});
+
+describe('settings import/export', () => {
+    test('round-trips settings and profiles', async () => {
+        const ext = await loadExtension();
+        const settings = { ...ext.DEFAULT_SETTINGS, tocWidth: 320, enableGrokTimeline: false };
+        const exported = ext.window.createSettingsExport(settings, [
+            { id: 'a', name: 'Laptop', settings: { ...ext.DEFAULT_SETTINGS, chatgptWidth: 40 } }
+        ]);
+        const imported = ext.window.parseSettingsExport(JSON.stringify(exported));
+        assert.equal(imported.settings.tocWidth, 320);
+        assert.equal(imported.settings.enableGrokTimeline, false);
+        assert.equal(imported.profiles.length, 1);
+        assert.equal(imported.profiles[0].name, 'Laptop');
+        assert.equal(imported.profiles[0].settings.chatgptWidth, 40);
+    });
+
+    test('migrates files written before versioning', async () => {
+        const ext = await loadExtension();
+        const file = JSON.stringify({
+            format: 'chatgpt-timeline-settings',
+            settings: { deepseekWidth: 15, enableDragging: false }
+        });
+        const imported = ext.window.parseSettingsExport(file);
+        assert.equal(imported.settings.deepseekWidth, 45);
+        assert.equal(imported.settings.enableLongPressDrag, false);
+    });
+
+    test('rejects anything that is not a settings export', async () => {
+        const ext = await loadExtension();
+        assert.equal(ext.window.parseSettingsExport('not json'), null);
+        assert.equal(ext.window.parseSettingsExport('{"chatgptWidth": 40}'), null);
+        assert.equal(ext.window.parseSettingsExport('{"format": "chatgpt-timeline-settings"}'), null);
+    });
+});
+
+describe('keyboard shortcut settings', () => {
+    test('normalizeShortcut orders modifiers and rejects bare keys', async () => {
+        const ext = await loadExtension();
+        const { normalizeShortcut } = ext.window;
+        assert.equal(normalizeShortcut('shift+alt+arrowup'), 'Alt+Shift+ArrowUp');
+        assert.equal(normalizeShortcut('ctrl+k'), 'Ctrl+K');
+        assert.equal(normalizeShortcut('F2'), 'F2');
+        assert.equal(normalizeShortcut(''), '');
+        assert.equal(normalizeShortcut('K'), null);
+        assert.equal(normalizeShortcut('Shift+K'), null);
+        assert.equal(normalizeShortcut('Hyper+K'), null);
+    });
+
+    test('invalid stored bindings fall back to the defaults, cleared ones stay cleared', async () => {
+        const ext = await loadExtension();
+        const settings = ext.window.normalizeSettings({ shortcutPrevTurn: 'K', shortcutCopyQA: '' });
+        assert.equal(settings.shortcutPrevTurn, 'Alt+ArrowUp');
+        assert.equal(settings.shortcutCopyQA, '');
+    });
+
+    test('formatShortcut shows arrows as symbols', async () => {
+        const ext = await loadExtension();
+        assert.equal(ext.window.formatShortcut('Alt+ArrowDown'), 'Alt+↓');
+    });
+});
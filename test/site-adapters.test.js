@@ -0,0 +1,229 @@
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, closeAllExtensions } = require('./helpers/load-extension');
+
+afterEach(closeAllExtensions);
+
+// One entry per captured conversation in test/fixtures; every fixture holds two exchanges
+const SITES = [
+    { fixture: 'chatgpt', url: 'https://chatgpt.com/c/6f1c2b7e', siteType: 'chatgpt' },
+    { fixture: 'gemini', url: 'https://gemini.google.com/app/5f2a91d0e3b4', siteType: 'gemini', allTurns: 2 },
+    { fixture: 'claude', url: 'https://claude.ai/chat/0d9e4c1a', siteType: 'claude' },
+    { fixture: 'deepseek', url: 'https://chat.deepseek.com/a/chat/s/7c41be', siteType: 'deepseek' },
+    { fixture: 'doubao', url: 'https://www.doubao.com/chat/38214', siteType: 'doubao' },
+    { fixture: 'grok', url: 'https://grok.com/c/4b1f0c2e', siteType: 'grok' }
+];
+
+const SELF_HOSTED_HOSTS = {
+    chatgptTimelineSelfHostedHosts: {
+        openwebui: ['ai.corp.example'],
+        librechat: ['librechat.example.org'],
+        lobechat: ['*.example.net']
+    }
+};
+
+const SELF_HOSTED_SITES = [
+    { fixture: 'open-webui', url: 'https://ai.corp.example/c/5c1e2a90', siteType: 'openwebui' },
+    { fixture: 'librechat', url: 'https://librechat.example.org/c/a1f8c3d2', siteType: 'librechat' },
+    { fixture: 'lobechat', url: 'https://chat.example.net/chat?session=inbox', siteType: 'lobechat' }
+];
+
+describe('getSiteType', () => {
+    test('maps every built-in host to its adapter', async () => {
+        const ext = await loadExtension();
+        const { getSiteType } = ext.window;
+        assert.equal(getSiteType('chatgpt.com'), 'chatgpt');
+        assert.equal(getSiteType('chat.openai.com'), 'chatgpt');
+        assert.equal(getSiteType('gemini.google.com'), 'gemini');
+        assert.equal(getSiteType('claude.ai'), 'claude');
+        assert.equal(getSiteType('chat.deepseek.com'), 'deepseek');
+        assert.equal(getSiteType('www.doubao.com'), 'doubao');
+        assert.equal(getSiteType('grok.com'), 'grok');
+        assert.equal(getSiteType('example.com'), 'unknown');
+    });
+
+    test('picks up self-hosted hosts from storage', async () => {
+        const ext = await loadExtension({ storage: SELF_HOSTED_HOSTS });
+        const { getSiteType } = ext.window;
+        assert.equal(getSiteType('ai.corp.example'), 'openwebui');
+        assert.equal(getSiteType('librechat.example.org'), 'librechat');
+        assert.equal(getSiteType('lobe.example.net'), 'lobechat');
+    });
+});
+
+describe('isSupportedConversationUrl', () => {
+    test('accepts conversation paths and rejects the rest', async () => {
+        const ext = await loadExtension();
+        const { isSupportedConversationUrl } = ext.window;
+        assert.equal(isSupportedConversationUrl('https://chatgpt.com/c/abc'), true);
+        assert.equal(isSupportedConversationUrl('https://chatgpt.com/g/g-123/c/abc'), true);
+        assert.equal(isSupportedConversationUrl('https://chatgpt.com/'), false);
+        assert.equal(isSupportedConversationUrl('https://gemini.google.com/app/5f2a'), true);
+        assert.equal(isSupportedConversationUrl('https://claude.ai/chat/0d9e'), true);
+        assert.equal(isSupportedConversationUrl('https://claude.ai/recents'), false);
+        assert.equal(isSupportedConversationUrl('https://chat.deepseek.com/a/chat/s/7c41be'), true);
+        assert.equal(isSupportedConversationUrl('https://grok.com/c/4b1f'), true);
+        assert.equal(isSupportedConversationUrl('https://example.com/c/abc'), false);
+    });
+});
+
+describe('ChatGPT turn helpers', () => {
+    test('getChatGPTAllTurnElements returns both roles in document order', async () => {
+        const ext = await loadExtension({ fixture: 'chatgpt', url: 'https://chatgpt.com/c/6f1c2b7e' });
+        const turns = ext.window.getChatGPTAllTurnElements(ext.document);
+        assert.deepEqual(
+            [...turns].map(turn => turn.getAttribute('data-message-author-role')),
+            ['user', 'assistant', 'user', 'assistant']
+        );
+    });
+
+    test('getChatGPTConversationContainer resolves to <main>', async () => {
+        const ext = await loadExtension({ fixture: 'chatgpt', url: 'https://chatgpt.com/c/6f1c2b7e' });
+        const container = ext.window.getChatGPTConversationContainer(ext.document);
+        assert.equal(container, ext.document.querySelector('main'));
+    });
+
+    test('getChatGPTConversationContainer returns null without turns', async () => {
+        const ext = await loadExtension({ html: '<main><p>New chat</p></main>', url: 'https://chatgpt.com/' });
+        assert.equal(ext.window.getChatGPTConversationContainer(ext.document), null);
+    });
+});
+
+describe('claude replies', () => {
+    test('a reply is the render-count wrapper holding the response body, read without its action bar', async () => {
+        const html = `<main>
+            <div data-test-render-count="1"><div data-testid="user-message"><p>Is (a+)+$ safe?</p></div></div>
+            <div data-test-render-count="2"><div class="text-xs">Searching the web</div></div>
+            <div data-test-render-count="3">
+                <div data-is-streaming="false">
+                    <div class="font-claude-response"><p>No, the nested quantifier backtracks exponentially.</p></div>
+                    <div role="group"><button>Copy</button><button>Retry</button></div>
+                </div>
+            </div>
+        </main>`;
+        const ext = await loadExtension({ html, url: 'https://claude.ai/chat/0d9e4c1a' });
+        const manager = ext.createManager();
+        const [user] = manager.getUserTurnElements();
+        assert.equal(manager.getChatGPTReply(user), 'No, the nested quantifier backtracks exponentially.');
+    });
+});
+
+describe('version pagers', () => {
+    test('Claude reports the edit version of a prompt and ignores counters without buttons', async () => {
+        const html = `<div>
+            <div data-test-render-count="1">
+                <div data-testid="user-message"><p>Rewrite it with 1/2 the lines</p></div>
+                <div class="flex items-center"><button aria-label="Previous"></button><span>2 / 2</span><button aria-label="Next"></button></div>
+            </div>
+            <div data-test-render-count="2">
+                <div data-is-streaming="false"><div class="font-claude-response"><p>Done, 1/2 of the original.</p></div></div>
+            </div>
+        </div>`;
+        const ext = await loadExtension({ html, url: 'https://claude.ai/chat/0d9e4c1a' });
+        const adapter = ext.window.getSiteAdapter('claude');
+        const [user] = adapter.getUserTurns(ext.document);
+        assert.deepEqual({ ...adapter.getBranchInfo(user) }, { current: 2, total: 2 });
+        assert.equal(adapter.getBranchInfo(ext.document.querySelector('.font-claude-response')), null);
+    });
+
+    test('sites without pagers report no branches', async () => {
+        const ext = await loadExtension({ fixture: 'grok', url: 'https://grok.com/c/4b1f0c2e' });
+        const adapter = ext.window.getSiteAdapter('grok');
+        assert.equal(adapter.getBranchInfo(adapter.getUserTurns(ext.document)[0]), null);
+    });
+});
+
+describe('turn discovery per site', () => {
+    for (const site of SITES) {
+        test(site.fixture, async () => {
+            const ext = await loadExtension({ fixture: site.fixture, url: site.url });
+            const { window } = ext;
+            assert.equal(window.getSiteType(), site.siteType);
+            assert.equal(window.isSupportedConversationUrl(site.url), true);
+            assert.equal(window.getAllTurnElementsForSite(ext.document).length, site.allTurns || 4);
+
+            const first = window.getFirstTurnElementForSite(ext.document);
+            assert.ok(first, 'first turn found');
+            const container = window.getConversationContainerForSite(first);
+            assert.ok(container.contains(first), 'container holds the first turn');
+
+            const manager = ext.createManager();
+            assert.equal(manager.getUserTurnElements().length, 2);
+        });
+    }
+
+    for (const site of SELF_HOSTED_SITES) {
+        test(site.fixture, async () => {
+            const ext = await loadExtension({ fixture: site.fixture, url: site.url, storage: SELF_HOSTED_HOSTS });
+            const { window } = ext;
+            assert.equal(window.getSiteType(), site.siteType);
+            assert.equal(window.isSupportedConversationUrl(site.url), true);
+            assert.equal(window.getAllTurnElementsForSite(ext.document).length, 4);
+            assert.equal(ext.createManager().getUserTurnElements().length, 2);
+        });
+    }
+
+    test('self-hosted adapters stay inactive until a host is configured', async () => {
+        const ext = await loadExtension({ fixture: 'open-webui', url: 'https://ai.corp.example/c/5c1e2a90' });
+        assert.equal(ext.window.getSiteType(), 'unknown');
+    });
+});
+
+describe('custom sites', () => {
+    test('a stored selector definition becomes a working adapter', async () => {
+        const storage = {
+            chatgptTimelineCustomSites: [{
+                name: 'Team chat',
+                hostPattern: 'https://Chat.Example.com:8443/',
+                pathPrefixes: ['c/'],
+                userTurnSelector: '.msg.user',
+                assistantTurnSelector: '.msg.bot',
+                enabled: true
+            }]
+        };
+        const html = `<main>
+            <div class="msg user">First question here</div>
+            <div class="msg bot">First answer with enough text</div>
+            <div class="msg user">Second question</div>
+            <div class="msg bot">Second answer with enough text</div>
+        </main>`;
+        const ext = await loadExtension({ html, url: 'https://chat.example.com/c/42', storage });
+        const { window } = ext;
+        assert.equal(window.getSiteType(), 'custom-chat-example-com');
+        assert.equal(window.isTimelineEnabledForSite({}, window.getSiteType()), true);
+
+        const manager = ext.createManager();
+        const users = manager.getUserTurnElements();
+        assert.equal(users.length, 2);
+        assert.equal(manager.getChatGPTReply(users[1]), 'Second answer with enough text');
+    });
+
+    test('sites on the same host get distinct ids and only wildcards cover subdomains', async () => {
+        const site = (hostPattern, name) => ({
+            name,
+            hostPattern,
+            userTurnSelector: '.msg.user',
+            assistantTurnSelector: '.msg.bot',
+            enabled: true
+        });
+        const storage = { chatgptTimelineCustomSites: [site('chat.example.com', 'Exact'), site('*.chat.example.com', 'Wildcard')] };
+        const ext = await loadExtension({ html: '<main></main>', url: 'https://chat.example.com/c/1', storage });
+        const { window } = ext;
+        const configs = window.normalizeCustomSites(storage.chatgptTimelineCustomSites);
+        assert.deepEqual(configs.map(config => config.id), ['custom-chat-example-com', 'custom-chat-example-com-2']);
+        assert.equal(window.getSiteType('chat.example.com'), 'custom-chat-example-com');
+        assert.equal(window.getSiteType('eu.chat.example.com'), 'custom-chat-example-com-2');
+        assert.equal(window.getSiteType('eu.example.com'), 'unknown');
+    });
+
+    test('getCustomSiteMatchPatterns covers wildcard subdomains', async () => {
+        const ext = await loadExtension();
+        const { getCustomSiteMatchPatterns } = ext.window;
+        assert.deepEqual([...getCustomSiteMatchPatterns({ hostPattern: 'chat.example.com' })], ['*://chat.example.com/*']);
+        assert.deepEqual(
+            [...getCustomSiteMatchPatterns({ hostPattern: '*.example.com' })],
+            ['*://example.com/*', '*://*.example.com/*']
+        );
+        assert.deepEqual([...getCustomSiteMatchPatterns({ hostPattern: 'not a host' })], []);
+    });
+});
@@ -0,0 +1,877 @@
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, closeAllExtensions, buildMarkers, withManager } = require('./helpers/load-extension');
+
+afterEach(closeAllExtensions);
+
+// Expected [turn id, user summary, start of the reply] for both exchanges of each fixture
+const CONVERSATIONS = [
+    {
+        fixture: 'chatgpt',
+        url: 'https://chatgpt.com/c/6f1c2b7e',
+        turns: [
+            ['aa11-user-1', 'Write a debounce helper in JavaScript', 'Here is a minimal version using setTimeout:'],
+            ['aa11-user-2', 'Can it cancel a pending call?', 'Yes, return the timer handle']
+        ]
+    },
+    {
+        fixture: 'gemini',
+        url: 'https://gemini.google.com/app/5f2a91d0e3b4',
+        turns: [
+            ['c_5f2a91d0e3b4', 'Summarize the CAP theorem in two sentences', 'A distributed store can guarantee'],
+            ['c_8c7b6a5d4e3f', 'Which one does DynamoDB pick?', 'It favours availability']
+        ]
+    },
+    {
+        fixture: 'claude',
+        url: 'https://claude.ai/chat/0d9e4c1a',
+        turns: [
+            ['claude-turn-1', 'Is this regex safe from catastrophic backtracking: (a+)+$', 'No. The nested quantifier'],
+            ['claude-turn-3', 'How do I test for it?', 'Time the match against']
+        ]
+    },
+    {
+        fixture: 'deepseek',
+        url: 'https://chat.deepseek.com/a/chat/s/7c41be',
+        turns: [
+            // The reasoning block must not leak into the reply
+            ['deepseek-turn-1', 'How do I write a migration script with knex?', 'Run knex migrate:make add_users'],
+            ['deepseek-turn-3', 'And how do I roll it back?', 'Run knex migrate:rollback']
+        ]
+    },
+    {
+        fixture: 'doubao',
+        url: 'https://www.doubao.com/chat/38214',
+        turns: [
+            ['turn-0', '帮我写一个判断闰年的函数', '可以按照四百年一个周期来判断'],
+            ['turn-1', '1900 年是闰年吗？', '不是，1900 能被 100 整除']
+        ]
+    },
+    {
+        fixture: 'grok',
+        url: 'https://grok.com/c/4b1f0c2e',
+        turns: [
+            ['response-4b1f0c2e', 'Explain quicksort briefly', 'Quicksort picks a pivot'],
+            ['response-c3a9e511', 'What is its complexity?', 'O(n log n) on average']
+        ]
+    }
+];
+
+describe('getTurnId / getUserSummary / getChatGPTReply', () => {
+    for (const conversation of CONVERSATIONS) {
+        test(conversation.fixture, async () => {
+            const ext = await loadExtension({ fixture: conversation.fixture, url: conversation.url });
+            const manager = ext.createManager();
+            const users = manager.getUserTurnElements();
+            assert.equal(users.length, conversation.turns.length);
+
+            conversation.turns.forEach(([id, summary, replyStart], index) => {
+                assert.equal(manager.getTurnId(users[index], index), id);
+                assert.equal(manager.getUserSummary(users[index]), summary);
+                assert.ok(
+                    manager.getChatGPTReply(users[index]).startsWith(replyStart),
+                    `reply ${index} starts with "${replyStart}"`
+                );
+            });
+        });
+    }
+
+    test('ids are stable across reloads of the same DOM', async () => {
+        const first = await loadExtension({ fixture: 'grok', url: 'https://grok.com/c/4b1f0c2e' });
+        const second = await loadExtension({ fixture: 'grok', url: 'https://grok.com/c/4b1f0c2e' });
+        const idsOf = (ext) => {
+            const manager = ext.createManager();
+            return [...manager.getUserTurnElements()].map((turn, index) => manager.getTurnId(turn, index));
+        };
+        assert.deepEqual(idsOf(first), idsOf(second));
+    });
+
+    test('getChatGPTReply ignores replies that are still too short', async () => {
+        const html = `<main>
+            <article data-turn="user" data-turn-id="u1"><div data-message-author-role="user" data-message-id="m1">Hello?</div></article>
+            <article data-turn="assistant" data-turn-id="a1"><div data-message-author-role="assistant" data-message-id="m2">Hi</div></article>
+        </main>`;
+        const ext = await loadExtension({ html, url: 'https://chatgpt.com/c/short' });
+        const manager = ext.createManager();
+        assert.equal(manager.getChatGPTReply(manager.getUserTurnElements()[0]), '');
+    });
+});
+
+describe('getFullTextContent', () => {
+    test('keeps code blocks, inline code and emphasis as Markdown', async () => {
+        const ext = await loadExtension({ fixture: 'chatgpt', url: 'https://chatgpt.com/c/6f1c2b7e' });
+        const manager = ext.createManager();
+        const reply = manager.getFullChatGPTReply(manager.getUserTurnElements()[0]);
+
+        assert.match(reply, /^Here is a \*\*minimal\*\* version using `setTimeout`:/);
+        assert.match(reply, /```javascript\n/);
+        assert.match(reply, /function debounce\(fn, wait\) \{\n {2}let timer;/);
+        assert.match(reply, /\n```/);
+        assert.match(reply, /\n- Each call resets the timer\n- Only/);
+        assert.match(reply, /Only the \*last\* call runs/);
+    });
+
+    test('does not modify the page', async () => {
+        const ext = await loadExtension({ fixture: 'chatgpt', url: 'https://chatgpt.com/c/6f1c2b7e' });
+        const manager = ext.createManager();
+        const reply = ext.document.querySelector('[data-message-author-role="assistant"]');
+        const before = reply.innerHTML;
+        manager.getFullTextContent(reply);
+        assert.equal(reply.innerHTML, before);
+    });
+
+    test('returns an empty string without an element', async () => {
+        const ext = await loadExtension();
+        assert.equal(new ext.TimelineManager().getFullTextContent(null), '');
+    });
+});
+
+describe('applyMinGap', () => {
+    test('leaves well spaced positions alone', () => withManager({}, ({ manager }) => {
+        assert.deepEqual([...manager.applyMinGap([10, 50, 90], 0, 100, 12)], [10, 50, 90]);
+    }));
+
+    test('pushes crowded positions apart', () => withManager({}, ({ manager }) => {
+        assert.deepEqual([...manager.applyMinGap([10, 12, 14], 0, 100, 10)], [10, 20, 30]);
+    }));
+
+    test('pulls positions back inside the upper bound', () => withManager({}, ({ manager }) => {
+        assert.deepEqual([...manager.applyMinGap([80, 95, 99], 0, 100, 10)], [80, 90, 100]);
+    }));
+
+    test('clamps to the bounds when there is not enough room', () => withManager({}, ({ manager }) => {
+        const out = [...manager.applyMinGap([0, 1, 2, 3], 10, 30, 10)];
+        assert.equal(out[0], 10);
+        assert.equal(out[out.length - 1], 30);
+        assert.ok(out.every(value => value >= 10 && value <= 30));
+    }));
+
+    test('handles an empty list', () => withManager({}, ({ manager }) => {
+        assert.deepEqual([...manager.applyMinGap([], 0, 100, 10)], []);
+    }));
+});
+
+describe('keyboard shortcuts', () => {
+    function press(ext, target, init) {
+        target.dispatchEvent(new ext.window.KeyboardEvent('keydown', { bubbles: true, cancelable: true, ...init }));
+    }
+
+    test('steps between user turns and clamps at the ends', () => withManager({ recordScrolls: true }, ({ manager, scrolled }) => {
+        const [first, second] = manager.markers;
+        manager.activeTurnId = first.id;
+        manager.gotoTurnByOffset(1);
+        manager.gotoTurnByOffset(1);
+        assert.deepEqual(scrolled, [second.element, second.element]);
+        manager.gotoTurnAt(0);
+        assert.equal(scrolled.at(-1), first.element);
+    }));
+
+    test('runs the bound action and ignores keys typed into inputs', () => withManager({}, ({ ext, manager }) => {
+        const actions = [];
+        manager.runShortcutAction = (action) => actions.push(action);
+        ext.window.addEventListener('keydown', (e) => manager.handleShortcutKeydown(e), true);
+
+        press(ext, ext.document.body, { key: 'ArrowDown', code: 'ArrowDown', altKey: true });
+        const textarea = ext.document.createElement('textarea');
+        ext.document.body.appendChild(textarea);
+        press(ext, textarea, { key: 'ArrowDown', code: 'ArrowDown', altKey: true });
+        // macOS reports Option+K as '˚'; the physical key still matches
+        press(ext, ext.document.body, { key: '˚', code: 'KeyK', altKey: true });
+        press(ext, ext.document.body, { key: 'k', code: 'KeyK' });
+
+        manager.settings = { ...manager.settings, enableKeyboardShortcuts: false };
+        press(ext, ext.document.body, { key: 'ArrowDown', code: 'ArrowDown', altKey: true });
+        assert.deepEqual(actions, ['nextTurn', 'focusSearch']);
+    }));
+
+    test('follows rebound shortcuts', () => withManager({}, ({ ext, manager }) => {
+        const actions = [];
+        manager.runShortcutAction = (action) => actions.push(action);
+        ext.window.addEventListener('keydown', (e) => manager.handleShortcutKeydown(e), true);
+        manager.settings = { ...manager.settings, shortcutToggleTOC: 'Ctrl+Shift+Y' };
+
+        press(ext, ext.document.body, { key: 't', code: 'KeyT', altKey: true });
+        press(ext, ext.document.body, { key: 'Y', code: 'KeyY', ctrlKey: true, shiftKey: true });
+        assert.deepEqual(actions, ['toggleTOC']);
+    }));
+});
+
+describe('assistant reply markers', () => {
+    const replyFields = (element, replyElement, manager) => {
+        const chatgptReply = manager.getChatGPTReply(element, replyElement);
+        return { chatgptReply, replyLength: chatgptReply.length, summary: '' };
+    };
+
+    test('reply size grows with answer length within bounds', async () => {
+        const ext = await loadExtension();
+        const { getReplyMarkerScale } = ext.window;
+        assert.equal(getReplyMarkerScale(0), 0.6);
+        assert.equal(getReplyMarkerScale(100), 1.1);
+        assert.ok(getReplyMarkerScale(1000) > getReplyMarkerScale(100));
+        assert.equal(getReplyMarkerScale(1e9), 1.8);
+    });
+
+    test('lane markers share the question position, inline ones sit halfway to the next', () => withManager({ settings: { assistantMarkers: 'lane' }, markerFields: replyFields }, ({ manager }) => {
+        const [first, second] = manager.markers;
+        first.n = 0;
+        second.n = 0.5;
+        manager.updateReplyMarkerPositions();
+        assert.equal(first.replyN, 0);
+        assert.equal(second.replyN, 0.5);
+
+        manager.settings.assistantMarkers = 'inline';
+        manager.updateReplyMarkerPositions();
+        assert.equal(first.replyN, 0.25);
+        assert.equal(second.replyN, 0.75);
+    }));
+
+    test('reply dots point at the answer of their turn', () => withManager({ settings: { assistantMarkers: 'inline' }, markerFields: replyFields }, ({ manager }) => {
+        const [first] = manager.markers;
+        first.replyN = 0.5;
+        const dot = manager.renderReplyDot(first, 'inline');
+        assert.equal(dot.dataset.targetTurnId, first.id);
+        assert.equal(dot.dataset.targetReply, 'true');
+        assert.ok(dot.classList.contains('is-inline'));
+        assert.equal(dot.style.getPropertyValue('--n'), '0.5');
+        assert.equal(manager.getReplyTargetElement(first.id), first.replyElement);
+        assert.ok(first.replyElement.textContent.includes('Here is a minimal version'));
+    }));
+
+    test('off by default', async () => {
+        const ext = await loadExtension();
+        assert.equal(ext.DEFAULT_SETTINGS.assistantMarkers, 'off');
+    });
+});
+
+describe('reply outline in the TOC', () => {
+    const html = `<main>
+        <article data-turn="user" data-turn-id="u1"><div data-message-author-role="user" data-message-id="m1">Review this migration</div></article>
+        <article data-turn="assistant" data-turn-id="a1"><div data-message-author-role="assistant" data-message-id="m2">
+            <h2>Problems</h2><p>The index is created before the backfill finishes.</p>
+            <h3>Locking</h3><p>ALTER TABLE takes an exclusive lock.</p>
+            <pre><div>sql</div><code class="language-sql">CREATE INDEX CONCURRENTLY idx ON users (email);
+SELECT 1;</code></pre>
+            <h4></h4>
+        </div></article>
+    </main>`;
+
+    const page = { html, url: 'https://chatgpt.com/c/outline', recordScrolls: true };
+
+    test('lists headings and code blocks of the reply in order', () => withManager(page, ({ manager }) => {
+        const outline = manager.getReplyOutline(manager.markers[0].replyElement);
+        assert.deepEqual([...outline.map(entry => [entry.type, entry.level, entry.text])], [
+            ['heading', 2, 'Problems'],
+            ['heading', 3, 'Locking'],
+            ['code', 0, 'CREATE INDEX CONCURRENTLY idx ON users (email);']
+        ]);
+        assert.equal(outline[2].language, 'sql');
+    }));
+
+    test('expands under the TOC item and scrolls to the exact heading', () => withManager(page, ({ ext, manager, scrolled }) => {
+        const toc = ext.document.createElement('div');
+        toc.className = 'timeline-toc';
+        ext.document.body.appendChild(toc);
+        manager.updateTOCList(toc);
+
+        const outline = toc.querySelector('.toc-outline');
+        const toggle = toc.querySelector('.toc-item .toc-outline-btn');
+        assert.equal(outline.classList.contains('expanded'), false);
+        toggle.click();
+        assert.equal(outline.classList.contains('expanded'), true);
+        assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+
+        const entries = outline.querySelectorAll('.toc-outline-item');
+        assert.equal(entries[2].textContent, 'sql · CREATE INDEX CONCURRENTLY idx O...');
+        entries[1].click();
+        assert.equal(scrolled.length, 1);
+        assert.equal(scrolled[0].textContent, 'Locking');
+
+        // Expansion survives a rebuild of the list
+        manager.updateTOCList(toc);
+        assert.equal(toc.querySelector('.toc-outline').classList.contains('expanded'), true);
+    }));
+});
+
+describe('turn notes and tags', () => {
+    const NOTES_KEY = 'chatgptTimelineNotes:chatgpt.com/c/6f1c2b7e';
+
+    test('parseTurnTags splits, strips # and deduplicates', async () => {
+        const ext = await loadExtension();
+        assert.deepEqual([...ext.window.parseTurnTags('#accepted, perf  Perf，regression')], ['accepted', 'perf', 'regression']);
+        assert.deepEqual([...ext.window.parseTurnTags('')], []);
+    });
+
+    test('notes are saved per conversation and turn id', () => withManager({}, async ({ ext, manager }) => {
+        manager.setTurnNote('aa11-user-1', '  Accepted after benchmarking ', '#accepted perf');
+        await new Promise(resolve => setImmediate(resolve));
+        const result = await ext.window.chrome.storage.local.get([NOTES_KEY]);
+        assert.equal(result[NOTES_KEY]['aa11-user-1'].note, 'Accepted after benchmarking');
+        assert.deepEqual([...result[NOTES_KEY]['aa11-user-1'].tags], ['accepted', 'perf']);
+
+        manager.setTurnNote('aa11-user-1', '', '');
+        await new Promise(resolve => setImmediate(resolve));
+        assert.equal(NOTES_KEY in await ext.window.chrome.storage.local.get([NOTES_KEY]), false);
+    }));
+
+    test('stored notes show on the dot tooltip and filter the TOC by tag', () => withManager({
+        storage: {
+            [NOTES_KEY]: {
+                'aa11-user-2': { note: 'Rejected: leaks timers', tags: ['rejected'], updatedAt: 1 }
+            }
+        }
+    }, async ({ ext, manager }) => {
+        await manager.loadTurnNotes();
+        const dot = ext.document.createElement('button');
+        dot.dataset.targetTurnId = 'aa11-user-2';
+        dot.setAttribute('aria-label', 'Can it cancel a pending call?');
+        assert.equal(manager.getDotTooltipText(dot), '📝 Rejected: leaks timers #rejected · Can it cancel a pending call?');
+
+        const toc = ext.document.createElement('div');
+        toc.className = 'timeline-toc';
+        ext.document.body.appendChild(toc);
+        manager.ensureTOCToolbar(toc);
+        manager.updateTOCList(toc);
+        const items = [...toc.querySelectorAll('.toc-item')];
+        assert.equal(items[1].classList.contains('has-note'), true);
+        assert.equal(items[1].querySelector('.toc-item-tags').textContent, '#rejected');
+
+        toc.querySelector('.toc-tag-chip').click();
+        assert.deepEqual(items.map(item => item.hidden), [true, false]);
+        toc.querySelector('.toc-tag-chip').click();
+        assert.deepEqual(items.map(item => item.hidden), [false, false]);
+    }));
+
+    test('dots keep the note mark when markers are rebuilt and rendered again', () => withManager({
+        storage: { [NOTES_KEY]: { 'aa11-user-1': { note: 'Used in prod', tags: [], updatedAt: 1 } } }
+    }, async ({ ext, manager }) => {
+        // Notes load before the timeline exists, so the first render has to apply them itself
+        await manager.loadTurnNotes();
+        manager.ui.timelineBar = ext.document.createElement('div');
+        manager.ui.trackContent = ext.document.createElement('div');
+        const noted = () => [...manager.ui.trackContent.querySelectorAll('.timeline-dot')].map(dot => dot.classList.contains('has-note'));
+        manager.updateVirtualRangeAndRender();
+        assert.deepEqual(noted(), [true, false]);
+
+        buildMarkers(manager);
+        manager.updateVirtualRangeAndRender();
+        assert.deepEqual(noted(), [true, false]);
+    }));
+
+    test('the editor saves with Ctrl+Enter and closes', () => withManager({}, async ({ ext, manager }) => {
+        manager.openNoteEditor('aa11-user-1', null);
+        const editor = ext.document.querySelector('.timeline-note-editor');
+        editor.querySelector('.timeline-note-input').value = 'Keep this one';
+        editor.querySelector('.timeline-note-tags').value = 'accepted';
+        editor.querySelector('.timeline-note-input').dispatchEvent(new ext.window.KeyboardEvent('keydown', { key: 'Enter', ctrlKey: true, bubbles: true }));
+        assert.equal(ext.document.querySelector('.timeline-note-editor'), null);
+        assert.equal(manager.getTurnNote('aa11-user-1').note, 'Keep this one');
+        assert.equal(manager.turnHasTag('aa11-user-1', 'Accepted'), true);
+    }));
+});
+
+describe('deep links to a turn', () => {
+    const URL = 'https://chatgpt.com/c/6f1c2b7e';
+
+    const linkPage = hash => ({ url: `${URL}${hash}`, recordScrolls: true });
+
+    test('links carry the turn id and its position', () => withManager(linkPage(''), ({ ext, manager }) => {
+        assert.equal(manager.getTurnLink('aa11-user-2'), `${URL}#timeline-turn=aa11-user-2&timeline-index=2`);
+        assert.deepEqual({ ...ext.window.parseTurnLinkHash('#timeline-turn=a%26b&timeline-index=3') }, { turnId: 'a&b', index: 2 });
+        assert.equal(ext.window.parseTurnLinkHash('#section-2'), null);
+    }));
+
+    test('waits for the linked turn, then scrolls to it and flashes it', () => withManager(linkPage('#timeline-turn=aa11-user-2'), ({ manager, scrolled }) => {
+        const { markers } = manager;
+        manager.markers = [];
+        manager.revealLinkedTurn();
+        assert.equal(scrolled.length, 0);
+
+        manager.markers = markers;
+        manager.revealLinkedTurn();
+        assert.deepEqual(scrolled, [markers[1].element]);
+        assert.equal(manager.activeTurnId, 'aa11-user-2');
+        assert.equal(manager.getTurnContainer(markers[1].element).classList.contains('timeline-turn-flash'), true);
+        assert.equal(manager.pendingLinkedTurn, null);
+    }));
+
+    test('keeps waiting for a missing id until turn loading settles, then uses the position', () => withManager(linkPage('#timeline-turn=chatgpt-turn-9&timeline-index=1'), ({ manager, scrolled }) => {
+        // More turns may still be loading, so the position is not trusted yet
+        manager.revealLinkedTurn();
+        manager.revealLinkedTurn();
+        assert.equal(scrolled.length, 0);
+        assert.notEqual(manager.linkedTurnSettleTimer, null);
+
+        manager.revealLinkedTurn(true);
+        assert.deepEqual(scrolled, [manager.markers[0].element]);
+        assert.equal(manager.pendingLinkedTurn, null);
+    }));
+
+    test('falls back to the position once the wait for a missing id runs out', () => withManager(linkPage('#timeline-turn=chatgpt-turn-9&timeline-index=2'), ({ manager, scrolled }) => {
+        manager.pendingLinkedTurnSince = Date.now() - 60000;
+        manager.revealLinkedTurn();
+        assert.deepEqual(scrolled, [manager.markers[1].element]);
+    }));
+
+    test('the TOC action copies the link', () => withManager(linkPage(''), async ({ ext, manager }) => {
+        const copied = [];
+        Object.defineProperty(ext.window.navigator, 'clipboard', {
+            value: { writeText: async (text) => { copied.push(text); } },
+            configurable: true
+        });
+        const toc = ext.document.createElement('div');
+        toc.className = 'timeline-toc';
+        ext.document.body.appendChild(toc);
+        manager.updateTOCList(toc);
+        toc.querySelectorAll('.toc-link-btn')[0].click();
+        await new Promise(resolve => setImmediate(resolve));
+        assert.deepEqual(copied, [`${URL}#timeline-turn=aa11-user-1&timeline-index=1`]);
+    }));
+});
+
+describe('copy Q&A', () => {
+    test('writes a text template as plain text only', () => withManager({
+        storage: { chatgptTimelineCopyTemplates: { active: 'markdown' } }
+    }, async ({ ext, manager }) => {
+        const written = [];
+        const rich = [];
+        // jsdom has no ClipboardItem
+        ext.window.ClipboardItem = class {
+            constructor(items) { this.items = items; }
+        };
+        Object.defineProperty(ext.window.navigator, 'clipboard', {
+            value: {
+                write: async (items) => { rich.push(...items); },
+                writeText: async (text) => { written.push(text); }
+            },
+            configurable: true
+        });
+        await new Promise(resolve => setImmediate(resolve));
+
+        await manager.copyQAText(manager.markers[0]);
+        // A text template is written as text/plain only
+        assert.equal(rich.length, 0);
+        assert.equal(written.length, 1);
+        const [text] = written;
+        assert.ok(text.startsWith('> Write a debounce helper in JavaScript\n\nHere is a **minimal** version'));
+        assert.ok(text.includes('```javascript\nfunction debounce(fn, wait) {'));
+        assert.ok(text.includes('[chatgpt.com · #1](https://chatgpt.com/c/6f1c2b7e#timeline-turn=aa11-user-1&timeline-index=1)'));
+    }));
+});
+
+describe('multi-select', () => {
+    function click(ext, manager, turnId, init) {
+        return manager.handleSelectionClick(new ext.window.MouseEvent('click', init), turnId);
+    }
+
+    test('Ctrl+click toggles turns and Shift+click selects a range', () => withManager({}, async ({ ext, manager }) => {
+        assert.equal(click(ext, manager, 'aa11-user-1', {}), false);
+        assert.equal(click(ext, manager, 'aa11-user-2', { ctrlKey: true }), true);
+        const bar = ext.document.querySelector('.timeline-selection-bar');
+        assert.equal(bar.querySelector('.timeline-selection-count').textContent, '已选 1 轮 · #2');
+
+        click(ext, manager, 'aa11-user-1', { shiftKey: true });
+        assert.deepEqual(manager.getSelectedMarkers().map(marker => marker.id), ['aa11-user-1', 'aa11-user-2']);
+        assert.equal(bar.querySelector('.timeline-selection-count').textContent, '已选 2 轮 · #1–2');
+
+        click(ext, manager, 'aa11-user-2', { metaKey: true });
+        assert.deepEqual(manager.getSelectedMarkers().map(marker => marker.id), ['aa11-user-1']);
+
+        ext.document.dispatchEvent(new ext.window.KeyboardEvent('keydown', { key: 'Escape' }));
+        assert.equal(manager.selectedTurnIds.size, 0);
+        assert.equal(ext.document.querySelector('.timeline-selection-bar'), null);
+    }));
+
+    test('a macOS Ctrl+click arrives as a context menu and still selects', () => withManager({ toc: true }, async ({ ext, manager, toc }) => {
+        const menu = init => new ext.window.MouseEvent('contextmenu', { bubbles: true, cancelable: true, ...init });
+        const event = menu({ ctrlKey: true, button: 0 });
+        toc.querySelector('.toc-item[data-turn-id="aa11-user-2"]').dispatchEvent(event);
+        assert.equal(event.defaultPrevented, true);
+        assert.deepEqual(manager.getSelectedMarkers().map(marker => marker.id), ['aa11-user-2']);
+        assert.equal(manager.isTurnStarred('aa11-user-2'), false);
+
+        // A real right-click keeps its own meaning
+        assert.equal(manager.handleSelectionContextMenu(menu({ ctrlKey: true, button: 2 }), 'aa11-user-1'), false);
+    }));
+
+    test('copies the selection as one document that keeps its turn numbers', () => withManager({}, async ({ ext, manager }) => {
+        const written = [];
+        Object.defineProperty(ext.window.navigator, 'clipboard', {
+            value: { writeText: async (text) => { written.push(text); } },
+            configurable: true
+        });
+        click(ext, manager, 'aa11-user-2', { ctrlKey: true });
+        await manager.copySelectedTurns();
+        assert.equal(written.length, 1);
+        assert.ok(written[0].startsWith('# Debounce helper (turns 2)\n'));
+        assert.ok(written[0].includes('## 2. User'));
+        assert.ok(!written[0].includes('## 1. User'));
+    }));
+
+    test('stars the whole selection from the action bar', () => withManager({}, async ({ ext, manager }) => {
+        click(ext, manager, 'aa11-user-1', { ctrlKey: true });
+        click(ext, manager, 'aa11-user-2', { ctrlKey: true, shiftKey: true });
+        const star = ext.document.querySelector('.timeline-selection-star');
+        assert.equal(star.textContent, '收藏');
+        star.click();
+        assert.equal(manager.isTurnStarred('aa11-user-1'), true);
+        assert.equal(manager.isTurnStarred('aa11-user-2'), true);
+        assert.equal(star.textContent, '取消收藏');
+        star.click();
+        assert.equal(manager.starredTurnIds.size, 0);
+    }));
+
+    test('formats selected turn numbers as ranges', async () => {
+        const ext = await loadExtension();
+        assert.equal(ext.window.formatTurnRanges([19, 12, 13, 14, 15, 16, 17, 18, 22]), '12–19, 22');
+    });
+});
+
+describe('code collector', () => {
+    test('lists code blocks per turn with language, line count and file name', () => withManager({}, ({ manager }) => {
+        const groups = manager.collectCodeBlocks();
+        assert.equal(groups.length, 1);
+        assert.equal(groups[0].index, 1);
+        const [block] = groups[0].blocks;
+        assert.equal(block.language, 'javascript');
+        assert.equal(block.lines, 7);
+        assert.equal(block.firstLine, 'function debounce(fn, wait) {');
+        assert.equal(block.fileName, 'turn-1-1.js');
+        assert.ok(!block.code.startsWith('javascript'));
+    }));
+
+    test('the code tab renders the blocks with copy and jump actions', () => withManager({ recordScrolls: true, toc: true }, async ({ ext, manager, scrolled, toc }) => {
+        const copied = [];
+        Object.defineProperty(ext.window.navigator, 'clipboard', {
+            value: { writeText: async (text) => { copied.push(text); } },
+            configurable: true
+        });
+        manager.ensureTOCToolbar(toc);
+
+        toc.querySelector('.toc-tab[data-view="code"]').click();
+        assert.ok(toc.classList.contains('is-code-view'));
+        assert.equal(toc.querySelector('.toc-code-count').textContent, '1 个代码块');
+        assert.equal(toc.querySelector('.toc-code-meta').textContent, 'javascript · 7 行');
+        toc.querySelector('.toc-code-copy').click();
+        await new Promise(resolve => setImmediate(resolve));
+        assert.ok(copied[0].startsWith('function debounce(fn, wait) {\n  let timer;'));
+        toc.querySelector('.toc-code-jump').click();
+        assert.equal(scrolled[0].tagName, 'PRE');
+
+        toc.querySelector('.toc-tab[data-view="turns"]').click();
+        assert.equal(toc.querySelector('.toc-code-panel'), null);
+    }));
+
+    test('guesses file extensions from the language or the code', async () => {
+        const ext = await loadExtension();
+        assert.equal(ext.window.guessCodeFileExtension('Python', ''), 'py');
+        assert.equal(ext.window.guessCodeFileExtension('', '#!/usr/bin/env bash\necho hi'), 'sh');
+        assert.equal(ext.window.guessCodeFileExtension('', '{"a": 1}'), 'json');
+        assert.equal(ext.window.guessCodeFileExtension('', 'SELECT 1'), 'txt');
+    });
+
+    test('builds a valid stored zip archive', async () => {
+        const ext = await loadExtension();
+        const archive = ext.window.createZipArchive([
+            { name: 'turn-1-1.txt', content: 'hello' },
+            { name: 'turn-2-1.py', content: 'print(1)\n' }
+        ], new Date(2026, 0, 2, 10, 30));
+        const bytes = Buffer.from(archive);
+        assert.equal(bytes.readUInt32LE(0), 0x04034b50);
+        assert.equal(bytes.readUInt32LE(14), 0x3610a686);
+        assert.equal(bytes.readUInt32LE(18), 5);
+        assert.equal(bytes.toString('utf8', 30, 42), 'turn-1-1.txt');
+        assert.equal(bytes.toString('utf8', 42, 47), 'hello');
+
+        const end = bytes.length - 22;
+        assert.equal(bytes.readUInt32LE(end), 0x06054b50);
+        assert.equal(bytes.readUInt16LE(end + 10), 2);
+        const centralOffset = bytes.readUInt32LE(end + 16);
+        assert.equal(bytes.readUInt32LE(centralOffset), 0x02014b50);
+        // Second entry's local header offset points at its local header
+        const secondCentral = centralOffset + 46 + 'turn-1-1.txt'.length;
+        assert.equal(bytes.readUInt32LE(bytes.readUInt32LE(secondCentral + 42)), 0x04034b50);
+        assert.equal(bytes.toString('utf8', secondCentral + 46, secondCentral + 57), 'turn-2-1.py');
+    });
+});
+
+describe('conversation stats', () => {
+    test('counts words and estimates tokens for Latin and CJK text', async () => {
+        const ext = await loadExtension();
+        assert.equal(ext.window.countWords('debounce the handler'), 3);
+        assert.equal(ext.window.countWords('防抖 helper'), 3);
+        assert.equal(ext.window.estimateTokens('abcdefgh'), 2);
+        assert.equal(ext.window.estimateTokens('防抖函数'), 4);
+        assert.equal(ext.window.estimateTokens('  '), 0);
+    });
+
+    test('sums both sides per turn and keeps a running total', async () => {
+        const ext = await loadExtension();
+        const stats = ext.window.computeConversationStats([
+            { turnId: 'a', index: 1, question: 'abcd', answer: 'x'.repeat(40), codeBlocks: 1 },
+            { turnId: 'b', index: 2, question: 'abcdefgh', answer: '', codeBlocks: 0 },
+            { turnId: 'c', index: 3, question: 'abcd', answer: 'y'.repeat(80), codeBlocks: 2 }
+        ]);
+        assert.equal(stats.turnCount, 3);
+        assert.deepEqual({ ...stats.user }, { chars: 16, words: 3, tokens: 4 });
+        assert.deepEqual({ ...stats.assistant }, { chars: 120, words: 2, tokens: 30 });
+        assert.equal(stats.codeBlocks, 3);
+        assert.deepEqual(JSON.parse(JSON.stringify(stats.perTurn.map(turn => [turn.tokens, turn.cumulative]))), [[11, 11], [2, 13], [21, 34]]);
+        assert.equal(stats.totalTokens, 34);
+        assert.deepEqual([...stats.longestReplies.map(turn => turn.turnId)], ['c', 'a']);
+    });
+
+    test('the stats tab renders totals, a sparkline and jumps to turns', () => withManager({ recordScrolls: true, toc: true }, ({ manager, scrolled, toc }) => {
+        manager.ensureTOCToolbar(toc);
+
+        toc.querySelector('.toc-tab[data-view="stats"]').click();
+        assert.ok(toc.classList.contains('is-stats-view'));
+        assert.ok(toc.classList.contains('is-panel-view'));
+        assert.match(toc.querySelector('.toc-stats-summary').textContent, /^2 轮 · 约 \d+ tokens · 1 个代码块$/);
+        assert.equal(toc.querySelectorAll('.toc-stats-sparkline rect').length, 2);
+        assert.equal(toc.querySelectorAll('.toc-stats-turns .toc-stats-turn').length, 2);
+
+        toc.querySelector('.toc-stats-turns .toc-stats-turn[data-turn-id="aa11-user-2"]').click();
+        assert.deepEqual(scrolled, [manager.markers[1].element]);
+
+        toc.querySelector('.toc-tab[data-view="turns"]').click();
+        assert.equal(toc.querySelector('.toc-stats-panel'), null);
+        assert.ok(!toc.classList.contains('is-panel-view'));
+    }));
+});
+
+describe('reading progress', () => {
+    const PROGRESS_KEY = 'chatgptTimelineProgress:chatgpt.com/c/6f1c2b7e';
+
+    const page = storage => ({ storage, toc: true, recordScrolls: true });
+
+    test('a revisit offers to resume and marks read and new turns', () => withManager(page({
+        [PROGRESS_KEY]: { lastTurnId: 'aa11-user-1', readTurnIds: ['aa11-user-1'], knownTurnIds: ['aa11-user-1'], updatedAt: 1 }
+    }), async ({ manager, toc, scrolled }) => {
+        await manager.loadReadingProgress();
+        const items = [...toc.querySelectorAll('.toc-item')];
+        assert.deepEqual(items.map(item => item.classList.contains('is-read')), [true, false]);
+        assert.deepEqual(items.map(item => item.classList.contains('is-new')), [false, true]);
+        assert.equal(toc.querySelector('.timeline-resume-pill').textContent, '从第 1 轮继续');
+
+        toc.querySelector('.timeline-resume-pill').click();
+        assert.deepEqual(scrolled, [manager.markers[0].element]);
+        assert.equal(toc.querySelector('.timeline-resume-pill'), null);
+    }));
+
+    test('reading a turn clears its new mark and is saved for the next visit', () => withManager(page({
+        [PROGRESS_KEY]: { lastTurnId: 'aa11-user-1', readTurnIds: [], knownTurnIds: ['aa11-user-1'], updatedAt: 1 }
+    }), async ({ ext, manager, toc }) => {
+        await manager.loadReadingProgress();
+        // The saved position is the turn in view when progress is flushed
+        manager.activeTurnId = 'aa11-user-2';
+        manager.recordReadingProgress('aa11-user-2');
+        assert.equal(toc.querySelectorAll('.toc-item')[1].classList.contains('is-new'), false);
+        assert.equal(toc.querySelectorAll('.toc-item')[1].classList.contains('is-read'), true);
+
+        manager.flushReadingProgress();
+        await new Promise(resolve => setImmediate(resolve));
+        const stored = (await ext.window.chrome.storage.local.get([PROGRESS_KEY]))[PROGRESS_KEY];
+        assert.equal(stored.lastTurnId, 'aa11-user-2');
+        assert.deepEqual([...stored.readTurnIds], ['aa11-user-2']);
+        assert.deepEqual([...stored.knownTurnIds], ['aa11-user-1', 'aa11-user-2']);
+    }));
+
+    test('dots keep their read and new marks across marker rebuilds', () => withManager({
+        storage: {
+            [PROGRESS_KEY]: { lastTurnId: 'aa11-user-1', readTurnIds: ['aa11-user-1'], knownTurnIds: ['aa11-user-1'], updatedAt: 1 }
+        }
+    }, async ({ ext, manager }) => {
+        await manager.loadReadingProgress();
+        manager.ui.timelineBar = ext.document.createElement('div');
+        manager.ui.trackContent = ext.document.createElement('div');
+        const marks = () => [...manager.ui.trackContent.querySelectorAll('.timeline-dot')]
+            .map(dot => [dot.classList.contains('is-read'), dot.classList.contains('is-new')]);
+        manager.updateVirtualRangeAndRender();
+        assert.deepEqual(marks(), [[true, false], [false, true]]);
+
+        buildMarkers(manager);
+        manager.updateVirtualRangeAndRender();
+        assert.deepEqual(marks(), [[true, false], [false, true]]);
+    }));
+
+    test('a first visit has no resume pill and no new turns', () => withManager(page({}), async ({ manager, toc }) => {
+        await manager.loadReadingProgress();
+        assert.equal(toc.querySelector('.timeline-resume-pill'), null);
+        assert.equal(toc.querySelectorAll('.toc-item.is-new').length, 0);
+    }));
+});
+
+describe('conversation branches', () => {
+    const pager = (label) => `<div class="flex"><button aria-label="Previous"></button><div class="tabular-nums">${label}</div><button aria-label="Next"></button></div>`;
+    const html = `<main>
+        <article data-turn="user" data-turn-id="u1"><div data-message-author-role="user" data-message-id="m1">Name a sorting algorithm</div></article>
+        <article data-turn="assistant" data-turn-id="a1"><div data-message-author-role="assistant" data-message-id="m2">Quicksort, usually.</div>${pager('2/3')}</article>
+        <article data-turn="user" data-turn-id="u2"><div data-message-author-role="user" data-message-id="m3">Why that one?</div>${pager('1/2')}</article>
+        <article data-turn="assistant" data-turn-id="a2"><div data-message-author-role="assistant" data-message-id="m4">It is fast on average.</div></article>
+    </main>`;
+
+    const page = { html, url: 'https://chatgpt.com/c/branches' };
+
+    // Markers as recalculateAndRenderMarkers builds them, branch ids included
+    function build(manager) {
+        buildMarkers(manager, (element, replyElement) => ({
+            chatgptReply: manager.getChatGPTReply(element, replyElement)
+        }));
+        manager.assignBranchIds(manager.markers);
+        return manager.markers;
+    }
+
+    // Simulates ChatGPT swapping in another regeneration of the first reply
+    function showReply(ext, label, text) {
+        const reply = ext.document.querySelector('[data-message-id="m2"]');
+        reply.textContent = text;
+        reply.parentElement.querySelector('.tabular-nums').textContent = label;
+    }
+
+    test('ids carry every version picked so far', () => withManager(page, ({ manager }) => {
+        const markers = build(manager);
+        const base = [...manager.getUserTurnElements()].map((element, index) => manager.getTurnId(element, index));
+        assert.deepEqual(markers.map(marker => marker.id), [`${base[0]}~r2`, `${base[1]}~r2`]);
+        assert.deepEqual({ ...markers[0].branches.reply }, { current: 2, total: 3 });
+        assert.equal(markers[0].branches.prompt, null);
+        assert.deepEqual({ ...markers[1].branches.prompt }, { current: 1, total: 2 });
+    }));
+
+    test('stars stay with the branch they were made on', () => withManager(page, ({ ext, manager }) => {
+        manager.toggleTurnStar(build(manager)[0].id);
+        showReply(ext, '1/3', 'Merge sort, always.');
+        assert.equal(manager.isTurnStarred(build(manager)[0].id), false);
+        showReply(ext, '2/3', 'Quicksort, usually.');
+        assert.equal(manager.isTurnStarred(build(manager)[0].id), true);
+    }));
+
+    test('stars made before a regeneration stay on the first version', () => withManager(page, ({ ext, manager }) => {
+        const pagers = [...ext.document.querySelectorAll('.tabular-nums')].map(counter => counter.parentElement);
+        pagers.forEach(pager => pager.remove());
+        const ids = build(manager).map(marker => marker.id);
+        ids.forEach(id => manager.toggleTurnStar(id));
+
+        // A regeneration adds a pager to the first reply; the original is version 1
+        ext.document.querySelector('[data-message-id="m2"]').after(pagers[0]);
+        showReply(ext, '1/2', 'Quicksort, usually.');
+        assert.deepEqual(build(manager).map(marker => manager.isTurnStarred(marker.id)), [true, true]);
+        showReply(ext, '2/2', 'Merge sort, always.');
+        assert.deepEqual(build(manager).map(marker => manager.isTurnStarred(marker.id)), [false, false]);
+    }));
+
+    test('tooltips and the TOC list the other versions', () => withManager(page, ({ ext, manager }) => {
+        build(manager);
+        showReply(ext, '1/3', 'Merge sort, always.');
+        const [first] = build(manager);
+        const dot = ext.document.createElement('button');
+        dot.dataset.targetTurnId = first.id;
+        dot.dataset.targetReply = 'true';
+        dot.setAttribute('aria-label', '回复：Merge sort, always.');
+        assert.equal(manager.getDotTooltipText(dot), '⑂ 回答 1/3，其他版本：#2 Quicksort, usually.；#3 未查看（点击导航面板中的 ⑂ 对比版本） · 回复：Merge sort, always.');
+
+        const toc = ext.document.createElement('div');
+        toc.className = 'timeline-toc';
+        ext.document.body.appendChild(toc);
+        manager.updateTOCList(toc);
+        const badges = [...toc.querySelectorAll('.toc-branch-badge')].map(badge => badge.textContent);
+        assert.deepEqual(badges, ['⑂ 1/3', '⑂ 1/2']);
+    }));
+
+    test('diffWords keeps whole words and single CJK characters', async () => {
+        const ext = await loadExtension();
+        const parts = [...ext.window.diffWords('Use a debounce here. 很好', 'Use a throttle here. 不好')]
+            .map(({ type, text }) => [type, text]);
+        assert.deepEqual(parts, [
+            ['same', 'Use a '],
+            ['removed', 'debounce'],
+            ['added', 'throttle'],
+            ['same', ' here. '],
+            ['removed', '很'],
+            ['added', '不'],
+            ['same', '好']
+        ]);
+    });
+
+    test('the diff overlay compares two versions seen this visit', () => withManager(page, ({ ext, manager }) => {
+        build(manager);
+        showReply(ext, '1/3', 'Merge sort, always.');
+        const [first] = build(manager);
+
+        manager.openBranchDiff(first.id);
+        const overlay = ext.document.querySelector('.timeline-diff-overlay');
+        const options = [...overlay.querySelectorAll('.timeline-diff-before option')].map(option => [option.textContent, option.disabled]);
+        assert.deepEqual(options, [['#1（当前）', false], ['#2', false], ['#3（未查看）', true]]);
+        assert.equal(overlay.querySelector('.timeline-diff-before').value, '2');
+        assert.equal(overlay.querySelector('.timeline-diff-after').value, '1');
+        const marks = [...overlay.querySelectorAll('del, ins')].map(mark => `${mark.tagName}:${mark.textContent}`);
+        assert.deepEqual(marks, ['DEL:Quicksort', 'INS:Merge sort', 'DEL:usually', 'INS:always']);
+        assert.equal(overlay.querySelector('.timeline-diff-stats').textContent, '+3 / −2 词');
+
+        ext.document.dispatchEvent(new ext.window.KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+        assert.equal(ext.document.querySelector('.timeline-diff-overlay'), null);
+    }));
+});
+
+describe('minimap mode', () => {
+    const html = `<main>
+        <article data-turn="user" data-turn-id="u1"><div data-message-author-role="user" data-message-id="m1">Explain event loops</div></article>
+        <article data-turn="assistant" data-turn-id="a1"><div data-message-author-role="assistant" data-message-id="m2">The event loop picks tasks from the queue one at a time and runs each to completion.</div></article>
+        <article data-turn="user" data-turn-id="u2"><div data-message-author-role="user" data-message-id="m3">Show me code</div></article>
+        <article data-turn="assistant" data-turn-id="a2"><div data-message-author-role="assistant" data-message-id="m4">Sure:<pre><code>setTimeout(() => console.log('later'), 0);\nconsole.log('now');</code></pre></div></article>
+    </main>`;
+
+    const page = { html, url: 'https://chatgpt.com/c/minimap', settings: { timelineMode: 'minimap' } };
+
+    // Gives the turns a rendered layout and returns the 200px tall scroll container
+    function layOut(ext, manager) {
+        const place = (element, top, height) => {
+            element.getBoundingClientRect = () => ({ top, height, bottom: top + height, left: 0, right: 0, width: 0 });
+        };
+        const scroller = ext.document.createElement('div');
+        place(scroller, 0, 200);
+        Object.defineProperty(scroller, 'clientHeight', { value: 200 });
+        manager.scrollContainer = scroller;
+        manager.ui.trackContent = ext.document.createElement('div');
+        // Question 1 at 0-100, reply 1 at 100-400, question 2 at 400-500, reply 2 at 500-1000
+        const [first, second] = manager.markers;
+        place(manager.getTurnContainer(first.element), 0, 100);
+        place(first.replyElement, 100, 300);
+        place(manager.getTurnContainer(second.element), 400, 100);
+        place(second.replyElement, 500, 500);
+        return scroller;
+    }
+
+    test('segments follow rendered heights and mark code-heavy replies', () => withManager(page, ({ ext, manager }) => {
+        layOut(ext, manager);
+        const segments = [...manager.measureMinimapSegments()].map(({ kind, start, end, codeHeavy }) => [kind, start, end, codeHeavy]);
+        assert.deepEqual(segments, [
+            ['user', 0, 0.1, false],
+            ['assistant', 0.1, 0.4, false],
+            ['user', 0.4, 0.5, false],
+            ['assistant', 0.5, 1, true]
+        ]);
+    }));
+
+    test('renders a strip with a viewport window that scrolls the page when dragged', () => withManager(page, ({ ext, manager }) => {
+        const scroller = layOut(ext, manager);
+        manager.renderMinimap();
+        const minimap = manager.ui.trackContent.querySelector('.timeline-minimap');
+        assert.equal(minimap.querySelectorAll('.timeline-minimap-segment.is-user').length, 2);
+        assert.equal(minimap.querySelectorAll('.timeline-minimap-segment.is-code').length, 1);
+        const viewport = minimap.querySelector('.timeline-minimap-viewport');
+        assert.equal(viewport.style.top, '0%');
+        assert.equal(viewport.style.height, '20%');
+
+        minimap.getBoundingClientRect = () => ({ top: 0, height: 100 });
+        manager.scheduleScrollSync = () => {};
+        viewport.dispatchEvent(new ext.window.MouseEvent('pointerdown', { clientY: 10, bubbles: true }));
+        ext.window.dispatchEvent(new ext.window.MouseEvent('pointermove', { clientY: 30 }));
+        assert.equal(scroller.scrollTop, 200);
+        ext.window.dispatchEvent(new ext.window.MouseEvent('pointerup', {}));
+        assert.equal(manager.minimapDrag, null);
+
+        manager.settings = { ...manager.settings, timelineMode: 'dots' };
+        manager.renderMinimap();
+        assert.equal(manager.ui.trackContent.querySelector('.timeline-minimap'), null);
+    }));
+});